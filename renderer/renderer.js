@@ -1,8 +1,13 @@
 const { ipcRenderer, shell, remote } = require('electron');
 
+// Priorities with a label style; anything else is shown without one
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
 class TaskTrackerRenderer {
     constructor() {
         this.currentTask = null;
+        this.currentForecast = null;
+        this.historyPage = 1;
         this.isUpdatingProgress = false;
         this.refreshInterval = null;
         
@@ -48,10 +53,75 @@ class TaskTrackerRenderer {
             this.stopTask();
         });
 
+        document.getElementById('pauseResumeBtn').addEventListener('click', () => {
+            this.togglePause();
+        });
+
         document.getElementById('refreshHistoryBtn').addEventListener('click', () => {
             this.loadTaskHistory();
         });
 
+        ['historyTagFilter', 'historyProjectFilter', 'historyPriorityFilter'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.historyPage = 1;
+                this.loadTaskHistory();
+            });
+        });
+
+        // History search: Enter runs the query, clearing the box goes back to recent tasks
+        document.getElementById('historySearch').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.historyPage = 1;
+                this.loadTaskHistory();
+            }
+        });
+
+        document.getElementById('historySearch').addEventListener('search', () => {
+            this.historyPage = 1;
+            this.loadTaskHistory();
+        });
+
+        document.getElementById('historyPager').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-page]');
+            if (button) {
+                this.historyPage = parseInt(button.dataset.page);
+                this.loadTaskHistory();
+            }
+        });
+
+        // Undo / redo
+        document.getElementById('undoBtn').addEventListener('click', () => {
+            this.revertChange('undo');
+        });
+
+        document.getElementById('redoBtn').addEventListener('click', () => {
+            this.revertChange('redo');
+        });
+
+        // Subtask checklist (rendered inside the task card)
+        const taskDisplay = document.getElementById('currentTaskDisplay');
+        taskDisplay.addEventListener('change', (e) => {
+            if (e.target.matches('.subtask-checkbox')) {
+                this.toggleSubtask(e.target.dataset.subtaskId, e.target.checked);
+            }
+        });
+
+        taskDisplay.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-subtask-move]');
+            if (button) {
+                this.moveSubtask(button.dataset.subtaskId, parseInt(button.dataset.subtaskMove));
+            }
+            if (e.target.matches('#addSubtaskBtn')) {
+                this.addSubtask();
+            }
+        });
+
+        taskDisplay.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.matches('#newSubtaskInput')) {
+                this.addSubtask();
+            }
+        });
+
         // Modal keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
@@ -70,6 +140,7 @@ class TaskTrackerRenderer {
 
     async loadInitialData() {
         await this.loadCurrentTask();
+        await this.loadAvailableTasks();
         await this.loadTaskHistory();
         this.updateStatus('Ready');
     }
@@ -79,6 +150,7 @@ class TaskTrackerRenderer {
             const result = await ipcRenderer.invoke('get-current-task');
             if (result.success) {
                 this.currentTask = result.task;
+                this.currentForecast = result.forecast;
                 this.displayCurrentTask();
                 this.updateTaskControls();
             } else {
@@ -91,9 +163,28 @@ class TaskTrackerRenderer {
 
     async loadTaskHistory() {
         try {
-            const result = await ipcRenderer.invoke('get-task-history', 5);
+            const filter = {
+                tags: document.getElementById('historyTagFilter').value.trim(),
+                project: document.getElementById('historyProjectFilter').value.trim(),
+                priority: document.getElementById('historyPriorityFilter').value
+            };
+            const query = document.getElementById('historySearch').value.trim();
+
+            if (query) {
+                const result = await ipcRenderer.invoke('search-tasks', query, this.historyPage, filter);
+                if (result.success) {
+                    this.displayTaskHistory(result.results);
+                    this.displayHistoryPager(result);
+                } else {
+                    this.showError(result.error);
+                }
+                return;
+            }
+
+            const result = await ipcRenderer.invoke('get-task-history', 5, filter);
             if (result.success) {
                 this.displayTaskHistory(result.history);
+                this.displayHistoryPager(null);
             } else {
                 this.showError('Failed to load task history: ' + result.error);
             }
@@ -155,16 +246,22 @@ class TaskTrackerRenderer {
         }
 
         container.innerHTML = history.map(task => {
-            const statusIcon = task.status === 'completed' ? '✅' : '⏹️';
-            const duration = this.calculateDuration(task.startTime, task.endTime);
+            const statusIcon = { completed: '✅', stopped: '⏹️', paused: '⏸️' }[task.status] || '▶️';
+            const activeTime = this.formatDuration(this.calculateActiveTime(task));
+            const elapsed = this.calculateDuration(task.startTime, task.endTime);
             const startTime = new Date(task.startTime).toLocaleDateString();
+            const accuracy = task.estimateAccuracy ?
+                ` • ${Math.round(task.estimateAccuracy.ratio * 100)}% of ${this.formatDuration(task.estimateAccuracy.estimateMs)} estimate` :
+                '';
+            const commits = task.commits && task.commits.length > 0 ? ` • ${this.describeCommits(task.commits)}` : '';
 
             return `
                 <div class="history-item">
                     <div class="history-status">${statusIcon}</div>
                     <div class="history-content">
                         <div class="history-name">${this.escapeHtml(task.name)}</div>
-                        <div class="history-meta">${startTime} • ${duration}</div>
+                        ${this.renderLabels(task)}
+                        <div class="history-meta">${startTime} • ${activeTime} active of ${elapsed}${accuracy}${commits}</div>
                     </div>
                     <div class="history-progress">
                         <div class="mini-progress-bar">
@@ -177,6 +274,21 @@ class TaskTrackerRenderer {
         }).join('');
     }
 
+    displayHistoryPager(result) {
+        const pager = document.getElementById('historyPager');
+
+        if (!result || result.total === 0) {
+            pager.innerHTML = result ? '<span>No matching tasks</span>' : '';
+            return;
+        }
+
+        pager.innerHTML = `
+            <button class="btn-icon" data-page="${result.page - 1}" ${result.page <= 1 ? 'disabled' : ''}>‹</button>
+            <span>Page ${result.page} of ${result.pages} • ${result.total} match${result.total === 1 ? '' : 'es'}</span>
+            <button class="btn-icon" data-page="${result.page + 1}" ${result.page >= result.pages ? 'disabled' : ''}>›</button>
+        `;
+    }
+
     updateTaskControls() {
         const controls = document.getElementById('taskControls');
         const progressSlider = document.getElementById('progressSlider');
@@ -186,6 +298,14 @@ class TaskTrackerRenderer {
             controls.style.display = 'block';
             progressSlider.value = this.currentTask.progress;
             progressValue.textContent = `${this.currentTask.progress}%`;
+
+            // Progress is derived from the checklist when the task has subtasks
+            const hasSubtasks = this.currentTask.subtasks && this.currentTask.subtasks.length > 0;
+            document.querySelector('.progress-input').style.display = hasSubtasks ? 'none' : 'block';
+            document.getElementById('updateProgressBtn').style.display = hasSubtasks ? 'none' : '';
+
+            document.getElementById('pauseResumeBtn').textContent =
+                this.currentTask.status === 'paused' ? 'Resume' : 'Pause';
         } else {
             controls.style.display = 'none';
         }
@@ -199,6 +319,10 @@ class TaskTrackerRenderer {
         modal.style.display = 'flex';
         taskNameInput.value = '';
         taskDescInput.value = '';
+        document.getElementById('taskEstimate').value = '';
+        document.getElementById('taskTags').value = '';
+        document.getElementById('taskProject').value = '';
+        document.getElementById('taskPriority').value = 'normal';
         taskNameInput.focus();
     }
 
@@ -209,6 +333,12 @@ class TaskTrackerRenderer {
     async createNewTask() {
         const taskName = document.getElementById('taskName').value.trim();
         const taskDescription = document.getElementById('taskDescription').value.trim();
+        const options = {
+            estimate: document.getElementById('taskEstimate').value.trim(),
+            tags: document.getElementById('taskTags').value.trim(),
+            project: document.getElementById('taskProject').value.trim(),
+            priority: document.getElementById('taskPriority').value
+        };
 
         if (!taskName) {
             this.showError('Task name is required');
@@ -217,11 +347,12 @@ class TaskTrackerRenderer {
 
         try {
             this.updateStatus('Creating task...');
-            const result = await ipcRenderer.invoke('start-task', taskName, taskDescription);
+            const result = await ipcRenderer.invoke('start-task', taskName, taskDescription, options);
             
             if (result.success) {
                 this.hideNewTaskModal();
                 await this.loadCurrentTask();
+                await this.loadAvailableTasks();
                 this.updateStatus('Task created successfully');
             } else {
                 this.showError('Failed to create task: ' + result.error);
@@ -241,7 +372,7 @@ class TaskTrackerRenderer {
             this.isUpdatingProgress = true;
             this.updateStatus('Updating progress...');
             
-            const result = await ipcRenderer.invoke('update-progress', percentage, message);
+            const result = await ipcRenderer.invoke('update-progress', percentage, message, this.currentTask.id);
             
             if (result.success) {
                 await this.loadCurrentTask();
@@ -262,10 +393,11 @@ class TaskTrackerRenderer {
 
         try {
             this.updateStatus('Completing task...');
-            const result = await ipcRenderer.invoke('complete-task', message);
+            const result = await ipcRenderer.invoke('complete-task', message, this.currentTask.id);
             
             if (result.success) {
                 await this.loadCurrentTask();
+                await this.loadAvailableTasks();
                 await this.loadTaskHistory();
                 document.getElementById('progressMessage').value = '';
                 this.updateStatus('Task completed successfully! 🎉');
@@ -280,10 +412,11 @@ class TaskTrackerRenderer {
     async stopTask() {
         try {
             this.updateStatus('Stopping task...');
-            const result = await ipcRenderer.invoke('stop-task');
+            const result = await ipcRenderer.invoke('stop-task', this.currentTask.id);
             
             if (result.success) {
                 await this.loadCurrentTask();
+                await this.loadAvailableTasks();
                 await this.loadTaskHistory();
                 this.updateStatus('Task stopped');
             } else {
@@ -294,11 +427,209 @@ class TaskTrackerRenderer {
         }
     }
 
+    async togglePause() {
+        if (!this.currentTask) {
+            return;
+        }
+
+        const resuming = this.currentTask.status === 'paused';
+
+        try {
+            this.updateStatus(resuming ? 'Resuming task...' : 'Pausing task...');
+            const result = await ipcRenderer.invoke(resuming ? 'resume-task' : 'pause-task', this.currentTask.id);
+
+            if (result.success) {
+                await this.loadCurrentTask();
+                await this.loadAvailableTasks();
+                this.updateStatus(resuming ? 'Task resumed' : 'Task paused');
+            } else {
+                this.showError(`Failed to ${resuming ? 'resume' : 'pause'} task: ` + result.error);
+            }
+        } catch (error) {
+            this.showError(`Error ${resuming ? 'resuming' : 'pausing'} task: ` + error.message);
+        }
+    }
+
+    async addSubtask() {
+        const input = document.getElementById('newSubtaskInput');
+        const title = input.value.trim();
+        if (!title || !this.currentTask) {
+            return;
+        }
+
+        // The first subtask replaces manually set progress with the checklist's
+        const task = this.currentTask;
+        const replacesProgress = (task.subtasks || []).length === 0 && task.progress > 0;
+        if (replacesProgress && !confirm(`"${task.name}" is at ${task.progress}%. With a checklist, progress follows the checked subtasks and starts again at 0%. Add the subtask?`)) {
+            return;
+        }
+
+        try {
+            const result = await ipcRenderer.invoke('add-subtask', title, task.id, undefined, replacesProgress);
+            if (result.success) {
+                await this.loadCurrentTask();
+                document.getElementById('newSubtaskInput').focus();
+                this.updateStatus(`Added subtask: ${title}`);
+            } else {
+                this.showError('Failed to add subtask: ' + result.error);
+            }
+        } catch (error) {
+            this.showError('Error adding subtask: ' + error.message);
+        }
+    }
+
+    async toggleSubtask(subtaskId, done) {
+        try {
+            const result = await ipcRenderer.invoke('set-subtask-done', subtaskId, done, this.currentTask.id);
+            if (result.success) {
+                await this.loadCurrentTask();
+                this.updateStatus(`Progress updated to ${this.currentTask.progress}%`);
+            } else {
+                this.showError('Failed to update subtask: ' + result.error);
+            }
+        } catch (error) {
+            this.showError('Error updating subtask: ' + error.message);
+        }
+    }
+
+    async moveSubtask(subtaskId, position) {
+        try {
+            const result = await ipcRenderer.invoke('move-subtask', subtaskId, position, this.currentTask.id);
+            if (result.success) {
+                await this.loadCurrentTask();
+            } else {
+                this.showError('Failed to move subtask: ' + result.error);
+            }
+        } catch (error) {
+            this.showError('Error moving subtask: ' + error.message);
+        }
+    }
+
+    renderSubtasks(task) {
+        const subtasks = task.subtasks || [];
+
+        const items = subtasks.map((subtask, index) => `
+            <li class="subtask-item${subtask.done ? ' done' : ''}">
+                <input type="checkbox" class="subtask-checkbox" data-subtask-id="${subtask.id}" ${subtask.done ? 'checked' : ''}>
+                <span class="subtask-title">${this.escapeHtml(subtask.title)}</span>
+                ${subtask.weight !== 1 ? `<span class="subtask-weight">×${subtask.weight}</span>` : ''}
+                <button class="btn-icon subtask-move" data-subtask-id="${subtask.id}" data-subtask-move="${index}" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button class="btn-icon subtask-move" data-subtask-id="${subtask.id}" data-subtask-move="${index + 2}" title="Move down" ${index === subtasks.length - 1 ? 'disabled' : ''}>↓</button>
+            </li>
+        `).join('');
+
+        return `
+            <div class="subtask-section">
+                ${subtasks.length > 0 ? `<ul class="subtask-list">${items}</ul>` : ''}
+                <div class="subtask-add">
+                    <input type="text" id="newSubtaskInput" placeholder="Add a subtask...">
+                    <button class="btn btn-secondary" id="addSubtaskBtn">Add</button>
+                </div>
+            </div>
+        `;
+    }
+
+    async revertChange(direction) {
+        try {
+            const result = await ipcRenderer.invoke(direction);
+            if (result.success) {
+                await this.loadCurrentTask();
+                await this.loadAvailableTasks();
+                await this.loadTaskHistory();
+                this.updateStatus(`${direction === 'undo' ? 'Undid' : 'Redid'}: ${result.description}`);
+            } else {
+                this.showError(`Failed to ${direction}: ` + result.error);
+            }
+        } catch (error) {
+            this.showError(`Error during ${direction}: ` + error.message);
+        }
+    }
+
+    renderLabels(task) {
+        const labels = [];
+        if (task.project) {
+            labels.push(`<span class="task-label label-project">📁 ${this.escapeHtml(task.project)}</span>`);
+        }
+        if (task.priority && task.priority !== 'normal') {
+            const style = PRIORITIES.includes(task.priority) ? ` label-priority-${task.priority}` : '';
+            labels.push(`<span class="task-label${style}">${this.escapeHtml(task.priority)}</span>`);
+        }
+        (task.tags || []).forEach(tag => {
+            labels.push(`<span class="task-label">#${this.escapeHtml(tag)}</span>`);
+        });
+
+        return labels.length > 0 ? `<div class="task-labels">${labels.join('')}</div>` : '';
+    }
+
+    renderCommits(task) {
+        const commits = task.commits || [];
+        if (commits.length === 0) {
+            return '';
+        }
+
+        const items = commits.slice(-5).reverse().map(commit => `
+            <li class="commit-item">
+                <code class="commit-sha">${this.escapeHtml(commit.sha.slice(0, 7))}</code>
+                <span class="commit-subject">${this.escapeHtml(commit.subject)}</span>
+                <span class="commit-stats">+${commit.insertions} −${commit.deletions} · ${commit.filesChanged} file${commit.filesChanged === 1 ? '' : 's'}</span>
+            </li>
+        `).join('');
+
+        return `
+            <div class="commit-section">
+                <div class="commit-heading">${this.describeCommits(commits)}</div>
+                <ul class="commit-list">${items}</ul>
+            </div>
+        `;
+    }
+
+    describeCommits(commits) {
+        const insertions = commits.reduce((sum, commit) => sum + commit.insertions, 0);
+        const deletions = commits.reduce((sum, commit) => sum + commit.deletions, 0);
+        return `${commits.length} commit${commits.length === 1 ? '' : 's'} (+${insertions} −${deletions})`;
+    }
+
+    renderForecast(task, forecast) {
+        if (!task.estimateMs && !forecast) {
+            return '';
+        }
+
+        const clock = (date) => new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const parts = [];
+
+        if (task.estimateMs) {
+            const over = forecast && forecast.overEstimate;
+            parts.push(`<span class="${over ? 'over-estimate' : ''}">Estimate: ${this.formatDuration(task.estimateMs)}${over ? ` ⚠️ over by ${this.formatDuration(forecast.overByMs)}` : ''}</span>`);
+        }
+
+        if (forecast) {
+            const range = forecast.earliestAt ?
+                ` (${clock(forecast.earliestAt)} – ${clock(forecast.latestAt)}, ${forecast.confidence} confidence)` :
+                ' (from estimate)';
+            parts.push(`<span>ETA: ${clock(forecast.finishAt)}<small>${range}</small></span>`);
+        }
+
+        return `<div class="task-meta task-forecast">${parts.join('')}</div>`;
+    }
+
     calculateDuration(startTime, endTime = null) {
         const start = new Date(startTime);
         const end = endTime ? new Date(endTime) : new Date();
-        const diffMs = end - start;
-        
+        return this.formatDuration(end - start);
+    }
+
+    calculateActiveTime(task) {
+        if (!Array.isArray(task.intervals)) {
+            return new Date(task.endTime || Date.now()) - new Date(task.startTime);
+        }
+
+        return task.intervals.reduce((total, interval) => {
+            const end = interval.end ? new Date(interval.end) : new Date();
+            return total + Math.max(0, end - new Date(interval.start));
+        }, 0);
+    }
+
+    formatDuration(diffMs) {
         const hours = Math.floor(diffMs / (1000 * 60 * 60));
         const minutes = Math.floor((diffMs % (1000 * 60 * 60)) / (1000 * 60));
         
@@ -367,7 +698,7 @@ class TaskTrackerRenderer {
             const result = await ipcRenderer.invoke('scan-warp-sessions');
             
             if (result.success) {
-                await this.updateTaskSwitcher(result.sessions);
+                await this.loadAvailableTasks();
                 this.updateStatus(`Found ${result.sessions.length} Warp sessions`);
             } else {
                 this.showError('Failed to scan Warp sessions: ' + result.error);
@@ -377,37 +708,40 @@ class TaskTrackerRenderer {
         }
     }
 
-    async updateTaskSwitcher(sessions) {
+    async updateTaskSwitcher(tasks) {
         const switcher = document.getElementById('taskSwitcher');
         
         // Clear existing options except the first one
         switcher.innerHTML = '<option value="">Select a task...</option>';
         
-        // Add session-based tasks
-        sessions.forEach(session => {
+        // Add open tasks, manual and session-based alike
+        tasks.forEach(task => {
             const option = document.createElement('option');
-            option.value = session.sessionId;
-            option.textContent = `${session.projectName} (${session.workingDir})`;
+            option.value = task.id;
+            option.textContent = task.sessionInfo ?
+                `${task.name} 🤖 (${task.progress}%)` :
+                `${task.name} (${task.progress}%)`;
             switcher.appendChild(option);
         });
         
         // If there's a current task, select it
-        if (this.currentTask && this.currentTask.sessionId) {
-            switcher.value = this.currentTask.sessionId;
+        if (this.currentTask) {
+            switcher.value = this.currentTask.id;
         }
     }
 
-    async switchToTask(sessionId) {
-        if (!sessionId) {
+    async switchToTask(taskId) {
+        if (!taskId) {
             return;
         }
 
         try {
             this.updateStatus('Switching task...');
-            const result = await ipcRenderer.invoke('switch-to-session-task', sessionId);
+            const result = await ipcRenderer.invoke('switch-task', taskId);
             
             if (result.success) {
                 this.currentTask = result.task;
+                this.currentForecast = result.forecast;
                 this.displayCurrentTask();
                 this.updateTaskControls();
                 this.updateStatus(`Switched to: ${result.task.name}`);
@@ -452,14 +786,17 @@ class TaskTrackerRenderer {
             minute: '2-digit'
         });
 
-        const duration = this.calculateDuration(this.currentTask.startTime);
+        const activeTime = this.formatDuration(this.calculateActiveTime(this.currentTask));
+        const elapsed = this.calculateDuration(this.currentTask.startTime);
         const isAutoGenerated = this.currentTask.sessionId ? ' 🤖' : '';
+        const pausedBadge = this.currentTask.status === 'paused' ? ' <span class="paused-badge">⏸ Paused</span>' : '';
 
         container.innerHTML = `
             <div class="task-card">
                 <div class="task-info">
-                    <div class="task-name">${this.escapeHtml(this.currentTask.name)}${isAutoGenerated}</div>
+                    <div class="task-name">${this.escapeHtml(this.currentTask.name)}${isAutoGenerated}${pausedBadge}</div>
                     ${this.currentTask.description ? `<div class="task-description">${this.escapeHtml(this.currentTask.description)}</div>` : ''}
+                    ${this.renderLabels(this.currentTask)}
                     ${this.currentTask.sessionInfo ? `
                         <div class="session-info">
                             <small>📂 ${this.escapeHtml(this.currentTask.sessionInfo.workingDir)}</small>
@@ -467,8 +804,10 @@ class TaskTrackerRenderer {
                     ` : ''}
                     <div class="task-meta">
                         <span>Started: ${startTime}</span>
-                        <span>Duration: ${duration}</span>
+                        <span>Active: ${activeTime}</span>
+                        <span>Elapsed: ${elapsed}</span>
                     </div>
+                    ${this.renderForecast(this.currentTask, this.currentForecast)}
                 </div>
                 <div class="progress-section">
                     <div class="progress-bar">
@@ -479,6 +818,8 @@ class TaskTrackerRenderer {
                         <span>${this.currentTask.progress}%</span>
                     </div>
                 </div>
+                ${this.renderSubtasks(this.currentTask)}
+                ${this.renderCommits(this.currentTask)}
             </div>
         `;
     }
@@ -0,0 +1,474 @@
+const readline = require('readline');
+const chalk = require('chalk');
+const cliProgress = require('cli-progress');
+
+// How often the view redraws, so that durations tick
+const RENDER_INTERVAL_MS = 1000;
+
+const ESC = '\x1b[';
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+const STATUS_ICONS = { 'in-progress': '▶', paused: '⏸' };
+
+const HELP = '↑/↓ select  enter focus  u update  p pause/resume  c complete  r refresh  q quit';
+
+/**
+ * Full-screen terminal dashboard behind `warp-tracker watch`. Shows every
+ * open task with live durations, the selected task's recent updates and the
+ * detected terminal sessions, and acts on the selected task through the
+ * tracker's own commands. Their console output is captured and shown as a
+ * one-line status, so the screen is never scrolled.
+ */
+class Dashboard {
+  constructor(tracker, options = {}) {
+    this.tracker = tracker;
+    this.scanSessions = options.sessions !== false;
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+
+    this.data = null;
+    this.selectedId = null;
+    this.prompt = null; // { label, value, onSubmit }
+    this.status = null; // { text, error }
+    this.busy = false;
+    this.running = false;
+    this.timer = null;
+    this.done = null;
+    this.console = null;
+
+    this.barOptions = this.createBarOptions(20);
+    this.handleKeypress = this.handleKeypress.bind(this);
+    this.render = this.render.bind(this);
+  }
+
+  /**
+   * Bar settings in the form cli-progress renders them
+   */
+  createBarOptions(barsize) {
+    const preset = cliProgress.Presets.shades_classic;
+    return {
+      barsize,
+      barCompleteString: preset.barCompleteChar.repeat(barsize),
+      barIncompleteString: preset.barIncompleteChar.repeat(barsize),
+      barGlue: ''
+    };
+  }
+
+  /**
+   * Take over the terminal until the user quits. Resolves when the
+   * dashboard has closed.
+   */
+  async start() {
+    await this.refresh(true);
+    this.running = true;
+    // The dashboard asks its own questions; inquirer must not take the keyboard
+    this.tracker.interactive = false;
+
+    // Background output, such as session scan errors, goes to the status line
+    this.console = { log: console.log, error: console.error };
+    console.log = console.error = (...args) => this.showOutput(args);
+
+    readline.emitKeypressEvents(this.input);
+    this.input.setRawMode(true);
+    this.input.on('keypress', this.handleKeypress);
+    this.input.resume();
+    this.output.on('resize', this.render);
+
+    // Alternate screen, cursor hidden
+    this.output.write(`${ESC}?1049h${ESC}?25l`);
+    this.render();
+
+    if (this.scanSessions) {
+      this.tracker.startAutoTaskManagement(result => {
+        result.newTasks.forEach(task => this.setStatus(`🚀 Started: ${task.name}`));
+        result.closedTasks.forEach(task => this.setStatus(`⏹️ Stopped: ${task.name}`));
+      });
+    }
+
+    this.timer = setInterval(() => this.tick(), RENDER_INTERVAL_MS);
+
+    return new Promise(resolve => {
+      this.done = resolve;
+    });
+  }
+
+  stop() {
+    if (!this.running) {
+      return;
+    }
+    this.running = false;
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.scanSessions) {
+      this.tracker.stopAutoTaskManagement();
+    }
+
+    this.input.removeListener('keypress', this.handleKeypress);
+    this.input.setRawMode(false);
+    this.input.pause();
+    this.output.removeListener('resize', this.render);
+    this.output.write(`${ESC}?25h${ESC}?1049l`);
+    console.log = this.console.log;
+    console.error = this.console.error;
+
+    if (this.done) {
+      this.done();
+    }
+  }
+
+  async tick() {
+    if (this.busy) {
+      return;
+    }
+    await this.refresh();
+    this.render();
+  }
+
+  /**
+   * Reload the task data, and with `scan` look for session changes first
+   */
+  async refresh(scan = false) {
+    this.busy = true;
+    try {
+      if (scan && this.scanSessions) {
+        await this.quietly(() => this.tracker.scanAndCreateTasks());
+      }
+      this.data = await this.tracker.loadData();
+
+      const tasks = this.getTasks();
+      if (!tasks.some(task => task.id === this.selectedId)) {
+        this.selectedId = this.data.focusedTaskId && this.data.tasks[this.data.focusedTaskId] ?
+          this.data.focusedTaskId :
+          (tasks[0] ? tasks[0].id : null);
+      }
+    } catch (error) {
+      this.setStatus(`❌ ${error.message}`);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  getTasks() {
+    return this.data ? this.tracker.getOpenTasks(this.data) : [];
+  }
+
+  getSelectedTask() {
+    return this.data && this.selectedId ? this.data.tasks[this.selectedId] || null : null;
+  }
+
+  /**
+   * Run a tracker call with its console output captured. The first line of
+   * output becomes the status; a line starting with ❌ marks an error.
+   */
+  async quietly(action) {
+    const { log, error } = console;
+    const output = [];
+    console.log = console.error = (...args) => output.push(args);
+
+    try {
+      return await action();
+    } finally {
+      console.log = log;
+      console.error = error;
+      if (output.length > 0) {
+        this.showOutput([].concat(...output), true);
+      }
+    }
+  }
+
+  /**
+   * Show console output as the status: the first (or last) line that is
+   * not part of a box
+   */
+  showOutput(args, first = false) {
+    const lines = args.map(String).join(' ')
+      .replace(ANSI_PATTERN, '')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !/^[╭│╰]/.test(line));
+
+    if (lines.length > 0) {
+      this.setStatus(first ? lines[0] : lines[lines.length - 1]);
+      this.render();
+    }
+  }
+
+  setStatus(text) {
+    this.status = { text, error: text.startsWith('❌') };
+  }
+
+  /**
+   * Run an action on the selected task, then reload and redraw
+   */
+  async act(action) {
+    const task = this.getSelectedTask();
+    if (!task) {
+      this.setStatus('❌ No task selected');
+      this.render();
+      return;
+    }
+
+    this.busy = true;
+    try {
+      await this.quietly(() => action(task));
+    } catch (error) {
+      this.setStatus(`❌ ${error.message}`);
+    } finally {
+      this.busy = false;
+    }
+    await this.refresh();
+    this.render();
+  }
+
+  // ===== INPUT =====
+
+  handleKeypress(text, key = {}) {
+    if (key.ctrl && key.name === 'c') {
+      this.stop();
+      return;
+    }
+
+    if (this.prompt) {
+      this.handlePromptKey(text, key);
+      this.render();
+      return;
+    }
+
+    switch (key.name || text) {
+      case 'up':
+      case 'k':
+        this.moveSelection(-1);
+        break;
+      case 'down':
+      case 'j':
+        this.moveSelection(1);
+        break;
+      case 'return':
+        this.act(task => this.tracker.switchTask(task.id));
+        return;
+      case 'u':
+        this.askProgress();
+        break;
+      case 'p':
+        this.act(task => task.status === 'paused' ?
+          this.tracker.resumeTask(task.id) :
+          this.tracker.pauseTask(task.id));
+        return;
+      case 'c':
+        this.askCompletion();
+        break;
+      case 'r':
+        this.refresh(true).then(this.render);
+        return;
+      case 'q':
+      case 'escape':
+        this.stop();
+        return;
+      default:
+        return;
+    }
+    this.render();
+  }
+
+  handlePromptKey(text, key) {
+    if (key.name === 'escape') {
+      this.prompt = null;
+    } else if (key.name === 'return') {
+      const { value, onSubmit } = this.prompt;
+      this.prompt = null;
+      onSubmit(value.trim());
+    } else if (key.name === 'backspace') {
+      this.prompt.value = this.prompt.value.slice(0, -1);
+    } else if (text && !key.ctrl && !key.meta && text >= ' ') {
+      this.prompt.value += text;
+    }
+  }
+
+  moveSelection(offset) {
+    const tasks = this.getTasks();
+    const index = tasks.findIndex(task => task.id === this.selectedId);
+    const next = tasks[Math.min(tasks.length - 1, Math.max(0, index + offset))];
+    if (next) {
+      this.selectedId = next.id;
+    }
+  }
+
+  /**
+   * "60", "+10" or "-5", optionally followed by a message
+   */
+  askProgress() {
+    const task = this.getSelectedTask();
+    if (!task) {
+      return;
+    }
+
+    this.prompt = {
+      label: `Progress for "${task.name}" (60, +10 or -5, then an optional message): `,
+      value: '',
+      onSubmit: value => {
+        const match = value.match(/^([+-]?)(\d+)\s*(.*)$/);
+        if (!match) {
+          this.setStatus('❌ Enter a percentage such as 60 or +10');
+          return;
+        }
+
+        const amount = parseInt(match[2]);
+        const percentage = match[1] === '+' ? task.progress + amount :
+          match[1] === '-' ? task.progress - amount : amount;
+        this.act(selected => this.tracker.updateProgress(Math.min(100, Math.max(0, percentage)), match[3], selected.id));
+      }
+    };
+  }
+
+  askCompletion() {
+    const task = this.getSelectedTask();
+    if (!task) {
+      return;
+    }
+
+    this.prompt = {
+      label: `Complete "${task.name}"? Optional message, enter to confirm, esc to cancel: `,
+      value: '',
+      onSubmit: message => this.act(selected => this.tracker.completeTask(message, selected.id))
+    };
+  }
+
+  // ===== RENDERING =====
+
+  render() {
+    if (!this.running) {
+      return;
+    }
+
+    const width = this.output.columns || 80;
+    const height = this.output.rows || 24;
+    const footer = this.renderFooter();
+    const body = this.renderBody(height - footer.length);
+
+    const lines = body.concat(footer).map(line => this.fit(line, width));
+    this.output.write(`${ESC}H${lines.join(`${ESC}K\n`)}${ESC}K${ESC}J`);
+  }
+
+  renderBody(height) {
+    const tasks = this.getTasks();
+    const now = new Date();
+    const header = `${chalk.bold('🎯 Warp Task Tracker')} ${chalk.gray(`— ${tasks.length} open task(s)`)}`;
+    const lines = [`${header}  ${chalk.gray(now.toLocaleTimeString())}`, ''];
+
+    if (tasks.length === 0) {
+      lines.push(chalk.yellow('📭 No open tasks. Start one with: warp-tracker start "Task name"'));
+    }
+
+    const details = this.renderDetails();
+    const sessions = this.renderSessions();
+
+    // The task list gets what the other sections leave, scrolled to the selection
+    const room = Math.max(3, height - lines.length - details.length - sessions.length);
+    const selectedIndex = Math.max(0, tasks.findIndex(task => task.id === this.selectedId));
+    const first = Math.min(Math.max(0, selectedIndex - room + 1), Math.max(0, tasks.length - room));
+    tasks.slice(first, first + room).forEach(task => lines.push(this.renderTask(task, now)));
+
+    return lines.concat(details, sessions).slice(0, height);
+  }
+
+  renderTask(task, now) {
+    const selected = task.id === this.selectedId;
+    const focused = this.data.focusedTaskId === task.id;
+    const bar = cliProgress.Format.BarFormat(task.progress / 100, this.barOptions);
+    const icon = STATUS_ICONS[task.status] || '•';
+    const active = this.tracker.formatDuration(this.tracker.calculateActiveTime(task, now));
+    const source = task.sessionId ? ' 🤖' : '';
+    const name = `${focused ? '★ ' : ''}${task.name}${source}`;
+
+    const line = `${selected ? chalk.cyan('❯') : ' '} ${icon} ${bar} ${String(task.progress).padStart(3)}%  ${active.padEnd(8)} ${selected ? chalk.bold(name) : name}`;
+    return task.status === 'paused' ? chalk.gray(line) : line;
+  }
+
+  renderDetails() {
+    const task = this.getSelectedTask();
+    if (!task) {
+      return [];
+    }
+
+    const lines = ['', chalk.dim(`── ${task.name} ──`)];
+    if (task.description) {
+      lines.push(chalk.gray(task.description.split('\n')[0]));
+    }
+    const labels = this.tracker.formatLabels(task);
+    if (labels) {
+      lines.push(labels);
+    }
+
+    if (task.updates.length === 0) {
+      lines.push(chalk.gray('No updates yet'));
+    }
+    task.updates.slice(-4).forEach(update => {
+      const time = this.tracker.formatClock(new Date(update.timestamp));
+      lines.push(`  ${chalk.gray(time)} ${String(update.progress).padStart(3)}%${update.message ? ` ${update.message}` : ''}`);
+    });
+    return lines;
+  }
+
+  renderSessions() {
+    if (!this.scanSessions) {
+      return [];
+    }
+
+    const sessions = this.tracker.sessionManager.getAllSessions();
+    const lines = ['', chalk.dim(`── Sessions (${sessions.length}, ${this.tracker.sessionManager.provider.name}) ──`)];
+    if (sessions.length === 0) {
+      lines.push(chalk.gray('No terminal sessions detected'));
+    }
+
+    sessions.slice(0, 5).forEach(session => {
+      const task = this.data && this.tracker.findSessionTask(this.data, session.sessionId);
+      const target = task ? `→ ${task.name}` : chalk.gray(session.tracked === false ? '(not tracked)' : '(no task)');
+      lines.push(`  📂 ${session.workingDir}  ${target}`);
+    });
+    if (sessions.length > 5) {
+      lines.push(chalk.gray(`  … and ${sessions.length - 5} more`));
+    }
+    return lines;
+  }
+
+  renderFooter() {
+    if (this.prompt) {
+      return ['', `${chalk.cyan(this.prompt.label)}${this.prompt.value}█`];
+    }
+
+    const status = this.status ?
+      (this.status.error ? chalk.red(this.status.text) : chalk.green(this.status.text)) :
+      '';
+    return ['', status, chalk.gray(HELP)];
+  }
+
+  /**
+   * Cut a line with color codes to the terminal width
+   */
+  fit(line, width) {
+    let visible = 0;
+    let result = '';
+    let index = 0;
+
+    while (index < line.length) {
+      ANSI_PATTERN.lastIndex = index;
+      const code = ANSI_PATTERN.exec(line);
+      if (code && code.index === index) {
+        result += code[0];
+        index += code[0].length;
+        continue;
+      }
+
+      const char = String.fromCodePoint(line.codePointAt(index));
+      if (visible >= width - 1 && index + char.length < line.length) {
+        return `${result}…${ESC}0m`;
+      }
+      result += char;
+      visible += 1;
+      index += char.length;
+    }
+    return result;
+  }
+}
+
+module.exports = Dashboard;
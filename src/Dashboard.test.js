@@ -0,0 +1,159 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const Dashboard = require('./Dashboard');
+const TaskTracker = require('./TaskTracker');
+
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]/g;
+const KEYS = { up: '\x1b[A', down: '\x1b[B', enter: '\r', escape: '\x1b', backspace: '\x7f' };
+
+let home;
+let originalHome;
+let tracker;
+let input;
+let output;
+let dashboard;
+let closed;
+
+beforeEach(async () => {
+  originalHome = process.env.HOME;
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'warp-tracker-dashboard-'));
+  process.env.HOME = home;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+
+  tracker = new TaskTracker();
+  await tracker.startTask('Login');
+  await tracker.startTask('Write docs');
+
+  input = new PassThrough();
+  input.setRawMode = jest.fn();
+  output = new PassThrough();
+  output.columns = 60;
+  output.rows = 30;
+  output.frames = [];
+  output.write = text => { output.frames.push(text); return true; };
+
+  dashboard = new Dashboard(tracker, { sessions: false, input, output });
+  closed = dashboard.start();
+  await until(() => screen().includes('Write docs'));
+});
+
+afterEach(async () => {
+  dashboard.stop();
+  await closed;
+  jest.restoreAllMocks();
+  process.env.HOME = originalHome;
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+/**
+ * The last frame drawn, without color codes, one string per line
+ */
+function screen() {
+  const frame = output.frames.filter(text => text.startsWith('\x1b[H')).pop() || '';
+  return frame.replace(ANSI_PATTERN, '');
+}
+
+function line(text) {
+  return screen().split('\n').find(row => row.includes(text)) || '';
+}
+
+async function until(check) {
+  for (let i = 0; i < 200 && !check(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  expect(check()).toBe(true);
+}
+
+function press(...keys) {
+  keys.forEach(key => input.write(KEYS[key] || key));
+}
+
+async function openTask(name) {
+  const data = await tracker.loadData();
+  return Object.values(data.tasks).find(task => task.name === name);
+}
+
+describe('rendering', () => {
+  test('lists the open tasks with the focused one starred and selected', () => {
+    expect(screen()).toContain('2 open task(s)');
+    expect(line('Write docs')).toMatch(/^❯ ▶ .* 0% .*★ Write docs/);
+    expect(line('Login')).toMatch(/^ {2}▶/);
+    expect(screen()).toContain('── Write docs ──');
+  });
+
+  test('fits every line to the terminal width', () => {
+    dashboard.setStatus(`✅ ${'x'.repeat(100)}`);
+    dashboard.render();
+
+    expect(line('✅')).toHaveLength(60);
+    expect(line('✅').endsWith('…')).toBe(true);
+  });
+});
+
+describe('keys', () => {
+  test('move the selection and focus the selected task', async () => {
+    press('down');
+    await until(() => line('Login').startsWith('❯'));
+    expect(screen()).toContain('── Login ──');
+    press('down');
+    press('up', 'up');
+    await until(() => line('Write docs').startsWith('❯'));
+    press('j');
+    await until(() => line('Login').startsWith('❯'));
+
+    press('enter');
+    await until(() => line('Login').includes('★'));
+    expect((await tracker.loadData()).focusedTaskId).toBe((await openTask('Login')).id);
+  });
+
+  test('update progress by an amount with a message', async () => {
+    press('u');
+    await until(() => screen().includes('Progress for "Write docs"'));
+
+    press('+', '2', '5', ' ', 'd', 'r', 'f', 't', 'backspace', 'enter');
+    await until(() => line('Write docs').includes('25%'));
+
+    const task = await openTask('Write docs');
+    expect(task.progress).toBe(25);
+    expect(task.updates.pop().message).toBe('drf');
+  });
+
+  test('report an invalid progress entry', async () => {
+    press('u', 'a', 'b', 'enter');
+
+    await until(() => screen().includes('❌ Enter a percentage'));
+    expect((await openTask('Write docs')).progress).toBe(0);
+  });
+
+  test('cancel a prompt with escape', async () => {
+    press('c');
+    await until(() => screen().includes('Complete "Write docs"?'));
+
+    press('escape');
+    await until(() => screen().includes('enter focus'));
+    expect(await openTask('Write docs')).toBeDefined();
+  });
+
+  test('pause, resume and complete the selected task', async () => {
+    press('p');
+    await until(() => line('Write docs').includes('⏸'));
+    expect((await openTask('Write docs')).status).toBe('paused');
+
+    press('p');
+    await until(() => line('Write docs').includes('▶'));
+
+    press('c', 'enter');
+    await until(() => screen().includes('1 open task(s)'));
+    expect(await openTask('Write docs')).toBeUndefined();
+  });
+
+  test('quit and give the terminal back', async () => {
+    press('q');
+    await closed;
+
+    expect(input.setRawMode).toHaveBeenLastCalledWith(false);
+    expect(output.frames.pop()).toBe('\x1b[?25h\x1b[?1049l');
+  });
+});
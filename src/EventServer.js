@@ -0,0 +1,175 @@
+const net = require('net');
+const fs = require('fs-extra');
+const { TrackerError } = require('./errors');
+
+const EVENT_TYPES = ['command.start', 'command.finish'];
+
+// Longest line accepted from a client; anything longer is dropped
+const MAX_LINE_LENGTH = 64 * 1024;
+
+/**
+ * Unix socket server receiving shell events from the hooks printed by
+ * `warp-tracker init`. Clients write one JSON object per line; every valid
+ * event is stamped with the time the shell sent it (or, from shells without
+ * a clock, the time it arrived) and passed to `onEvent`.
+ */
+class EventServer {
+  constructor(socketPath, onEvent) {
+    this.socketPath = socketPath;
+    this.onEvent = onEvent;
+    this.server = null;
+  }
+
+  async start() {
+    await this.removeStaleSocket();
+
+    this.server = net.createServer(connection => this.handleConnection(connection));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.socketPath, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+
+    // Only the owner may send events
+    await fs.chmod(this.socketPath, 0o600);
+  }
+
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+    await fs.remove(this.socketPath);
+  }
+
+  /**
+   * A socket file left behind by a crashed tracker is removed; one that
+   * still accepts connections belongs to a running tracker
+   */
+  async removeStaleSocket() {
+    if (!await fs.pathExists(this.socketPath)) {
+      return;
+    }
+
+    if (await EventServer.isListening(this.socketPath)) {
+      throw new TrackerError(`Another tracker is already listening on ${this.socketPath}`, 'SOCKET_IN_USE');
+    }
+    await fs.remove(this.socketPath);
+  }
+
+  handleConnection(connection) {
+    let buffer = '';
+    connection.setEncoding('utf8');
+
+    connection.on('data', chunk => {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      if (buffer.length > MAX_LINE_LENGTH) {
+        buffer = '';
+      }
+      lines.forEach(line => this.handleLine(line));
+    });
+
+    connection.on('end', () => this.handleLine(buffer));
+    connection.on('error', () => {
+      // The client went away mid-write; nothing to clean up
+    });
+  }
+
+  handleLine(line) {
+    const event = EventServer.parseEvent(line);
+    if (event) {
+      this.onEvent(event);
+    }
+  }
+
+  /**
+   * Validate one line from a client, or null when it is not a usable event
+   */
+  static parseEvent(line, receivedAt = new Date()) {
+    if (!line.trim()) {
+      return null;
+    }
+
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (error) {
+      return null;
+    }
+
+    if (!event || !EVENT_TYPES.includes(event.type) || !Number.isInteger(event.shellPid)) {
+      return null;
+    }
+
+    // A shell's clock cannot be ahead of ours
+    const sentAt = Number.isFinite(event.time) && event.time > 0 ?
+      Math.min(Math.round(event.time), receivedAt.getTime()) :
+      receivedAt.getTime();
+
+    return {
+      type: event.type,
+      shellPid: event.shellPid,
+      seq: Number.isInteger(event.seq) && event.seq > 0 ? event.seq : null,
+      command: typeof event.command === 'string' ? event.command : '',
+      cwd: typeof event.cwd === 'string' ? event.cwd : null,
+      exitCode: Number.isInteger(event.exitCode) ? event.exitCode : null,
+      durationMs: Number.isFinite(event.durationMs) ? Math.max(0, Math.round(event.durationMs)) : null,
+      timestamp: new Date(sentAt).toISOString()
+    };
+  }
+
+  /**
+   * Put a batch of events back in the order each shell sent them: by command
+   * number, a start before its finish. Shells whose hooks predate command
+   * numbers keep the order of arrival.
+   */
+  static orderEvents(events) {
+    const byShell = new Map();
+    events.forEach(event => {
+      if (!byShell.has(event.shellPid)) {
+        byShell.set(event.shellPid, []);
+      }
+      byShell.get(event.shellPid).push(event);
+    });
+
+    const rank = event => event.seq * 2 + (event.type === 'command.start' ? 0 : 1);
+    return [...byShell.values()].flatMap(shellEvents =>
+      shellEvents.every(event => event.seq !== null) ?
+        shellEvents.slice().sort((a, b) => rank(a) - rank(b)) :
+        shellEvents);
+  }
+
+  static isListening(socketPath) {
+    return new Promise(resolve => {
+      const client = net.connect(socketPath);
+      client.once('connect', () => {
+        client.end();
+        resolve(true);
+      });
+      client.once('error', () => resolve(false));
+    });
+  }
+
+  /**
+   * Send one event line to a listening tracker
+   */
+  static send(socketPath, line) {
+    return new Promise((resolve, reject) => {
+      const client = net.connect(socketPath);
+      client.once('error', error => {
+        reject(new TrackerError(`No tracker is listening on ${socketPath} (${error.code})`, 'NOT_LISTENING'));
+      });
+      client.once('connect', () => {
+        client.end(line.endsWith('\n') ? line : `${line}\n`, () => resolve());
+      });
+    });
+  }
+}
+
+module.exports = EventServer;
@@ -0,0 +1,91 @@
+const EventServer = require('./EventServer');
+
+const receivedAt = new Date('2026-03-01T12:00:00.000Z');
+
+function parse(event) {
+  return EventServer.parseEvent(JSON.stringify(event), receivedAt);
+}
+
+describe('parseEvent', () => {
+  test('reads a finish event', () => {
+    expect(parse({
+      type: 'command.finish',
+      shellPid: 42,
+      seq: 3,
+      time: receivedAt.getTime() - 500,
+      command: 'npm test',
+      cwd: '/work',
+      exitCode: 1,
+      durationMs: 1234.6
+    })).toEqual({
+      type: 'command.finish',
+      shellPid: 42,
+      seq: 3,
+      command: 'npm test',
+      cwd: '/work',
+      exitCode: 1,
+      durationMs: 1235,
+      timestamp: '2026-03-01T11:59:59.500Z'
+    });
+  });
+
+  test('uses the arrival time for events without one', () => {
+    const event = parse({ type: 'command.start', shellPid: 42, command: 'ls' });
+
+    expect(event.timestamp).toBe(receivedAt.toISOString());
+    expect(event.seq).toBeNull();
+  });
+
+  test('never dates an event after it arrived', () => {
+    const event = parse({ type: 'command.start', shellPid: 42, time: receivedAt.getTime() + 60000 });
+
+    expect(event.timestamp).toBe(receivedAt.toISOString());
+  });
+
+  test('fills in missing and malformed fields', () => {
+    const event = parse({ type: 'command.start', shellPid: 42, seq: -1, cwd: 7, exitCode: 'x', durationMs: -5 });
+
+    expect(event).toMatchObject({ seq: null, command: '', cwd: null, exitCode: null, durationMs: 0 });
+  });
+
+  test.each([
+    ['an empty line', ''],
+    ['invalid JSON', '{"type":'],
+    ['an unknown type', JSON.stringify({ type: 'command.other', shellPid: 1 })],
+    ['a missing shell pid', JSON.stringify({ type: 'command.start' })],
+    ['a fractional shell pid', JSON.stringify({ type: 'command.start', shellPid: 1.5 })],
+    ['a non-object', '42']
+  ])('rejects %s', (name, line) => {
+    expect(EventServer.parseEvent(line, receivedAt)).toBeNull();
+  });
+});
+
+describe('orderEvents', () => {
+  function event(type, shellPid, seq) {
+    return { type: `command.${type}`, shellPid, seq };
+  }
+
+  test('puts each shell back in command order, starts before finishes', () => {
+    const ordered = EventServer.orderEvents([
+      event('finish', 1, 2),
+      event('start', 2, 1),
+      event('start', 1, 2),
+      event('finish', 1, 1),
+      event('start', 1, 1)
+    ]);
+
+    expect(ordered).toEqual([
+      event('start', 1, 1),
+      event('finish', 1, 1),
+      event('start', 1, 2),
+      event('finish', 1, 2),
+      event('start', 2, 1)
+    ]);
+  });
+
+  test('keeps the arrival order of unnumbered events', () => {
+    const events = [event('finish', 1, null), event('start', 1, null)];
+
+    expect(EventServer.orderEvents(events)).toEqual(events);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Tells which sessions have gone idle from what can be seen locally on each
+ * poll: the session's directory, title and foreground command, the last
+ * input/output time of its terminal when the provider knows it
+ * (`lastActivity`), and shell events reported by the hooks.
+ *
+ * A session is idle once none of these changed for `thresholdMs`. It stays
+ * idle until one of them changes again.
+ */
+class IdleDetector {
+  constructor(thresholdMs = 0) {
+    // 0 turns idle detection off
+    this.thresholdMs = thresholdMs;
+    this.states = new Map(); // sessionId -> { fingerprint, lastActiveAt, idleSince }
+  }
+
+  fingerprint(session) {
+    return [session.workingDir, session.title, session.command, session.lastActivity].join('\u0000');
+  }
+
+  /**
+   * Record activity seen outside the session list, such as a shell command
+   */
+  recordActivity(sessionId, at = Date.now()) {
+    const state = this.states.get(sessionId);
+    if (state) {
+      state.lastActiveAt = Math.max(state.lastActiveAt, new Date(at).getTime());
+    }
+  }
+
+  /**
+   * Compare the current sessions with the last poll. Returns the sessions
+   * that just went idle ({ session, idleSince }) and those that just became
+   * active again ({ session, idleSince, activeAt }); times are ms since the
+   * epoch.
+   */
+  observe(sessions, now = Date.now()) {
+    const idle = [];
+    const active = [];
+    const seen = new Set();
+
+    sessions.forEach(session => {
+      seen.add(session.sessionId);
+      const fingerprint = this.fingerprint(session);
+      const state = this.states.get(session.sessionId);
+
+      if (!state) {
+        this.states.set(session.sessionId, {
+          fingerprint,
+          lastActiveAt: Math.min(session.lastActivity || now, now),
+          idleSince: null
+        });
+      } else if (state.fingerprint !== fingerprint) {
+        state.fingerprint = fingerprint;
+        state.lastActiveAt = Math.max(state.lastActiveAt, Math.min(session.lastActivity || now, now));
+      }
+    });
+
+    // Forget closed sessions
+    this.states.forEach((state, sessionId) => {
+      if (!seen.has(sessionId)) {
+        this.states.delete(sessionId);
+      }
+    });
+
+    if (!this.thresholdMs) {
+      return { idle, active };
+    }
+
+    sessions.forEach(session => {
+      const state = this.states.get(session.sessionId);
+
+      if (state.idleSince !== null && state.lastActiveAt > state.idleSince) {
+        active.push({ session, idleSince: state.idleSince, activeAt: state.lastActiveAt });
+        state.idleSince = null;
+      } else if (state.idleSince === null && now - state.lastActiveAt >= this.thresholdMs) {
+        state.idleSince = state.lastActiveAt;
+        idle.push({ session, idleSince: state.idleSince });
+      }
+    });
+
+    return { idle, active };
+  }
+}
+
+module.exports = IdleDetector;
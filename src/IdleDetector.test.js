@@ -0,0 +1,148 @@
+const IdleDetector = require('./IdleDetector');
+
+const MINUTE = 60 * 1000;
+const START = new Date('2026-03-02T09:00:00.000Z').getTime();
+
+function session(fields = {}) {
+  return { sessionId: 's1', workingDir: '/home/dev/web', title: 'zsh', command: 'zsh', ...fields };
+}
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: START });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('observe', () => {
+  test('reports a session idle once it has not changed for the threshold', () => {
+    const detector = new IdleDetector(10 * MINUTE);
+    expect(detector.observe([session()])).toEqual({ idle: [], active: [] });
+
+    jest.advanceTimersByTime(10 * MINUTE - 1);
+    expect(detector.observe([session()]).idle).toEqual([]);
+
+    jest.advanceTimersByTime(1);
+    expect(detector.observe([session()]).idle).toEqual([{ session: session(), idleSince: START }]);
+  });
+
+  test('reports going idle only once', () => {
+    const detector = new IdleDetector(10 * MINUTE);
+    detector.observe([session()]);
+
+    jest.advanceTimersByTime(10 * MINUTE);
+    detector.observe([session()]);
+    jest.advanceTimersByTime(10 * MINUTE);
+
+    expect(detector.observe([session()])).toEqual({ idle: [], active: [] });
+  });
+
+  test('restarts the wait when the session changes', () => {
+    const detector = new IdleDetector(10 * MINUTE);
+    detector.observe([session()]);
+
+    jest.advanceTimersByTime(6 * MINUTE);
+    detector.observe([session({ command: 'vim' })]);
+    jest.advanceTimersByTime(6 * MINUTE);
+    expect(detector.observe([session({ command: 'vim' })]).idle).toEqual([]);
+
+    jest.advanceTimersByTime(4 * MINUTE);
+    expect(detector.observe([session({ command: 'vim' })]).idle).toEqual([
+      { session: session({ command: 'vim' }), idleSince: START + 6 * MINUTE }
+    ]);
+  });
+
+  test('reports an idle session active again once it changes', () => {
+    const detector = new IdleDetector(10 * MINUTE);
+    detector.observe([session()]);
+    jest.advanceTimersByTime(15 * MINUTE);
+    detector.observe([session()]);
+
+    jest.advanceTimersByTime(5 * MINUTE);
+    const { idle, active } = detector.observe([session({ workingDir: '/home/dev/api' })]);
+
+    expect(idle).toEqual([]);
+    expect(active).toEqual([{
+      session: session({ workingDir: '/home/dev/api' }),
+      idleSince: START,
+      activeAt: START + 20 * MINUTE
+    }]);
+  });
+
+  test('dates activity by the terminal\'s last input or output when known', () => {
+    const detector = new IdleDetector(10 * MINUTE);
+    detector.observe([session({ lastActivity: START - 8 * MINUTE })]);
+
+    jest.advanceTimersByTime(2 * MINUTE);
+
+    expect(detector.observe([session({ lastActivity: START - 8 * MINUTE })]).idle).toEqual([
+      { session: session({ lastActivity: START - 8 * MINUTE }), idleSince: START - 8 * MINUTE }
+    ]);
+  });
+
+  test('does not trust activity dated in the future', () => {
+    const detector = new IdleDetector(10 * MINUTE);
+    detector.observe([session({ lastActivity: START + 60 * MINUTE })]);
+
+    jest.advanceTimersByTime(10 * MINUTE);
+
+    expect(detector.observe([session({ lastActivity: START + 60 * MINUTE })]).idle).toHaveLength(1);
+  });
+
+  test('forgets closed sessions', () => {
+    const detector = new IdleDetector(10 * MINUTE);
+    detector.observe([session()]);
+    jest.advanceTimersByTime(10 * MINUTE);
+    detector.observe([]);
+
+    expect(detector.states.size).toBe(0);
+    expect(detector.observe([session()]).idle).toEqual([]);
+  });
+
+  test('never reports sessions with a threshold of 0', () => {
+    const detector = new IdleDetector(0);
+    detector.observe([session()]);
+
+    jest.advanceTimersByTime(24 * 60 * MINUTE);
+
+    expect(detector.observe([session()])).toEqual({ idle: [], active: [] });
+  });
+});
+
+describe('recordActivity', () => {
+  test('keeps a session with shell activity from going idle', () => {
+    const detector = new IdleDetector(10 * MINUTE);
+    detector.observe([session()]);
+
+    jest.advanceTimersByTime(8 * MINUTE);
+    detector.recordActivity('s1');
+    jest.advanceTimersByTime(8 * MINUTE);
+
+    expect(detector.observe([session()]).idle).toEqual([]);
+  });
+
+  test('wakes an idle session on the next poll', () => {
+    const detector = new IdleDetector(10 * MINUTE);
+    detector.observe([session()]);
+    jest.advanceTimersByTime(10 * MINUTE);
+    detector.observe([session()]);
+
+    detector.recordActivity('s1', START + 12 * MINUTE);
+
+    expect(detector.observe([session()]).active).toEqual([
+      { session: session(), idleSince: START, activeAt: START + 12 * MINUTE }
+    ]);
+  });
+
+  test('ignores activity older than what was already seen and unknown sessions', () => {
+    const detector = new IdleDetector(10 * MINUTE);
+    detector.observe([session()]);
+
+    detector.recordActivity('s1', START - MINUTE);
+    detector.recordActivity('other');
+
+    expect(detector.states.get('s1').lastActiveAt).toBe(START);
+    expect(detector.states.has('other')).toBe(false);
+  });
+});
@@ -2,93 +2,281 @@ const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
 const boxen = require('boxen');
-const cliProgress = require('cli-progress');
 const notifier = require('node-notifier');
 const WarpSessionManager = require('./WarpSessionManager');
+const { createSessionProvider, sessionTaskProvider } = require('./sessions');
+const { openStorage } = require('./storage');
+const { writeJsonAtomic } = require('./storage/atomicWrite');
+const { TrackerError, StorageError, ConflictError } = require('./errors');
+const journal = require('./journal');
+const forecast = require('./forecast');
+const { searchTasks } = require('./query');
+const { PRIORITIES, normalizeTags } = require('./taskFields');
+const exchange = require('./exchange');
+const EventServer = require('./EventServer');
+const Dashboard = require('./Dashboard');
+const { generateHook } = require('./shellHooks');
+const { compileRules, evaluateRules } = require('./rules');
+const prompt = require('./prompt');
+const interactive = require('./interactive');
+const settings = require('./settings');
+const { readGitInfo, readCommits, readUserEmail } = require('./git');
+
+// How many times a load-modify-save cycle is retried after a write conflict
+const MAX_WRITE_ATTEMPTS = 3;
+
+// Commands kept on a session task's timeline; older ones are dropped
+const MAX_COMMANDS = 200;
+
+// Commits kept on a task; older ones are dropped
+const MAX_COMMITS = 200;
+
+// Shell events arriving within this window are written together
+const SHELL_EVENT_BATCH_MS = 250;
+
+// How often session tasks record that their session is still open, which
+// bounds the end time given to sessions that close while no tracker runs
+const SESSION_HEARTBEAT_MS = 60 * 1000;
+
+const PRIORITY_ICONS = { low: '🔽', normal: '', high: '🔼', urgent: '🔥' };
 
 class TaskTracker {
-  constructor() {
+  /**
+   * `options.json` makes commands print JSON documents instead of text;
+   * `options.interactive` lets them ask for missing arguments
+   */
+  constructor(options = {}) {
+    this.json = Boolean(options.json);
+    this.interactive = Boolean(options.interactive);
+    // The last error reported to the user, which sets the CLI's exit code
+    this.failure = null;
     this.configDir = path.join(process.env.HOME, '.warp-tracker');
-    this.dataFile = path.join(this.configDir, 'tasks.json');
     this.configFile = path.join(this.configDir, 'config.json');
+    this.socketPath = path.join(this.configDir, 'events.sock');
     this.sessionManager = new WarpSessionManager();
     this.activeTasks = new Map(); // sessionId -> taskData
-    this.initializeData();
+    this.storage = null;
+    this.eventServer = null;
+    this.pendingShellEvents = [];
+    this.shellEventTimer = null;
+    this.sessionsRestored = null;
+    this.heartbeatInterval = null;
+    this.ready = this.initializeData();
   }
 
   async initializeData() {
     await fs.ensureDir(this.configDir);
-    
-    if (!await fs.pathExists(this.dataFile)) {
-      await this.saveData({ currentTask: null, history: [] });
-    }
-    
-    if (!await fs.pathExists(this.configFile)) {
-      await this.saveConfig({
-        displayStyle: 'progress-bar',
-        updateInterval: 30,
-        notifications: true,
-        autoSave: true,
-        progressBarLength: 30
-      });
+
+    const config = this.loadConfig();
+    this.storage = await openStorage(this.configDir, config.storage);
+    this.sessionManager.provider = createSessionProvider(config.sessionProvider);
+    this.sessionManager.idleDetector.thresholdMs = (Number(config.idleTimeout) || 0) * 60 * 1000;
+    this.sessionManager.configure(config);
+
+    if (!await this.storage.exists()) {
+      await this.storage.update(() => {});
     }
   }
 
   async loadData() {
-    try {
-      return await fs.readJson(this.dataFile);
-    } catch (error) {
-      return { currentTask: null, history: [] };
-    }
+    await this.ready;
+    return this.storage.load();
   }
 
+  /**
+   * Replace the stored data. Fails with a ConflictError if another process
+   * wrote since `data` was loaded; prefer mutateData for read-modify-write.
+   */
   async saveData(data) {
-    await fs.writeJson(this.dataFile, data, { spaces: 2 });
+    await this.ready;
+    await this.storage.save(data);
+    await this.writePromptCache(data);
+  }
+
+  /**
+   * Apply a change to the stored data under the cross-process lock. The
+   * mutator gets freshly loaded data, may throw a TrackerError to abort
+   * without writing, and must not have side effects since it is re-run if
+   * the write conflicts with another process.
+   *
+   * `event` names the journal event type (or is an object with a `type` and
+   * extra fields to record); pass null for writes that should not be
+   * journaled or undoable.
+   */
+  async mutateData(event, mutator) {
+    await this.ready;
+    const eventInfo = typeof event === 'string' ? { type: event } : event;
+
+    for (let attempt = 1; ; attempt++) {
+      let pendingEvents = [];
+      let written = null;
+      try {
+        return await this.storage.update(async (data) => {
+          const before = eventInfo ? journal.snapshot(data) : null;
+          const result = await mutator(data);
+
+          if (eventInfo) {
+            pendingEvents = this.createJournalEvents(eventInfo, before, data);
+          }
+          written = data;
+          return result;
+        }, async () => {
+          for (const pendingEvent of pendingEvents) {
+            await this.storage.appendJournal(pendingEvent);
+          }
+          // Still under the lock, so caches from racing writes land in order
+          await this.writePromptCache(written);
+        });
+      } catch (error) {
+        if (!(error instanceof ConflictError) || attempt >= MAX_WRITE_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Build the journal events for a mutation and advance data.journalSeq
+   */
+  createJournalEvents(eventInfo, before, data) {
+    const { type, ...extra } = eventInfo;
+    const events = [];
+    let seq = data.journalSeq || 0;
+
+    // Anchor the journal to whatever data existed before it was started
+    if (seq === 0) {
+      events.push(journal.createStartEvent(before, ++seq));
+    }
+
+    const event = journal.createEvent(type, before, data, seq + 1, extra);
+    if (!event) {
+      return [];
+    }
+
+    events.push(event);
+    data.journalSeq = event.seq;
+    return events;
   }
 
-  async loadConfig() {
+  /**
+   * Refresh the cache read by `warp-tracker prompt`. A failure only leaves
+   * the prompt stale, so it never fails the command that saved the data.
+   */
+  async writePromptCache(data) {
     try {
-      return await fs.readJson(this.configFile);
+      await writeJsonAtomic(path.join(this.configDir, prompt.CACHE_FILE), prompt.buildCache(data));
     } catch (error) {
-      return {
-        displayStyle: 'progress-bar',
-        updateInterval: 30,
-        notifications: true,
-        autoSave: true,
-        progressBarLength: 30
-      };
+      // The next save tries again
     }
   }
 
-  async saveConfig(config) {
-    await fs.writeJson(this.configFile, config, { spaces: 2 });
+  /**
+   * The effective settings: defaults, then config.json, the project's
+   * .warp-tracker.json and WARP_TRACKER_* variables (see src/settings.js).
+   * Read synchronously, so display code can use it too.
+   */
+  loadConfig() {
+    return settings.load({ globalFile: this.configFile }).values;
   }
 
-  async startTask(taskName, description = '') {
-    const data = await this.loadData();
-    
-    if (data.currentTask) {
-      console.log(chalk.yellow('⚠️  A task is already in progress:'));
-      this.displayTask(data.currentTask);
-      console.log(chalk.yellow('Please complete or stop the current task first.'));
-      return;
+  /**
+   * Set a setting in config.json or, with `project`, in the nearest
+   * .warp-tracker.json (one in the current directory if there is none).
+   * Returns the file written.
+   */
+  async writeSetting(key, value, project = false) {
+    const setting = settings.checkKey(key);
+    if (project && setting.global) {
+      throw new TrackerError(`${key} can only be set in the global config`, 'INVALID_CONFIG');
     }
+    settings.validateValue(key, value);
+
+    await this.ready;
+    const file = project ? this.projectConfigFile() : this.configFile;
+    const config = settings.readFile(file);
+    config[key] = value;
+    settings.RETIRED.forEach(name => delete config[name]);
+    await writeJsonAtomic(file, config);
+    return file;
+  }
 
-    const newTask = {
-      id: Date.now().toString(),
-      name: taskName,
-      description,
-      startTime: new Date().toISOString(),
-      progress: 0,
-      updates: [],
-      status: 'in-progress'
-    };
+  projectConfigFile() {
+    return settings.findProjectFile(process.cwd()) || path.join(process.cwd(), settings.PROJECT_FILE);
+  }
+
+  async startTask(taskName, description = '', options = {}) {
+    if (!taskName) {
+      return this.startInteractively(description, options);
+    }
+
+    const estimateMs = options.estimate ? forecast.parseDuration(options.estimate) : null;
+    if (options.estimate && !estimateMs) {
+      return this.reportError(new TrackerError(`Invalid estimate "${options.estimate}". Use a duration like 3h, 90m or 1h30m`, 'INVALID_ESTIMATE'));
+    }
+
+    let priority;
+    try {
+      priority = this.normalizePriority(options.priority || 'normal');
+    } catch (error) {
+      return this.reportError(error);
+    }
+
+    // Started inside a repository, the task collects the commits made there
+    const git = options.workingDir ? await readGitInfo(options.workingDir) : null;
+
+    const { newTask, existingTask, openCount } = await this.mutateData('task.started', data => {
+      const existingTask = this.findTaskByName(data, taskName);
+      if (existingTask) {
+        return { existingTask };
+      }
+
+      const startTime = new Date().toISOString();
+      const newTask = {
+        id: Date.now().toString(),
+        name: taskName,
+        description,
+        startTime,
+        progress: 0,
+        updates: [],
+        subtasks: [],
+        intervals: [{ start: startTime, end: null }],
+        tags: this.normalizeTags(options.tags),
+        priority,
+        project: options.project || null,
+        status: 'in-progress'
+      };
+      if (estimateMs) {
+        newTask.estimateMs = estimateMs;
+      }
+      if (git) {
+        newTask.git = this.describeGit(git);
+      }
 
-    data.currentTask = newTask;
-    await this.saveData(data);
+      data.tasks[newTask.id] = newTask;
+      data.focusedTaskId = newTask.id;
+      return { newTask, openCount: this.getOpenTasks(data).length };
+    });
+
+    if (existingTask) {
+      if (!this.json) {
+        this.displayTask(existingTask);
+      }
+      return this.reportError(new TrackerError(
+        `A task with this name is already in progress. Switch to it with: warp-tracker switch ${existingTask.id}`,
+        'TASK_EXISTS'
+      ));
+    }
 
-    console.log(chalk.green('🚀 Started tracking new task:'));
-    this.displayTask(newTask);
+    if (this.json) {
+      this.printJson({ ok: true, task: this.taskToJson(newTask), openTasks: openCount });
+    } else {
+      console.log(chalk.green('🚀 Started tracking new task:'));
+      this.displayTask(newTask);
+
+      if (openCount > 1) {
+        console.log(chalk.gray(`Now tracking ${openCount} open tasks. Use "warp-tracker switch" to change focus.`));
+      }
+    }
 
     const config = await this.loadConfig();
     if (config.notifications) {
@@ -98,444 +286,3024 @@ class TaskTracker {
         icon: path.join(__dirname, '../assets/icon.png')
       });
     }
+    return newTask;
   }
 
-  async updateProgress(percentage, message = '') {
-    const data = await this.loadData();
-    
-    if (!data.currentTask) {
-      console.log(chalk.red('❌ No active task found. Start a task first with: warp-tracker start \"Task name\"'));
-      return;
+  async updateProgress(percentage, message = '', taskRef = null) {
+    const noTaskMessage = 'No active task found. Start a task first with: warp-tracker start "Task name"';
+
+    if (percentage === undefined) {
+      if (!this.canPrompt()) {
+        return this.reportError(new TrackerError('Give a percentage: warp-tracker update <percentage>', 'INVALID_PERCENTAGE'));
+      }
+      const task = this.resolveTask(await this.loadData(), taskRef);
+      if (!task) {
+        return this.reportError(this.missingTaskError(taskRef, noTaskMessage));
+      }
+      if (this.hasSubtasks(task)) {
+        return this.reportError(this.derivedProgressError());
+      }
+      percentage = await interactive.askProgress(task);
+      message = message || await interactive.askMessage();
     }
 
-    if (percentage < 0 || percentage > 100) {
-      console.log(chalk.red('❌ Progress percentage must be between 0 and 100'));
-      return;
+    if (!(percentage >= 0 && percentage <= 100)) {
+      return this.reportError(new TrackerError('Progress percentage must be between 0 and 100', 'INVALID_PERCENTAGE'));
     }
+    await this.linkResolvedTaskCommits(taskRef);
 
-    const previousProgress = data.currentTask.progress;
-    data.currentTask.progress = percentage;
-    data.currentTask.updates.push({
-      timestamp: new Date().toISOString(),
-      progress: percentage,
-      message
-    });
+    let task;
+    let previousProgress;
+    try {
+      ({ task, previousProgress } = await this.mutateData('task.progress', data => {
+        const task = this.requireTask(data, taskRef, noTaskMessage);
 
-    await this.saveData(data);
+        if (this.hasSubtasks(task)) {
+          throw this.derivedProgressError();
+        }
 
-    console.log(chalk.blue('📈 Progress updated:'));
-    this.displayTask(data.currentTask);
+        const previousProgress = task.progress;
+        task.progress = percentage;
+        task.updates.push({
+          timestamp: new Date().toISOString(),
+          progress: percentage,
+          message
+        });
+        return { task, previousProgress };
+      }));
+    } catch (error) {
+      return this.reportError(error);
+    }
 
     // Show progress change
     const change = percentage - previousProgress;
-    if (change > 0) {
-      console.log(chalk.green(`+${change}% progress`));
+    if (this.json) {
+      this.printJson({ ok: true, task: this.taskToJson(task), previousProgress });
+    } else {
+      console.log(chalk.blue('📈 Progress updated:'));
+      this.displayTask(task);
+      if (change > 0) {
+        console.log(chalk.green(`+${change}% progress`));
+      }
     }
 
     const config = await this.loadConfig();
     if (config.notifications && change >= 25) {
       notifier.notify({
         title: 'Warp Task Tracker',
-        message: `${data.currentTask.name}: ${percentage}% complete`,
+        message: `${task.name}: ${percentage}% complete`,
         icon: path.join(__dirname, '../assets/icon.png')
       });
     }
+    return task;
   }
 
-  async showStatus() {
+  async showStatus(taskRef = null, filter = {}) {
     const data = await this.loadData();
-    
-    if (!data.currentTask) {
+
+    if (taskRef) {
+      const task = this.resolveTask(data, taskRef);
+      if (!task) {
+        return this.reportError(this.missingTaskError(taskRef));
+      }
+
+      if (this.json) {
+        this.printJson({ ok: true, task: this.taskToJson(task) });
+        return task;
+      }
+      console.log(chalk.blue('📊 Task Status:'));
+      this.displayTask(task, true);
+      return task;
+    }
+
+    const allOpenTasks = this.getOpenTasks(data);
+    if (this.json) {
+      const tasks = allOpenTasks.filter(task => this.matchesFilter(task, filter));
+      this.printJson({
+        ok: true,
+        focusedTaskId: data.focusedTaskId || null,
+        tasks: tasks.map(task => this.taskToJson(task))
+      });
+      return tasks;
+    }
+
+    if (allOpenTasks.length === 0) {
       console.log(chalk.yellow('📭 No active task. Start tracking with: warp-tracker start \"Task name\"'));
       return;
     }
 
-    console.log(chalk.blue('📊 Current Task Status:'));
-    this.displayTask(data.currentTask, true);
+    const openTasks = allOpenTasks.filter(task => this.matchesFilter(task, filter));
+    if (openTasks.length === 0) {
+      console.log(chalk.yellow(`📭 None of the ${allOpenTasks.length} open task(s) match ${this.describeFilter(filter)}`));
+      return;
+    }
+
+    const focused = this.resolveTask(data);
+    const focusedTask = focused && this.matchesFilter(focused, filter) ? focused : null;
+    if (focusedTask) {
+      console.log(chalk.blue('📊 Current Task Status:'));
+      this.displayTask(focusedTask, true);
+    }
+
+    const otherTasks = openTasks.filter(task => !focusedTask || task.id !== focusedTask.id);
+    if (otherTasks.length > 0) {
+      console.log(chalk.blue(focusedTask ? 'Other open tasks:' : '📂 Open tasks:'));
+      otherTasks.forEach(task => {
+        const source = (task.sessionId ? chalk.gray(' 🤖') : '') + (task.status === 'paused' ? chalk.gray(' ⏸') : '') +
+          (PRIORITY_ICONS[task.priority] ? ` ${PRIORITY_ICONS[task.priority]}` : '');
+        console.log(`  ${chalk.gray(task.id)}  ${chalk.bold(task.name)}${source}  ${this.createProgressBar(task.progress, 10)} ${task.progress}%`);
+      });
+      console.log(chalk.gray('Switch focus with: warp-tracker switch <id|name>'));
+    }
   }
 
-  async completeTask(message = '') {
-    const data = await this.loadData();
-    
-    if (!data.currentTask) {
-      console.log(chalk.red('❌ No active task to complete'));
-      return;
+  async switchTask(taskRef) {
+    let task;
+    try {
+      task = await this.mutateData('task.focused', data => {
+        const task = this.requireTask(data, taskRef);
+        data.focusedTaskId = task.id;
+        return task;
+      });
+    } catch (error) {
+      return this.reportError(error);
     }
 
-    data.currentTask.endTime = new Date().toISOString();
-    data.currentTask.status = 'completed';
-    data.currentTask.progress = 100;
-    
-    if (message) {
-      data.currentTask.completionMessage = message;
+    console.log(chalk.blue('🔀 Switched to task:'));
+    this.displayTask(task);
+    return task;
+  }
+
+  // ===== SUBTASKS =====
+
+  /**
+   * Add a subtask. The first one makes progress follow the checklist, so on
+   * a task with manually set progress it needs `options.force` (or a yes
+   * when prompting is possible).
+   */
+  async addSubtask(title, options = {}) {
+    const weight = options.weight === undefined ? 1 : Number(options.weight);
+    if (!Number.isFinite(weight) || weight <= 0) {
+      return this.reportError(new TrackerError('Subtask weight must be a positive number', 'INVALID_WEIGHT'));
+    }
+
+    let force = Boolean(options.force);
+    if (!force && this.canPrompt()) {
+      const current = this.resolveTask(await this.loadData(), options.taskRef);
+      if (current && this.hasManualProgress(current)) {
+        if (!await interactive.confirm(`"${current.name}" is at ${current.progress}%. With a checklist, progress follows the checked subtasks and starts again at 0%. Add the subtask?`)) {
+          console.log(chalk.gray('Cancelled'));
+          return null;
+        }
+        force = true;
+      }
+    }
+
+    let task;
+    try {
+      task = await this.mutateData('subtask.added', data => {
+        const task = this.requireTask(data, options.taskRef);
+        if (!force && this.hasManualProgress(task)) {
+          throw new TrackerError(
+            `"${task.name}" is at ${task.progress}%. Its first subtask makes progress follow the checklist, which resets it to 0%. Add it with --force`,
+            'MANUAL_PROGRESS'
+          );
+        }
+
+        task.subtasks = task.subtasks || [];
+        const subtask = {
+          id: Date.now().toString(),
+          title,
+          weight,
+          done: false,
+          completedAt: null
+        };
+        task.subtasks.push(subtask);
+        this.applyDerivedProgress(task, `Added subtask "${title}"`, subtask.id);
+        return task;
+      });
+    } catch (error) {
+      return this.reportError(error);
     }
 
-    // Add to history
-    data.history.unshift(data.currentTask);
-    data.currentTask = null;
+    console.log(chalk.green(`➕ Added subtask #${task.subtasks.length}: ${title}`));
+    this.displayTask(task, true);
+    return task;
+  }
+
+  /**
+   * Progress set by hand that a first subtask would replace
+   */
+  hasManualProgress(task) {
+    return (task.subtasks || []).length === 0 && task.progress > 0;
+  }
+
+  async setSubtaskDone(subtaskRef, done, taskRef = null) {
+    let task;
+    let subtask;
+    let previousProgress;
+    let changed;
+    try {
+      ({ task, subtask, previousProgress, changed } = await this.mutateData(done ? 'subtask.checked' : 'subtask.unchecked', data => {
+        const task = this.requireTask(data, taskRef);
+        const subtask = this.requireSubtask(task, subtaskRef);
+        const previousProgress = task.progress;
+
+        if (subtask.done === done) {
+          return { task, subtask, previousProgress, changed: false };
+        }
+
+        subtask.done = done;
+        subtask.completedAt = done ? new Date().toISOString() : null;
+        this.applyDerivedProgress(task, `${done ? 'Checked' : 'Unchecked'} "${subtask.title}"`, subtask.id, true);
+        return { task, subtask, previousProgress, changed: true };
+      }));
+    } catch (error) {
+      return this.reportError(error);
+    }
 
-    await this.saveData(data);
+    if (!changed) {
+      console.log(chalk.yellow(`Subtask "${subtask.title}" is already ${done ? 'checked' : 'unchecked'}`));
+      return task;
+    }
 
-    console.log(chalk.green('🎉 Task completed!'));
-    this.displayTask(data.history[0]);
+    console.log(chalk.blue(done ? '☑️  Subtask checked:' : '⬜ Subtask unchecked:'));
+    this.displayTask(task, true);
 
     const config = await this.loadConfig();
-    if (config.notifications) {
+    if (config.notifications && task.progress - previousProgress >= 25) {
       notifier.notify({
         title: 'Warp Task Tracker',
-        message: `Task completed: ${data.history[0].name}`,
+        message: `${task.name}: ${task.progress}% complete`,
         icon: path.join(__dirname, '../assets/icon.png')
       });
     }
+
+    return task;
   }
 
-  async stopTask() {
-    const data = await this.loadData();
-    
-    if (!data.currentTask) {
-      console.log(chalk.red('❌ No active task to stop'));
-      return;
+  async moveSubtask(subtaskRef, position, taskRef = null) {
+    const target = parseInt(position);
+    let task;
+    let subtask;
+    try {
+      ({ task, subtask } = await this.mutateData('subtask.moved', data => {
+        const task = this.requireTask(data, taskRef);
+        const subtask = this.requireSubtask(task, subtaskRef);
+
+        if (isNaN(target) || target < 1 || target > task.subtasks.length) {
+          throw new TrackerError(`Position must be between 1 and ${task.subtasks.length}`, 'INVALID_POSITION');
+        }
+
+        task.subtasks.splice(task.subtasks.indexOf(subtask), 1);
+        task.subtasks.splice(target - 1, 0, subtask);
+        return { task, subtask };
+      }));
+    } catch (error) {
+      return this.reportError(error);
+    }
+
+    console.log(chalk.blue(`↕️  Moved "${subtask.title}" to position ${target}`));
+    this.displayTask(task, true);
+    return task;
+  }
+
+  requireSubtask(task, subtaskRef) {
+    const subtask = this.resolveSubtask(task, subtaskRef);
+    if (!subtask) {
+      throw new TrackerError(`No subtask matches "${subtaskRef}"`, 'SUBTASK_NOT_FOUND');
     }
+    return subtask;
+  }
 
-    data.currentTask.endTime = new Date().toISOString();
-    data.currentTask.status = 'stopped';
+  hasSubtasks(task) {
+    return Array.isArray(task.subtasks) && task.subtasks.length > 0;
+  }
 
-    // Add to history
-    data.history.unshift(data.currentTask);
-    data.currentTask = null;
+  /**
+   * Find a subtask by 1-based position, id or case-insensitive title
+   */
+  resolveSubtask(task, subtaskRef) {
+    const subtasks = task.subtasks || [];
+    const ref = String(subtaskRef);
 
-    await this.saveData(data);
+    if (/^\d+$/.test(ref) && parseInt(ref) >= 1 && parseInt(ref) <= subtasks.length) {
+      return subtasks[parseInt(ref) - 1];
+    }
 
-    console.log(chalk.yellow('⏹️  Task stopped and saved to history'));
+    return subtasks.find(subtask => subtask.id === ref) ||
+      subtasks.find(subtask => subtask.title.toLowerCase() === ref.toLowerCase()) ||
+      null;
   }
 
-  async showHistory(count = 10) {
-    const data = await this.loadData();
-    
-    if (data.history.length === 0) {
-      console.log(chalk.yellow('📝 No task history found'));
+  /**
+   * Weighted share of completed subtasks, as a whole percentage
+   */
+  calculateSubtaskProgress(subtasks) {
+    const totalWeight = subtasks.reduce((sum, subtask) => sum + subtask.weight, 0);
+    if (totalWeight === 0) {
+      return 0;
+    }
+
+    const doneWeight = subtasks
+      .filter(subtask => subtask.done)
+      .reduce((sum, subtask) => sum + subtask.weight, 0);
+
+    return Math.round((doneWeight / totalWeight) * 100);
+  }
+
+  /**
+   * Recompute a task's progress from its subtasks and record the change
+   */
+  applyDerivedProgress(task, message, subtaskId, alwaysRecord = false) {
+    const progress = this.calculateSubtaskProgress(task.subtasks);
+    if (progress === task.progress && !alwaysRecord) {
       return;
     }
 
-    console.log(chalk.blue(`📚 Recent Task History (${Math.min(count, data.history.length)} tasks):`));
-    
-    data.history.slice(0, count).forEach((task, index) => {
-      const statusIcon = task.status === 'completed' ? '✅' : '⏹️';
-      const duration = this.calculateDuration(task.startTime, task.endTime);
-      
-      console.log(`\n${index + 1}. ${statusIcon} ${chalk.bold(task.name)}`);
-      console.log(`   Progress: ${this.createProgressBar(task.progress, 20)} ${task.progress}%`);
-      console.log(`   Duration: ${duration}`);
-      console.log(`   Started: ${new Date(task.startTime).toLocaleString()}`);
+    task.progress = progress;
+    task.updates.push({
+      timestamp: new Date().toISOString(),
+      progress,
+      message,
+      subtaskId
     });
   }
 
-  async handleConfig(options) {
-    const config = await this.loadConfig();
-    
-    if (options.set) {
-      const [key, value] = options.set.split('=');
-      if (key && value !== undefined) {
-        // Parse value based on type
-        let parsedValue = value;
-        if (value === 'true') parsedValue = true;
-        else if (value === 'false') parsedValue = false;
-        else if (!isNaN(value)) parsedValue = parseInt(value);
+  async completeTask(message = '', taskRef = null, options = {}) {
+    if (!await this.confirmFinish(taskRef, options, task => `Mark "${task.name}" complete?`)) {
+      return null;
+    }
+    await this.linkResolvedTaskCommits(taskRef);
+
+    let task;
+    try {
+      task = await this.mutateData('task.completed', data => {
+        const task = this.requireTask(data, taskRef, 'No active task to complete');
+
+        task.endTime = new Date().toISOString();
+        this.endWorkInterval(task, task.endTime);
+        task.status = 'completed';
+        task.progress = 100;
         
-        config[key] = parsedValue;
-        await this.saveConfig(config);
-        console.log(chalk.green(`✅ Configuration updated: ${key} = ${parsedValue}`));
-      } else {
-        console.log(chalk.red('❌ Invalid format. Use: --set key=value'));
+        if (message) {
+          task.completionMessage = message;
+        }
+
+        // Add to history
+        this.closeTask(data, task);
+        return task;
+      });
+    } catch (error) {
+      return this.reportError(error);
+    }
+    this.forgetSessionTask(task);
+
+    if (this.json) {
+      this.printJson({ ok: true, task: this.taskToJson(task) });
+    } else {
+      console.log(chalk.green('🎉 Task completed!'));
+      this.displayTask(task);
+    }
+
+    const config = await this.loadConfig();
+    if (config.notifications) {
+      notifier.notify({
+        title: 'Warp Task Tracker',
+        message: `Task completed: ${task.name}`,
+        icon: path.join(__dirname, '../assets/icon.png')
+      });
+    }
+    return task;
+  }
+
+  async stopTask(taskRef = null, options = {}) {
+    if (!await this.confirmFinish(taskRef, options, task => `Stop "${task.name}" at ${task.progress}% and move it to history?`)) {
+      return null;
+    }
+    await this.linkResolvedTaskCommits(taskRef);
+
+    let task;
+    try {
+      task = await this.mutateData('task.stopped', data => {
+        const task = this.requireTask(data, taskRef, 'No active task to stop');
+
+        task.endTime = new Date().toISOString();
+        this.endWorkInterval(task, task.endTime);
+        task.status = 'stopped';
+
+        // Add to history
+        this.closeTask(data, task);
+        return task;
+      });
+    } catch (error) {
+      return this.reportError(error);
+    }
+    this.forgetSessionTask(task);
+
+    if (this.json) {
+      this.printJson({ ok: true, task: this.taskToJson(task) });
+    } else {
+      console.log(chalk.yellow('⏹️  Task stopped and saved to history'));
+    }
+    return task;
+  }
+
+  /**
+   * Move a finished task back to the open tasks, with a new work interval,
+   * and focus it
+   */
+  async reopenTask(taskId) {
+    let task;
+    try {
+      task = await this.mutateData('task.reopened', data => {
+        const task = data.history.find(candidate => candidate.id === taskId);
+        if (!task) {
+          throw new TrackerError(`No finished task with id ${taskId}`, 'TASK_NOT_FOUND');
+        }
+        if (this.findTaskByName(data, task.name)) {
+          throw new TrackerError(`A task named "${task.name}" is already open`, 'TASK_EXISTS');
+        }
+
+        const now = new Date().toISOString();
+        if (!Array.isArray(task.intervals)) {
+          task.intervals = [{ start: task.startTime, end: task.endTime || now }];
+        }
+        task.intervals.push({ start: now, end: null });
+        task.status = 'in-progress';
+        delete task.endTime;
+        delete task.estimateAccuracy;
+        delete task.completionMessage;
+        // Its terminal session is gone; it carries on as a manual task
+        delete task.sessionId;
+
+        data.history = data.history.filter(candidate => candidate.id !== taskId);
+        data.tasks[task.id] = task;
+        data.focusedTaskId = task.id;
+        return task;
+      });
+    } catch (error) {
+      return this.reportError(error);
+    }
+
+    if (this.json) {
+      this.printJson({ ok: true, task: this.taskToJson(task) });
+    } else {
+      console.log(chalk.green('🔁 Reopened task:'));
+      this.displayTask(task);
+    }
+    return task;
+  }
+
+  // ===== INTERACTIVE PROMPTS =====
+
+  /**
+   * Whether a command may ask for what it is missing
+   */
+  canPrompt() {
+    return this.interactive && !this.json;
+  }
+
+  /**
+   * `start` without a name: pick a suggested name, type one or reopen a
+   * recent task
+   */
+  async startInteractively(description, options) {
+    if (!this.canPrompt()) {
+      return this.reportError(new TrackerError('Give the task a name: warp-tracker start "Task name"', 'INVALID_TASK_NAME'));
+    }
+
+    const data = await this.loadData();
+    const recentTasks = data.history
+      .filter(task => !this.findTaskByName(data, task.name))
+      .slice(0, 5);
+    const choice = await interactive.chooseTaskToStart(await this.suggestTaskNames(options.workingDir || process.cwd()), recentTasks);
+
+    return choice.reopen ?
+      this.reopenTask(choice.reopen) :
+      this.startTask(choice.name, description, options);
+  }
+
+  /**
+   * Names for a task started in `dir`: the one a terminal session there
+   * would get, and the project's
+   */
+  async suggestTaskNames(dir) {
+    await this.ready;
+    const manager = this.sessionManager;
+    const git = await readGitInfo(dir);
+    const projectRoot = await manager.findProjectRoot(dir) || (git && git.root);
+    const projectName = projectRoot ?
+      manager.formatProjectName(path.basename(projectRoot)) :
+      manager.extractProjectName(dir);
+
+    const names = [manager.generateTaskName(projectName, dir, git), projectName];
+    return names.filter((name, index) => name && names.indexOf(name) === index);
+  }
+
+  /**
+   * Ask before completing or stopping a task, unless that cannot be done or
+   * `options.yes` skips it. A missing task is left for the command to report.
+   */
+  async confirmFinish(taskRef, options, question) {
+    if (options.yes || !this.canPrompt()) {
+      return true;
+    }
+
+    const task = this.resolveTask(await this.loadData(), taskRef);
+    if (!task || await interactive.confirm(question(task))) {
+      return true;
+    }
+    console.log(chalk.gray('Cancelled'));
+    return false;
+  }
+
+  // ===== PAUSE / RESUME =====
+
+  async pauseTask(taskRef = null) {
+    let task;
+    try {
+      task = await this.mutateData('task.paused', data => {
+        const task = this.requireTask(data, taskRef, 'No active task to pause');
+        this.applyPause(task);
+        return task;
+      });
+    } catch (error) {
+      return this.reportError(error);
+    }
+
+    console.log(chalk.gray('⏸️  Task paused:'));
+    this.displayTask(task);
+    return task;
+  }
+
+  async resumeTask(taskRef = null) {
+    let task;
+    try {
+      task = await this.mutateData('task.resumed', data => {
+        const task = this.requireTask(data, taskRef, 'No active task to resume');
+        this.applyResume(task);
+        data.focusedTaskId = task.id;
+        return task;
+      });
+    } catch (error) {
+      return this.reportError(error);
+    }
+
+    console.log(chalk.blue('▶️  Task resumed:'));
+    this.displayTask(task);
+    return task;
+  }
+
+  applyPause(task, at = new Date().toISOString()) {
+    if (task.status === 'paused') {
+      throw new TrackerError(`"${task.name}" is already paused`, 'ALREADY_PAUSED');
+    }
+
+    this.endWorkInterval(task, at);
+    task.status = 'paused';
+    task.pausedAt = at;
+  }
+
+  applyResume(task, at = new Date().toISOString()) {
+    if (task.status !== 'paused') {
+      throw new TrackerError(`"${task.name}" is not paused`, 'NOT_PAUSED');
+    }
+
+    task.intervals = task.intervals || [];
+    task.intervals.push({ start: at, end: null });
+    task.status = 'in-progress';
+    delete task.pausedAt;
+  }
+
+  /**
+   * Close the task's running work interval, if any
+   */
+  endWorkInterval(task, at) {
+    const intervals = task.intervals || [];
+    const running = intervals[intervals.length - 1];
+    if (running && !running.end) {
+      running.end = at;
+    }
+  }
+
+  async showHistory(count = 10, filter = {}) {
+    const data = await this.loadData();
+
+    if (this.json) {
+      const history = data.history.filter(task => this.matchesFilter(task, filter));
+      this.printJson({ ok: true, total: history.length, tasks: history.slice(0, count).map(task => this.taskToJson(task)) });
+      return history.slice(0, count);
+    }
+    
+    if (data.history.length === 0) {
+      console.log(chalk.yellow('📝 No task history found'));
+      return;
+    }
+
+    const history = data.history.filter(task => this.matchesFilter(task, filter));
+    if (history.length === 0) {
+      console.log(chalk.yellow(`📝 No task history matches ${this.describeFilter(filter)}`));
+      return;
+    }
+
+    console.log(chalk.blue(`📚 Recent Task History (${Math.min(count, history.length)} tasks):`));
+
+    const accuracy = forecast.summarizeAccuracy(history);
+    if (accuracy) {
+      console.log(chalk.gray(`Estimates: ${accuracy.count} task(s), median actual ${Math.round(accuracy.medianRatio * 100)}% of estimate, ${accuracy.overCount} ran over`));
+    }
+    
+    history.slice(0, count).forEach((task, index) => {
+      const statusIcon = task.status === 'completed' ? '✅' : '⏹️';
+      const activeTime = this.formatDuration(this.calculateActiveTime(task));
+      const elapsed = this.calculateDuration(task.startTime, task.endTime);
+      
+      console.log(`\n${index + 1}. ${statusIcon} ${chalk.bold(task.name)}`);
+      console.log(`   Progress: ${this.createProgressBar(task.progress, 20)} ${task.progress}%`);
+      console.log(`   Active: ${activeTime} ${chalk.gray(`(elapsed ${elapsed})`)}`);
+      if (task.estimateAccuracy) {
+        console.log(`   ${this.formatAccuracy(task.estimateAccuracy)}`);
+      }
+      console.log(`   Started: ${new Date(task.startTime).toLocaleString()}`);
+      if (task.commits && task.commits.length > 0) {
+        console.log(`   Commits: ${this.summarizeCommits(task.commits)}`);
+      }
+      const labels = this.formatLabels(task);
+      if (labels) {
+        console.log(`   ${labels}`);
+      }
+    });
+  }
+
+  // ===== SEARCH =====
+
+  async search(queryText = '', options = {}) {
+    const data = await this.loadData();
+
+    let result;
+    try {
+      result = searchTasks(this.getAllTasks(data), queryText, options);
+    } catch (error) {
+      return this.reportError(error);
+    }
+
+    if (result.total === 0) {
+      console.log(chalk.yellow(`🔍 No tasks match${queryText ? ` "${queryText}"` : ''}`));
+      return result;
+    }
+
+    const first = (result.page - 1) * result.limit + 1;
+    const last = first + result.results.length - 1;
+    console.log(chalk.blue(`🔍 ${result.total} matching task(s), showing ${first}-${last}:`));
+
+    result.results.forEach((task, index) => {
+      const statusIcon = { completed: '✅', stopped: '⏹️', paused: '⏸️' }[task.status] || '▶️';
+      const activeTime = this.formatDuration(this.calculateActiveTime(task, task.endTime ? new Date(task.endTime) : new Date()));
+      const started = new Date(task.startTime).toLocaleDateString();
+      const labels = this.formatLabels(task);
+
+      console.log(`\n${first + index}. ${statusIcon} ${chalk.bold(task.name)} ${chalk.gray(task.id)}`);
+      console.log(`   ${started} • ${activeTime} active • ${this.createProgressBar(task.progress, 10)} ${task.progress}%`);
+      if (labels) {
+        console.log(`   ${labels}`);
+      }
+    });
+
+    if (result.page < result.pages) {
+      console.log(chalk.gray(`\nPage ${result.page} of ${result.pages}. Next page: warp-tracker search ${JSON.stringify(queryText)} --page ${result.page + 1}`));
+    }
+    return result;
+  }
+
+  /**
+   * Open tasks followed by history, as one list
+   */
+  getAllTasks(data) {
+    return this.getOpenTasks(data).concat(data.history);
+  }
+
+  // ===== EXPORT / IMPORT =====
+
+  /**
+   * Write tasks as CSV, JSON Lines or Markdown to a file or stdout.
+   * Options: format, rows ('tasks' | 'updates'), output, from, to, status,
+   * tags, priority, project and query (search syntax).
+   */
+  async exportTasks(options = {}) {
+    const data = await this.loadData();
+
+    let format;
+    let tasks;
+    try {
+      format = exchange.resolveFormat(options.format, options.output);
+
+      const terms = ['sort:started-asc'];
+      if (options.from || options.to) {
+        terms.push(`date:${options.from || ''}..${options.to || ''}`);
+      }
+      if (options.status) {
+        terms.push(`status:${options.status}`);
+      }
+      if (options.query) {
+        terms.push(options.query);
+      }
+
+      tasks = searchTasks(this.getAllTasks(data), terms.join(' '), { limit: Infinity }).results
+        .filter(task => this.matchesFilter(task, options));
+    } catch (error) {
+      return this.reportError(error);
+    }
+
+    const content = exchange.exportTasks(tasks, format, {
+      rows: options.rows,
+      description: [options.from && `from ${options.from}`, options.to && `to ${options.to}`].filter(Boolean).join(' ')
+    });
+
+    if (!options.output) {
+      process.stdout.write(content);
+      return tasks;
+    }
+
+    await fs.outputFile(options.output, content);
+    console.log(chalk.green(`📤 Exported ${tasks.length} task(s) as ${format} to ${options.output}`));
+    return tasks;
+  }
+
+  /**
+   * Import tasks exported by exportTasks (or a whole tasks.json).
+   * Tasks whose id is already known are skipped; per-update CSV rows are
+   * merged into the tasks they belong to. Session links are dropped, since
+   * they name terminal sessions of the machine the export came from, and
+   * open tasks whose name is taken by an open task here are renamed.
+   */
+  async importTasks(file, options = {}) {
+    let parsed;
+    try {
+      const format = exchange.resolveFormat(options.format, file);
+      if (!await fs.pathExists(file)) {
+        throw new TrackerError(`File not found: ${file}`, 'FILE_NOT_FOUND');
+      }
+      parsed = exchange.parseImport(await fs.readFile(file, 'utf8'), format);
+    } catch (error) {
+      return this.reportError(error);
+    }
+
+    const result = await this.mutateData('tasks.imported', data => {
+      const known = new Map(this.getAllTasks(data).map(task => [task.id, task]));
+      const counts = { added: 0, duplicates: 0, updates: 0, orphanUpdates: 0, renamed: [] };
+
+      parsed.tasks.forEach(task => {
+        if (known.has(task.id)) {
+          counts.duplicates++;
+          return;
+        }
+
+        delete task.sessionId;
+        delete task.sessionInfo;
+        known.set(task.id, task);
+        counts.added++;
+        if (task.status === 'completed' || task.status === 'stopped') {
+          data.history.push(task);
+          return;
+        }
+
+        if (this.findTaskByName(data, task.name)) {
+          const name = this.importedTaskName(data, task.name);
+          counts.renamed.push({ id: task.id, from: task.name, to: name });
+          task.name = name;
+        }
+        data.tasks[task.id] = task;
+      });
+
+      parsed.updates.forEach((updates, taskId) => {
+        const task = known.get(taskId);
+        if (!task) {
+          counts.orphanUpdates += updates.length;
+          return;
+        }
+
+        updates.forEach(update => {
+          const exists = task.updates.some(existing =>
+            existing.timestamp === update.timestamp && existing.progress === update.progress);
+          if (!exists) {
+            task.updates.push(update);
+            counts.updates++;
+          }
+        });
+        task.updates.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      });
+
+      // History is newest first
+      data.history.sort((a, b) => new Date(b.endTime || b.startTime) - new Date(a.endTime || a.startTime));
+      return counts;
+    });
+
+    console.log(chalk.green(`📥 Imported ${result.added} task(s) from ${file}`));
+    if (result.duplicates > 0) {
+      console.log(chalk.gray(`   Skipped ${result.duplicates} task(s) already present`));
+    }
+    result.renamed.forEach(({ from, to }) => {
+      console.log(chalk.yellow(`⚠️  A task named "${from}" is already open; imported it as "${to}"`));
+    });
+    if (result.updates > 0) {
+      console.log(chalk.gray(`   Added ${result.updates} progress update(s)`));
+    }
+    if (result.orphanUpdates > 0) {
+      console.log(chalk.yellow(`⚠️  Skipped ${result.orphanUpdates} update(s) for unknown tasks; import their tasks first`));
+    }
+    return result;
+  }
+
+  /**
+   * A free name for an imported task: "Name (imported)", then
+   * "Name (imported 2)" and so on
+   */
+  importedTaskName(data, name) {
+    let candidate = `${name} (imported)`;
+    for (let n = 2; this.findTaskByName(data, candidate); n++) {
+      candidate = `${name} (imported ${n})`;
+    }
+    return candidate;
+  }
+
+  // ===== TAGS, PRIORITY AND PROJECT =====
+
+  async editTask(taskRef = null, changes = {}) {
+    if (Object.values(changes).every(value => value === undefined)) {
+      return this.reportError(new TrackerError('Nothing to change. See: warp-tracker edit --help', 'NOTHING_TO_CHANGE'));
+    }
+
+    let estimateMs;
+    if (changes.estimate) {
+      estimateMs = forecast.parseDuration(changes.estimate);
+      if (!estimateMs) {
+        return this.reportError(new TrackerError(
+          `Invalid estimate "${changes.estimate}". Use a duration like 3h, 90m or 1h30m`,
+          'INVALID_ESTIMATE'
+        ));
+      }
+    }
+
+    let task;
+    try {
+      const priority = changes.priority ? this.normalizePriority(changes.priority) : null;
+
+      task = await this.mutateData('task.edited', data => {
+        const task = this.requireTask(data, taskRef, 'No active task to edit');
+
+        if (changes.name) {
+          const clash = this.findTaskByName(data, changes.name);
+          if (clash && clash.id !== task.id) {
+            throw new TrackerError(`Another open task is already named "${changes.name}"`, 'DUPLICATE_NAME');
+          }
+          task.name = changes.name;
+        }
+        if (changes.description !== undefined) {
+          task.description = changes.description;
+        }
+        if (changes.tags !== undefined) {
+          task.tags = this.normalizeTags(changes.tags);
+        }
+        if (changes.addTags) {
+          task.tags = this.normalizeTags((task.tags || []).concat(this.normalizeTags(changes.addTags)));
+        }
+        if (changes.removeTags) {
+          const removed = this.normalizeTags(changes.removeTags);
+          task.tags = (task.tags || []).filter(tag => !removed.includes(tag));
+        }
+        if (priority) {
+          task.priority = priority;
+        }
+        if (changes.project !== undefined) {
+          task.project = changes.project || null;
+        }
+        if (estimateMs) {
+          task.estimateMs = estimateMs;
+        }
+        return task;
+      });
+    } catch (error) {
+      return this.reportError(error);
+    }
+
+    console.log(chalk.green('✏️  Task updated:'));
+    this.displayTask(task, true);
+    return task;
+  }
+
+  /**
+   * Turn "a, b,#c" or ['a', 'b'] into a sorted, de-duplicated tag list
+   */
+  normalizeTags(value) {
+    return normalizeTags(value);
+  }
+
+  normalizePriority(value) {
+    const priority = String(value).trim().toLowerCase();
+    if (!PRIORITIES.includes(priority)) {
+      throw new TrackerError(`Invalid priority "${value}". Use one of: ${PRIORITIES.join(', ')}`, 'INVALID_PRIORITY');
+    }
+    return priority;
+  }
+
+  /**
+   * Check a task against a { tags, priority, project } filter.
+   * Every given tag must be present; project matches case-insensitively.
+   */
+  matchesFilter(task, filter = {}) {
+    const tags = this.normalizeTags(filter.tags);
+    if (tags.some(tag => !(task.tags || []).includes(tag))) {
+      return false;
+    }
+
+    if (filter.priority && (task.priority || 'normal') !== String(filter.priority).toLowerCase()) {
+      return false;
+    }
+
+    if (filter.project && String(task.project || '').toLowerCase() !== String(filter.project).toLowerCase()) {
+      return false;
+    }
+
+    return true;
+  }
+
+  describeFilter(filter = {}) {
+    const parts = [];
+    this.normalizeTags(filter.tags).forEach(tag => parts.push(`#${tag}`));
+    if (filter.priority) {
+      parts.push(`priority ${filter.priority}`);
+    }
+    if (filter.project) {
+      parts.push(`project ${filter.project}`);
+    }
+    return parts.length > 0 ? parts.join(', ') : 'the filter';
+  }
+
+  formatLabels(task) {
+    const parts = [];
+    if (task.project) {
+      parts.push(chalk.cyan(`📁 ${task.project}`));
+    }
+    if (task.priority && task.priority !== 'normal') {
+      parts.push(`${PRIORITY_ICONS[task.priority]} ${task.priority}`);
+    }
+    if (task.tags && task.tags.length > 0) {
+      parts.push(chalk.magenta(task.tags.map(tag => `#${tag}`).join(' ')));
+    }
+    if (task.git) {
+      parts.push(chalk.green(`⎇ ${task.git.branch || task.git.head.slice(0, 7)}`));
+    }
+    return parts.join(' • ');
+  }
+
+  // ===== JOURNAL: UNDO / REDO / LOG =====
+
+  async undo() {
+    try {
+      const event = await this.revertJournalEvent(journal.UNDO);
+      console.log(chalk.blue(`↩️  Undid #${event.seq}: ${journal.describeEvent(event)}`));
+      return event;
+    } catch (error) {
+      return this.reportError(error);
+    }
+  }
+
+  async redo() {
+    try {
+      const event = await this.revertJournalEvent(journal.REDO);
+      console.log(chalk.blue(`↪️  Redid #${event.seq}: ${journal.describeEvent(event)}`));
+      return event;
+    } catch (error) {
+      return this.reportError(error);
+    }
+  }
+
+  /**
+   * Undo the latest undoable event or redo the latest undone one. Refuses
+   * if the affected tasks changed since, rather than overwriting that work.
+   */
+  async revertJournalEvent(direction) {
+    const isUndo = direction === journal.UNDO;
+    const eventInfo = { type: direction };
+
+    const target = await this.mutateData(eventInfo, async (data) => {
+      const state = journal.getUndoState(await this.storage.readJournal());
+      const candidates = isUndo ? state.undoable : state.redoable;
+      const target = candidates[candidates.length - 1];
+
+      if (!target) {
+        throw new TrackerError(isUndo ? 'Nothing to undo' : 'Nothing to redo', isUndo ? 'NOTHING_TO_UNDO' : 'NOTHING_TO_REDO');
+      }
+
+      const drift = journal.findDrift(data, target, isUndo ? 'after' : 'before');
+      if (drift) {
+        const name = (drift.after || drift.before).task.name;
+        throw new TrackerError(
+          `Cannot ${isUndo ? 'undo' : 'redo'} #${target.seq} (${journal.describeEvent(target)}): "${name}" has changed since`,
+          'JOURNAL_DRIFT'
+        );
+      }
+
+      journal.applyEvent(data, target, isUndo ? 'before' : 'after');
+      eventInfo.target = target.seq;
+      return target;
+    });
+
+    this.syncActiveTasks(await this.loadData());
+    return target;
+  }
+
+  async showLog(count = 20) {
+    await this.ready;
+    const events = await this.storage.readJournal();
+
+    if (events.length === 0) {
+      console.log(chalk.yellow('📜 The journal is empty'));
+      return [];
+    }
+
+    const { undoneSeqs } = journal.getUndoState(events);
+    const recent = events.slice(-count).reverse();
+
+    console.log(chalk.blue(`📜 Recent changes (${recent.length} of ${events.length}):`));
+    recent.forEach(event => {
+      const time = new Date(event.timestamp).toLocaleString([], {
+        month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+      });
+      const line = `  ${chalk.gray('#' + event.seq)}  ${chalk.gray(time)}  ${journal.describeEvent(event)}`;
+
+      if (undoneSeqs.has(event.seq)) {
+        console.log(chalk.strikethrough.dim(line) + chalk.yellow(' (undone)'));
+      } else if (event.type === journal.UNDO || event.type === journal.REDO || journal.AUTOMATIC_EVENTS.has(event.type)) {
+        console.log(chalk.dim(line));
+      } else {
+        console.log(line);
+      }
+    });
+
+    return recent;
+  }
+
+  /**
+   * Replace the stored tasks with the state replayed from the journal
+   */
+  async rebuildFromJournal() {
+    let counts;
+    try {
+      if ((await this.storage.readJournal()).length === 0) {
+        throw new TrackerError('The journal is empty; nothing to rebuild from', 'EMPTY_JOURNAL');
+      }
+
+      // Outside the mutator, which runs again when another process writes first
+      await this.storage.backup('pre-rebuild');
+
+      counts = await this.mutateData(null, async (data) => {
+        const events = await this.storage.readJournal();
+        const rebuilt = journal.replay(events, data);
+        data.tasks = rebuilt.tasks;
+        data.history = rebuilt.history;
+        data.focusedTaskId = rebuilt.focusedTaskId;
+        data.journalSeq = events[events.length - 1].seq;
+
+        return {
+          events: events.length,
+          openTasks: Object.keys(data.tasks).length,
+          history: data.history.length
+        };
+      });
+    } catch (error) {
+      return this.reportError(error);
+    }
+
+    this.syncActiveTasks(await this.loadData());
+    console.log(chalk.green(`✅ Rebuilt ${counts.openTasks} open tasks and ${counts.history} history entries from ${counts.events} journal events`));
+    return counts;
+  }
+
+  /**
+   * `config` on its own lists the settings; `config --set key=value` is the
+   * older spelling of `config set key value`
+   */
+  async handleConfig(options) {
+    if (!options.set) {
+      return this.listConfig();
+    }
+
+    const separator = options.set.indexOf('=');
+    if (separator <= 0) {
+      return this.reportError(new TrackerError('Invalid format. Use: --set key=value', 'INVALID_CONFIG'));
+    }
+    return this.setSetting(options.set.slice(0, separator), options.set.slice(separator + 1));
+  }
+
+  describeSource(source) {
+    if (source.layer === 'env') {
+      return `environment variable ${source.variable}`;
+    }
+    return source.layer === 'default' ? 'default' : `${source.layer} config ${source.file}`;
+  }
+
+  async listConfig() {
+    const { values, sources, files, problems } = settings.load({ globalFile: this.configFile });
+
+    if (this.json) {
+      this.printJson({ ok: true, config: values, sources, files, problems });
+      return values;
+    }
+
+    console.log(chalk.blue('🔧 Current Configuration:'));
+    const width = Math.max(...Object.keys(values).map(key => key.length));
+    Object.entries(values).forEach(([key, value]) => {
+      const source = sources[key].layer === 'default' ? '' : chalk.gray(`  (${sources[key].layer})`);
+      console.log(`  ${key.padEnd(width)}  ${chalk.cyan(settings.formatValue(key, value))}${source}`);
+    });
+
+    console.log(chalk.gray(`\nGlobal: ${files.global}`));
+    console.log(chalk.gray(files.project ? `Project: ${files.project}` : `No ${settings.PROJECT_FILE} in this directory or above`));
+    problems.forEach(problem => console.log(chalk.yellow(`⚠️  Ignored ${problem}`)));
+    console.log(chalk.gray('Details of a setting: warp-tracker config get <key>'));
+    return values;
+  }
+
+  async showSetting(key) {
+    let setting;
+    try {
+      setting = settings.checkKey(key);
+    } catch (error) {
+      return this.reportError(error);
+    }
+
+    const { values, sources, problems } = settings.load({ globalFile: this.configFile });
+    const value = values[key];
+
+    if (this.json) {
+      this.printJson({
+        ok: true,
+        key,
+        value,
+        source: sources[key],
+        default: setting.default,
+        type: settings.describeType(key),
+        description: setting.description
+      });
+      return value;
+    }
+
+    console.log(`${key} = ${chalk.cyan(settings.formatValue(key, value))} ${chalk.gray(`(${this.describeSource(sources[key])})`)}`);
+    console.log(`  ${setting.description}`);
+    console.log(chalk.gray(`  Accepts: ${settings.describeType(key)}`));
+    console.log(chalk.gray(`  Default: ${settings.formatValue(key, setting.default)}`));
+    if (setting.type !== 'rules') {
+      console.log(chalk.gray(`  Environment: ${settings.envName(key)}`));
+    }
+    problems
+      .filter(problem => problem.includes(key))
+      .forEach(problem => console.log(chalk.yellow(`⚠️  Ignored ${problem}`)));
+    return value;
+  }
+
+  /**
+   * Set a setting from text typed on the command line
+   */
+  async setSetting(key, text, options = {}) {
+    let value;
+    let file;
+    try {
+      value = settings.parseValue(key, text);
+      file = await this.writeSetting(key, value, options.project);
+    } catch (error) {
+      return this.reportError(error);
+    }
+
+    if (this.json) {
+      this.printJson({ ok: true, key, value, file });
+      return value;
+    }
+
+    console.log(chalk.green(`✅ Configuration updated: ${key} = ${settings.formatValue(key, value)} (${file})`));
+    this.warnIfOverridden(key, file);
+    return value;
+  }
+
+  async unsetSetting(key, options = {}) {
+    await this.ready;
+    const file = options.project ? settings.findProjectFile(process.cwd()) : this.configFile;
+
+    try {
+      const config = file ? settings.readFile(file) : {};
+      // Settings that no longer exist can still be removed
+      if (!(key in config)) {
+        settings.checkKey(key);
+        if (this.json) {
+          this.printJson({ ok: true, key, file, removed: false });
+        } else {
+          console.log(chalk.yellow(`⚠️  ${key} is not set in ${file || `a ${settings.PROJECT_FILE}`}`));
+        }
+        return null;
+      }
+      delete config[key];
+      await writeJsonAtomic(file, config);
+    } catch (error) {
+      return this.reportError(error);
+    }
+
+    if (this.json) {
+      this.printJson({ ok: true, key, file, removed: true });
+      return key;
+    }
+
+    console.log(chalk.green(`✅ Removed ${key} from ${file}`));
+    this.warnIfOverridden(key, file);
+    return key;
+  }
+
+  /**
+   * Remove every setting from config.json (keeping progress rules) or from
+   * the project's .warp-tracker.json
+   */
+  async resetSettings(options = {}) {
+    await this.ready;
+    const file = options.project ? settings.findProjectFile(process.cwd()) : this.configFile;
+    let removed = [];
+
+    if (file) {
+      try {
+        const config = settings.readFile(file);
+        removed = Object.keys(config).filter(key => key !== 'rules' || options.project);
+        await writeJsonAtomic(file, config.rules && !options.project ? { rules: config.rules } : {});
+      } catch (error) {
+        return this.reportError(error);
+      }
+    }
+
+    if (this.json) {
+      this.printJson({ ok: true, file, removed });
+      return removed;
+    }
+
+    if (removed.length === 0) {
+      console.log(chalk.yellow(`⚠️  No settings to reset${file ? ` in ${file}` : ''}`));
+    } else {
+      console.log(chalk.green(`✅ Reset ${removed.length} setting${removed.length === 1 ? '' : 's'} in ${file}: ${removed.join(', ')}`));
+    }
+    return removed;
+  }
+
+  /**
+   * Point out when a later layer hides the value just written
+   */
+  warnIfOverridden(key, file) {
+    const source = settings.load({ globalFile: this.configFile }).sources[key];
+    if (source && source.file !== file && source.layer !== 'default') {
+      console.log(chalk.yellow(`⚠️  ${key} is overridden by the ${this.describeSource(source)}`));
+    }
+  }
+
+  /**
+   * Get all open tasks, most recently started first
+   */
+  getOpenTasks(data) {
+    return Object.values(data.tasks)
+      .sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+  }
+
+  /**
+   * Find an open task by id or name, falling back to the focused task
+   */
+  resolveTask(data, taskRef = null) {
+    if (!taskRef) {
+      return data.tasks[data.focusedTaskId] || null;
+    }
+
+    if (data.tasks[taskRef]) {
+      return data.tasks[taskRef];
+    }
+
+    return this.findTaskByName(data, taskRef);
+  }
+
+  /**
+   * Find an open task by case-insensitive name
+   */
+  findTaskByName(data, taskName) {
+    const needle = String(taskName).toLowerCase();
+    return this.getOpenTasks(data).find(task => task.name.toLowerCase() === needle) || null;
+  }
+
+  /**
+   * Move a finished task from the open set to history and fix up focus
+   */
+  closeTask(data, task) {
+    const accuracy = forecast.measureAccuracy(task, task.endTime || new Date());
+    if (accuracy) {
+      task.estimateAccuracy = accuracy;
+    }
+
+    delete data.tasks[task.id];
+    data.history.unshift(task);
+
+    if (data.focusedTaskId === task.id) {
+      const [nextTask] = this.getOpenTasks(data);
+      data.focusedTaskId = nextTask ? nextTask.id : null;
+    }
+  }
+
+  /**
+   * Drop a closed session task from activeTasks. Called once the close is
+   * written, since mutators may run again on a retry and must not touch
+   * in-memory state.
+   */
+  forgetSessionTask(task) {
+    if (task && task.sessionId) {
+      this.activeTasks.delete(task.sessionId);
+    }
+  }
+
+  /**
+   * Resolve a task or throw the error the user should see
+   */
+  requireTask(data, taskRef = null, fallbackMessage = 'No active task found') {
+    const task = this.resolveTask(data, taskRef);
+    if (!task) {
+      throw this.missingTaskError(taskRef, fallbackMessage);
+    }
+    return task;
+  }
+
+  missingTaskError(taskRef, fallbackMessage = 'No active task found') {
+    return new TrackerError(
+      taskRef ? `No open task matches "${taskRef}"` : fallbackMessage,
+      'TASK_NOT_FOUND'
+    );
+  }
+
+  derivedProgressError() {
+    return new TrackerError(
+      'Progress for this task is derived from its subtasks. Use: warp-tracker subtask check <subtask>',
+      'DERIVED_PROGRESS'
+    );
+  }
+
+  /**
+   * Print an expected error for the user; storage failures propagate
+   */
+  reportError(error) {
+    if (!(error instanceof TrackerError) || error instanceof StorageError) {
+      throw error;
+    }
+
+    this.failure = error;
+    if (this.json) {
+      this.printJson({ ok: false, error: { code: error.code, message: error.message } });
+    } else {
+      console.log(chalk.red(`❌ ${error.message}`));
+    }
+    return null;
+  }
+
+  /**
+   * Print a structured result for --json
+   */
+  printJson(result) {
+    console.log(JSON.stringify(result, null, 2));
+  }
+
+  /**
+   * A task as stored, plus its active time in milliseconds
+   */
+  taskToJson(task) {
+    return { ...task, activeMs: this.calculateActiveTime(task) };
+  }
+
+  displayTask(task, detailed = false) {
+    const config = this.loadConfig();
+    const progressBar = this.createProgressBar(task.progress, config.progressBarLength);
+    const activeTime = this.formatDuration(this.calculateActiveTime(task));
+    const elapsed = task.endTime ? 
+      this.calculateDuration(task.startTime, task.endTime) : 
+      this.calculateDuration(task.startTime);
+    
+    let content = '';
+    content += `${chalk.bold(task.name)}${task.status === 'paused' ? chalk.gray(' ⏸ paused') : ''}\n`;
+    
+    if (task.description) {
+      content += `${chalk.gray(task.description)}\n`;
+    }
+    
+    const labels = this.formatLabels(task);
+    if (labels) {
+      content += `${labels}\n`;
+    }
+    
+    content += `${progressBar} ${chalk.bold(task.progress + '%')}\n`;
+    
+    const startTime = new Date(task.startTime).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+    content += `Started: ${startTime} • Active: ${activeTime} • Elapsed: ${elapsed}`;
+
+    if (task.idle) {
+      content += task.status === 'paused' ?
+        chalk.gray(`\n💤 Idle since ${this.formatClock(new Date(task.idle.since))}`) :
+        chalk.gray(`\n💤 ${this.formatDuration(new Date(task.idle.detectedAt) - new Date(task.idle.since))} idle counted as work (warp-tracker idle)`);
+    }
+
+    if (task.estimateAccuracy) {
+      content += `\n${this.formatAccuracy(task.estimateAccuracy)}`;
+    } else if (!task.endTime) {
+      content += this.formatForecast(task);
+    }
+
+    if (detailed) {
+      content += `\n${chalk.gray('ID: ' + task.id)}`;
+    }
+    
+    if (detailed && this.hasSubtasks(task)) {
+      content += `\n\n${chalk.dim('Subtasks:')}`;
+      task.subtasks.forEach((subtask, index) => {
+        const check = subtask.done ? chalk.green('☑') : '☐';
+        const weight = subtask.weight !== 1 ? chalk.gray(` (×${subtask.weight})`) : '';
+        const title = subtask.done ? chalk.gray(subtask.title) : subtask.title;
+        content += `\n  ${index + 1}. ${check} ${title}${weight}`;
+      });
+    }
+
+    if (detailed && task.updates.length > 0) {
+      content += `\n\n${chalk.dim('Recent Updates:')}`;
+      task.updates.slice(-3).forEach(update => {
+        const time = new Date(update.timestamp).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+        content += `\n  ${time}: ${update.progress}%${update.message ? ' - ' + update.message : ''}`;
+      });
+    }
+
+    if (detailed && task.commands && task.commands.length > 0) {
+      content += `\n\n${chalk.dim('Recent Commands:')}`;
+      task.commands.slice(-5).forEach(entry => {
+        const time = new Date(entry.startedAt).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+        const result = entry.exitCode === null ? chalk.blue('…') :
+          entry.exitCode === 0 ? chalk.green('✓') : chalk.red(`✗ ${entry.exitCode}`);
+        const duration = entry.durationMs !== null ? chalk.gray(` (${this.formatCommandDuration(entry.durationMs)})`) : '';
+        content += `\n  ${time}: ${result} ${entry.command}${duration}`;
+      });
+    }
+
+    if (detailed && task.commits && task.commits.length > 0) {
+      content += `\n\n${chalk.dim(`Commits (${this.summarizeCommits(task.commits)}):`)}`;
+      task.commits.slice(-5).forEach(commit => {
+        const stats = chalk.gray(` ${chalk.green(`+${commit.insertions}`)} ${chalk.red(`-${commit.deletions}`)}, ${commit.filesChanged} file(s)`);
+        content += `\n  ${chalk.yellow(commit.sha.slice(0, 7))} ${commit.subject}${stats}`;
+      });
+    }
+
+    const box = boxen(content, {
+      padding: 1,
+      margin: 1,
+      borderStyle: 'round',
+      borderColor: task.status === 'completed' ? 'green' : 
+                  task.status === 'stopped' ? 'yellow' :
+                  task.status === 'paused' ? 'gray' : 'blue'
+    });
+
+    console.log(box);
+  }
+
+  /**
+   * "3 commits, +120 -14" for a task's linked commits
+   */
+  summarizeCommits(commits) {
+    const insertions = commits.reduce((sum, commit) => sum + commit.insertions, 0);
+    const deletions = commits.reduce((sum, commit) => sum + commit.deletions, 0);
+    return `${commits.length} commit${commits.length === 1 ? '' : 's'}, +${insertions} -${deletions}`;
+  }
+
+  createProgressBar(percentage, length = 30) {
+    const filled = Math.round((percentage / 100) * length);
+    const empty = length - filled;
+    const filledBar = '█'.repeat(filled);
+    const emptyBar = '░'.repeat(empty);
+    
+    return chalk.green(filledBar) + chalk.gray(emptyBar);
+  }
+
+  calculateDuration(startTime, endTime = null) {
+    const start = new Date(startTime);
+    const end = endTime ? new Date(endTime) : new Date();
+    return this.formatDuration(end - start);
+  }
+
+  /**
+   * Milliseconds actually worked: the sum of the task's work intervals
+   */
+  calculateActiveTime(task, now = new Date()) {
+    return forecast.activeTime(task, now);
+  }
+
+  /**
+   * Estimate and projected finish lines for an open task
+   */
+  formatForecast(task) {
+    const projection = forecast.forecastTask(task);
+    let content = '';
+
+    if (task.estimateMs) {
+      content += `\nEstimate: ${this.formatDuration(task.estimateMs)}`;
+      if (projection && projection.overEstimate) {
+        content += chalk.red(` • ⚠️  over by ${this.formatDuration(projection.overByMs)}`);
+      } else if (projection && projection.projectedOver) {
+        content += chalk.yellow(` • projected ${this.formatDuration(projection.projectedTotalMs)}`);
+      }
+    }
+
+    if (projection) {
+      content += `\nETA: ${this.formatClock(projection.finishAt)}`;
+      if (projection.earliestAt) {
+        content += chalk.gray(` (${this.formatClock(projection.earliestAt)} – ${this.formatClock(projection.latestAt)}, ${projection.confidence} confidence)`);
+      } else {
+        content += chalk.gray(' (from estimate)');
+      }
+    }
+
+    return content;
+  }
+
+  formatAccuracy(accuracy) {
+    const percent = Math.round(accuracy.ratio * 100);
+    const color = accuracy.ratio > 1 ? chalk.yellow : chalk.green;
+    return `Estimate: ${this.formatDuration(accuracy.estimateMs)} • Actual: ${this.formatDuration(accuracy.actualMs)} ${color(`(${percent}%)`)}`;
+  }
+
+  /**
+   * Time of day, with the date when it is not today and the year when it is
+   * not this year
+   */
+  formatClock(date) {
+    const now = new Date();
+    const time = date.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+    if (date.toDateString() === now.toDateString()) {
+      return time;
+    }
+
+    const day = date.getFullYear() === now.getFullYear() ?
+      {month: 'short', day: 'numeric'} :
+      {year: 'numeric', month: 'short', day: 'numeric'};
+    return `${date.toLocaleDateString([], day)} ${time}`;
+  }
+
+  /**
+   * Commands mostly take seconds, so show those rather than "0m"
+   */
+  formatCommandDuration(ms) {
+    if (ms < 1000) {
+      return `${ms}ms`;
+    }
+    if (ms < 60 * 1000) {
+      return `${(ms / 1000).toFixed(1)}s`;
+    }
+    return this.formatDuration(ms);
+  }
+
+  formatDuration(diffMs) {
+    const hours = Math.floor(diffMs / (1000 * 60 * 60));
+    const minutes = Math.floor((diffMs % (1000 * 60 * 60)) / (1000 * 60));
+    
+    if (hours > 0) {
+      return `${hours}h ${minutes}m`;
+    }
+    return `${minutes}m`;
+  }
+
+  // ===== AUTOMATIC TASK MANAGEMENT =====
+
+  /**
+   * Scan for Warp sessions and auto-create tasks
+   */
+  async scanAndCreateTasks() {
+    try {
+      await this.restoreSessionTasks();
+      const changes = await this.sessionManager.detectSessionChanges();
+      
+      // Create tasks for new sessions
+      for (const session of changes.newSessions) {
+        await this.createTaskForSession(session);
+      }
+
+      // Clean up tasks for closed sessions
+      for (const sessionId of changes.closedSessions) {
+        await this.handleClosedSession(sessionId);
+      }
+
+      // Follow sessions into their new directories
+      for (const move of changes.movedSessions) {
+        await this.handleSessionMoved(move);
+      }
+
+      await this.handleSessionCommits(changes.committedSessions);
+      await this.linkManualTaskCommits();
+
+      for (const idle of changes.idleSessions) {
+        await this.handleSessionIdle(idle);
+      }
+
+      for (const resumed of changes.resumedSessions) {
+        await this.handleSessionActive(resumed);
+      }
+
+      return {
+        newTasks: changes.newSessions.length,
+        closedTasks: changes.closedSessions.length,
+        movedTasks: changes.movedSessions.length,
+        allSessions: changes.allSessions
+      };
+    } catch (error) {
+      console.error('Error scanning for tasks:', error);
+      return { newTasks: 0, closedTasks: 0, movedTasks: 0, allSessions: [] };
+    }
+  }
+
+  /**
+   * Create a task for a new Warp session, unless the configured filters
+   * leave the session untracked
+   */
+  async createTaskForSession(session) {
+    if (session.tracked === false) {
+      return null;
+    }
+
+    try {
+      const { task, created } = await this.mutateData('session.task-created', data => {
+        // Check if we already have a task for this session
+        const existingTask = this.findSessionTask(data, session.sessionId);
+        if (existingTask) {
+          return { task: existingTask, created: false };
+        }
+
+        const newTask = this.buildSessionTask(session);
+
+        // Session tasks live alongside manual tasks in the open set
+        data.tasks[newTask.id] = newTask;
+        return { task: newTask, created: true };
+      });
+
+      this.activeTasks.set(session.sessionId, task);
+      if (!created) {
+        return task;
+      }
+
+      const config = await this.loadConfig();
+      if (config.notifications) {
+        notifier.notify({
+          title: 'Warp Task Tracker',
+          message: `Auto-created task: ${session.taskName}`,
+          icon: path.join(__dirname, '../assets/icon.png')
+        });
+      }
+
+      return task;
+    } catch (error) {
+      console.error('Error creating task for session:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Build the task record for a newly seen session
+   */
+  buildSessionTask(session) {
+    const startTime = new Date().toISOString();
+    const task = {
+      id: `${session.sessionId}_${Date.now()}`,
+      name: session.taskName,
+      description: session.taskDescription,
+      startTime,
+      progress: 0,
+      updates: [],
+      subtasks: [],
+      intervals: [{ start: startTime, end: null }],
+      tags: [],
+      priority: 'normal',
+      project: session.projectName && session.projectName !== 'Unknown Project' ? session.projectName : null,
+      status: 'in-progress',
+      sessionId: session.sessionId,
+      sessionInfo: {
+        // Which session provider reported the session, and may close it
+        provider: session.provider,
+        windowId: session.windowId,
+        pid: session.pid,
+        projectName: session.projectName,
+        workingDir: session.workingDir,
+        title: session.title,
+        // The generated name, to tell whether the user has renamed the task
+        taskName: session.taskName,
+        lastSeen: startTime
+      }
+    };
+
+    if (session.git) {
+      task.git = this.describeGit(session.git);
+    }
+
+    if (session.command) {
+      task.sessionInfo.command = session.command;
+    }
+    if (session.tmux) {
+      task.sessionInfo.tmux = session.tmux;
+    }
+    return task;
+  }
+
+  /**
+   * The repository details stored on a session task
+   */
+  describeGit(git) {
+    return {
+      root: git.root,
+      remote: git.remote,
+      branch: git.branch,
+      head: git.head,
+      commit: git.commit,
+      issueKeys: git.issueKeys.slice()
+    };
+  }
+
+  /**
+   * Handle a closed Warp session
+   */
+  async handleClosedSession(sessionId) {
+    try {
+      const task = await this.mutateData('session.task-stopped', data => {
+        const task = this.findSessionTask(data, sessionId);
+        if (!task) {
+          return null;
+        }
+
+        // Mark task as stopped and move to history
+        task.endTime = new Date().toISOString();
+        this.endWorkInterval(task, task.endTime);
+        task.status = 'stopped';
+        this.closeTask(data, task);
+        return task;
+      });
+
+      this.activeTasks.delete(sessionId);
+      if (!task) {
+        return;
+      }
+
+      const config = await this.loadConfig();
+      if (config.notifications) {
+        notifier.notify({
+          title: 'Warp Task Tracker',
+          message: `Task auto-stopped: ${task.name}`,
+          icon: path.join(__dirname, '../assets/icon.png')
+        });
+      }
+    } catch (error) {
+      console.error('Error handling closed session:', error);
+    }
+  }
+
+  /**
+   * Handle a session whose working directory or git branch changed. The
+   * task records the new directory and repository. With `sessionRollover`
+   * enabled, moving into a different project stops the task and starts a new
+   * one; a new branch in the same project renames the task or splits it in
+   * the same way, as `branchChange` says. A session the filters left
+   * untracked gets a task once it moves somewhere tracked, and rolling over
+   * into an untracked place only stops the task.
+   */
+  async handleSessionMoved({ session, previousProjectName, previousGit = null, previouslyTracked = true }) {
+    try {
+      if (!previouslyTracked && session.tracked !== false) {
+        const task = await this.createTaskForSession(session);
+        return task ? { task, closedTask: null } : null;
+      }
+
+      const config = await this.loadConfig();
+      const projectChanged = session.projectName !== previousProjectName;
+      const branchChanged = !projectChanged && this.sessionManager.branchOf({ git: previousGit }) !==
+        this.sessionManager.branchOf(session);
+
+      const rollover = (config.sessionRollover && projectChanged) ||
+        (branchChanged && config.branchChange === 'split');
+      const rename = branchChanged && config.branchChange === 'rename';
+      const eventType = rollover ? 'session.rolled-over' : rename ? 'session.branch-changed' : 'session.moved';
+
+      const result = await this.mutateData(eventType, data => {
+        const task = this.findSessionTask(data, session.sessionId);
+        if (!task) {
+          return null;
+        }
+
+        if (!rollover) {
+          task.sessionInfo.workingDir = session.workingDir;
+          task.sessionInfo.projectName = session.projectName;
+          task.sessionInfo.title = session.title;
+          task.sessionInfo.pid = session.pid;
+          if (session.git) {
+            task.git = this.describeGit(session.git);
+          } else {
+            delete task.git;
+          }
+
+          // Only names the user has not changed follow the branch
+          if (rename && task.name === task.sessionInfo.taskName) {
+            task.name = session.taskName;
+            task.sessionInfo.taskName = session.taskName;
+          }
+          return { task, closedTask: null };
+        }
+
+        task.endTime = new Date().toISOString();
+        this.endWorkInterval(task, task.endTime);
+        task.status = 'stopped';
+        task.completionMessage = projectChanged ?
+          `Session moved to ${session.workingDir}` :
+          `Switched to ${session.git ? session.git.branch || session.git.head.slice(0, 7) : session.workingDir}`;
+        const wasFocused = data.focusedTaskId === task.id;
+        this.closeTask(data, task);
+
+        if (session.tracked === false) {
+          return { task: null, closedTask: task };
+        }
+
+        const newTask = this.buildSessionTask(session);
+        data.tasks[newTask.id] = newTask;
+        if (wasFocused) {
+          data.focusedTaskId = newTask.id;
+        }
+        return { task: newTask, closedTask: task };
+      });
+
+      if (result && result.closedTask) {
+        this.forgetSessionTask(result.closedTask);
+      }
+      if (result && result.task) {
+        this.activeTasks.set(session.sessionId, result.task);
+      }
+
+      if (result && result.closedTask && result.task && config.notifications) {
+        notifier.notify({
+          title: 'Warp Task Tracker',
+          message: `Switched to ${projectChanged ? session.projectName : 'a new branch'}: ${result.task.name}`,
+          icon: path.join(__dirname, '../assets/icon.png')
+        });
+      }
+      return result;
+    } catch (error) {
+      console.error('Error handling moved session:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Pause or stop the task of a session that went idle. With `idleTrim`
+   * set to auto the task is paused or stopped as of the last activity;
+   * otherwise as of now, keeping the idle minutes until they are trimmed.
+   * `task.idle` records the idle period.
+   */
+  async handleSessionIdle({ session, idleSince }) {
+    try {
+      const config = await this.loadConfig();
+      const detectedAt = new Date().toISOString();
+      // Whether the user is to be asked about the idle minutes
+      const pending = config.idleTrim === 'ask';
+
+      const task = await this.mutateData('session.idle', data => {
+        const task = this.findSessionTask(data, session.sessionId);
+        if (!task || task.status !== 'in-progress') {
+          return null;
+        }
+
+        // Idle time before the current work interval began is not the task's
+        const intervals = task.intervals || [];
+        const workStart = intervals.length > 0 ? intervals[intervals.length - 1].start : task.startTime;
+        const since = new Date(Math.max(idleSince, new Date(workStart).getTime())).toISOString();
+        const at = config.idleTrim === 'auto' ? since : detectedAt;
+
+        task.idle = { since, detectedAt, action: config.idleAction, pending };
+        if (config.idleAction === 'stop') {
+          task.endTime = at;
+          this.endWorkInterval(task, at);
+          task.status = 'stopped';
+          task.completionMessage = `Stopped after ${config.idleTimeout}m idle`;
+          // A stopped task is never resumed, so only a pending record is kept
+          if (!pending) {
+            delete task.idle;
+          }
+          this.closeTask(data, task);
+        } else {
+          this.applyPause(task, at);
+        }
+        return task;
+      });
+
+      if (task && task.status === 'paused') {
+        this.activeTasks.set(session.sessionId, task);
+      } else {
+        this.forgetSessionTask(task);
+      }
+      return task;
+    } catch (error) {
+      console.error('Error handling idle session:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Activity came back to an idle session: resume the task paused for being
+   * idle, or start a new one if it was stopped. With `idleTrim` set to ask,
+   * the idle period stays on the task for `warp-tracker idle` to resolve.
+   * Resolves to { task, created }.
+   */
+  async handleSessionActive({ session, activeAt }) {
+    try {
+      const config = await this.loadConfig();
+      const at = new Date(activeAt).toISOString();
+
+      const resumed = await this.mutateData('session.active', data => {
+        const task = this.findSessionTask(data, session.sessionId);
+        if (!task || task.status !== 'paused' || !task.idle) {
+          return null;
+        }
+
+        this.applyResume(task, at);
+        if (!task.idle.pending) {
+          delete task.idle;
+        }
+        return task;
+      });
+
+      let result;
+      if (resumed) {
+        this.activeTasks.set(session.sessionId, resumed);
+        result = { task: resumed, created: false };
+      } else {
+        const data = await this.loadData();
+        if (this.findSessionTask(data, session.sessionId)) {
+          return null;
+        }
+        // The task was stopped for being idle; the session gets a fresh one
+        const task = await this.createTaskForSession(session);
+        result = task ? { task, created: true } : null;
+      }
+
+      const pending = this.getPendingIdleTasks(await this.loadData());
+      if (config.notifications && pending.length > 0) {
+        notifier.notify({
+          title: 'Warp Task Tracker',
+          message: `Welcome back! Run "warp-tracker idle" to remove idle time from ${pending.length} task(s)`,
+          icon: path.join(__dirname, '../assets/icon.png')
+        });
+      }
+      return result;
+    } catch (error) {
+      console.error('Error handling active session:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Tasks with idle time the user has not decided about yet: resumed or
+   * stopped tasks whose `idle` record is pending
+   */
+  getPendingIdleTasks(data) {
+    return this.getAllTasks(data).filter(task => task.idle && task.idle.pending && task.status !== 'paused');
+  }
+
+  /**
+   * List tasks with idle time counted as work, or remove it (`trim`) or
+   * accept it (`keep`) for one task or all of them
+   */
+  async resolveIdle(options = {}) {
+    if (!options.trim && !options.keep) {
+      const data = await this.loadData();
+      const pending = this.getPendingIdleTasks(data);
+      if (pending.length === 0) {
+        console.log(chalk.green('✅ No idle time waiting to be trimmed'));
+        return [];
+      }
+
+      console.log(chalk.blue('💤 Idle time counted as work:'));
+      pending.forEach((task, index) => {
+        const idleMs = new Date(task.idle.detectedAt) - new Date(task.idle.since);
+        console.log(`${index + 1}. ${chalk.bold(task.name)} ${chalk.gray(task.id)}`);
+        console.log(`   ${this.formatDuration(idleMs)} idle from ${this.formatClock(new Date(task.idle.since))} to ${this.formatClock(new Date(task.idle.detectedAt))}`);
+      });
+      console.log(chalk.gray('\nRemove it with "warp-tracker idle --trim" or keep it with "warp-tracker idle --keep" (add --task to pick one)'));
+      return pending;
+    }
+
+    let tasks;
+    try {
+      tasks = await this.mutateData(options.trim ? 'task.idle-trimmed' : 'task.idle-kept', data => {
+        const pending = this.getPendingIdleTasks(data);
+        // Idle-stopped tasks are in history, so look among the pending ones
+        const selected = options.task ?
+          pending.filter(task => task.id === options.task || task.name.toLowerCase() === options.task.toLowerCase()) :
+          pending;
+        if (selected.length === 0) {
+          throw new TrackerError(options.task ? 'That task has no idle time to resolve' : 'No idle time waiting to be trimmed', 'NO_IDLE_TIME');
+        }
+
+        selected.forEach(task => {
+          if (options.trim) {
+            this.applyIdleTrim(task);
+          }
+          delete task.idle;
+        });
+        return selected;
+      });
+    } catch (error) {
+      return this.reportError(error);
+    }
+
+    const verb = options.trim ? 'Removed idle time from' : 'Kept idle time on';
+    tasks.forEach(task => {
+      console.log(chalk.green(`✅ ${verb} "${task.name}" (active: ${this.formatDuration(this.calculateActiveTime(task))})`));
+    });
+    return tasks;
+  }
+
+  /**
+   * Move the end of the work interval (and of the task, if the idle period
+   * stopped it) back from when idleness was detected to when it began
+   */
+  applyIdleTrim(task) {
+    const { since, detectedAt } = task.idle;
+    const sinceMs = new Date(since).getTime();
+
+    task.intervals = (task.intervals || [])
+      .map(interval => {
+        if (interval.end !== detectedAt) {
+          return interval;
+        }
+        return new Date(interval.start).getTime() < sinceMs ? { start: interval.start, end: since } : null;
+      })
+      .filter(Boolean);
+
+    if (task.endTime === detectedAt) {
+      task.endTime = since;
+      const accuracy = forecast.measureAccuracy(task, task.endTime);
+      if (accuracy) {
+        task.estimateAccuracy = accuracy;
+      }
+    }
+  }
+
+  /**
+   * Pick up the session tasks stored by an earlier run, once per process.
+   * Tasks whose session is still open are restored and their sessions marked
+   * as known, so they are neither recreated nor reported as new; tasks whose
+   * session closed while no tracker was running are stopped as of the last
+   * time they were seen. Tasks of sessions from a provider that is not in
+   * use, e.g. after changing the sessionProvider setting, are left alone.
+   */
+  restoreSessionTasks() {
+    if (!this.sessionsRestored) {
+      this.sessionsRestored = this.reconcileSessionTasks().catch(error => {
+        console.error('Error restoring session tasks:', error);
+      });
+    }
+    return this.sessionsRestored;
+  }
+
+  async reconcileSessionTasks() {
+    await this.ready;
+
+    // Ask the provider directly: an error must not look like every session
+    // having closed
+    let liveIds;
+    try {
+      liveIds = new Set((await this.sessionManager.provider.listSessions()).map(session => session.sessionId));
+    } catch (error) {
+      console.error(`Could not list sessions from ${this.sessionManager.provider.name}; keeping session tasks open:`, error.message);
+      return { restored: [], closed: [] };
+    }
+
+    const { restored, closed } = await this.mutateData('session.reconciled', data => {
+      const restored = [];
+      const closed = [];
+
+      this.getOpenTasks(data).filter(task => this.ownsSessionTask(task)).forEach(task => {
+        if (liveIds.has(task.sessionId)) {
+          restored.push(task);
+          return;
+        }
+
+        task.endTime = this.lastSessionActivity(task);
+        this.endWorkInterval(task, task.endTime);
+        task.status = 'stopped';
+        task.completionMessage = 'Session closed while the tracker was not running';
+        this.closeTask(data, task);
+        closed.push(task);
+      });
+
+      return { restored, closed };
+    });
+
+    this.syncActiveTasks(await this.loadData());
+
+    // Compare the next scan against each session as it was last recorded,
+    // so directory and branch changes made in the meantime are picked up
+    this.sessionManager.restoreSessions(restored.map(task => ({
+      sessionId: task.sessionId,
+      provider: sessionTaskProvider(task),
+      windowId: task.sessionInfo.windowId,
+      pid: task.sessionInfo.pid,
+      title: task.sessionInfo.title,
+      workingDir: task.sessionInfo.workingDir,
+      projectName: task.sessionInfo.projectName,
+      git: task.git || null
+    })));
+
+    return { restored, closed };
+  }
+
+  /**
+   * Whether a task belongs to a session of the provider in use. Tasks that
+   * do not say which provider reported them are assumed to.
+   */
+  ownsSessionTask(task) {
+    if (!task.sessionId) {
+      return false;
+    }
+    const provider = sessionTaskProvider(task);
+    return !provider || this.sessionManager.provider.covers(provider);
+  }
+
+  /**
+   * The latest moment a session task is known to have been alive: the last
+   * heartbeat, update, command or work interval start
+   */
+  lastSessionActivity(task) {
+    const times = [task.startTime, task.sessionInfo && task.sessionInfo.lastSeen];
+    (task.updates || []).forEach(update => times.push(update.timestamp));
+    (task.commands || []).forEach(entry => times.push(entry.finishedAt || entry.startedAt));
+    (task.intervals || []).forEach(interval => times.push(interval.end || interval.start));
+
+    const latest = Math.max(...times.filter(Boolean).map(time => new Date(time).getTime()));
+    return new Date(Math.min(latest, Date.now())).toISOString();
+  }
+
+  /**
+   * Record on every open session task that its session is still open
+   */
+  async recordSessionHeartbeat() {
+    const liveIds = new Set(this.sessionManager.getAllSessions().map(session => session.sessionId));
+    const now = new Date().toISOString();
+
+    try {
+      // Bookkeeping only, so not journaled; the journal ignores lastSeen
+      await this.mutateData(null, data => {
+        this.getOpenTasks(data)
+          .filter(task => task.sessionId && liveIds.has(task.sessionId))
+          .forEach(task => {
+            task.sessionInfo.lastSeen = now;
+          });
+      });
+    } catch (error) {
+      console.error('Error recording session heartbeat:', error);
+    }
+  }
+
+  /**
+   * Point the in-memory session index at the stored session tasks
+   */
+  syncActiveTasks(data) {
+    this.activeTasks.clear();
+    this.getOpenTasks(data)
+      .filter(task => task.sessionId)
+      .forEach(task => this.activeTasks.set(task.sessionId, task));
+  }
+
+  /**
+   * Find the open task that belongs to a session
+   */
+  findSessionTask(data, sessionId) {
+    return this.getOpenTasks(data).find(task => task.sessionId === sessionId) || null;
+  }
+
+  /**
+   * Get all active session-based tasks
+   */
+  getActiveSessionTasks() {
+    return Array.from(this.activeTasks.values());
+  }
+
+  /**
+   * Get task for a specific session
+   */
+  getTaskForSession(sessionId) {
+    return this.activeTasks.get(sessionId);
+  }
+
+  /**
+   * Update progress for a specific session task
+   */
+  async updateSessionTaskProgress(sessionId, percentage, message = '') {
+    if (percentage < 0 || percentage > 100) {
+      throw new Error('Progress percentage must be between 0 and 100');
+    }
+
+    const { task, previousProgress } = await this.mutateData('session.progress', data => {
+      const task = this.findSessionTask(data, sessionId);
+      if (!task) {
+        throw new Error(`No task found for session ${sessionId}`);
+      }
+
+      const previousProgress = task.progress;
+      task.progress = percentage;
+      task.updates.push({
+        timestamp: new Date().toISOString(),
+        progress: percentage,
+        message
+      });
+      return { task, previousProgress };
+    });
+
+    this.activeTasks.set(sessionId, task);
+
+    const config = await this.loadConfig();
+    const change = percentage - previousProgress;
+    if (config.notifications && change >= 25) {
+      notifier.notify({
+        title: 'Warp Task Tracker',
+        message: `${task.name}: ${percentage}% complete`,
+        icon: path.join(__dirname, '../assets/icon.png')
+      });
+    }
+
+    return task;
+  }
+
+  /**
+   * Pause the task that belongs to a session
+   */
+  async pauseSessionTask(sessionId, at = new Date().toISOString()) {
+    const task = await this.mutateData('session.paused', data => {
+      const task = this.findSessionTask(data, sessionId);
+      if (!task) {
+        throw new Error(`No task found for session ${sessionId}`);
+      }
+
+      this.applyPause(task, at);
+      return task;
+    });
+
+    this.activeTasks.set(sessionId, task);
+    return task;
+  }
+
+  /**
+   * Resume the task that belongs to a session
+   */
+  async resumeSessionTask(sessionId, at = new Date().toISOString()) {
+    const task = await this.mutateData('session.resumed', data => {
+      const task = this.findSessionTask(data, sessionId);
+      if (!task) {
+        throw new Error(`No task found for session ${sessionId}`);
+      }
+
+      this.applyResume(task, at);
+      return task;
+    });
+
+    this.activeTasks.set(sessionId, task);
+    return task;
+  }
+
+  /**
+   * Focus the task that belongs to a session
+   */
+  async setCurrentTaskFromSession(sessionId) {
+    return this.mutateData('task.focused', data => {
+      const task = this.findSessionTask(data, sessionId);
+      if (!task) {
+        throw new Error(`No task found for session ${sessionId}`);
+      }
+
+      data.focusedTaskId = task.id;
+      return task;
+    });
+  }
+
+  /**
+   * Get current task or suggest one based on active Warp session
+   */
+  async getCurrentOrSuggestedTask() {
+    const data = await this.loadData();
+    
+    const focusedTask = this.resolveTask(data);
+    if (focusedTask) {
+      return { type: 'current', task: focusedTask };
+    }
+
+    // Try to get the active Warp session
+    const activeSession = await this.sessionManager.getActiveWarpSession();
+    if (activeSession) {
+      const suggestedTask = this.findSessionTask(data, activeSession.sessionId);
+      if (suggestedTask) {
+        return { type: 'suggested', task: suggestedTask, session: activeSession };
+      }
+    }
+
+    // Return the most recent open task if any
+    const openTasks = this.getOpenTasks(data);
+    if (openTasks.length > 0) {
+      return { type: 'suggested', task: openTasks[0] };
+    }
+
+    return { type: 'none', task: null };
+  }
+
+  // ===== SHELL EVENTS =====
+
+  /**
+   * Print the shell integration script for `warp-tracker init <shell>`
+   */
+  printShellHook(shell) {
+    try {
+      process.stdout.write(generateHook(shell, this.socketPath));
+    } catch (error) {
+      return this.reportError(error);
+    }
+  }
+
+  /**
+   * Forward one event line to the listening tracker; used by the hooks
+   * when neither socat nor nc is installed
+   */
+  async emitShellEvent(line) {
+    try {
+      await EventServer.send(this.socketPath, line);
+    } catch (error) {
+      // Hooks fire on every command; stay quiet when nobody is listening
+      if (error.code !== 'NOT_LISTENING') {
+        return this.reportError(error);
+      }
+    }
+  }
+
+  /**
+   * Start receiving shell events on the tracker's socket
+   */
+  async startEventServer() {
+    await this.ready;
+    if (this.eventServer) {
+      return this.eventServer;
+    }
+
+    const server = new EventServer(this.socketPath, event => this.queueShellEvent(event));
+    await server.start();
+    this.eventServer = server;
+    return server;
+  }
+
+  async stopEventServer() {
+    if (this.shellEventTimer) {
+      clearTimeout(this.shellEventTimer);
+      this.shellEventTimer = null;
+    }
+    await this.flushShellEvents();
+
+    if (this.eventServer) {
+      await this.eventServer.stop();
+      this.eventServer = null;
+    }
+  }
+
+  queueShellEvent(event) {
+    this.pendingShellEvents.push(event);
+    if (!this.shellEventTimer) {
+      this.shellEventTimer = setTimeout(() => {
+        this.shellEventTimer = null;
+        this.flushShellEvents();
+      }, SHELL_EVENT_BATCH_MS);
+    }
+  }
+
+  async flushShellEvents() {
+    const events = this.pendingShellEvents.splice(0);
+    if (events.length === 0) {
+      return [];
+    }
+
+    try {
+      return await this.recordShellEvents(events);
+    } catch (error) {
+      console.error('Error recording shell events:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Attach shell events to the timelines of the session tasks whose shells
+   * ran them. Events from shells that belong to no open session task are
+   * dropped. Returns the tasks that changed.
+   */
+  async recordShellEvents(events) {
+    events = EventServer.orderEvents(events);
+    const ancestries = new Map();
+    for (const event of events) {
+      if (!ancestries.has(event.shellPid)) {
+        ancestries.set(event.shellPid, await this.sessionManager.getProcessAncestry(event.shellPid));
+      }
+    }
+
+    // The timeline is telemetry rather than an edit, so it is not journaled;
+    // undo and rebuild keep it (see TELEMETRY in src/journal.js)
+    const { tasks, finished } = await this.mutateData(null, data => {
+      const changed = new Map();
+      const finished = [];
+      events.forEach(event => {
+        const task = this.findShellTask(data, ancestries.get(event.shellPid));
+        if (task) {
+          this.applyShellEvent(task, event);
+          changed.set(task.id, task);
+          if (event.type === 'command.finish') {
+            finished.push({ taskId: task.id, event });
+          }
+        }
+      });
+      return { tasks: [...changed.values()], finished };
+    });
+
+    tasks.forEach(task => {
+      this.activeTasks.set(task.sessionId, task);
+      const latest = task.commands[task.commands.length - 1];
+      this.sessionManager.idleDetector.recordActivity(task.sessionId, latest.finishedAt || latest.startedAt);
+    });
+
+    if (finished.length > 0) {
+      await this.applyProgressRules(finished);
+    }
+    return tasks;
+  }
+
+  /**
+   * The open session task whose shell is nearest in a process ancestry
+   */
+  findShellTask(data, ancestry) {
+    const sessionTasks = this.getOpenTasks(data).filter(task => task.sessionInfo);
+    for (const pid of ancestry) {
+      const task = sessionTasks.find(candidate =>
+        candidate.sessionInfo.pid === pid || candidate.sessionInfo.windowId === pid);
+      if (task) {
+        return task;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Add a shell event to a task's command timeline. Events carrying a
+   * command number (`seq`) are paired by it, so a start that arrives after
+   * its finish completes the entry the finish made.
+   */
+  applyShellEvent(task, event) {
+    task.commands = task.commands || [];
+    const numbered = event.seq !== null && event.seq !== undefined;
+
+    if (event.type === 'command.start') {
+      const finished = numbered && task.commands.find(candidate =>
+        candidate.shellPid === event.shellPid && candidate.seq === event.seq && candidate.startEstimated);
+
+      if (finished) {
+        finished.startedAt = event.timestamp;
+        delete finished.startEstimated;
+      } else {
+        task.commands.push({
+          command: event.command,
+          cwd: event.cwd,
+          shellPid: event.shellPid,
+          seq: numbered ? event.seq : null,
+          startedAt: event.timestamp,
+          finishedAt: null,
+          exitCode: null,
+          durationMs: null
+        });
       }
     } else {
-      console.log(chalk.blue('🔧 Current Configuration:'));
-      Object.entries(config).forEach(([key, value]) => {
-        console.log(`  ${key}: ${chalk.cyan(value)}`);
-      });
+      let entry = task.commands.slice().reverse().find(candidate =>
+        candidate.shellPid === event.shellPid && candidate.finishedAt === null &&
+        (numbered ? candidate.seq === event.seq : candidate.command === event.command));
+
+      // The start has not arrived yet, or was missed because the tracker
+      // started mid-command
+      if (!entry) {
+        const startedAt = new Date(new Date(event.timestamp).getTime() - (event.durationMs || 0));
+        entry = {
+          command: event.command,
+          cwd: event.cwd,
+          shellPid: event.shellPid,
+          seq: numbered ? event.seq : null,
+          startedAt: startedAt.toISOString(),
+          startEstimated: true
+        };
+        task.commands.push(entry);
+      }
+
+      entry.finishedAt = event.timestamp;
+      entry.exitCode = event.exitCode;
+      entry.durationMs = event.durationMs;
+      entry.cwd = event.cwd || entry.cwd;
+    }
+
+    // Keep the timeline in start order when events arrived out of order
+    task.commands.sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+
+    if (task.commands.length > MAX_COMMANDS) {
+      task.commands.splice(0, task.commands.length - MAX_COMMANDS);
     }
   }
 
-  displayTask(task, detailed = false) {
-    const config = this.loadConfig();
-    const progressBar = this.createProgressBar(task.progress);
-    const duration = task.endTime ? 
-      this.calculateDuration(task.startTime, task.endTime) : 
-      this.calculateDuration(task.startTime);
-    
-    let content = '';
-    content += `${chalk.bold(task.name)}\n`;
-    
-    if (task.description) {
-      content += `${chalk.gray(task.description)}\n`;
+  // ===== COMMITS =====
+
+  /**
+   * Link to open tasks the commits made in their repositories while they
+   * were open: commits on HEAD by the repository's git user since the task
+   * started (or since its latest linked commit). A commit is linked to one
+   * task only. `taskIds` limits this to some tasks. Commit rules then run
+   * over the new commits. Returns [{ task, commits }] for the tasks that
+   * gained commits.
+   */
+  async linkTaskCommits(taskIds = null) {
+    const candidates = this.getOpenTasks(await this.loadData())
+      .filter(task => task.git && task.git.root && (!taskIds || taskIds.includes(task.id)));
+
+    const found = new Map();
+    for (const task of candidates) {
+      const latest = (task.commits || [])[(task.commits || []).length - 1];
+      try {
+        found.set(task.id, await readCommits(task.git.root, {
+          since: latest ? latest.committedAt : task.startTime,
+          author: await readUserEmail(task.git.root)
+        }));
+      } catch (error) {
+        // The repository is gone or git is not installed; try again next time
+      }
     }
-    
-    content += `${progressBar} ${chalk.bold(task.progress + '%')}\n`;
-    
-    const startTime = new Date(task.startTime).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
-    content += `Started: ${startTime} • Duration: ${duration}`;
-    
-    if (detailed && task.updates.length > 0) {
-      content += `\n\n${chalk.dim('Recent Updates:')}`;
-      task.updates.slice(-3).forEach(update => {
-        const time = new Date(update.timestamp).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
-        content += `\n  ${time}: ${update.progress}%${update.message ? ' - ' + update.message : ''}`;
+
+    const link = data => {
+      const claimed = new Set();
+      this.getAllTasks(data).forEach(task => {
+        (task.commits || []).forEach(commit => claimed.add(commit.sha));
+      });
+
+      const linked = [];
+      found.forEach((commits, taskId) => {
+        const task = data.tasks[taskId];
+        const fresh = task ? commits.filter(commit => !claimed.has(commit.sha)) : [];
+        if (fresh.length === 0) {
+          return;
+        }
+
+        fresh.forEach(commit => claimed.add(commit.sha));
+        task.commits = (task.commits || []).concat(fresh);
+        if (task.commits.length > MAX_COMMITS) {
+          task.commits.splice(0, task.commits.length - MAX_COMMITS);
+        }
+        linked.push({ task, commits: fresh });
       });
+      return linked;
+    };
+
+    // Usually nothing is new; check before taking the write lock
+    if (found.size === 0 || link(await this.loadData()).length === 0) {
+      return [];
     }
 
-    const box = boxen(content, {
-      padding: 1,
-      margin: 1,
-      borderStyle: 'round',
-      borderColor: task.status === 'completed' ? 'green' : 
-                  task.status === 'stopped' ? 'yellow' : 'blue'
+    // Like the command timeline, linked commits are not journaled; undo and
+    // rebuild keep them
+    const linked = await this.mutateData(null, link);
+    linked.forEach(({ task }) => {
+      if (task.sessionId) {
+        this.activeTasks.set(task.sessionId, task);
+      }
     });
 
-    console.log(box);
+    const committed = [];
+    linked.forEach(({ task, commits }) => {
+      commits.forEach(commit => {
+        committed.push({ taskId: task.id, event: { commit, cwd: task.git.root, timestamp: commit.committedAt } });
+      });
+    });
+    await this.applyProgressRules(committed);
+    return linked;
   }
 
-  createProgressBar(percentage, length = 30) {
-    const filled = Math.round((percentage / 100) * length);
-    const empty = length - filled;
-    const filledBar = '█'.repeat(filled);
-    const emptyBar = '░'.repeat(empty);
-    
-    return chalk.green(filledBar) + chalk.gray(emptyBar);
+  /**
+   * Link commits to the task a command is about to close
+   */
+  async linkResolvedTaskCommits(taskRef = null) {
+    const task = this.resolveTask(await this.loadData(), taskRef);
+    return task ? this.linkTaskCommits([task.id]) : [];
   }
 
-  calculateDuration(startTime, endTime = null) {
-    const start = new Date(startTime);
-    const end = endTime ? new Date(endTime) : new Date();
-    const diffMs = end - start;
-    
-    const hours = Math.floor(diffMs / (1000 * 60 * 60));
-    const minutes = Math.floor((diffMs % (1000 * 60 * 60)) / (1000 * 60));
-    
-    if (hours > 0) {
-      return `${hours}h ${minutes}m`;
+  /**
+   * Link new commits to the open tasks started with `start` in a repository.
+   * Session tasks are linked as their session's HEAD moves instead.
+   */
+  async linkManualTaskCommits() {
+    try {
+      const taskIds = this.getOpenTasks(await this.loadData())
+        .filter(task => !task.sessionId)
+        .map(task => task.id);
+      return taskIds.length > 0 ? await this.linkTaskCommits(taskIds) : [];
+    } catch (error) {
+      console.error('Error linking commits:', error);
+      return [];
     }
-    return `${minutes}m`;
   }
 
-  // ===== AUTOMATIC TASK MANAGEMENT =====
-
   /**
-   * Scan for Warp sessions and auto-create tasks
+   * `refresh`: link new commits to every open task now
    */
-  async scanAndCreateTasks() {
-    try {
-      const changes = await this.sessionManager.detectSessionChanges();
-      
-      // Create tasks for new sessions
-      for (const session of changes.newSessions) {
-        await this.createTaskForSession(session);
-      }
+  async refreshCommits() {
+    const linked = await this.linkTaskCommits();
 
-      // Clean up tasks for closed sessions
-      for (const sessionId of changes.closedSessions) {
-        await this.handleClosedSession(sessionId);
-      }
+    if (this.json) {
+      this.printJson({
+        ok: true,
+        linked: linked.map(({ task, commits }) => ({ taskId: task.id, commits: commits.map(commit => commit.sha) }))
+      });
+      return linked;
+    }
 
-      return {
-        newTasks: changes.newSessions.length,
-        closedTasks: changes.closedSessions.length,
-        allSessions: changes.allSessions
-      };
+    if (linked.length === 0) {
+      console.log(chalk.gray('No new commits'));
+    }
+    linked.forEach(({ task, commits }) => {
+      console.log(chalk.green(`🔗 Linked ${commits.length} commit${commits.length === 1 ? '' : 's'} to "${task.name}"`));
+    });
+    return linked;
+  }
+
+  /**
+   * Link commits to the tasks of sessions whose HEAD moved
+   */
+  async handleSessionCommits(sessions) {
+    if (sessions.length === 0) {
+      return [];
+    }
+
+    try {
+      const data = await this.loadData();
+      const taskIds = sessions
+        .map(session => this.findSessionTask(data, session.sessionId))
+        .filter(Boolean)
+        .map(task => task.id);
+      return taskIds.length > 0 ? await this.linkTaskCommits(taskIds) : [];
     } catch (error) {
-      console.error('Error scanning for tasks:', error);
-      return { newTasks: 0, closedTasks: 0, allSessions: [] };
+      console.error('Error linking session commits:', error);
+      return [];
     }
   }
 
+  // ===== PROGRESS RULES =====
+
+  async loadRules() {
+    const config = await this.loadConfig();
+    return compileRules(config.rules);
+  }
+
   /**
-   * Create a task for a new Warp session
+   * Run the progress rules over commands that finished in session tasks and
+   * commits linked to tasks (`finished` is a list of { taskId, event }) and
+   * record the updates the firing rules produce. Tasks whose progress comes
+   * from subtasks are left alone.
    */
-  async createTaskForSession(session) {
+  async applyProgressRules(finished) {
+    let rules;
     try {
-      // Check if we already have a task for this session
-      if (this.activeTasks.has(session.sessionId)) {
-        return this.activeTasks.get(session.sessionId);
-      }
+      rules = await this.loadRules();
+    } catch (error) {
+      console.error(`Progress rules not applied: ${error.message}`);
+      return [];
+    }
+    if (rules.length === 0) {
+      return [];
+    }
 
-      const newTask = {
-        id: `${session.sessionId}_${Date.now()}`,
-        name: session.taskName,
-        description: `Auto-generated task for ${session.projectName}\nWorking directory: ${session.workingDir}`,
-        startTime: new Date().toISOString(),
-        progress: 0,
-        updates: [],
-        status: 'in-progress',
-        sessionId: session.sessionId,
-        sessionInfo: {
-          windowId: session.windowId,
-          projectName: session.projectName,
-          workingDir: session.workingDir,
-          title: session.title
+    const fire = data => {
+      const fired = [];
+      finished.forEach(({ taskId, event }) => {
+        const task = data.tasks[taskId];
+        if (!task || this.hasSubtasks(task)) {
+          return;
         }
-      };
 
-      // Add to active tasks map
-      this.activeTasks.set(session.sessionId, newTask);
+        evaluateRules(rules, Object.assign({}, event, { task }))
+          .filter(result => result.fires)
+          .forEach(result => {
+            fired.push({ task, previousProgress: task.progress, rule: result.rule.name });
+            task.progress = result.progress;
+            task.updates.push({
+              timestamp: event.timestamp,
+              progress: result.progress,
+              message: result.message,
+              rule: result.rule.name
+            });
+          });
+      });
+      return fired;
+    };
 
-      const config = await this.loadConfig();
-      if (config.notifications) {
+    // Most commands fire nothing; check before taking the write lock
+    if (fire(await this.loadData()).length === 0) {
+      return [];
+    }
+
+    const fired = await this.mutateData('rule.fired', fire);
+    const config = await this.loadConfig();
+    fired.forEach(({ task, previousProgress }) => {
+      if (task.sessionId) {
+        this.activeTasks.set(task.sessionId, task);
+      }
+      if (config.notifications && task.progress - previousProgress >= 25) {
         notifier.notify({
           title: 'Warp Task Tracker',
-          message: `Auto-created task: ${session.taskName}`,
+          message: `${task.name}: ${task.progress}% complete`,
           icon: path.join(__dirname, '../assets/icon.png')
         });
       }
+    });
+    return fired;
+  }
 
-      return newTask;
+  async listRules() {
+    const config = await this.loadConfig();
+    try {
+      compileRules(config.rules);
     } catch (error) {
-      console.error('Error creating task for session:', error);
-      return null;
+      return this.reportError(error);
+    }
+
+    if (config.rules.length === 0) {
+      console.log(chalk.yellow('📏 No progress rules. Add one with: warp-tracker rules add --command "npm test" --progress 80'));
+      return [];
+    }
+
+    console.log(chalk.blue('📏 Progress rules:'));
+    config.rules.forEach((rule, index) => {
+      console.log(`${index + 1}. ${this.describeRule(rule)}`);
+    });
+    return config.rules;
+  }
+
+  describeRule(rule) {
+    const conditions = [];
+    if (rule.commit !== undefined) {
+      conditions.push(rule.commit === '*' ? 'a commit is made' : `a commit matching ${chalk.bold(rule.commit)} is made`);
+    } else {
+      const exitCode = rule.exitCode === undefined ? 0 : rule.exitCode;
+      conditions.push(chalk.bold(rule.command), exitCode === 'any' ? 'finishes' : `exits ${exitCode}`);
     }
+    if (rule.project) conditions.push(`in project ${rule.project}`);
+    if (rule.cwd) conditions.push(`in ${rule.cwd}`);
+    if (rule.branch) conditions.push(`on branch ${rule.branch}`);
+
+    const progress = typeof rule.progress === 'string' && rule.progress.startsWith('+') ?
+      `add ${rule.progress.slice(1)}%` :
+      `set ${rule.progress}%`;
+    const name = rule.name ? chalk.gray(` (${rule.name})`) : '';
+    const message = rule.message ? chalk.gray(` "${rule.message}"`) : '';
+    return `When ${conditions.join(' ')}: ${progress}${message}${name}`;
   }
 
   /**
-   * Handle a closed Warp session
+   * Append a rule to the config. `options` holds the rule's fields as given
+   * on the command line.
    */
-  async handleClosedSession(sessionId) {
-    try {
-      const task = this.activeTasks.get(sessionId);
-      if (!task) return;
-
-      // Mark task as stopped and move to history
-      task.endTime = new Date().toISOString();
-      task.status = 'stopped';
-
-      const data = await this.loadData();
-      data.history.unshift(task);
-      
-      // If this was the current task, clear it
-      if (data.currentTask && data.currentTask.sessionId === sessionId) {
-        data.currentTask = null;
+  async addRule(options = {}) {
+    const rule = {};
+    ['name', 'command', 'commit', 'project', 'cwd', 'branch', 'message'].forEach(field => {
+      if (options[field]) {
+        rule[field] = options[field];
       }
+    });
 
-      await this.saveData(data);
-      this.activeTasks.delete(sessionId);
+    // "80" sets a percentage, "+10" adds to the current progress
+    rule.progress = /^\d+$/.test(String(options.progress)) ? Number(options.progress) : options.progress;
+    if (options.exitCode !== undefined) {
+      rule.exitCode = options.exitCode === 'any' ? 'any' : Number(options.exitCode);
+    }
+    if (options.allowDecrease) {
+      rule.allowDecrease = true;
+    }
 
-      const config = await this.loadConfig();
-      if (config.notifications) {
-        notifier.notify({
-          title: 'Warp Task Tracker',
-          message: `Task auto-stopped: ${task.name}`,
-          icon: path.join(__dirname, '../assets/icon.png')
-        });
-      }
+    const rules = this.loadConfig().rules.concat([rule]);
+    try {
+      compileRules(rules);
+      await this.writeSetting('rules', rules);
     } catch (error) {
-      console.error('Error handling closed session:', error);
+      return this.reportError(error);
     }
+    console.log(chalk.green(`✅ Added rule #${rules.length}: ${this.describeRule(rule)}`));
+    return rule;
   }
 
-  /**
-   * Get all active session-based tasks
-   */
-  getActiveSessionTasks() {
-    return Array.from(this.activeTasks.values());
+  async removeRule(position) {
+    const rules = this.loadConfig().rules.slice();
+    const index = parseInt(position) - 1;
+    if (!(index >= 0 && index < rules.length)) {
+      return this.reportError(new TrackerError(`No rule #${position}. See: warp-tracker rules`, 'RULE_NOT_FOUND'));
+    }
+
+    const [rule] = rules.splice(index, 1);
+    try {
+      await this.writeSetting('rules', rules);
+    } catch (error) {
+      return this.reportError(error);
+    }
+    console.log(chalk.green(`🗑️  Removed rule: ${this.describeRule(rule)}`));
+    return rule;
   }
 
   /**
-   * Get task for a specific session
+   * Dry run: show which rules would fire for a command, without recording
+   * anything. The command is checked against a session task (the one given,
+   * else the focused task) for its project, branch and progress.
    */
-  getTaskForSession(sessionId) {
-    return this.activeTasks.get(sessionId);
+  async testRules(command, options = {}) {
+    let rules;
+    let task;
+    try {
+      rules = await this.loadRules();
+      const data = await this.loadData();
+      task = options.task ? this.requireTask(data, options.task) : this.resolveTask(data);
+    } catch (error) {
+      return this.reportError(error);
+    }
+
+    const context = {
+      command,
+      cwd: options.cwd ? path.resolve(options.cwd) : process.cwd(),
+      exitCode: options.exitCode === undefined ? 0 : Number(options.exitCode),
+      durationMs: null,
+      task
+    };
+
+    console.log(chalk.blue(`🧪 Dry run: "${command}" exiting ${context.exitCode} in ${context.cwd}`));
+    if (task) {
+      console.log(chalk.gray(`   against "${task.name}" at ${task.progress}%`));
+    }
+    return this.printRuleResults(evaluateRules(rules, context));
   }
 
   /**
-   * Update progress for a specific session task
+   * Dry run over the commands and commits already recorded on open tasks:
+   * replay them in order from 0% and show where the rules would have moved
+   * progress
    */
-  async updateSessionTaskProgress(sessionId, percentage, message = '') {
-    const task = this.activeTasks.get(sessionId);
-    if (!task) {
-      throw new Error(`No task found for session ${sessionId}`);
+  async replayRules(options = {}) {
+    let rules;
+    let tasks;
+    try {
+      rules = await this.loadRules();
+      const data = await this.loadData();
+      tasks = options.task ?
+        [this.requireTask(data, options.task)] :
+        this.getOpenTasks(data).filter(task => task.sessionId || task.commits);
+    } catch (error) {
+      return this.reportError(error);
     }
 
-    if (percentage < 0 || percentage > 100) {
-      throw new Error('Progress percentage must be between 0 and 100');
-    }
+    const results = [];
+    tasks.forEach(task => {
+      const commands = (task.commands || []).filter(entry => entry.finishedAt);
+      const commits = task.commits || [];
+      console.log(chalk.blue(`🧪 Dry run for "${task.name}" (${commands.length} recorded command(s), ${commits.length} commit(s))`));
+
+      const events = commands
+        .map(entry => ({ at: entry.finishedAt, label: entry.command, context: entry }))
+        .concat(commits.map(commit => ({
+          at: commit.committedAt,
+          label: `${commit.sha.slice(0, 7)} ${commit.subject}`,
+          context: { commit, cwd: task.git ? task.git.root : null }
+        })))
+        .sort((a, b) => new Date(a.at) - new Date(b.at));
+
+      const simulated = Object.assign({}, task, { progress: 0 });
+      events.forEach(({ label, context }) => {
+        const fired = evaluateRules(rules, Object.assign({}, context, { task: simulated }))
+          .filter(result => result.fires);
+        fired.forEach(result => {
+          simulated.progress = result.progress;
+          console.log(`   ${chalk.green('✓')} ${label} → ${result.progress}% ${chalk.gray(`"${result.message}" (${result.rule.name})`)}`);
+        });
+        results.push(...fired);
+      });
 
-    const previousProgress = task.progress;
-    task.progress = percentage;
-    task.updates.push({
-      timestamp: new Date().toISOString(),
-      progress: percentage,
-      message
+      console.log(chalk.gray(`   Progress would be ${simulated.progress}% (currently ${task.progress}%)`));
     });
+    return results;
+  }
 
-    // Update the active task
-    this.activeTasks.set(sessionId, task);
-
-    // Also update in data if this is the current task
-    const data = await this.loadData();
-    if (data.currentTask && data.currentTask.sessionId === sessionId) {
-      data.currentTask = task;
-      await this.saveData(data);
-    }
-
-    const config = await this.loadConfig();
-    const change = percentage - previousProgress;
-    if (config.notifications && change >= 25) {
-      notifier.notify({
-        title: 'Warp Task Tracker',
-        message: `${task.name}: ${percentage}% complete`,
-        icon: path.join(__dirname, '../assets/icon.png')
-      });
+  printRuleResults(results) {
+    if (results.length === 0) {
+      console.log(chalk.yellow('No progress rules configured'));
+      return results;
     }
 
-    return task;
+    results.forEach(result => {
+      const label = `#${result.rule.index + 1} ${result.rule.name}`;
+      if (result.fires) {
+        console.log(`  ${chalk.green('✓')} ${label} → ${result.progress}% ${chalk.gray(`"${result.message}"`)}`);
+      } else {
+        console.log(`  ${chalk.gray('✗')} ${chalk.gray(`${label}: ${result.reason}`)}`);
+      }
+    });
+    return results;
   }
 
   /**
-   * Set the current active task from session tasks
+   * Run in the foreground: track sessions and record shell events until
+   * interrupted
    */
-  async setCurrentTaskFromSession(sessionId) {
-    const task = this.activeTasks.get(sessionId);
-    if (!task) {
-      throw new Error(`No task found for session ${sessionId}`);
+  async listen() {
+    try {
+      await this.startEventServer();
+    } catch (error) {
+      return this.reportError(error);
     }
 
-    const data = await this.loadData();
-    data.currentTask = task;
-    await this.saveData(data);
+    console.log(chalk.green(`👂 Listening for shell events on ${this.socketPath}`));
+    console.log(chalk.gray('Press Ctrl+C to stop'));
 
-    return task;
+    const scan = await this.scanAndCreateTasks();
+    console.log(chalk.blue(`🔍 Tracking ${scan.allSessions.length} session(s)`));
+
+    this.startAutoTaskManagement(result => {
+      result.newTasks.forEach(task => console.log(chalk.green(`🚀 Started: ${task.name}`)));
+      result.closedTasks.forEach(task => console.log(chalk.yellow(`⏹️ Stopped: ${task.name}`)));
+    });
+
+    const shutdown = async () => {
+      this.stopAutoTaskManagement();
+      await this.stopEventServer();
+      process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
   }
 
   /**
-   * Get current task or suggest one based on active Warp session
+   * Show the live dashboard until the user quits it
    */
-  async getCurrentOrSuggestedTask() {
-    const data = await this.loadData();
-    
-    if (data.currentTask) {
-      return { type: 'current', task: data.currentTask };
+  async watch(options = {}) {
+    if (!process.stdin.isTTY || !process.stdout.isTTY) {
+      return this.reportError(new TrackerError(
+        'watch needs an interactive terminal. Use "warp-tracker status" instead',
+        'NOT_INTERACTIVE'
+      ));
     }
 
-    // Try to get the active Warp session
-    const activeSession = await this.sessionManager.getActiveWarpSession();
-    if (activeSession) {
-      const suggestedTask = this.activeTasks.get(activeSession.sessionId);
-      if (suggestedTask) {
-        return { type: 'suggested', task: suggestedTask, session: activeSession };
+    await this.ready;
+    const dashboard = new Dashboard(this, { sessions: options.sessions });
+    await dashboard.start();
+  }
+
+  /**
+   * Print the focused task for a shell prompt. Prompts normally get it from
+   * the cache without loading the tracker (prompt.runFast); this is the
+   * fallback, which also creates the cache.
+   */
+  async showPrompt(options = {}) {
+    if (options.config !== undefined) {
+      if (!prompt.CONFIGS[options.config]) {
+        return this.reportError(new TrackerError(
+          `Unknown prompt config "${options.config}". Use one of: ${Object.keys(prompt.CONFIGS).join(', ')}`,
+          'INVALID_PROMPT_CONFIG'
+        ));
       }
+      process.stdout.write(prompt.CONFIGS[options.config]);
+      return null;
     }
 
-    // Return first active task if any
-    const activeTasks = this.getActiveSessionTasks();
-    if (activeTasks.length > 0) {
-      return { type: 'suggested', task: activeTasks[0] };
-    }
+    const data = await this.loadData();
+    const config = await this.loadConfig();
+    await this.writePromptCache(data);
 
-    return { type: 'none', task: null };
+    let text;
+    try {
+      text = prompt.renderPrompt(prompt.buildCache(data), options.format || config.promptFormat || prompt.DEFAULT_FORMAT);
+    } catch (error) {
+      return this.reportError(error);
+    }
+    if (text) {
+      console.log(text);
+    }
+    return text;
   }
 
   /**
    * Start session monitoring for automatic task management
    */
   startAutoTaskManagement(callback) {
+    this.restoreSessionTasks();
+
     this.sessionManager.startSessionMonitoring(async (changes) => {
+      await this.restoreSessionTasks();
       const result = {
         newTasks: [],
         closedTasks: []
@@ -554,10 +3322,41 @@ class TaskTracker {
         await this.handleClosedSession(sessionId);
       }
 
+      // Handle sessions that changed directory
+      for (const move of changes.movedSessions) {
+        const moved = await this.handleSessionMoved(move);
+        if (moved && moved.closedTask) {
+          result.closedTasks.push(moved.closedTask);
+        }
+        if (moved && moved.task && (moved.closedTask || !move.previouslyTracked)) {
+          result.newTasks.push(moved.task);
+        }
+      }
+
+      await this.handleSessionCommits(changes.committedSessions);
+
+      // Pause or stop idle sessions' tasks and pick them up again
+      for (const idle of changes.idleSessions) {
+        const task = await this.handleSessionIdle(idle);
+        if (task && task.status === 'stopped') result.closedTasks.push(task);
+      }
+
+      for (const resumed of changes.resumedSessions) {
+        const active = await this.handleSessionActive(resumed);
+        if (active && active.created) result.newTasks.push(active.task);
+      }
+
       if (callback) {
         callback(result);
       }
     });
+
+    if (!this.heartbeatInterval) {
+      this.heartbeatInterval = setInterval(() => {
+        this.recordSessionHeartbeat();
+        this.linkManualTaskCommits();
+      }, SESSION_HEARTBEAT_MS);
+    }
   }
 
   /**
@@ -565,6 +3364,10 @@ class TaskTracker {
    */
   stopAutoTaskManagement() {
     this.sessionManager.stopSessionMonitoring();
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
   }
 }
 
@@ -0,0 +1,436 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TaskTracker = require('./TaskTracker');
+const { SessionProvider } = require('./sessions');
+const { ConflictError, StorageError } = require('./errors');
+
+let home;
+let originalHome;
+
+beforeEach(() => {
+  originalHome = process.env.HOME;
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'warp-tracker-test-'));
+  process.env.HOME = home;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  process.env.HOME = originalHome;
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+const SHELL_PID = 4242;
+
+/**
+ * A tracker with one open session task whose shell is SHELL_PID
+ */
+async function trackerWithSessionTask() {
+  const tracker = new TaskTracker();
+  const now = new Date().toISOString();
+  await tracker.mutateData('session.task-created', data => {
+    data.tasks.s1 = {
+      id: 's1',
+      name: 'P dev',
+      progress: 0,
+      status: 'in-progress',
+      startTime: now,
+      intervals: [{ start: now, end: null }],
+      updates: [],
+      sessionId: 'sess-1',
+      sessionInfo: { pid: SHELL_PID, workingDir: home }
+    };
+    data.focusedTaskId = 's1';
+  });
+
+  tracker.sessionManager.getAllSessions = () => [{ sessionId: 'sess-1' }];
+  tracker.sessionManager.getProcessAncestry = async pid => [pid];
+  return tracker;
+}
+
+function shellEvent(type, seq, time, fields = {}) {
+  return {
+    type: `command.${type}`,
+    shellPid: SHELL_PID,
+    seq,
+    command: 'npm test',
+    cwd: home,
+    exitCode: type === 'finish' ? 0 : null,
+    durationMs: type === 'finish' ? 3000 : null,
+    timestamp: new Date(time).toISOString(),
+    ...fields
+  };
+}
+
+describe('mutateData', () => {
+  test('reruns the mutator on fresh data after a conflicting write', async () => {
+    const tracker = new TaskTracker();
+    await tracker.ready;
+    let attempts = 0;
+
+    const result = await tracker.mutateData('task.edited', async (data) => {
+      if (++attempts === 1) {
+        // A writer that skipped the lock saves first
+        await tracker.storage.write({ ...data, revision: (data.revision || 0) + 1, focusedTaskId: 'other' });
+      }
+      data.tasks.a = { id: 'a', name: `attempt ${attempts}` };
+      return data.tasks.a;
+    });
+
+    const data = await tracker.loadData();
+    expect(attempts).toBe(2);
+    expect(result.name).toBe('attempt 2');
+    expect(data.focusedTaskId).toBe('other');
+    expect(data.tasks.a.name).toBe('attempt 2');
+    const events = await tracker.storage.readJournal();
+    expect(events.filter(event => event.type === 'task.edited')).toHaveLength(1);
+  });
+
+  test('leaves the session map alone until a close is written', async () => {
+    const tracker = await trackerWithSessionTask();
+    tracker.syncActiveTasks(await tracker.loadData());
+    const update = tracker.storage.update.bind(tracker.storage);
+    jest.spyOn(tracker.storage, 'update').mockImplementationOnce(async (mutator) => {
+      await mutator(await tracker.storage.load());
+      throw new StorageError('disk full');
+    });
+
+    await expect(tracker.completeTask('done', 's1')).rejects.toThrow('disk full');
+    expect(tracker.activeTasks.has('sess-1')).toBe(true);
+
+    tracker.storage.update.mockImplementation(update);
+    await tracker.completeTask('done', 's1');
+    expect(tracker.activeTasks.has('sess-1')).toBe(false);
+  });
+
+  test('gives up after repeated conflicts', async () => {
+    const tracker = new TaskTracker();
+    await tracker.ready;
+    let attempts = 0;
+
+    const error = await tracker.mutateData(null, async (data) => {
+      attempts++;
+      await tracker.storage.write({ ...data, revision: (data.revision || 0) + 1 });
+    }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(attempts).toBe(3);
+  });
+});
+
+describe('journal and telemetry', () => {
+  test('undo still works after a session heartbeat', async () => {
+    const tracker = await trackerWithSessionTask();
+    await tracker.mutateData('session.progress', data => { data.tasks.s1.progress = 30; });
+    await tracker.recordSessionHeartbeat();
+
+    await tracker.undo();
+
+    expect(tracker.failure).toBeNull();
+    const task = (await tracker.loadData()).tasks.s1;
+    expect(task.progress).toBe(0);
+    expect(task.sessionInfo.lastSeen).toBeDefined();
+  });
+
+  test('undo passes over changes the session monitor made since', async () => {
+    const tracker = await trackerWithSessionTask();
+    await tracker.startTask('Login');
+    await tracker.updateProgress(40);
+    await tracker.mutateData('session.idle', data => { data.tasks.s1.status = 'paused'; });
+
+    await tracker.undo();
+
+    expect(tracker.failure).toBeNull();
+    const data = await tracker.loadData();
+    expect(Object.values(data.tasks).find(task => task.name === 'Login').progress).toBe(0);
+    expect(data.tasks.s1.status).toBe('paused');
+  });
+
+  test('rebuild keeps the recorded commands', async () => {
+    const tracker = await trackerWithSessionTask();
+    await tracker.recordShellEvents([shellEvent('start', 1, 1000), shellEvent('finish', 1, 4000)]);
+
+    await tracker.rebuildFromJournal();
+
+    expect(tracker.failure).toBeNull();
+    expect((await tracker.loadData()).tasks.s1.commands).toHaveLength(1);
+  });
+
+  test('rebuild backs up once when its write has to be retried', async () => {
+    const tracker = await trackerWithSessionTask();
+    const update = tracker.storage.update.bind(tracker.storage);
+    let attempts = 0;
+    jest.spyOn(tracker.storage, 'update').mockImplementation(async (mutator, afterWrite) => {
+      if (++attempts === 1) {
+        await mutator(await tracker.storage.load());
+        throw new ConflictError('tasks.json', 1, 2);
+      }
+      return update(mutator, afterWrite);
+    });
+    const backup = jest.spyOn(tracker.storage, 'backup');
+
+    await tracker.rebuildFromJournal();
+
+    expect(tracker.failure).toBeNull();
+    expect(attempts).toBe(2);
+    expect(backup).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('recordShellEvents', () => {
+  test('pairs a finish that arrived before its start in the same batch', async () => {
+    const tracker = await trackerWithSessionTask();
+
+    await tracker.recordShellEvents([shellEvent('finish', 1, 4000), shellEvent('start', 1, 1000)]);
+
+    const { commands } = (await tracker.loadData()).tasks.s1;
+    expect(commands).toEqual([expect.objectContaining({
+      seq: 1,
+      startedAt: new Date(1000).toISOString(),
+      finishedAt: new Date(4000).toISOString(),
+      durationMs: 3000
+    })]);
+  });
+
+  test('pairs a start that arrives in a later batch than its finish', async () => {
+    const tracker = await trackerWithSessionTask();
+
+    await tracker.recordShellEvents([shellEvent('finish', 1, 4000)]);
+    await tracker.recordShellEvents([shellEvent('start', 1, 1000)]);
+
+    const { commands } = (await tracker.loadData()).tasks.s1;
+    expect(commands).toHaveLength(1);
+    expect(commands[0].startedAt).toBe(new Date(1000).toISOString());
+    expect(commands[0].startEstimated).toBeUndefined();
+    expect(commands[0].finishedAt).toBe(new Date(4000).toISOString());
+  });
+
+  test('keeps the timeline in start order', async () => {
+    const tracker = await trackerWithSessionTask();
+
+    await tracker.recordShellEvents([shellEvent('start', 2, 5000, { command: 'ls' })]);
+    await tracker.recordShellEvents([shellEvent('finish', 1, 4000), shellEvent('start', 1, 1000)]);
+
+    const { commands } = (await tracker.loadData()).tasks.s1;
+    expect(commands.map(entry => entry.seq)).toEqual([1, 2]);
+    expect(commands[1].finishedAt).toBeNull();
+  });
+
+  test('matches unnumbered events by command', async () => {
+    const tracker = await trackerWithSessionTask();
+
+    await tracker.recordShellEvents([shellEvent('start', null, 1000)]);
+    await tracker.recordShellEvents([shellEvent('finish', null, 4000)]);
+
+    const { commands } = (await tracker.loadData()).tasks.s1;
+    expect(commands).toHaveLength(1);
+    expect(commands[0].finishedAt).toBe(new Date(4000).toISOString());
+  });
+});
+
+describe('commit linking', () => {
+  /**
+   * A repository with a commit dated a minute from now, so it falls inside
+   * a task started now
+   */
+  function commitInNewRepo(subject) {
+    const repo = path.join(home, 'repo');
+    const date = new Date(Date.now() + 60000).toISOString();
+    const git = (...args) => execFileSync('git', ['-C', repo, ...args], {
+      env: { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date },
+      stdio: 'ignore'
+    });
+
+    fs.mkdirSync(repo);
+    git('init', '-q');
+    git('config', 'user.email', 'dev@example.com');
+    git('config', 'user.name', 'Dev');
+    return { repo, commit: () => git('commit', '-q', '--allow-empty', '-m', subject) };
+  }
+
+  test('status does not link commits; refresh does', async () => {
+    const { repo, commit } = commitInNewRepo('Fix login');
+    const tracker = new TaskTracker();
+    const task = await tracker.startTask('Login', '', { workingDir: repo });
+    commit();
+
+    await tracker.showStatus();
+    expect((await tracker.loadData()).tasks[task.id].commits).toBeUndefined();
+
+    const linked = await tracker.refreshCommits();
+    expect(linked).toHaveLength(1);
+    expect((await tracker.loadData()).tasks[task.id].commits.map(c => c.subject)).toEqual(['Fix login']);
+  });
+
+  test('updating progress links commits first', async () => {
+    const { repo, commit } = commitInNewRepo('Add form');
+    const tracker = new TaskTracker();
+    const task = await tracker.startTask('Form', '', { workingDir: repo });
+    commit();
+
+    await tracker.updateProgress(50);
+
+    const stored = (await tracker.loadData()).tasks[task.id];
+    expect(stored.commits).toHaveLength(1);
+    expect(stored.progress).toBe(50);
+  });
+});
+
+describe('prompt cache', () => {
+  test('is rewritten by every change to the tasks', async () => {
+    const tracker = new TaskTracker();
+    const readCache = () => JSON.parse(fs.readFileSync(path.join(home, '.warp-tracker', 'prompt.json'), 'utf8'));
+
+    await tracker.startTask('Login');
+    expect(readCache().focused).toMatchObject({ name: 'Login', progress: 0 });
+
+    await tracker.updateProgress(40);
+    expect(readCache().focused.progress).toBe(40);
+
+    await tracker.completeTask();
+    expect(readCache()).toEqual({ focused: null, open: 0 });
+  });
+});
+
+describe('addSubtask', () => {
+  test('will not replace manually set progress without --force', async () => {
+    const tracker = new TaskTracker();
+    const task = await tracker.startTask('Login');
+    await tracker.updateProgress(40);
+
+    expect(await tracker.addSubtask('Write tests')).toBeNull();
+    expect(tracker.failure.code).toBe('MANUAL_PROGRESS');
+    expect((await tracker.loadData()).tasks[task.id]).toMatchObject({ progress: 40, subtasks: [] });
+
+    await tracker.addSubtask('Write tests', { force: true });
+    expect((await tracker.loadData()).tasks[task.id].progress).toBe(0);
+  });
+
+  test('adds freely when progress is already derived or unset', async () => {
+    const tracker = new TaskTracker();
+    const task = await tracker.startTask('Login');
+
+    await tracker.addSubtask('Write tests');
+    await tracker.setSubtaskDone('1', true);
+    await tracker.addSubtask('Update docs');
+
+    expect(tracker.failure).toBeNull();
+    expect((await tracker.loadData()).tasks[task.id]).toMatchObject({ progress: 50 });
+  });
+});
+
+describe('importTasks', () => {
+  function importFile(tasks) {
+    const file = path.join(home, 'import.jsonl');
+    fs.writeFileSync(file, tasks.map(task => JSON.stringify(task)).join('\n'));
+    return file;
+  }
+
+  function openTask(id, name) {
+    return {
+      id,
+      name,
+      progress: 20,
+      status: 'in-progress',
+      startTime: '2026-03-02T09:00:00.000Z',
+      updates: [],
+      sessionId: 'proc_100',
+      sessionInfo: { provider: 'linux-proc', pid: 100, workingDir: '/elsewhere' }
+    };
+  }
+
+  test('drops the session links of imported tasks', async () => {
+    const tracker = new TaskTracker();
+
+    await tracker.importTasks(importFile([openTask('a', 'Remote work')]));
+
+    const task = (await tracker.loadData()).tasks.a;
+    expect(task.sessionId).toBeUndefined();
+    expect(task.sessionInfo).toBeUndefined();
+  });
+
+  test('renames open tasks whose name is already open', async () => {
+    const tracker = new TaskTracker();
+    await tracker.startTask('Login');
+
+    const result = await tracker.importTasks(importFile([openTask('a', 'login'), openTask('b', 'Login')]));
+
+    const { tasks } = await tracker.loadData();
+    expect(tasks.a.name).toBe('login (imported)');
+    expect(tasks.b.name).toBe('Login (imported 2)');
+    expect(result.renamed.map(({ to }) => to)).toEqual(['login (imported)', 'Login (imported 2)']);
+  });
+});
+
+describe('formatClock', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('shows the year only for dates outside this year', async () => {
+    const tracker = new TaskTracker();
+    await tracker.ready;
+    jest.useFakeTimers({ now: new Date(2026, 6, 1, 12, 0) });
+
+    expect(tracker.formatClock(new Date(2025, 6, 1, 9, 30))).toContain('2025');
+    expect(tracker.formatClock(new Date(2026, 2, 1, 9, 30))).not.toContain('2026');
+  });
+});
+
+describe('reconcileSessionTasks', () => {
+  function sessionTask(id, sessionId, provider) {
+    const start = new Date(Date.now() - 60000).toISOString();
+    return {
+      id,
+      name: `Task ${id}`,
+      progress: 0,
+      status: 'in-progress',
+      startTime: start,
+      intervals: [{ start, end: null }],
+      updates: [],
+      sessionId,
+      sessionInfo: { provider, pid: 1, workingDir: home }
+    };
+  }
+
+  test('closes only the tasks of providers in use', async () => {
+    const tracker = new TaskTracker();
+    await tracker.mutateData('session.task-created', data => {
+      data.tasks.t = sessionTask('t', 'tmux_1', 'tmux');
+      data.tasks.p = sessionTask('p', 'proc_100', 'linux-proc');
+      data.tasks.live = sessionTask('live', 'tmux_2', 'tmux');
+    });
+
+    const tmux = new SessionProvider('tmux');
+    tmux.listSessions = async () => [{ sessionId: 'tmux_2', windowId: '%2', title: 'main:0.1' }];
+    tracker.sessionManager.provider = tmux;
+
+    const { restored, closed } = await tracker.reconcileSessionTasks();
+
+    expect(closed.map(task => task.id)).toEqual(['t']);
+    expect(restored.map(task => task.id)).toEqual(['live']);
+    expect(Object.keys((await tracker.loadData()).tasks).sort()).toEqual(['live', 'p']);
+  });
+
+  test('keeps session tasks open when a later scan cannot list sessions', async () => {
+    const tracker = new TaskTracker();
+    await tracker.mutateData('session.task-created', data => {
+      data.tasks.live = sessionTask('live', 'tmux_2', 'tmux');
+    });
+    const tmux = new SessionProvider('tmux');
+    tmux.listSessions = async () => [{ sessionId: 'tmux_2', windowId: '%2', title: 'main:0.1', workingDir: home }];
+    tracker.sessionManager.provider = tmux;
+    await tracker.scanAndCreateTasks();
+    const openBefore = tracker.getOpenTasks(await tracker.loadData()).map(task => task.id);
+
+    tmux.listSessions = async () => { throw new Error('no server running'); };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(tracker.sessionManager.detectSessionChanges()).rejects.toThrow('Could not list sessions from tmux');
+    await tracker.scanAndCreateTasks();
+
+    expect(tracker.getOpenTasks(await tracker.loadData()).map(task => task.id)).toEqual(openBefore);
+    expect(tracker.sessionManager.lastKnownSessions.has('tmux_2')).toBe(true);
+  });
+});
@@ -2,78 +2,102 @@ const { exec } = require('child_process');
 const path = require('path');
 const fs = require('fs-extra');
 const util = require('util');
+const { createSessionProvider } = require('./sessions');
+const { readGitInfo, describeBranch, isDefaultBranch } = require('./git');
+const IdleDetector = require('./IdleDetector');
+const { expandHome, matchesAny } = require('./glob');
+const { sessionFields, renderTemplate } = require('./templates');
+const { SETTINGS } = require('./settings');
 
 const execAsync = util.promisify(exec);
 
 class WarpSessionManager {
-  constructor() {
+  constructor(provider = createSessionProvider()) {
+    this.provider = provider;
     this.activeSessions = new Map();
     this.sessionPollingInterval = null;
     this.lastKnownSessions = new Set();
+    this.idleDetector = new IdleDetector();
+    this.configure();
   }
 
   /**
-   * Get all active Warp terminal windows and their working directories
+   * Apply the session settings: which sessions get tasks, what marks a
+   * project's root and how tasks are named and described
    */
-  async getWarpSessions() {
-    try {
-      // Use AppleScript to get Warp window information
-      const appleScript = `
-        tell application "System Events"
-          set warpProcesses to every process whose name is "Warp"
-          set sessionInfo to {}
-          
-          repeat with warpProcess in warpProcesses
-            try
-              set windowList to every window of warpProcess
-              repeat with warpWindow in windowList
-                try
-                  set windowTitle to title of warpWindow
-                  set windowID to id of warpWindow
-                  set end of sessionInfo to {windowTitle, windowID}
-                end try
-              end repeat
-            end try
-          end repeat
-          
-          return sessionInfo
-        end tell
-      `;
-
-      const { stdout } = await execAsync(`osascript -e '${appleScript}'`);
-      const sessions = this.parseAppleScriptOutput(stdout);
-      
-      // Get working directories for each session
-      const enrichedSessions = await this.enrichSessionsWithWorkingDir(sessions);
-      
-      return enrichedSessions;
-    } catch (error) {
-      console.error('Error getting Warp sessions:', error);
-      return [];
+  configure(config = {}) {
+    this.includeDirs = config.includeDirs || [];
+    this.excludeDirs = config.excludeDirs || [];
+    this.includeTitles = config.includeTitles || [];
+    this.excludeTitles = config.excludeTitles || [];
+    this.projectMarkers = config.projectMarkers || [];
+    // Templates were validated when the settings were read
+    this.taskNameTemplate = config.taskNameTemplate || null;
+    this.taskDescriptionTemplate = config.taskDescriptionTemplate || SETTINGS.taskDescriptionTemplate.default;
+  }
+
+  /**
+   * Whether a session should get a task: its directory and title must match
+   * an include glob (when there are any) and no exclude glob
+   */
+  isTracked(session) {
+    const dir = expandHome(session.workingDir || '~');
+    const title = session.title || '';
+    const titleOptions = { flags: 'i' };
+
+    if (this.includeDirs.length > 0 && !matchesAny(dir, this.includeDirs, { path: true })) {
+      return false;
+    }
+    if (matchesAny(dir, this.excludeDirs, { path: true })) {
+      return false;
+    }
+    if (this.includeTitles.length > 0 && !matchesAny(title, this.includeTitles, titleOptions)) {
+      return false;
     }
+    return !matchesAny(title, this.excludeTitles, titleOptions);
   }
 
   /**
-   * Parse AppleScript output to extract session information
+   * The nearest directory at or above workingDir holding one of the
+   * configured project markers, or null
    */
-  parseAppleScriptOutput(output) {
-    const sessions = [];
-    const lines = output.trim().split('\n');
-    
-    lines.forEach(line => {
-      // Parse the AppleScript list format
-      const match = line.match(/\{(.+), (\d+)\}/);
-      if (match) {
-        const [, title, windowId] = match;
-        sessions.push({
-          title: title.replace(/"/g, ''),
-          windowId: parseInt(windowId),
-          sessionId: `warp_${windowId}`
-        });
+  async findProjectRoot(workingDir) {
+    if (this.projectMarkers.length === 0 || !workingDir) {
+      return null;
+    }
+
+    let dir = path.resolve(expandHome(workingDir));
+    while (true) {
+      for (const marker of this.projectMarkers) {
+        if (await fs.pathExists(path.join(dir, marker))) {
+          return dir;
+        }
       }
-    });
+      const parent = path.dirname(dir);
+      if (parent === dir) {
+        return null;
+      }
+      dir = parent;
+    }
+  }
+
+  /**
+   * Get all active terminal sessions and their working directories. Fails
+   * when the provider does, since an empty list would read as every session
+   * having closed.
+   */
+  async getWarpSessions() {
+    let sessions;
+    try {
+      // Merging providers tag each session with the one that reported it
+      sessions = (await this.provider.listSessions())
+        .map(session => ({ provider: this.provider.name, ...session }));
+    } catch (error) {
+      throw new Error(`Could not list sessions from ${this.provider.name}: ${error.message}`);
+    }
 
-    return sessions;
+    // Get working directories for each session
+    return this.enrichSessionsWithWorkingDir(sessions);
   }
 
   /**
@@ -84,17 +108,30 @@ class WarpSessionManager {
 
     for (const session of sessions) {
       try {
-        // Extract working directory from window title or use heuristics
-        const workingDir = await this.extractWorkingDirectory(session);
-        const projectName = this.extractProjectName(workingDir);
+        // Providers that can see the shell report its real cwd; otherwise
+        // extract it from the window title or use heuristics
+        const workingDir = session.workingDir || await this.extractWorkingDirectory(session);
+        const git = await readGitInfo(workingDir);
+        // The nearest project marker names the project, then the root of
+        // the repository
+        const projectRoot = await this.findProjectRoot(workingDir) || (git && git.root);
+        const projectName = projectRoot ?
+          this.formatProjectName(path.basename(projectRoot)) :
+          this.extractProjectName(workingDir);
         
         const enrichedSession = {
           ...session,
           workingDir,
           projectName,
-          taskName: this.generateTaskName(projectName, workingDir),
+          git,
           lastSeen: new Date().toISOString()
         };
+        const fields = sessionFields(enrichedSession);
+        enrichedSession.taskName = this.taskNameTemplate ?
+          renderTemplate(this.taskNameTemplate, fields) || this.generateTaskName(projectName, workingDir, git) :
+          this.generateTaskName(projectName, workingDir, git);
+        enrichedSession.taskDescription = renderTemplate(this.taskDescriptionTemplate, fields);
+        enrichedSession.tracked = this.isTracked(enrichedSession);
 
         enrichedSessions.push(enrichedSession);
       } catch (error) {
@@ -105,6 +142,8 @@ class WarpSessionManager {
           workingDir: '~',
           projectName: 'Unknown Project',
           taskName: `Terminal Session ${session.windowId}`,
+          taskDescription: `Terminal session ${session.windowId}`,
+          tracked: this.isTracked({ ...session, workingDir: '~' }),
           lastSeen: new Date().toISOString()
         });
       }
@@ -128,25 +167,8 @@ class WarpSessionManager {
         }
       }
 
-      // Fallback: try to find the most recent shell process
-      const { stdout } = await execAsync(`
-        ps -eo pid,ppid,command | grep -E '(zsh|bash|fish)' | grep -v grep | tail -1
-      `);
-      
-      if (stdout.trim()) {
-        const pid = stdout.trim().split(/\s+/)[0];
-        try {
-          const { stdout: cwdOutput } = await execAsync(`lsof -p ${pid} | grep cwd | head -1`);
-          const cwd = cwdOutput.trim().split(/\s+/).pop();
-          if (cwd && cwd !== '') {
-            return cwd;
-          }
-        } catch {
-          // Ignore errors
-        }
-      }
-
-      // Final fallback
+      // The provider could not tie this window to a shell. Guessing from
+      // some other shell would give every such window the same directory.
       return process.env.HOME || '~';
     } catch (error) {
       return process.env.HOME || '~';
@@ -200,9 +222,22 @@ class WarpSessionManager {
   }
 
   /**
-   * Generate a task name based on project and context
+   * Generate a task name based on project and context. On a feature branch
+   * the branch names the task, led by any issue keys in it
+   * ("ABC-123: Fix login redirect"); on a default branch or a detached HEAD
+   * the project does.
    */
-  generateTaskName(projectName, workingDir) {
+  generateTaskName(projectName, workingDir, git = null) {
+    if (git && git.branch && !isDefaultBranch(git.branch)) {
+      const title = describeBranch(git.branch);
+      const keys = git.issueKeys.join(', ');
+      return keys && title ? `${keys}: ${title}` : keys || title || git.branch;
+    }
+
+    if (git) {
+      return `${projectName} (${git.branch || git.head.slice(0, 7)})`;
+    }
+
     const timestamp = new Date().toLocaleTimeString([], {
       hour: '2-digit',
       minute: '2-digit'
@@ -212,7 +247,11 @@ class WarpSessionManager {
   }
 
   /**
-   * Check for new or closed Warp sessions
+   * Check for new or closed Warp sessions, for known sessions whose
+   * working directory, git branch or tracking changed since the last poll,
+   * for known sessions whose HEAD moved (a commit, checkout or reset), and
+   * for sessions that went idle or became active again. Fails, leaving the
+   * known sessions as they were, when the sessions cannot be listed.
    */
   async detectSessionChanges() {
     const currentSessions = await this.getWarpSessions();
@@ -222,6 +261,27 @@ class WarpSessionManager {
     const newSessions = currentSessions.filter(session => 
       !this.lastKnownSessions.has(session.sessionId)
     );
+
+    // Find sessions that moved to another directory
+    const movedSessions = currentSessions
+      .filter(session => this.lastKnownSessions.has(session.sessionId))
+      .map(session => ({ session, previous: this.activeSessions.get(session.sessionId) }))
+      .filter(({ session, previous }) => previous &&
+        (previous.workingDir !== session.workingDir || this.branchOf(previous) !== this.branchOf(session) ||
+          (previous.tracked !== false) !== (session.tracked !== false)))
+      .map(({ session, previous }) => ({
+        session,
+        previousWorkingDir: previous.workingDir,
+        previousProjectName: previous.projectName,
+        previousGit: previous.git || null,
+        previouslyTracked: previous.tracked !== false
+      }));
+    
+    const committedSessions = currentSessions.filter(session => {
+      const previous = this.lastKnownSessions.has(session.sessionId) && this.activeSessions.get(session.sessionId);
+      return previous && session.git && session.git.commit &&
+        (!previous.git || previous.git.commit !== session.git.commit);
+    });
     
     // Find closed sessions
     const closedSessionIds = Array.from(this.lastKnownSessions).filter(sessionId => 
@@ -241,13 +301,38 @@ class WarpSessionManager {
       this.activeSessions.delete(sessionId);
     });
 
+    const { idle, active } = this.idleDetector.observe(currentSessions);
+
     return {
       newSessions,
       closedSessions: closedSessionIds,
+      movedSessions,
+      committedSessions,
+      idleSessions: idle,
+      resumedSessions: active,
       allSessions: currentSessions
     };
   }
 
+  /**
+   * Where a session's repository is checked out: its root and branch (or
+   * commit), or null outside a repository
+   */
+  branchOf(session) {
+    return session.git ? `${session.git.root}@${session.git.branch || session.git.head}` : null;
+  }
+
+  /**
+   * Treat sessions recorded by an earlier run as known, so that the next
+   * poll reports them as moved or closed rather than new
+   */
+  restoreSessions(sessions) {
+    sessions.forEach(session => {
+      this.lastKnownSessions.add(session.sessionId);
+      this.activeSessions.set(session.sessionId, session);
+    });
+  }
+
   /**
    * Start monitoring Warp sessions
    */
@@ -259,7 +344,10 @@ class WarpSessionManager {
     this.sessionPollingInterval = setInterval(async () => {
       try {
         const changes = await this.detectSessionChanges();
-        if (callback && (changes.newSessions.length > 0 || changes.closedSessions.length > 0)) {
+        const changed = changes.newSessions.length > 0 || changes.closedSessions.length > 0 ||
+          changes.movedSessions.length > 0 || changes.committedSessions.length > 0 ||
+          changes.idleSessions.length > 0 || changes.resumedSessions.length > 0;
+        if (callback && changed) {
           callback(changes);
         }
       } catch (error) {
@@ -279,51 +367,64 @@ class WarpSessionManager {
   }
 
   /**
-   * Get the currently active/focused Warp session
+   * Get the currently active/focused session
    */
   async getActiveWarpSession() {
     try {
-      const appleScript = `
-        tell application "System Events"
-          set frontApp to name of first application process whose frontmost is true
-          if frontApp is "Warp" then
-            set frontWindow to front window of first application process whose name is "Warp"
-            return title of frontWindow & "," & id of frontWindow
-          else
-            return ""
-          end if
-        end tell
-      `;
-
-      const { stdout } = await execAsync(`osascript -e '${appleScript}'`);
+      const sessionId = await this.provider.getActiveSessionId();
       
-      if (stdout.trim()) {
-        const [title, windowId] = stdout.trim().split(',');
-        const sessionId = `warp_${windowId}`;
-        
-        // Return session if we have it in our active sessions
-        return this.activeSessions.get(sessionId) || null;
-      }
-      
-      return null;
+      // Return session if we have it in our active sessions
+      return sessionId ? this.activeSessions.get(sessionId) || null : null;
     } catch (error) {
-      console.error('Error getting active Warp session:', error);
+      console.error('Error getting active session:', error);
       return null;
     }
   }
 
   /**
-   * Check if Warp is currently running
+   * Check if the terminal application is currently running
    */
   async isWarpRunning() {
     try {
-      const { stdout } = await execAsync('pgrep -f "Warp"');
-      return stdout.trim().length > 0;
+      return await this.provider.isRunning();
     } catch (error) {
       return false;
     }
   }
 
+  /**
+   * A process followed by its ancestors, nearest first. Shell events carry
+   * the pid of the shell that ran the command, which may be nested inside
+   * the shell a session is keyed by.
+   */
+  async getProcessAncestry(pid, maxDepth = 16) {
+    const ancestry = [pid];
+    while (ancestry.length < maxDepth) {
+      const parent = await this.getParentPid(ancestry[ancestry.length - 1]);
+      if (!parent || parent <= 1 || ancestry.includes(parent)) {
+        break;
+      }
+      ancestry.push(parent);
+    }
+    return ancestry;
+  }
+
+  async getParentPid(pid) {
+    try {
+      const stat = await fs.readFile(`/proc/${pid}/stat`, 'utf8');
+      return parseInt(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1]) || null;
+    } catch (error) {
+      // No /proc (macOS) or the process is gone; ask ps instead
+    }
+
+    try {
+      const { stdout } = await execAsync(`ps -o ppid= -p ${parseInt(pid)}`, { timeout: 2000 });
+      return parseInt(stdout.trim()) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Get session by ID
    */
@@ -1,6 +1,9 @@
 const { app, BrowserWindow, Menu, ipcMain, Tray, nativeImage } = require('electron');
 const path = require('path');
 const TaskTracker = require('./TaskTracker');
+const { describeEvent, UNDO, REDO } = require('./journal');
+const { parseDuration, forecastTask } = require('./forecast');
+const { searchTasks } = require('./query');
 
 class ElectronTaskTracker {
   constructor() {
@@ -115,21 +118,61 @@ class ElectronTaskTracker {
     return nativeImage.createFromDataURL(canvasInstance.toDataURL());
   }
 
+  /**
+   * Run a tracker command for the renderer. Commands report expected errors
+   * and return null rather than throwing, so the reply comes from the
+   * result and `tracker.failure`.
+   */
+  async runCommand(command, fallbackError) {
+    this.taskTracker.failure = null;
+    const task = await command(this.taskTracker);
+    if (task) {
+      return { success: true, task };
+    }
+    const failure = this.taskTracker.failure;
+    return { success: false, error: failure ? failure.message : fallbackError, code: failure ? failure.code : null };
+  }
+
   setupIpcHandlers() {
     // Task management IPC handlers
-    ipcMain.handle('start-task', async (event, taskName, description) => {
+    ipcMain.handle('start-task', async (event, taskName, description, options = {}) => {
       try {
-        await this.taskTracker.startTask(taskName, description);
-        return { success: true };
+        if (options.estimate && !parseDuration(options.estimate)) {
+          return { success: false, error: `Invalid estimate "${options.estimate}"` };
+        }
+        return await this.runCommand(tracker => tracker.startTask(taskName, description, options), 'Could not start the task');
       } catch (error) {
         return { success: false, error: error.message };
       }
     });
 
-    ipcMain.handle('update-progress', async (event, percentage, message) => {
+    ipcMain.handle('update-progress', async (event, percentage, message, taskId) => {
       try {
-        await this.taskTracker.updateProgress(percentage, message);
-        return { success: true };
+        return await this.runCommand(tracker => tracker.updateProgress(percentage, message, taskId), 'Could not update progress');
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('add-subtask', async (event, title, taskId, weight, force) => {
+      try {
+        return await this.runCommand(tracker => tracker.addSubtask(title, { taskRef: taskId, weight, force }), 'Could not add subtask');
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('set-subtask-done', async (event, subtaskId, done, taskId) => {
+      try {
+        return await this.runCommand(tracker => tracker.setSubtaskDone(subtaskId, done, taskId), 'Subtask not found');
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('move-subtask', async (event, subtaskId, position, taskId) => {
+      try {
+        return await this.runCommand(tracker => tracker.moveSubtask(subtaskId, position, taskId), 'Could not move subtask');
       } catch (error) {
         return { success: false, error: error.message };
       }
@@ -138,34 +181,115 @@ class ElectronTaskTracker {
     ipcMain.handle('get-current-task', async () => {
       try {
         const data = await this.taskTracker.loadData();
-        return { success: true, task: data.currentTask };
+        const task = this.taskTracker.resolveTask(data);
+        return { success: true, task, forecast: task ? forecastTask(task) : null };
       } catch (error) {
         return { success: false, error: error.message };
       }
     });
 
-    ipcMain.handle('get-task-history', async (event, count = 10) => {
+    ipcMain.handle('get-available-tasks', async () => {
       try {
         const data = await this.taskTracker.loadData();
-        return { success: true, history: data.history.slice(0, count) };
+        return {
+          success: true,
+          tasks: this.taskTracker.getOpenTasks(data),
+          focusedTaskId: data.focusedTaskId
+        };
       } catch (error) {
         return { success: false, error: error.message };
       }
     });
 
-    ipcMain.handle('complete-task', async (event, message) => {
+    ipcMain.handle('switch-task', async (event, taskId) => {
       try {
-        await this.taskTracker.completeTask(message);
-        return { success: true };
+        const result = await this.runCommand(tracker => tracker.switchTask(taskId), 'Could not switch task');
+        if (!result.success) {
+          return result;
+        }
+        const data = await this.taskTracker.loadData();
+        const task = this.taskTracker.resolveTask(data);
+        return { success: true, task, forecast: task ? forecastTask(task) : null };
       } catch (error) {
         return { success: false, error: error.message };
       }
     });
 
-    ipcMain.handle('stop-task', async () => {
+    ipcMain.handle('scan-warp-sessions', async () => {
       try {
-        await this.taskTracker.stopTask();
-        return { success: true };
+        const result = await this.taskTracker.scanAndCreateTasks();
+        return { success: true, sessions: result.allSessions };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('get-task-history', async (event, count = 10, filter = {}) => {
+      try {
+        const data = await this.taskTracker.loadData();
+        const history = data.history.filter(task => this.taskTracker.matchesFilter(task, filter));
+        return { success: true, history: history.slice(0, count) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('search-tasks', async (event, query, page = 1, filter = {}) => {
+      try {
+        const data = await this.taskTracker.loadData();
+        const tasks = this.taskTracker.getAllTasks(data)
+          .filter(task => this.taskTracker.matchesFilter(task, filter));
+        return { success: true, ...searchTasks(tasks, query, { page }) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('complete-task', async (event, message, taskId) => {
+      try {
+        return await this.runCommand(tracker => tracker.completeTask(message, taskId), 'Could not complete the task');
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('stop-task', async (event, taskId) => {
+      try {
+        return await this.runCommand(tracker => tracker.stopTask(taskId), 'Could not stop the task');
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('pause-task', async (event, taskId) => {
+      try {
+        return await this.runCommand(tracker => tracker.pauseTask(taskId), 'Task could not be paused');
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('resume-task', async (event, taskId) => {
+      try {
+        return await this.runCommand(tracker => tracker.resumeTask(taskId), 'Task could not be resumed');
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('undo', async () => {
+      try {
+        const event = await this.taskTracker.revertJournalEvent(UNDO);
+        return { success: true, description: describeEvent(event) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('redo', async () => {
+      try {
+        const event = await this.taskTracker.revertJournalEvent(REDO);
+        return { success: true, description: describeEvent(event) };
       } catch (error) {
         return { success: false, error: error.message };
       }
@@ -182,9 +306,7 @@ class ElectronTaskTracker {
 
     ipcMain.handle('update-config', async (event, key, value) => {
       try {
-        const config = await this.taskTracker.loadConfig();
-        config[key] = value;
-        await this.taskTracker.saveConfig(config);
+        await this.taskTracker.writeSetting(key, value);
         return { success: true };
       } catch (error) {
         return { success: false, error: error.message };
@@ -212,6 +334,12 @@ class ElectronTaskTracker {
       this.createTray();
       this.setupIpcHandlers();
 
+      // Record commands reported by the shell hooks; a `warp-tracker listen`
+      // already running keeps the socket and records them instead
+      this.taskTracker.startEventServer().catch(error => {
+        console.error('Shell events unavailable:', error.message);
+      });
+
       app.on('activate', () => {
         if (BrowserWindow.getAllWindows().length === 0) {
           this.createMainWindow();
@@ -229,6 +357,7 @@ class ElectronTaskTracker {
     // Handle before quit
     app.on('before-quit', () => {
       this.isQuitting = true;
+      this.taskTracker.stopEventServer();
     });
   }
 }
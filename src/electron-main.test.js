@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const handlers = {};
+
+jest.mock('electron', () => ({
+  app: { whenReady: () => new Promise(() => {}), on: () => {} },
+  BrowserWindow: { getAllWindows: () => [] },
+  Menu: {},
+  Tray: function Tray() {},
+  nativeImage: {},
+  ipcMain: { handle: (channel, handler) => { handlers[channel] = handler; } }
+}), { virtual: true });
+
+let home;
+let originalHome;
+
+beforeEach(() => {
+  originalHome = process.env.HOME;
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'warp-tracker-electron-'));
+  process.env.HOME = home;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+
+  jest.isolateModules(() => {
+    const ElectronTaskTracker = require('./electron-main');
+    new ElectronTaskTracker().setupIpcHandlers();
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  process.env.HOME = originalHome;
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+function invoke(channel, ...args) {
+  return handlers[channel]({}, ...args);
+}
+
+describe('IPC handlers', () => {
+  test('report a successful command with its task', async () => {
+    const reply = await invoke('start-task', 'Login', '');
+
+    expect(reply.success).toBe(true);
+    expect(reply.task.name).toBe('Login');
+  });
+
+  test('report errors that commands print instead of throwing', async () => {
+    await invoke('start-task', 'Login', '');
+
+    expect(await invoke('start-task', 'Login', '')).toMatchObject({ success: false, code: 'TASK_EXISTS' });
+    expect(await invoke('update-progress', 150)).toMatchObject({
+      success: false,
+      error: 'Progress percentage must be between 0 and 100'
+    });
+    expect(await invoke('switch-task', 'nope')).toMatchObject({ success: false, code: 'TASK_NOT_FOUND' });
+  });
+
+  test('report a derived-progress update as failed', async () => {
+    await invoke('start-task', 'Login', '');
+    await invoke('add-subtask', 'Write tests');
+
+    expect(await invoke('update-progress', 50)).toMatchObject({ success: false, code: 'DERIVED_PROGRESS' });
+  });
+
+  test('report completing and stopping without an open task as failed', async () => {
+    expect((await invoke('complete-task', 'done')).success).toBe(false);
+    expect((await invoke('stop-task')).success).toBe(false);
+
+    await invoke('start-task', 'Login', '');
+    expect((await invoke('complete-task', 'done')).success).toBe(true);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Base class for errors the tracker expects and can explain to the user
+ */
+class TrackerError extends Error {
+  constructor(message, code = 'TRACKER_ERROR') {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/**
+ * Raised when task data cannot be read or written
+ */
+class StorageError extends TrackerError {
+  constructor(message, code = 'STORAGE_ERROR') {
+    super(message, code);
+  }
+}
+
+/**
+ * Raised when a data file exists but cannot be parsed
+ */
+class CorruptDataError extends StorageError {
+  constructor(filePath, backupPath, cause) {
+    super(
+      `Could not parse ${filePath}: ${cause.message}\n` +
+      `A copy was saved to ${backupPath}. Fix or remove the file to continue.`,
+      'CORRUPT_DATA'
+    );
+    this.filePath = filePath;
+    this.backupPath = backupPath;
+  }
+}
+
+/**
+ * Raised when data changed on disk between being read and being written
+ */
+class ConflictError extends StorageError {
+  constructor(filePath, expectedRevision, actualRevision) {
+    super(
+      `${filePath} was modified by another process (expected revision ${expectedRevision}, found ${actualRevision})`,
+      'WRITE_CONFLICT'
+    );
+    this.expectedRevision = expectedRevision;
+    this.actualRevision = actualRevision;
+  }
+}
+
+/**
+ * Exit codes of the command line interface:
+ *   0  success
+ *   1  unexpected error
+ *   2  invalid input: a bad argument, option or config value
+ *   3  not found: no such task, subtask, rule or file
+ *   4  not possible in the current state, e.g. a task with that name is
+ *      already open or the task is already paused
+ *   5  task data could not be read or written
+ */
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  INVALID_INPUT: 2,
+  NOT_FOUND: 3,
+  INVALID_STATE: 4,
+  STORAGE: 5
+};
+
+// Error codes whose exit code is not told by their name; other codes
+// starting with INVALID_ exit with INVALID_INPUT
+const ERROR_EXIT_CODES = {
+  UNSUPPORTED_SHELL: EXIT_CODES.INVALID_INPUT,
+  NOTHING_TO_CHANGE: EXIT_CODES.INVALID_INPUT,
+  NOT_INTERACTIVE: EXIT_CODES.INVALID_INPUT,
+  UNKNOWN_SETTING: EXIT_CODES.INVALID_INPUT,
+  TASK_NOT_FOUND: EXIT_CODES.NOT_FOUND,
+  SUBTASK_NOT_FOUND: EXIT_CODES.NOT_FOUND,
+  RULE_NOT_FOUND: EXIT_CODES.NOT_FOUND,
+  FILE_NOT_FOUND: EXIT_CODES.NOT_FOUND,
+  TASK_EXISTS: EXIT_CODES.INVALID_STATE,
+  DUPLICATE_NAME: EXIT_CODES.INVALID_STATE,
+  DERIVED_PROGRESS: EXIT_CODES.INVALID_STATE,
+  MANUAL_PROGRESS: EXIT_CODES.INVALID_STATE,
+  ALREADY_PAUSED: EXIT_CODES.INVALID_STATE,
+  NOT_PAUSED: EXIT_CODES.INVALID_STATE,
+  NO_IDLE_TIME: EXIT_CODES.INVALID_STATE,
+  EMPTY_JOURNAL: EXIT_CODES.INVALID_STATE,
+  NOTHING_TO_UNDO: EXIT_CODES.INVALID_STATE,
+  NOTHING_TO_REDO: EXIT_CODES.INVALID_STATE,
+  JOURNAL_DRIFT: EXIT_CODES.INVALID_STATE,
+  SOCKET_IN_USE: EXIT_CODES.INVALID_STATE,
+  NOT_LISTENING: EXIT_CODES.INVALID_STATE
+};
+
+/**
+ * The exit code the command line reports for an error
+ */
+function exitCodeFor(error) {
+  if (!error) {
+    return EXIT_CODES.SUCCESS;
+  }
+  if (error instanceof StorageError) {
+    return EXIT_CODES.STORAGE;
+  }
+  if (!(error instanceof TrackerError)) {
+    return EXIT_CODES.ERROR;
+  }
+  if (ERROR_EXIT_CODES[error.code] !== undefined) {
+    return ERROR_EXIT_CODES[error.code];
+  }
+  return error.code.startsWith('INVALID_') ? EXIT_CODES.INVALID_INPUT : EXIT_CODES.ERROR;
+}
+
+module.exports = {
+  EXIT_CODES,
+  exitCodeFor,
+  TrackerError,
+  StorageError,
+  CorruptDataError,
+  ConflictError
+};
@@ -0,0 +1,59 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EXIT_CODES, exitCodeFor, TrackerError, StorageError, CorruptDataError, ConflictError } = require('./errors');
+
+describe('exitCodeFor', () => {
+  test.each([
+    ['no error', null, EXIT_CODES.SUCCESS],
+    ['an unexpected error', new Error('boom'), EXIT_CODES.ERROR],
+    ['an unlisted code', new TrackerError('odd', 'SOMETHING_ELSE'), EXIT_CODES.ERROR],
+    ['INVALID_PERCENTAGE', new TrackerError('bad', 'INVALID_PERCENTAGE'), EXIT_CODES.INVALID_INPUT],
+    ['UNSUPPORTED_SHELL', new TrackerError('bad', 'UNSUPPORTED_SHELL'), EXIT_CODES.INVALID_INPUT],
+    ['TASK_NOT_FOUND', new TrackerError('gone', 'TASK_NOT_FOUND'), EXIT_CODES.NOT_FOUND],
+    ['TASK_EXISTS', new TrackerError('busy', 'TASK_EXISTS'), EXIT_CODES.INVALID_STATE],
+    ['NOTHING_TO_UNDO', new TrackerError('none', 'NOTHING_TO_UNDO'), EXIT_CODES.INVALID_STATE],
+    ['LOCK_TIMEOUT', new StorageError('locked', 'LOCK_TIMEOUT'), EXIT_CODES.STORAGE],
+    ['corrupt data', new CorruptDataError('tasks.json', 'tasks.json.bak', new Error('bad json')), EXIT_CODES.STORAGE],
+    ['a write conflict', new ConflictError('tasks.json', 1, 2), EXIT_CODES.STORAGE]
+  ])('%s exits with %i', (name, error, code) => {
+    expect(exitCodeFor(error)).toBe(code);
+  });
+});
+
+describe('command line', () => {
+  const bin = path.resolve(__dirname, '../bin/warp-tracker');
+  let home;
+
+  beforeEach(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'warp-tracker-cli-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  function exitCode(...args) {
+    try {
+      execFileSync(process.execPath, [bin, ...args], { env: { ...process.env, HOME: home }, stdio: 'ignore' });
+      return 0;
+    } catch (error) {
+      return error.status;
+    }
+  }
+
+  test('exits with the documented code for each kind of failure', () => {
+    expect(exitCode('start', 'Login')).toBe(EXIT_CODES.SUCCESS);
+    expect(exitCode('update', '150')).toBe(EXIT_CODES.INVALID_INPUT);
+    expect(exitCode('switch', 'nope')).toBe(EXIT_CODES.NOT_FOUND);
+    expect(exitCode('start', 'Login')).toBe(EXIT_CODES.INVALID_STATE);
+  });
+
+  test('exits with the storage code when the task data cannot be read', () => {
+    fs.mkdirSync(path.join(home, '.warp-tracker'));
+    fs.writeFileSync(path.join(home, '.warp-tracker', 'tasks.json'), '{"tasks": ');
+
+    expect(exitCode('status')).toBe(EXIT_CODES.STORAGE);
+  });
+});
@@ -0,0 +1,376 @@
+/**
+ * Export and import of task data.
+ *
+ * Formats:
+ *   csv       one row per task, or per progress update with rows: 'updates'
+ *   jsonl     one task object per line (lossless)
+ *   markdown  a human-readable report (export only)
+ *
+ * Durations in CSV are whole minutes and times are ISO 8601, so the files
+ * load straight into a spreadsheet.
+ */
+
+const path = require('path');
+const { TrackerError } = require('./errors');
+const { activeTime } = require('./forecast');
+const { migrate } = require('./storage/migrations');
+const { PRIORITIES, STATUSES, clampProgress, normalizeTags } = require('./taskFields');
+
+const FORMATS = ['csv', 'jsonl', 'markdown'];
+const FORMAT_ALIASES = { md: 'markdown', json: 'jsonl', ndjson: 'jsonl' };
+
+const MINUTE = 60 * 1000;
+
+const TASK_COLUMNS = [
+  'id', 'name', 'description', 'status', 'project', 'priority', 'tags',
+  'startTime', 'endTime', 'activeMinutes', 'elapsedMinutes', 'progress',
+  'estimateMinutes', 'completionMessage', 'workingDir'
+];
+
+const UPDATE_COLUMNS = ['taskId', 'taskName', 'timestamp', 'progress', 'message', 'subtaskId'];
+
+/**
+ * Resolve a format name, falling back to the file extension
+ */
+function resolveFormat(format, file) {
+  const requested = format || (file ? path.extname(file).slice(1) : '') || 'jsonl';
+  const resolved = FORMAT_ALIASES[requested.toLowerCase()] || requested.toLowerCase();
+
+  if (!FORMATS.includes(resolved)) {
+    throw new TrackerError(`Unknown format "${requested}". Use one of: ${FORMATS.join(', ')}`, 'INVALID_FORMAT');
+  }
+  return resolved;
+}
+
+function minutes(ms) {
+  return ms === null || ms === undefined ? '' : Math.round(ms / MINUTE);
+}
+
+// ===== CSV =====
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => csvField(row[column])).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse RFC 4180 CSV (quoted fields may contain commas, quotes and newlines)
+ * into objects keyed by the header row
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...body] = rows.filter(cells => cells.some(cell => cell !== ''));
+  if (!header) {
+    return [];
+  }
+  return body.map(cells => {
+    const record = {};
+    header.forEach((column, index) => {
+      record[column.trim()] = cells[index] !== undefined ? cells[index] : '';
+    });
+    return record;
+  });
+}
+
+function taskToRow(task) {
+  return {
+    id: task.id,
+    name: task.name,
+    description: task.description,
+    status: task.status,
+    project: task.project,
+    priority: task.priority,
+    tags: (task.tags || []).join(';'),
+    startTime: task.startTime,
+    endTime: task.endTime,
+    activeMinutes: minutes(activeTime(task, task.endTime || new Date())),
+    elapsedMinutes: minutes(new Date(task.endTime || Date.now()) - new Date(task.startTime)),
+    progress: task.progress,
+    estimateMinutes: minutes(task.estimateMs),
+    completionMessage: task.completionMessage,
+    workingDir: task.sessionInfo && task.sessionInfo.workingDir
+  };
+}
+
+function rowToTask(row) {
+  const task = {
+    id: row.id,
+    name: row.name,
+    description: row.description || '',
+    startTime: row.startTime,
+    progress: row.progress,
+    updates: [],
+    status: row.status || 'stopped',
+    tags: row.tags ? row.tags.split(';').filter(Boolean) : [],
+    priority: row.priority || 'normal',
+    project: row.project || null
+  };
+
+  if (row.endTime) {
+    task.endTime = row.endTime;
+  }
+  if (row.estimateMinutes) {
+    task.estimateMs = Number(row.estimateMinutes) * MINUTE;
+  }
+  if (row.completionMessage) {
+    task.completionMessage = row.completionMessage;
+  }
+
+  // Keep the active time: one interval of that length from the start
+  if (row.activeMinutes !== '' && row.activeMinutes !== undefined && row.endTime) {
+    const end = new Date(new Date(row.startTime).getTime() + Number(row.activeMinutes) * MINUTE);
+    task.intervals = [{ start: row.startTime, end: end.toISOString() }];
+  }
+  return task;
+}
+
+function rowToUpdate(row) {
+  const update = {
+    timestamp: row.timestamp,
+    progress: clampProgress(row.progress),
+    message: row.message || ''
+  };
+  if (row.subtaskId) {
+    update.subtaskId = row.subtaskId;
+  }
+  return update;
+}
+
+// ===== MARKDOWN =====
+
+function formatMinutes(ms) {
+  const total = Math.round(ms / MINUTE);
+  const hours = Math.floor(total / 60);
+  return hours > 0 ? `${hours}h ${total % 60}m` : `${total}m`;
+}
+
+function markdownCell(value) {
+  return String(value === null || value === undefined ? '' : value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function toMarkdown(tasks, options = {}) {
+  const lines = ['# Task Report', ''];
+  const generated = (options.now || new Date()).toLocaleString();
+  lines.push(`Generated ${generated}${options.description ? ` for ${options.description}` : ''}.`, '');
+
+  const totalActive = tasks.reduce((sum, task) => sum + activeTime(task, task.endTime || new Date()), 0);
+  const completed = tasks.filter(task => task.status === 'completed').length;
+  lines.push('## Summary', '');
+  lines.push(`- **Tasks:** ${tasks.length} (${completed} completed)`);
+  lines.push(`- **Active time:** ${formatMinutes(totalActive)}`);
+
+  const byProject = new Map();
+  tasks.forEach(task => {
+    const project = task.project || '(no project)';
+    byProject.set(project, (byProject.get(project) || 0) + activeTime(task, task.endTime || new Date()));
+  });
+  if (byProject.size > 1) {
+    lines.push('- **By project:**');
+    [...byProject.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([project, ms]) => lines.push(`  - ${project}: ${formatMinutes(ms)}`));
+  }
+
+  lines.push('', '## Tasks', '');
+  lines.push('| Task | Status | Project | Tags | Started | Active | Progress |');
+  lines.push('| --- | --- | --- | --- | --- | --- | ---: |');
+  tasks.forEach(task => {
+    lines.push(`| ${[
+      markdownCell(task.name),
+      task.status,
+      markdownCell(task.project || ''),
+      markdownCell((task.tags || []).map(tag => `#${tag}`).join(' ')),
+      new Date(task.startTime).toLocaleDateString(),
+      formatMinutes(activeTime(task, task.endTime || new Date())),
+      `${task.progress}%`
+    ].join(' | ')} |`);
+  });
+
+  const detailed = tasks.filter(task => (task.updates || []).some(update => update.message) || task.completionMessage);
+  if (detailed.length > 0) {
+    lines.push('', '## Notes');
+    detailed.forEach(task => {
+      lines.push('', `### ${task.name}`, '');
+      (task.updates || []).filter(update => update.message).forEach(update => {
+        lines.push(`- ${new Date(update.timestamp).toLocaleString()} (${update.progress}%): ${update.message}`);
+      });
+      if (task.completionMessage) {
+        lines.push(`- **Completed:** ${task.completionMessage}`);
+      }
+    });
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// ===== PUBLIC API =====
+
+/**
+ * Serialize tasks in the given format
+ */
+function exportTasks(tasks, format, options = {}) {
+  switch (format) {
+    case 'csv':
+      if (options.rows === 'updates') {
+        const rows = [];
+        tasks.forEach(task => {
+          (task.updates || []).forEach(update => {
+            rows.push(Object.assign({ taskId: task.id, taskName: task.name }, update));
+          });
+        });
+        return toCsv(UPDATE_COLUMNS, rows);
+      }
+      return toCsv(TASK_COLUMNS, tasks.map(taskToRow));
+
+    case 'jsonl':
+      return tasks.map(task => JSON.stringify(task)).join('\n') + (tasks.length > 0 ? '\n' : '');
+
+    case 'markdown':
+      return toMarkdown(tasks, options);
+
+    default:
+      throw new TrackerError(`Cannot export as ${format}`, 'INVALID_FORMAT');
+  }
+}
+
+/**
+ * Parse an export back into { tasks, updates }: whole tasks, and progress
+ * updates (from per-update CSV) keyed by task id
+ */
+function parseImport(text, format) {
+  if (format === 'markdown') {
+    throw new TrackerError('Markdown reports cannot be imported; export as jsonl or csv instead', 'INVALID_FORMAT');
+  }
+
+  if (format === 'csv') {
+    const rows = parseCsv(text);
+    if (rows.length > 0 && 'taskId' in rows[0]) {
+      const updates = new Map();
+      rows.forEach(row => {
+        if (!updates.has(row.taskId)) {
+          updates.set(row.taskId, []);
+        }
+        updates.get(row.taskId).push(rowToUpdate(row));
+      });
+      return { tasks: [], updates };
+    }
+    return { tasks: normalizeTasks(rows.map(rowToTask)), updates: new Map() };
+  }
+
+  const trimmed = text.trim();
+  let records;
+  try {
+    // A whole tasks.json document is accepted as well as JSON Lines
+    if (trimmed.startsWith('{') && !trimmed.includes('\n{')) {
+      const document = JSON.parse(trimmed);
+      if (document.history || document.tasks) {
+        const migrated = migrate(document);
+        records = Object.values(migrated.tasks).concat(migrated.history);
+      } else {
+        records = [document];
+      }
+    } else {
+      records = trimmed.split(/\r?\n/).filter(Boolean).map(line => JSON.parse(line));
+    }
+  } catch (error) {
+    throw new TrackerError(`Could not parse import file: ${error.message}`, 'INVALID_IMPORT');
+  }
+
+  return { tasks: normalizeTasks(records), updates: new Map() };
+}
+
+/**
+ * Fill in fields older exports may lack by running them through the
+ * migrations, then hold the labels to the rules `start` and `edit` apply:
+ * an unknown priority becomes normal, an unknown status stopped, progress
+ * is clamped to 0-100 and tags become a list of tag names.
+ */
+function normalizeTasks(records) {
+  records.forEach(task => {
+    if (!task || typeof task !== 'object' || !task.id || typeof task.name !== 'string' || !task.name.trim() ||
+        isNaN(new Date(task.startTime).getTime())) {
+      throw new TrackerError('Every imported task needs an id, name and startTime', 'INVALID_IMPORT');
+    }
+  });
+
+  const document = migrate({ schemaVersion: 1, tasks: {}, history: records });
+  return document.history.map(sanitizeTask);
+}
+
+function sanitizeTask(task) {
+  const priority = String(task.priority).trim().toLowerCase();
+  const status = String(task.status).trim().toLowerCase();
+
+  task.id = String(task.id);
+  task.description = typeof task.description === 'string' ? task.description : '';
+  task.priority = PRIORITIES.includes(priority) ? priority : 'normal';
+  task.status = STATUSES.includes(status) ? status : 'stopped';
+  task.progress = clampProgress(task.progress);
+  task.tags = normalizeTags(Array.isArray(task.tags) ? task.tags : []);
+  task.project = typeof task.project === 'string' && task.project.trim() ? task.project : null;
+  if (task.estimateMs !== undefined && !(Number(task.estimateMs) > 0)) {
+    delete task.estimateMs;
+  }
+  task.updates = (Array.isArray(task.updates) ? task.updates : [])
+    .filter(update => update && typeof update === 'object')
+    .map(update => Object.assign(update, {
+      progress: clampProgress(update.progress),
+      message: typeof update.message === 'string' ? update.message : ''
+    }));
+  return task;
+}
+
+module.exports = {
+  FORMATS,
+  resolveFormat,
+  exportTasks,
+  parseImport,
+  parseCsv
+};
@@ -0,0 +1,212 @@
+const { resolveFormat, exportTasks, parseImport, parseCsv } = require('./exchange');
+
+/**
+ * A finished task with an hour of work spread over two hours
+ */
+function finishedTask(fields = {}) {
+  return {
+    id: '1001',
+    name: 'Fix login, "again"',
+    description: 'Line one\nline two',
+    status: 'completed',
+    project: 'shop',
+    priority: 'high',
+    tags: ['auth', 'bug'],
+    startTime: '2026-03-02T09:00:00.000Z',
+    endTime: '2026-03-02T11:00:00.000Z',
+    intervals: [
+      { start: '2026-03-02T09:00:00.000Z', end: '2026-03-02T09:30:00.000Z' },
+      { start: '2026-03-02T10:30:00.000Z', end: '2026-03-02T11:00:00.000Z' }
+    ],
+    progress: 100,
+    estimateMs: 45 * 60 * 1000,
+    completionMessage: 'Done',
+    updates: [
+      { timestamp: '2026-03-02T09:20:00.000Z', progress: 40, message: 'Found it' },
+      { timestamp: '2026-03-02T11:00:00.000Z', progress: 100, message: '' }
+    ],
+    subtasks: [],
+    ...fields
+  };
+}
+
+describe('resolveFormat', () => {
+  test.each([
+    [undefined, 'tasks.csv', 'csv'],
+    [undefined, 'report.md', 'markdown'],
+    ['json', 'tasks.txt', 'jsonl'],
+    [undefined, undefined, 'jsonl']
+  ])('%s with %s is %s', (format, file, resolved) => {
+    expect(resolveFormat(format, file)).toBe(resolved);
+  });
+
+  test('rejects unknown formats', () => {
+    expect(() => resolveFormat('xml')).toThrow('Unknown format "xml"');
+  });
+});
+
+describe('parseCsv', () => {
+  test('reads quoted commas, quotes and newlines', () => {
+    const rows = parseCsv('a,b\r\n"1,2","say ""hi""\nthere"\n\n3,\n');
+
+    expect(rows).toEqual([
+      { a: '1,2', b: 'say "hi"\nthere' },
+      { a: '3', b: '' }
+    ]);
+  });
+
+  test('is empty without a header', () => {
+    expect(parseCsv('')).toEqual([]);
+  });
+});
+
+describe('CSV', () => {
+  test('round-trips a task row', () => {
+    const csv = exportTasks([finishedTask()], 'csv');
+    const [task] = parseImport(csv, 'csv').tasks;
+
+    expect(task).toMatchObject({
+      id: '1001',
+      name: 'Fix login, "again"',
+      description: 'Line one\nline two',
+      status: 'completed',
+      tags: ['auth', 'bug'],
+      priority: 'high',
+      project: 'shop',
+      progress: 100,
+      estimateMs: 45 * 60 * 1000,
+      completionMessage: 'Done'
+    });
+  });
+
+  test('keeps the active time as one interval', () => {
+    const csv = exportTasks([finishedTask()], 'csv');
+
+    expect(parseCsv(csv)[0]).toMatchObject({ activeMinutes: '60', elapsedMinutes: '120' });
+    expect(parseImport(csv, 'csv').tasks[0].intervals).toEqual([
+      { start: '2026-03-02T09:00:00.000Z', end: '2026-03-02T10:00:00.000Z' }
+    ]);
+  });
+
+  test('exports and imports progress update rows', () => {
+    const csv = exportTasks([finishedTask()], 'csv', { rows: 'updates' });
+    const { tasks, updates } = parseImport(csv, 'csv');
+
+    expect(tasks).toEqual([]);
+    expect(updates.get('1001')).toEqual([
+      { timestamp: '2026-03-02T09:20:00.000Z', progress: 40, message: 'Found it' },
+      { timestamp: '2026-03-02T11:00:00.000Z', progress: 100, message: '' }
+    ]);
+  });
+});
+
+describe('JSON', () => {
+  test('round-trips tasks through JSON Lines', () => {
+    const tasks = [finishedTask(), finishedTask({ id: '1002', name: 'Second' })];
+    const jsonl = exportTasks(tasks, 'jsonl');
+
+    expect(jsonl.trim().split('\n')).toHaveLength(2);
+    expect(parseImport(jsonl, 'jsonl').tasks).toEqual(tasks);
+  });
+
+  test('reads a whole tasks.json document', () => {
+    const document = {
+      currentTask: { id: 'a', name: 'Open', startTime: '2026-03-02T09:00:00.000Z', progress: 10 },
+      history: [finishedTask()]
+    };
+
+    const { tasks } = parseImport(JSON.stringify(document, null, 2), 'jsonl');
+
+    expect(tasks.map(task => task.id)).toEqual(['a', '1001']);
+    expect(tasks[0]).toMatchObject({ subtasks: [], tags: [], priority: 'normal' });
+  });
+
+  test('fills in fields an older export lacks', () => {
+    const jsonl = JSON.stringify({ id: 'old', name: 'Old', startTime: '2026-01-05T09:00:00.000Z' });
+
+    expect(parseImport(jsonl, 'jsonl').tasks[0]).toMatchObject({
+      subtasks: [],
+      intervals: [{ start: '2026-01-05T09:00:00.000Z', end: null }],
+      tags: [],
+      priority: 'normal',
+      project: null
+    });
+  });
+
+  test.each([
+    ['invalid JSON', '{"id":', 'Could not parse import file'],
+    ['a task without a name', JSON.stringify({ id: 'x', startTime: '2026-01-05T09:00:00.000Z' }), 'needs an id, name and startTime']
+  ])('rejects %s', (name, text, message) => {
+    expect(() => parseImport(text, 'jsonl')).toThrow(message);
+  });
+});
+
+describe('validation', () => {
+  test('holds CSV labels to the rules of start and edit', () => {
+    const csv = [
+      'id,name,status,priority,tags,startTime,progress,estimateMinutes',
+      '1,Bad,"<img src=x onerror=alert(1)>","high<script>","#UI;ui; ;Bug",2026-03-02T09:00:00.000Z,250,-5',
+      '2,Low,paused,LOW,,2026-03-02T09:00:00.000Z,-20,',
+      '3,Word,done,,,2026-03-02T09:00:00.000Z,lots,'
+    ].join('\n');
+
+    const [bad, low, word] = parseImport(csv, 'csv').tasks;
+
+    expect(bad).toMatchObject({ status: 'stopped', priority: 'normal', tags: ['bug', 'ui'], progress: 100 });
+    expect(bad.estimateMs).toBeUndefined();
+    expect(low).toMatchObject({ status: 'paused', priority: 'low', progress: 0 });
+    expect(word.progress).toBe(0);
+  });
+
+  test('holds JSON fields to the same rules', () => {
+    const jsonl = JSON.stringify(finishedTask({
+      id: 7,
+      priority: { evil: true },
+      status: 'deleted',
+      progress: '55.6',
+      tags: ['ok', 3, { a: 1 }, null, '#OK'],
+      project: 42,
+      updates: [{ timestamp: '2026-03-02T09:20:00.000Z', progress: 900, message: 5 }, 'junk']
+    }));
+
+    const [task] = parseImport(jsonl, 'jsonl').tasks;
+
+    expect(task).toMatchObject({
+      id: '7',
+      priority: 'normal',
+      status: 'stopped',
+      progress: 56,
+      tags: ['3', 'ok'],
+      project: null,
+      updates: [{ timestamp: '2026-03-02T09:20:00.000Z', progress: 100, message: '' }]
+    });
+  });
+
+  test('clamps the progress of per-update CSV rows', () => {
+    const csv = 'taskId,taskName,timestamp,progress,message\n1,A,2026-03-02T09:00:00.000Z,-3,x\n';
+
+    expect(parseImport(csv, 'csv').updates.get('1')[0].progress).toBe(0);
+  });
+
+  test.each([
+    ['a name that is not text', { id: 'x', name: { html: '<b>' }, startTime: '2026-01-05T09:00:00.000Z' }],
+    ['an invalid start time', { id: 'x', name: 'X', startTime: 'yesterday-ish' }]
+  ])('rejects %s', (name, record) => {
+    expect(() => parseImport(JSON.stringify(record), 'jsonl')).toThrow('needs an id, name and startTime');
+  });
+});
+
+describe('Markdown', () => {
+  test('reports the tasks with their notes', () => {
+    const report = exportTasks([finishedTask()], 'markdown', { now: new Date('2026-03-03T09:00:00.000Z') });
+
+    expect(report).toContain('- **Tasks:** 1 (1 completed)');
+    expect(report).toContain('- **Active time:** 1h 0m');
+    expect(report).toContain('| Fix login, "again" | completed | shop | #auth #bug |');
+    expect(report).toContain('**Completed:** Done');
+  });
+
+  test('cannot be imported', () => {
+    expect(() => parseImport('# Task Report', 'markdown')).toThrow('cannot be imported');
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Estimates and completion forecasting.
+ *
+ * A task's velocity is measured in progress points per millisecond of active
+ * time (paused intervals do not count). The projected finish assumes work
+ * continues at the overall velocity; the confidence range widens with how
+ * much the velocity varied between individual progress updates. A task needs
+ * MIN_ACTIVE_MS of work and MIN_SAMPLES progress updates before its velocity
+ * is trusted; until then only an estimate can give a finish time.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const DURATION_UNITS = {
+  w: 5 * 8 * HOUR,
+  d: 8 * HOUR,
+  h: HOUR,
+  m: MINUTE
+};
+
+// Used as the velocity spread when there are too few updates to measure one
+const DEFAULT_SPREAD = 0.5;
+const MIN_RATE_FACTOR = 0.25;
+const MIN_ACTIVE_MS = 15 * MINUTE;
+const MIN_SAMPLES = 2;
+
+/**
+ * Parse "3h", "90m", "1h30m" or "1.5d" into milliseconds (null if invalid).
+ * Days and weeks are working days (8h) and working weeks (5d).
+ */
+function parseDuration(text) {
+  const input = String(text || '').trim().toLowerCase().replace(/\s+/g, '');
+  if (!/^(\d+(\.\d+)?[wdhm])+$/.test(input)) {
+    return null;
+  }
+
+  let total = 0;
+  input.replace(/(\d+(?:\.\d+)?)([wdhm])/g, (match, amount, unit) => {
+    total += parseFloat(amount) * DURATION_UNITS[unit];
+  });
+  return total > 0 ? Math.round(total) : null;
+}
+
+/**
+ * Active milliseconds worked on a task up to a point in time
+ */
+function activeTime(task, at = new Date()) {
+  const until = new Date(at).getTime();
+
+  if (!Array.isArray(task.intervals)) {
+    const end = task.endTime ? Math.min(new Date(task.endTime).getTime(), until) : until;
+    return Math.max(0, end - new Date(task.startTime).getTime());
+  }
+
+  return task.intervals.reduce((total, interval) => {
+    const start = new Date(interval.start).getTime();
+    const end = Math.min(interval.end ? new Date(interval.end).getTime() : until, until);
+    return total + Math.max(0, end - start);
+  }, 0);
+}
+
+/**
+ * Progress rates (points per active ms) between consecutive updates
+ */
+function segmentRates(task) {
+  const points = [{ active: 0, progress: 0 }].concat(
+    (task.updates || []).map(update => ({
+      active: activeTime(task, update.timestamp),
+      progress: update.progress
+    }))
+  );
+
+  const rates = [];
+  for (let i = 1; i < points.length; i++) {
+    const elapsed = points[i].active - points[i - 1].active;
+    if (elapsed > 0) {
+      rates.push(Math.max(0, points[i].progress - points[i - 1].progress) / elapsed);
+    }
+  }
+  return rates;
+}
+
+function describeConfidence(samples, spread) {
+  if (samples < 3 || spread > 0.5) {
+    return 'low';
+  }
+  return spread > 0.25 ? 'medium' : 'high';
+}
+
+/**
+ * Project when an open task will finish.
+ *
+ * Returns null when there is nothing to project from: too little work to
+ * measure a velocity and no estimate. Times are Date objects; durations are milliseconds.
+ */
+function forecastTask(task, now = new Date()) {
+  const active = activeTime(task, now);
+  const estimate = task.estimateMs || null;
+  const result = {
+    activeMs: active,
+    estimateMs: estimate,
+    overEstimate: Boolean(estimate && active > estimate),
+    overByMs: estimate ? Math.max(0, active - estimate) : 0
+  };
+
+  if (task.progress >= 100) {
+    return null;
+  }
+
+  const samples = (task.updates || []).length;
+  if (task.progress > 0 && active >= MIN_ACTIVE_MS && samples >= MIN_SAMPLES) {
+    const rate = task.progress / active;
+    const rates = segmentRates(task);
+    let spread = DEFAULT_SPREAD;
+    if (rates.length >= 2) {
+      const mean = rates.reduce((sum, value) => sum + value, 0) / rates.length;
+      const variance = rates.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / rates.length;
+      spread = mean > 0 ? Math.sqrt(variance) / mean : DEFAULT_SPREAD;
+    }
+
+    const remaining = (100 - task.progress) / rate;
+    const slowRate = rate * Math.max(MIN_RATE_FACTOR, 1 - spread);
+    const fastRate = rate * (1 + spread);
+
+    return Object.assign(result, {
+      basis: 'velocity',
+      confidence: describeConfidence(rates.length, spread),
+      remainingMs: remaining,
+      projectedTotalMs: active + remaining,
+      projectedOver: Boolean(estimate && active + remaining > estimate),
+      finishAt: new Date(now.getTime() + remaining),
+      earliestAt: new Date(now.getTime() + (100 - task.progress) / fastRate),
+      latestAt: new Date(now.getTime() + (100 - task.progress) / slowRate)
+    });
+  }
+
+  if (estimate) {
+    const remaining = Math.max(0, estimate - active);
+    return Object.assign(result, {
+      basis: 'estimate',
+      confidence: 'low',
+      remainingMs: remaining,
+      projectedTotalMs: Math.max(estimate, active),
+      projectedOver: result.overEstimate,
+      finishAt: new Date(now.getTime() + remaining),
+      earliestAt: null,
+      latestAt: null
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Estimate-vs-actual record kept on a task when it is closed
+ */
+function measureAccuracy(task, at = new Date()) {
+  if (!task.estimateMs) {
+    return null;
+  }
+
+  const actualMs = activeTime(task, at);
+  return {
+    estimateMs: task.estimateMs,
+    actualMs,
+    ratio: Math.round((actualMs / task.estimateMs) * 100) / 100
+  };
+}
+
+/**
+ * Summarize accuracy over closed tasks that had an estimate
+ */
+function summarizeAccuracy(tasks) {
+  const ratios = tasks
+    .filter(task => task.estimateAccuracy)
+    .map(task => task.estimateAccuracy.ratio)
+    .sort((a, b) => a - b);
+
+  if (ratios.length === 0) {
+    return null;
+  }
+
+  const middle = Math.floor(ratios.length / 2);
+  const median = ratios.length % 2 ? ratios[middle] : (ratios[middle - 1] + ratios[middle]) / 2;
+  return {
+    count: ratios.length,
+    medianRatio: median,
+    overCount: ratios.filter(ratio => ratio > 1).length
+  };
+}
+
+module.exports = {
+  parseDuration,
+  activeTime,
+  forecastTask,
+  measureAccuracy,
+  summarizeAccuracy
+};
@@ -0,0 +1,121 @@
+const { parseDuration, activeTime, forecastTask, measureAccuracy, summarizeAccuracy } = require('./forecast');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const start = new Date('2026-03-02T09:00:00.000Z');
+
+function at(minutes) {
+  return new Date(start.getTime() + minutes * MINUTE);
+}
+
+/**
+ * An open task started at `start` with progress updates at the given minutes
+ */
+function task(updates, fields = {}) {
+  return {
+    startTime: start.toISOString(),
+    intervals: [{ start: start.toISOString(), end: null }],
+    progress: updates.length > 0 ? updates[updates.length - 1][1] : 0,
+    updates: updates.map(([minutes, progress]) => ({ timestamp: at(minutes).toISOString(), progress })),
+    ...fields
+  };
+}
+
+describe('parseDuration', () => {
+  test.each([
+    ['90m', 90 * MINUTE],
+    ['3h', 3 * HOUR],
+    ['1h30m', 90 * MINUTE],
+    ['1.5d', 12 * HOUR],
+    ['1w', 40 * HOUR],
+    [' 2H 15M ', 135 * MINUTE]
+  ])('%s', (text, ms) => {
+    expect(parseDuration(text)).toBe(ms);
+  });
+
+  test.each(['', '3', 'h', '3x', '0m', '-1h', null])('rejects %p', text => {
+    expect(parseDuration(text)).toBeNull();
+  });
+});
+
+describe('activeTime', () => {
+  test('leaves out paused time', () => {
+    const paused = task([], {
+      intervals: [
+        { start: at(0).toISOString(), end: at(30).toISOString() },
+        { start: at(60).toISOString(), end: null }
+      ]
+    });
+
+    expect(activeTime(paused, at(90))).toBe(60 * MINUTE);
+  });
+
+  test('falls back to the start and end time without intervals', () => {
+    const old = { startTime: at(0).toISOString(), endTime: at(45).toISOString() };
+
+    expect(activeTime(old, at(90))).toBe(45 * MINUTE);
+  });
+});
+
+describe('forecastTask', () => {
+  test('projects the finish from the velocity', () => {
+    const projection = forecastTask(task([[20, 20], [40, 40]]), at(40));
+
+    expect(projection.basis).toBe('velocity');
+    expect(projection.remainingMs).toBe(60 * MINUTE);
+    expect(projection.finishAt).toEqual(at(100));
+    expect(projection.earliestAt.getTime()).toBeLessThanOrEqual(projection.finishAt.getTime());
+    expect(projection.latestAt.getTime()).toBeGreaterThanOrEqual(projection.finishAt.getTime());
+  });
+
+  test('does not trust a single update', () => {
+    expect(forecastTask(task([[20, 50]]), at(20))).toBeNull();
+  });
+
+  test('does not trust a few minutes of work', () => {
+    expect(forecastTask(task([[2, 10], [4, 30]]), at(5))).toBeNull();
+  });
+
+  test('falls back to the estimate until the velocity can be trusted', () => {
+    const projection = forecastTask(task([[5, 50]], { estimateMs: 2 * HOUR }), at(30));
+
+    expect(projection).toMatchObject({ basis: 'estimate', confidence: 'low', remainingMs: 90 * MINUTE });
+    expect(projection.earliestAt).toBeNull();
+  });
+
+  test('flags a task that ran over its estimate', () => {
+    const projection = forecastTask(task([[20, 10], [40, 20]], { estimateMs: HOUR }), at(90));
+
+    expect(projection.overEstimate).toBe(true);
+    expect(projection.overByMs).toBe(30 * MINUTE);
+    expect(projection.projectedOver).toBe(true);
+  });
+
+  test('rates steady progress with more confidence than erratic progress', () => {
+    const steady = forecastTask(task([[10, 10], [20, 20], [30, 30]]), at(30));
+    const erratic = forecastTask(task([[10, 2], [20, 25], [30, 30]]), at(30));
+
+    expect(steady.confidence).toBe('high');
+    expect(erratic.confidence).toBe('low');
+  });
+
+  test('has nothing to project for a finished task', () => {
+    expect(forecastTask(task([[20, 50], [40, 100]]), at(40))).toBeNull();
+  });
+});
+
+describe('estimate accuracy', () => {
+  test('compares the active time with the estimate', () => {
+    const closed = task([], { estimateMs: HOUR, intervals: [{ start: at(0).toISOString(), end: at(90).toISOString() }] });
+
+    expect(measureAccuracy(closed)).toEqual({ estimateMs: HOUR, actualMs: 90 * MINUTE, ratio: 1.5 });
+    expect(measureAccuracy(task([]))).toBeNull();
+  });
+
+  test('summarizes the median over tasks with an estimate', () => {
+    const tasks = [0.8, 1.5, 1.2, null].map(ratio => ({ estimateAccuracy: ratio && { ratio } }));
+
+    expect(summarizeAccuracy(tasks)).toEqual({ count: 3, medianRatio: 1.2, overCount: 2 });
+    expect(summarizeAccuracy([])).toBeNull();
+  });
+});
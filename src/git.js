@@ -0,0 +1,283 @@
+/**
+ * Read-only git repository inspection for session tasks.
+ *
+ * The repository is read straight from the .git directory rather than by
+ * running git, since sessions are polled every few seconds. Only listing
+ * commits runs git, and only once HEAD has moved.
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const util = require('util');
+const { execFile } = require('child_process');
+
+const execFileAsync = util.promisify(execFile);
+
+// Changed files kept per commit; the count covers all of them
+const MAX_COMMIT_FILES = 20;
+
+// Branches that say nothing about the work being done on them
+const DEFAULT_BRANCHES = ['main', 'master', 'develop', 'development', 'dev', 'trunk'];
+
+// Leading branch segments naming the kind of change ("feature/...")
+const BRANCH_PREFIXES = ['feature', 'feat', 'fix', 'bugfix', 'hotfix', 'chore', 'release', 'refactor', 'docs', 'test', 'wip'];
+
+// Words that look like issue projects in lower-case branches but are not
+const NOT_ISSUE_PROJECTS = BRANCH_PREFIXES.concat(['issue', 'issues', 'pr', 'v', 'version', 'rc']);
+
+/**
+ * Find the repository containing `dir`: the work tree root and its git
+ * directory. Handles worktrees and submodules, whose .git is a file.
+ */
+async function findRepository(dir) {
+  let current = path.resolve(dir.replace(/^~(?=$|\/)/, process.env.HOME || '~'));
+
+  for (;;) {
+    const dotGit = path.join(current, '.git');
+    try {
+      const stat = await fs.stat(dotGit);
+      if (stat.isDirectory()) {
+        return { root: current, gitDir: dotGit };
+      }
+      const pointer = (await fs.readFile(dotGit, 'utf8')).match(/^gitdir:\s*(.+)$/m);
+      if (pointer) {
+        return { root: current, gitDir: path.resolve(current, pointer[1].trim()) };
+      }
+    } catch (error) {
+      // No .git here; keep walking up
+    }
+
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+/**
+ * Worktrees keep HEAD in their own git directory but config in the shared one
+ */
+async function commonDir(gitDir) {
+  try {
+    const relative = (await fs.readFile(path.join(gitDir, 'commondir'), 'utf8')).trim();
+    return path.resolve(gitDir, relative);
+  } catch (error) {
+    return gitDir;
+  }
+}
+
+/**
+ * The commit a ref points to, from its loose file or packed-refs, or null
+ * for a branch without commits yet
+ */
+async function resolveRef(gitDir, ref) {
+  const shared = await commonDir(gitDir);
+  for (const dir of [gitDir, shared]) {
+    try {
+      return (await fs.readFile(path.join(dir, ref), 'utf8')).trim();
+    } catch (error) {
+      // Not a loose ref here
+    }
+  }
+
+  try {
+    const packed = await fs.readFile(path.join(shared, 'packed-refs'), 'utf8');
+    const line = packed.split(/\r?\n/).find(entry => entry.endsWith(` ${ref}`));
+    return line ? line.split(' ')[0] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * URL of a remote from the repository config: `origin`, else the first one
+ */
+function parseRemote(config) {
+  const remotes = {};
+  let section = null;
+
+  config.split(/\r?\n/).forEach(line => {
+    const header = line.match(/^\s*\[remote\s+"([^"]+)"\]/);
+    if (header) {
+      section = header[1];
+      return;
+    }
+    if (/^\s*\[/.test(line)) {
+      section = null;
+      return;
+    }
+    const url = line.match(/^\s*url\s*=\s*(.+?)\s*$/);
+    if (section && url && !remotes[section]) {
+      remotes[section] = url[1];
+    }
+  });
+
+  return remotes.origin || Object.values(remotes)[0] || null;
+}
+
+/**
+ * Git details of the repository containing `dir`, or null outside one:
+ * { root, remote, branch, head, commit, issueKeys }. `branch` is null on a
+ * detached HEAD, in which case `head` holds the commit. `commit` is the
+ * commit HEAD points to either way (null before the first commit).
+ */
+async function readGitInfo(dir) {
+  if (!dir) {
+    return null;
+  }
+
+  const repository = await findRepository(dir);
+  if (!repository) {
+    return null;
+  }
+
+  let head;
+  try {
+    head = (await fs.readFile(path.join(repository.gitDir, 'HEAD'), 'utf8')).trim();
+  } catch (error) {
+    return null;
+  }
+
+  const ref = head.match(/^ref:\s*refs\/heads\/(.+)$/);
+  const branch = ref ? ref[1] : null;
+
+  let remote = null;
+  try {
+    remote = parseRemote(await fs.readFile(path.join(await commonDir(repository.gitDir), 'config'), 'utf8'));
+  } catch (error) {
+    // A repository without a readable config has no remote to report
+  }
+
+  return {
+    root: repository.root,
+    remote,
+    branch,
+    head: ref ? null : head.slice(0, 40),
+    commit: ref ? await resolveRef(repository.gitDir, `refs/heads/${branch}`) : head.slice(0, 40),
+    issueKeys: parseIssueKeys(branch)
+  };
+}
+
+/**
+ * Commits reachable from HEAD in the repository at `root`, oldest first:
+ * { sha, subject, author, email, committedAt, files, filesChanged,
+ * insertions, deletions }. `since` and `until` bound the commit time and
+ * `author` is an email to match exactly. Merges are left out.
+ */
+async function readCommits(root, { since = null, until = null, author = null } = {}) {
+  const args = ['-C', root, 'log', '--no-merges', '--numstat', '--format=%x1e%H%x1f%an%x1f%ae%x1f%cI%x1f%s'];
+  if (since) args.push(`--since=${since}`);
+  if (until) args.push(`--until=${until}`);
+  // Emails may hold regex characters such as "+" and "."
+  if (author) args.push('--fixed-strings', `--author=<${author}>`);
+  args.push('HEAD', '--');
+
+  const { stdout } = await execFileAsync('git', args, { maxBuffer: 16 * 1024 * 1024 });
+
+  return stdout.split('\x1e').filter(Boolean).map(record => {
+    const [header, ...stats] = record.split('\n');
+    const [sha, name, email, committedAt, subject] = header.split('\x1f');
+    const files = [];
+    let insertions = 0;
+    let deletions = 0;
+
+    stats.filter(Boolean).forEach(line => {
+      const [added, removed, file] = line.split('\t');
+      // Binary files show "-" instead of line counts
+      insertions += parseInt(added) || 0;
+      deletions += parseInt(removed) || 0;
+      files.push(file);
+    });
+
+    return {
+      sha,
+      subject,
+      author: name,
+      email,
+      committedAt: new Date(committedAt).toISOString(),
+      files: files.slice(0, MAX_COMMIT_FILES),
+      filesChanged: files.length,
+      insertions,
+      deletions
+    };
+  }).reverse();
+}
+
+/**
+ * The user.email git uses in the repository at `root`, or null
+ */
+async function readUserEmail(root) {
+  try {
+    const { stdout } = await execFileAsync('git', ['-C', root, 'config', 'user.email']);
+    return stdout.trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Issue keys such as ABC-123 in a branch name. Upper-case keys are found
+ * anywhere; lower-case ones only at the start of a segment
+ * ("feature/abc-123-login"), skipping words like "release-2".
+ */
+function parseIssueKeys(branch) {
+  if (!branch) {
+    return [];
+  }
+
+  const keys = [];
+  const add = key => {
+    if (!keys.includes(key)) {
+      keys.push(key);
+    }
+  };
+
+  (branch.match(/\b[A-Z][A-Z0-9]+-\d+\b/g) || []).forEach(add);
+
+  branch.split('/').forEach(segment => {
+    const match = segment.match(/^([a-z][a-z0-9]+)-(\d+)(?=$|[-_])/);
+    if (match && !NOT_ISSUE_PROJECTS.includes(match[1])) {
+      add(`${match[1].toUpperCase()}-${match[2]}`);
+    }
+  });
+
+  return keys;
+}
+
+/**
+ * A readable title from a branch name without its prefix and issue keys:
+ * "feature/ABC-123-fix-login_redirect" becomes "Fix login redirect"
+ */
+function describeBranch(branch) {
+  const segments = branch.split('/');
+  while (segments.length > 1 && BRANCH_PREFIXES.includes(segments[0].toLowerCase())) {
+    segments.shift();
+  }
+
+  let text = segments.join(' ');
+  parseIssueKeys(branch).forEach(key => {
+    text = text.replace(new RegExp(`\\b${key}\\b`, 'i'), ' ');
+  });
+
+  const words = text
+    .replace(/[-_]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return words ? words.charAt(0).toUpperCase() + words.slice(1) : '';
+}
+
+function isDefaultBranch(branch) {
+  return DEFAULT_BRANCHES.includes(branch);
+}
+
+module.exports = {
+  DEFAULT_BRANCHES,
+  readGitInfo,
+  readCommits,
+  readUserEmail,
+  parseIssueKeys,
+  describeBranch,
+  isDefaultBranch
+};
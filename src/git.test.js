@@ -0,0 +1,62 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readCommits, parseIssueKeys, describeBranch } = require('./git');
+
+describe('parseIssueKeys', () => {
+  test.each([
+    ['feature/ABC-123-fix-login', ['ABC-123']],
+    ['feature/abc-123-fix-login', ['ABC-123']],
+    ['fix/ABC-1-and-DEF-22', ['ABC-1', 'DEF-22']],
+    ['release-2', []],
+    ['main', []],
+    [null, []]
+  ])('%s', (branch, keys) => {
+    expect(parseIssueKeys(branch)).toEqual(keys);
+  });
+});
+
+describe('describeBranch', () => {
+  test('drops the prefix and issue keys', () => {
+    expect(describeBranch('feature/ABC-123-fix-login_redirect')).toBe('Fix login redirect');
+  });
+});
+
+describe('readCommits', () => {
+  let repo;
+
+  beforeEach(() => {
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), 'warp-tracker-git-'));
+    execFileSync('git', ['-C', repo, 'init', '-q']);
+    execFileSync('git', ['-C', repo, 'config', 'user.name', 'Dev']);
+  });
+
+  afterEach(() => {
+    fs.rmSync(repo, { recursive: true, force: true });
+  });
+
+  function commitAs(email, subject) {
+    execFileSync('git', ['-C', repo, '-c', `user.email=${email}`, 'commit', '-q', '--allow-empty', '-m', subject]);
+  }
+
+  test('matches the author email literally', async () => {
+    commitAs('dev+tracker(1)@example.com', 'Mine');
+    commitAs('dev+tracker(1)@exampleXcom', 'Lookalike');
+    commitAs('other@example.com', 'Theirs');
+
+    const commits = await readCommits(repo, { author: 'dev+tracker(1)@example.com' });
+
+    expect(commits.map(commit => commit.subject)).toEqual(['Mine']);
+    expect(commits[0].email).toBe('dev+tracker(1)@example.com');
+  });
+
+  test('lists every commit oldest first without an author', async () => {
+    commitAs('a@example.com', 'First');
+    commitAs('b@example.com', 'Second');
+
+    const commits = await readCommits(repo);
+
+    expect(commits.map(commit => commit.subject)).toEqual(['First', 'Second']);
+  });
+});
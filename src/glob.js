@@ -0,0 +1,48 @@
+/**
+ * Glob patterns used by config settings and rules.
+ *
+ * `*` matches any run of characters. For paths (`{ path: true }`) it stops
+ * at "/" and `**` crosses directories, so `~/scratch/**` matches everything
+ * under ~/scratch and `~` matches the home directory itself. A leading `~`
+ * is expanded to the home directory.
+ */
+
+const os = require('os');
+
+function expandHome(dir) {
+  return dir === '~' || dir.startsWith('~/') ? os.homedir() + dir.slice(1) : dir;
+}
+
+function escape(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * A glob as an anchored regular expression
+ */
+function globToRegExp(glob, options = {}) {
+  if (!options.path) {
+    return new RegExp(`^${glob.split('*').map(escape).join('.*')}$`, options.flags || '');
+  }
+
+  // "dir/**" also matches "dir" itself
+  const source = expandHome(glob)
+    .split('**')
+    .map(part => part.split('*').map(escape).join('[^/]*'))
+    .join('.*')
+    .replace(/\/\.\*$/, '(?:/.*)?');
+  return new RegExp(`^${source}$`, options.flags || '');
+}
+
+/**
+ * Whether a value matches any of the globs
+ */
+function matchesAny(value, globs, options = {}) {
+  return globs.some(glob => globToRegExp(glob, options).test(value));
+}
+
+module.exports = {
+  expandHome,
+  globToRegExp,
+  matchesAny
+};
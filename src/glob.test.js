@@ -0,0 +1,47 @@
+const os = require('os');
+const { expandHome, globToRegExp, matchesAny } = require('./glob');
+
+describe('expandHome', () => {
+  test.each([
+    ['~', os.homedir()],
+    ['~/src', `${os.homedir()}/src`],
+    ['~other/src', '~other/src'],
+    ['/srv', '/srv']
+  ])('%s', (dir, expanded) => {
+    expect(expandHome(dir)).toBe(expanded);
+  });
+});
+
+describe('globToRegExp', () => {
+  test.each([
+    ['npm *', 'npm run build', true],
+    ['*.test.js', 'a/b.test.js', true],
+    ['a.b', 'axb', false],
+    ['(x)', '(x)', true]
+  ])('%s against %s', (glob, value, matches) => {
+    expect(globToRegExp(glob).test(value)).toBe(matches);
+  });
+
+  test.each([
+    ['/src/*', '/src/web', true],
+    ['/src/*', '/src/web/app', false],
+    ['/src/**', '/src/web/app', true],
+    ['/src/**', '/src', true],
+    ['/src/**', '/srcx', false],
+    ['/src/**/test', '/src/a/b/test', true],
+    ['~/scratch/**', `${os.homedir()}/scratch/x`, true]
+  ])('path %s against %s', (glob, value, matches) => {
+    expect(globToRegExp(glob, { path: true }).test(value)).toBe(matches);
+  });
+
+  test('passes flags through', () => {
+    expect(globToRegExp('main:*', { flags: 'i' }).test('MAIN:0')).toBe(true);
+  });
+});
+
+describe('matchesAny', () => {
+  test('matches when one glob does', () => {
+    expect(matchesAny('/src/web', ['/tmp/**', '/src/*'], { path: true })).toBe(true);
+    expect(matchesAny('/src/web', [], { path: true })).toBe(false);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Interactive prompts for commands run in a terminal without all of their
+ * arguments. inquirer 9 is an ES module, so it is imported on first use.
+ */
+
+const chalk = require('chalk');
+
+const SLIDER_WIDTH = 20;
+const SLIDER_KEYS = { left: -5, right: 5, down: -1, up: 1, h: -5, l: 5, j: -1, k: 1 };
+
+let loading = null;
+
+function clamp(value) {
+  return Math.min(100, Math.max(0, value));
+}
+
+/**
+ * A percentage prompt drawn as a bar: ←/→ move it by 5, ↑/↓ by 1, and
+ * typing a number sets it. Built from inquirer's own base prompt.
+ */
+function createSliderPrompt(Base, observe) {
+  return class SliderPrompt extends Base {
+    constructor(questions, rl, answers) {
+      super(questions, rl, answers);
+      this.value = clamp(Math.round(Number(this.opt.default) || 0));
+      this.typed = '';
+      // The bar shows the starting value instead
+      this.opt.default = null;
+    }
+
+    _run(done) {
+      this.done = done;
+      const events = observe(this.rl);
+      this.subscriptions = [
+        events.keypress.subscribe(event => this.onKeypress(event)),
+        events.line.subscribe(() => this.onEnd())
+      ];
+      this.render();
+      return this;
+    }
+
+    onKeypress({ key, value }) {
+      if (SLIDER_KEYS[key.name] !== undefined) {
+        this.value = clamp(this.value + SLIDER_KEYS[key.name]);
+        this.typed = '';
+      } else if (key.name === 'backspace') {
+        this.typed = this.typed.slice(0, -1);
+      } else if (value && /^\d$/.test(value) && this.typed.length < 3) {
+        this.typed += value;
+      }
+
+      if (this.typed) {
+        this.value = clamp(Number(this.typed));
+      }
+      this.render();
+    }
+
+    onEnd() {
+      this.subscriptions.forEach(subscription => subscription.unsubscribe());
+      this.status = 'answered';
+      this.render();
+      this.screen.done();
+      this.done(this.value);
+    }
+
+    render() {
+      let message = this.getQuestion();
+      if (this.status === 'answered') {
+        message += chalk.cyan(`${this.value}%`);
+        this.screen.render(message);
+        return;
+      }
+
+      const filled = Math.round((this.value / 100) * SLIDER_WIDTH);
+      message += `${chalk.green('█'.repeat(filled))}${chalk.gray('░'.repeat(SLIDER_WIDTH - filled))} ${chalk.cyan(`${this.value}%`)}`;
+      this.screen.render(message, chalk.gray('←/→ 5%, ↑/↓ 1%, or type a number; enter to confirm'));
+    }
+  };
+}
+
+function loadInquirer() {
+  if (!loading) {
+    loading = Promise.all([
+      import('inquirer'),
+      import('inquirer/lib/prompts/base.js'),
+      import('inquirer/lib/utils/events.js')
+    ]).then(([{ default: inquirer }, { default: Base }, { default: observe }]) => {
+      inquirer.registerPrompt('slider', createSliderPrompt(Base, observe));
+      return inquirer;
+    });
+  }
+  return loading;
+}
+
+async function ask(question) {
+  const inquirer = await loadInquirer();
+  const { answer } = await inquirer.prompt([{ name: 'answer', ...question }]);
+  return answer;
+}
+
+/**
+ * Pick a name for a new task from the suggestions or type one, or pick a
+ * finished task to reopen. Resolves to { name } or { reopen: taskId }.
+ */
+async function chooseTaskToStart(suggestions, recentTasks) {
+  const inquirer = await loadInquirer();
+  const choices = suggestions.map(name => ({ name, value: { name } }));
+  choices.push({ name: chalk.gray('Another name…'), value: { other: true } });
+
+  if (recentTasks.length > 0) {
+    choices.push(new inquirer.Separator(chalk.gray('── Reopen a recent task ──')));
+    recentTasks.forEach(task => {
+      choices.push({
+        name: `${task.name} ${chalk.gray(`(${task.status} at ${task.progress}%)`)}`,
+        value: { reopen: task.id }
+      });
+    });
+  }
+
+  const choice = await ask({ type: 'list', message: 'Start tracking', choices, pageSize: 12 });
+  if (!choice.other) {
+    return choice;
+  }
+
+  const name = await ask({
+    type: 'input',
+    message: 'Task name',
+    default: suggestions[0],
+    validate: value => (value.trim() ? true : 'Enter a name for the task')
+  });
+  return { name: name.trim() };
+}
+
+function askProgress(task) {
+  return ask({ type: 'slider', message: `Progress of "${task.name}"`, default: task.progress });
+}
+
+function askMessage() {
+  return ask({ type: 'input', message: 'Update message (optional)' });
+}
+
+function confirm(message) {
+  return ask({ type: 'confirm', message, default: true });
+}
+
+module.exports = {
+  askMessage,
+  askProgress,
+  chooseTaskToStart,
+  confirm,
+  createSliderPrompt
+};
@@ -0,0 +1,110 @@
+const { createSliderPrompt } = require('./interactive');
+
+/**
+ * Stand-ins for inquirer's base prompt and its readline event streams
+ */
+class FakeBase {
+  constructor(question) {
+    this.opt = { ...question };
+    this.status = 'pending';
+    this.screen = { render: jest.fn(), done: jest.fn() };
+  }
+
+  getQuestion() {
+    return `? ${this.opt.message} `;
+  }
+}
+
+function stream() {
+  const listeners = [];
+  return {
+    subscribe: listener => {
+      listeners.push(listener);
+      return { unsubscribe: () => listeners.splice(listeners.indexOf(listener), 1) };
+    },
+    emit: event => listeners.forEach(listener => listener(event)),
+    listeners
+  };
+}
+
+const SliderPrompt = createSliderPrompt(FakeBase, () => events);
+let events;
+
+function slider(start) {
+  events = { keypress: stream(), line: stream() };
+  const done = jest.fn();
+  const prompt = new SliderPrompt({ message: 'Progress', default: start });
+  prompt._run(done);
+  return { prompt, done };
+}
+
+function press(...keys) {
+  keys.forEach(key => events.keypress.emit(/^\d$/.test(key) ? { key: { name: key }, value: key } : { key: { name: key } }));
+}
+
+describe('slider prompt', () => {
+  test.each([
+    ['right', 40, 45],
+    ['left', 40, 35],
+    ['up', 40, 41],
+    ['down', 40, 39],
+    ['l', 40, 45],
+    ['h', 40, 35],
+    ['k', 40, 41],
+    ['j', 40, 39],
+    ['right', 98, 100],
+    ['left', 3, 0],
+    ['down', 0, 0]
+  ])('%s from %i gives %i', (key, start, expected) => {
+    const { prompt } = slider(start);
+
+    press(key);
+
+    expect(prompt.value).toBe(expected);
+  });
+
+  test('starts from the default, rounded and clamped', () => {
+    expect(slider(42.6).prompt.value).toBe(43);
+    expect(slider(250).prompt.value).toBe(100);
+    expect(slider(undefined).prompt.value).toBe(0);
+  });
+
+  test('sets the value from typed digits, up to three of them', () => {
+    const { prompt } = slider(10);
+
+    press('7');
+    expect(prompt.value).toBe(7);
+    press('5');
+    expect(prompt.value).toBe(75);
+    press('0');
+    expect(prompt.value).toBe(100);
+    press('1');
+    expect(prompt.value).toBe(100);
+    press('backspace', 'backspace');
+    expect(prompt.value).toBe(7);
+  });
+
+  test('moves on from a typed value with the arrow keys', () => {
+    const { prompt } = slider(10);
+
+    press('6', '0', 'right', '2');
+
+    expect(prompt.value).toBe(2);
+    press('right');
+    expect(prompt.value).toBe(7);
+  });
+
+  test('draws the bar and answers with the value on enter', () => {
+    const { prompt, done } = slider(50);
+
+    press('right');
+    expect(prompt.screen.render).toHaveBeenLastCalledWith(expect.stringContaining('55%'), expect.any(String));
+
+    events.line.emit();
+
+    expect(done).toHaveBeenCalledWith(55);
+    expect(prompt.status).toBe('answered');
+    expect(events.keypress.listeners).toHaveLength(0);
+    expect(prompt.screen.done).toHaveBeenCalled();
+  });
+});
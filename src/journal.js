@@ -0,0 +1,369 @@
+/**
+ * Append-only mutation journal.
+ *
+ * Each journaled mutation is stored as a typed event holding a before and
+ * after snapshot of every task it touched (plus the focus pointer). Replaying
+ * the `after` side of every event in order rebuilds the task data; applying
+ * the `before` side of the latest event reverts it, which is how undo works.
+ * Undo and redo are themselves events, so the journal is never rewritten.
+ *
+ * Telemetry written without journaling (see TELEMETRY) is left out of the
+ * snapshots and comparisons, and kept on a task when an event or a rebuild
+ * replaces it.
+ */
+
+const UNDO = 'undo';
+const REDO = 'redo';
+const JOURNAL_STARTED = 'journal.started';
+
+const EVENT_LABELS = {
+  [JOURNAL_STARTED]: 'Journal started',
+  'task.started': 'Started task',
+  'task.progress': 'Updated progress',
+  'task.completed': 'Completed task',
+  'task.stopped': 'Stopped task',
+  'task.focused': 'Switched focus',
+  'task.paused': 'Paused task',
+  'task.resumed': 'Resumed task',
+  'task.edited': 'Edited task',
+  'task.reopened': 'Reopened task',
+  'subtask.added': 'Added subtask',
+  'subtask.checked': 'Checked subtask',
+  'subtask.unchecked': 'Unchecked subtask',
+  'subtask.moved': 'Reordered subtasks',
+  'tasks.imported': 'Imported tasks',
+  'session.task-created': 'Auto-created session task',
+  'session.task-stopped': 'Auto-stopped session task',
+  'session.progress': 'Updated session progress',
+  'session.moved': 'Session changed directory',
+  'session.rolled-over': 'Rolled session over to a new task',
+  'session.branch-changed': 'Session switched branch',
+  'session.reconciled': 'Closed tasks of sessions that ended offline',
+  'session.idle': 'Session went idle',
+  'session.active': 'Session active again',
+  'task.idle-trimmed': 'Removed idle time',
+  'task.idle-kept': 'Kept idle time',
+  'rule.fired': 'Progress rule fired',
+  'session.paused': 'Paused session task',
+  'session.resumed': 'Resumed session task',
+  [UNDO]: 'Undo',
+  [REDO]: 'Redo'
+};
+
+// Events the session monitor writes on its own. They stay in the journal for
+// rebuilds and the log, but undo and redo pass over them to the user's own
+// changes
+const AUTOMATIC_EVENTS = new Set([
+  'session.task-created',
+  'session.task-stopped',
+  'session.moved',
+  'session.rolled-over',
+  'session.branch-changed',
+  'session.reconciled',
+  'session.idle',
+  'session.active'
+]);
+
+// Task fields, and fields of task.sessionInfo, that are written with
+// mutateData(null): the command timeline, linked commits and the session
+// heartbeat
+const TELEMETRY = {
+  task: ['commands', 'commits'],
+  sessionInfo: ['lastSeen']
+};
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * A copy of a task without its telemetry
+ */
+function tracked(task) {
+  const copy = clone(task);
+  TELEMETRY.task.forEach(field => delete copy[field]);
+  if (copy.sessionInfo) {
+    TELEMETRY.sessionInfo.forEach(field => delete copy.sessionInfo[field]);
+  }
+  return copy;
+}
+
+/**
+ * The telemetry of a task, to put back with withTelemetry()
+ */
+function telemetryOf(task) {
+  const telemetry = { task: {}, sessionInfo: {} };
+  TELEMETRY.task
+    .filter(field => task[field] !== undefined)
+    .forEach(field => { telemetry.task[field] = task[field]; });
+  if (task.sessionInfo) {
+    TELEMETRY.sessionInfo
+      .filter(field => task.sessionInfo[field] !== undefined)
+      .forEach(field => { telemetry.sessionInfo[field] = task.sessionInfo[field]; });
+  }
+  return telemetry;
+}
+
+function withTelemetry(task, telemetry) {
+  if (telemetry) {
+    Object.assign(task, clone(telemetry.task));
+    if (task.sessionInfo) {
+      Object.assign(task.sessionInfo, clone(telemetry.sessionInfo));
+    }
+  }
+  return task;
+}
+
+/**
+ * Map every task id to where it lives ('open' or 'history') and its data
+ */
+function locateTasks(data) {
+  const located = new Map();
+  Object.values(data.tasks || {}).forEach(task => {
+    located.set(task.id, { location: 'open', task: tracked(task) });
+  });
+  (data.history || []).forEach((task, index) => {
+    located.set(task.id, { location: 'history', index, task: tracked(task) });
+  });
+  return located;
+}
+
+/**
+ * Snapshot the parts of the data the journal tracks
+ */
+function snapshot(data) {
+  const tasks = {};
+  Object.values(data.tasks || {}).forEach(task => {
+    tasks[task.id] = tracked(task);
+  });
+
+  return {
+    tasks,
+    focusedTaskId: data.focusedTaskId,
+    history: (data.history || []).map(tracked)
+  };
+}
+
+/**
+ * Describe the difference between two snapshots as a list of task changes.
+ * History positions only matter for restoring order, so a task that merely
+ * moved down the history list does not count as changed.
+ */
+function diff(before, after) {
+  const beforeTasks = locateTasks(before);
+  const afterTasks = locateTasks(after);
+  const ids = new Set([...beforeTasks.keys(), ...afterTasks.keys()]);
+  const changes = [];
+
+  ids.forEach(taskId => {
+    const from = beforeTasks.get(taskId) || null;
+    const to = afterTasks.get(taskId) || null;
+
+    const unchanged = from && to &&
+      from.location === to.location &&
+      JSON.stringify(from.task) === JSON.stringify(to.task);
+    if (!unchanged) {
+      changes.push({ taskId, before: clone(from), after: clone(to) });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Build the event for a mutation, or null if it changed nothing
+ */
+function createEvent(type, before, after, seq, extra = {}) {
+  const changes = diff(before, after);
+  const focus = { before: before.focusedTaskId || null, after: after.focusedTaskId || null };
+
+  if (changes.length === 0 && focus.before === focus.after) {
+    return null;
+  }
+
+  return {
+    seq,
+    type,
+    timestamp: new Date().toISOString(),
+    ...extra,
+    changes,
+    focus
+  };
+}
+
+/**
+ * The event that anchors a journal started on top of existing data
+ */
+function createStartEvent(data, seq) {
+  return {
+    seq,
+    type: JOURNAL_STARTED,
+    timestamp: new Date().toISOString(),
+    snapshot: snapshot(data),
+    changes: [],
+    focus: { before: null, after: data.focusedTaskId || null }
+  };
+}
+
+/**
+ * Apply one side ('before' or 'after') of an event to the data in place
+ */
+function applyEvent(data, event, side = 'after') {
+  const ids = new Set(event.changes.map(change => change.taskId));
+  const telemetry = new Map();
+  [...Object.values(data.tasks), ...data.history]
+    .filter(task => ids.has(task.id))
+    .forEach(task => telemetry.set(task.id, telemetryOf(task)));
+
+  ids.forEach(taskId => delete data.tasks[taskId]);
+  data.history = data.history.filter(task => !ids.has(task.id));
+
+  const targets = event.changes
+    .map(change => change[side])
+    .filter(Boolean);
+
+  targets
+    .filter(target => target.location === 'open')
+    .forEach(target => {
+      data.tasks[target.task.id] = withTelemetry(tracked(target.task), telemetry.get(target.task.id));
+    });
+
+  targets
+    .filter(target => target.location === 'history')
+    .sort((a, b) => a.index - b.index)
+    .forEach(target => {
+      data.history.splice(
+        Math.min(target.index, data.history.length), 0,
+        withTelemetry(tracked(target.task), telemetry.get(target.task.id))
+      );
+    });
+
+  const focusedTaskId = event.focus[side];
+  data.focusedTaskId = focusedTaskId && data.tasks[focusedTaskId] ? focusedTaskId : null;
+  return data;
+}
+
+/**
+ * Rebuild task data from the journal. The journal holds no telemetry, so
+ * pass the current data to carry it over to the rebuilt tasks.
+ */
+function replay(events, current = null) {
+  let data = { tasks: {}, focusedTaskId: null, history: [] };
+
+  events.forEach(event => {
+    if (event.type === JOURNAL_STARTED) {
+      data = snapshot(event.snapshot);
+      return;
+    }
+    applyEvent(data, event, 'after');
+  });
+
+  if (current) {
+    const telemetry = new Map();
+    [...Object.values(current.tasks || {}), ...(current.history || [])]
+      .forEach(task => telemetry.set(task.id, telemetryOf(task)));
+    [...Object.values(data.tasks), ...data.history]
+      .forEach(task => withTelemetry(task, telemetry.get(task.id)));
+  }
+
+  return data;
+}
+
+/**
+ * Work out which events can currently be undone and redone. Automatic
+ * events are neither, and do not clear the redo stack.
+ */
+function getUndoState(events) {
+  const bySeq = new Map(events.map(event => [event.seq, event]));
+  const done = [];
+  const reverted = new Set();
+  let undone = [];
+
+  events.forEach(event => {
+    if (event.type === JOURNAL_STARTED || AUTOMATIC_EVENTS.has(event.type)) {
+      return;
+    }
+
+    if (event.type === UNDO) {
+      const index = done.lastIndexOf(event.target);
+      if (index !== -1) done.splice(index, 1);
+      undone.push(event.target);
+      reverted.add(event.target);
+    } else if (event.type === REDO) {
+      const index = undone.lastIndexOf(event.target);
+      if (index !== -1) undone.splice(index, 1);
+      done.push(event.target);
+      reverted.delete(event.target);
+    } else {
+      done.push(event.seq);
+      undone = [];
+    }
+  });
+
+  return {
+    undoable: done.map(seq => bySeq.get(seq)),
+    redoable: undone.map(seq => bySeq.get(seq)),
+    undoneSeqs: reverted
+  };
+}
+
+/**
+ * Check that the tasks an event touched still look the way it left them
+ * (or, for redo, the way it found them), so reverting can't clobber changes
+ * made since.
+ */
+function findDrift(data, event, side) {
+  const current = locateTasks(data);
+
+  const drifted = event.changes.find(change => {
+    const expected = change[side];
+    const actual = current.get(change.taskId) || null;
+
+    if (!expected || !actual) {
+      return Boolean(expected) !== Boolean(actual);
+    }
+    // Journals written before telemetry was left out still hold some
+    return expected.location !== actual.location ||
+      JSON.stringify(tracked(expected.task)) !== JSON.stringify(actual.task);
+  });
+
+  return drifted || null;
+}
+
+function describeEvent(event) {
+  const label = EVENT_LABELS[event.type] || event.type;
+  const names = event.changes
+    .map(change => (change.after || change.before).task.name)
+    .filter(Boolean);
+
+  let detail = names.length > 0 ? `"${names.join('", "')}"` : '';
+
+  if (['task.progress', 'session.progress', 'rule.fired'].includes(event.type)) {
+    const change = event.changes[0];
+    if (change && change.before && change.after) {
+      detail += ` ${change.before.task.progress}% → ${change.after.task.progress}%`;
+    }
+  }
+
+  if ((event.type === UNDO || event.type === REDO) && event.target) {
+    detail = `#${event.target}${detail ? ' ' + detail : ''}`;
+  }
+
+  return detail ? `${label} ${detail}` : label;
+}
+
+module.exports = {
+  AUTOMATIC_EVENTS,
+  UNDO,
+  REDO,
+  JOURNAL_STARTED,
+  snapshot,
+  diff,
+  createEvent,
+  createStartEvent,
+  applyEvent,
+  replay,
+  getUndoState,
+  findDrift,
+  describeEvent
+};
@@ -0,0 +1,261 @@
+const journal = require('./journal');
+
+function task(id, fields = {}) {
+  return { id, name: `Task ${id}`, progress: 0, status: 'in-progress', ...fields };
+}
+
+function emptyData() {
+  return { tasks: {}, focusedTaskId: null, history: [] };
+}
+
+/**
+ * Run a mutation the way TaskTracker.mutateData does and return the event
+ */
+function mutate(data, type, seq, mutator) {
+  const before = journal.snapshot(data);
+  mutator(data);
+  return journal.createEvent(type, before, data, seq);
+}
+
+describe('createEvent', () => {
+  test('records before and after snapshots of the touched tasks', () => {
+    const data = emptyData();
+    data.tasks.a = task('a');
+    data.tasks.b = task('b');
+
+    const event = mutate(data, 'task.progress', 1, d => { d.tasks.a.progress = 40; });
+
+    expect(event.changes).toHaveLength(1);
+    expect(event.changes[0].taskId).toBe('a');
+    expect(event.changes[0].before.task.progress).toBe(0);
+    expect(event.changes[0].after.task.progress).toBe(40);
+  });
+
+  test('returns null when nothing changed', () => {
+    const data = emptyData();
+    data.tasks.a = task('a');
+
+    expect(mutate(data, 'task.edited', 1, () => {})).toBeNull();
+  });
+
+  test('records focus changes on their own', () => {
+    const data = emptyData();
+    data.tasks.a = task('a');
+
+    const event = mutate(data, 'task.focused', 1, d => { d.focusedTaskId = 'a'; });
+
+    expect(event.changes).toEqual([]);
+    expect(event.focus).toEqual({ before: null, after: 'a' });
+  });
+});
+
+describe('applyEvent', () => {
+  test('reverts and reapplies a task moving to history', () => {
+    const data = emptyData();
+    data.tasks.a = task('a');
+    data.focusedTaskId = 'a';
+    data.history.push(task('old', { status: 'completed' }));
+
+    const event = mutate(data, 'task.completed', 1, d => {
+      const done = { ...d.tasks.a, status: 'completed', progress: 100 };
+      delete d.tasks.a;
+      d.history.unshift(done);
+      d.focusedTaskId = null;
+    });
+
+    journal.applyEvent(data, event, 'before');
+    expect(data.tasks.a.status).toBe('in-progress');
+    expect(data.history.map(t => t.id)).toEqual(['old']);
+    expect(data.focusedTaskId).toBe('a');
+
+    journal.applyEvent(data, event, 'after');
+    expect(data.tasks.a).toBeUndefined();
+    expect(data.history.map(t => t.id)).toEqual(['a', 'old']);
+    expect(data.focusedTaskId).toBeNull();
+  });
+
+  test('drops focus on a task that is no longer open', () => {
+    const data = emptyData();
+    const event = {
+      changes: [],
+      focus: { before: null, after: 'missing' }
+    };
+
+    journal.applyEvent(data, event, 'after');
+    expect(data.focusedTaskId).toBeNull();
+  });
+});
+
+describe('replay', () => {
+  test('rebuilds the data from the start snapshot and events', () => {
+    const data = emptyData();
+    data.tasks.a = task('a');
+    const events = [journal.createStartEvent(data, 1)];
+
+    events.push(mutate(data, 'task.started', 2, d => { d.tasks.b = task('b'); d.focusedTaskId = 'b'; }));
+    events.push(mutate(data, 'task.progress', 3, d => { d.tasks.a.progress = 70; }));
+
+    expect(journal.replay(events)).toEqual(data);
+  });
+
+  test('starts from empty data without a start snapshot', () => {
+    const data = emptyData();
+    const event = mutate(data, 'task.started', 1, d => { d.tasks.a = task('a'); });
+
+    expect(journal.replay([event]).tasks.a.name).toBe('Task a');
+  });
+});
+
+describe('getUndoState', () => {
+  const events = [
+    { seq: 1, type: journal.JOURNAL_STARTED },
+    { seq: 2, type: 'task.started' },
+    { seq: 3, type: 'task.progress' },
+    { seq: 4, type: journal.UNDO, target: 3 },
+    { seq: 5, type: journal.UNDO, target: 2 },
+    { seq: 6, type: journal.REDO, target: 2 }
+  ];
+
+  test('tracks the undo and redo stacks', () => {
+    const state = journal.getUndoState(events);
+
+    expect(state.undoable.map(event => event.seq)).toEqual([2]);
+    expect(state.redoable.map(event => event.seq)).toEqual([3]);
+    expect([...state.undoneSeqs]).toEqual([3]);
+  });
+
+  test('a new change clears the redo stack', () => {
+    const state = journal.getUndoState([...events, { seq: 7, type: 'task.progress' }]);
+
+    expect(state.undoable.map(event => event.seq)).toEqual([2, 7]);
+    expect(state.redoable).toEqual([]);
+  });
+
+  test('passes over automatic events', () => {
+    const state = journal.getUndoState([
+      ...events,
+      { seq: 7, type: 'session.idle' },
+      { seq: 8, type: 'session.task-created' }
+    ]);
+
+    expect(state.undoable.map(event => event.seq)).toEqual([2]);
+    expect(state.redoable.map(event => event.seq)).toEqual([3]);
+  });
+});
+
+describe('findDrift', () => {
+  test('reports a task changed since the event', () => {
+    const data = emptyData();
+    data.tasks.a = task('a');
+    const event = mutate(data, 'task.progress', 1, d => { d.tasks.a.progress = 30; });
+
+    expect(journal.findDrift(data, event, 'after')).toBeNull();
+
+    data.tasks.a.progress = 50;
+    expect(journal.findDrift(data, event, 'after').taskId).toBe('a');
+  });
+
+  test('reports a task that disappeared', () => {
+    const data = emptyData();
+    const event = mutate(data, 'task.started', 1, d => { d.tasks.a = task('a'); });
+
+    delete data.tasks.a;
+    expect(journal.findDrift(data, event, 'after').taskId).toBe('a');
+  });
+});
+
+describe('describeEvent', () => {
+  test('labels progress events with the change', () => {
+    const data = emptyData();
+    data.tasks.a = task('a');
+    const event = mutate(data, 'task.progress', 1, d => { d.tasks.a.progress = 25; });
+
+    expect(journal.describeEvent(event)).toBe('Updated progress "Task a" 0% → 25%');
+  });
+});
+
+describe('telemetry', () => {
+  function sessionData() {
+    const data = emptyData();
+    data.tasks.a = task('a', { sessionId: 's1', sessionInfo: { pid: 100, workingDir: '/p' } });
+    return data;
+  }
+
+  function heartbeat(data, time) {
+    data.tasks.a.sessionInfo.lastSeen = time;
+  }
+
+  test('events leave out the session heartbeat', () => {
+    const data = sessionData();
+    heartbeat(data, '2026-01-01T10:00:00.000Z');
+
+    expect(mutate(data, 'session.progress', 1, d => heartbeat(d, '2026-01-01T10:01:00.000Z'))).toBeNull();
+
+    const event = mutate(data, 'session.progress', 1, d => { d.tasks.a.progress = 30; });
+    expect(event.changes[0].after.task.sessionInfo).toEqual({ pid: 100, workingDir: '/p' });
+  });
+
+  test('a heartbeat after an event does not block undoing it', () => {
+    const data = sessionData();
+    const event = mutate(data, 'session.progress', 1, d => { d.tasks.a.progress = 30; });
+    heartbeat(data, '2026-01-01T10:01:00.000Z');
+
+    expect(journal.findDrift(data, event, 'after')).toBeNull();
+
+    journal.applyEvent(data, event, 'before');
+    expect(data.tasks.a.progress).toBe(0);
+    expect(data.tasks.a.sessionInfo.lastSeen).toBe('2026-01-01T10:01:00.000Z');
+  });
+
+  test('ignores heartbeats stored in events by older versions', () => {
+    const data = sessionData();
+    const event = mutate(data, 'session.progress', 1, d => { d.tasks.a.progress = 30; });
+    event.changes[0].after.task.sessionInfo.lastSeen = '2026-01-01T09:00:00.000Z';
+    heartbeat(data, '2026-01-01T10:01:00.000Z');
+
+    expect(journal.findDrift(data, event, 'after')).toBeNull();
+  });
+
+  test('replay carries the heartbeat over from the current data', () => {
+    const data = sessionData();
+    const events = [journal.createStartEvent(data, 1)];
+    events.push(mutate(data, 'session.progress', 2, d => { d.tasks.a.progress = 30; }));
+    heartbeat(data, '2026-01-01T10:01:00.000Z');
+
+    expect(journal.replay(events).tasks.a.sessionInfo.lastSeen).toBeUndefined();
+    expect(journal.replay(events, data)).toEqual(data);
+  });
+
+  test('recorded commands survive undo and rebuild', () => {
+    const data = sessionData();
+    const events = [journal.createStartEvent(data, 1)];
+    const event = mutate(data, 'session.progress', 2, d => { d.tasks.a.progress = 30; });
+    events.push(event);
+    data.tasks.a.commands = [{ command: 'npm test', startedAt: '2026-01-01T10:00:00.000Z', exitCode: 0 }];
+
+    const rebuilt = journal.replay(events, data);
+    expect(rebuilt.tasks.a.commands).toEqual(data.tasks.a.commands);
+
+    expect(journal.findDrift(data, event, 'after')).toBeNull();
+    journal.applyEvent(data, event, 'before');
+    expect(data.tasks.a.commands).toHaveLength(1);
+  });
+
+  test('linked commits survive undo and rebuild', () => {
+    const data = emptyData();
+    data.tasks.a = task('a');
+    const events = [journal.createStartEvent(data, 1)];
+    const event = mutate(data, 'task.completed', 2, d => {
+      d.history.unshift({ ...d.tasks.a, status: 'completed' });
+      delete d.tasks.a;
+    });
+    events.push(event);
+    data.history[0].commits = [{ sha: 'abc123', subject: 'Fix login' }];
+
+    expect(journal.replay(events, data).history[0].commits).toEqual([{ sha: 'abc123', subject: 'Fix login' }]);
+
+    expect(journal.findDrift(data, event, 'after')).toBeNull();
+    journal.applyEvent(data, event, 'before');
+    expect(data.tasks.a.commits).toHaveLength(1);
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * The prompt command: the focused task as a short string for shell prompts,
+ * such as "[auth-refactor 60% 1h12m]".
+ *
+ * Prompts run it on every render, so it reads a small cache (prompt.json)
+ * that the tracker rewrites whenever it saves task data, and loads nothing
+ * else: no commander, storage backend or session scan.
+ *
+ * The format is a template (see src/templates.js) with the fields name, id,
+ * progress, bar, active, estimate, project, tags, priority, branch, issue,
+ * paused and open. With no focused task the command prints nothing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { activeTime } = require('./forecast');
+const { renderTemplate } = require('./templates');
+
+const CACHE_FILE = 'prompt.json';
+
+const DEFAULT_FORMAT = '\\[{name} {progress}%[ {paused}] {active}\\]';
+
+const FIELDS = [
+  'name', 'id', 'progress', 'bar', 'active', 'estimate', 'project', 'tags',
+  'priority', 'branch', 'issue', 'paused', 'open'
+];
+
+const BAR_LENGTH = 10;
+
+// Snippets printed by `warp-tracker prompt --config <target>`
+const CONFIGS = {
+  starship: `# ~/.config/starship.toml
+[custom.task]
+command = "warp-tracker prompt"
+when = true
+shell = ["sh"]
+format = "[$output]($style) "
+style = "bold cyan"
+`,
+  'powerline-shell': `// ~/.config/powerline-shell/config.json: add to "segments"
+{ "type": "stdout", "command": ["warp-tracker", "prompt"], "fg_color": 15, "bg_color": 31 }
+`,
+  'powerline-go': `# ~/.bashrc
+_update_ps1() {
+  local status=$?
+  WARP_TASK="$(warp-tracker prompt)"
+  export WARP_TASK
+  PS1="$(powerline-go -error $status -modules venv,cwd,git,shell-var -shell-var WARP_TASK -shell-var-no-warn-empty)"
+}
+PROMPT_COMMAND="_update_ps1; $PROMPT_COMMAND"
+`,
+  bash: `# ~/.bashrc
+_warp_task() {
+  local task
+  task="$(warp-tracker prompt)" && [ -n "$task" ] && printf '%s ' "$task"
+}
+PS1='$(_warp_task)'"$PS1"
+`,
+  zsh: `# ~/.zshrc; "%" is doubled since zsh expands it in prompts
+setopt PROMPT_SUBST
+_warp_task() {
+  local task
+  task="$(warp-tracker prompt)" && [ -n "$task" ] && printf '%s ' "\${task//\\%/%%}"
+}
+PROMPT='$(_warp_task)'"$PROMPT"
+`,
+  fish: `# ~/.config/fish/config.fish
+functions -c fish_prompt _warp_original_prompt
+function fish_prompt
+    set -l task (warp-tracker prompt)
+    test -n "$task"; and printf '%s ' $task
+    _warp_original_prompt
+end
+`
+};
+
+/**
+ * What the prompt needs from the task data: the focused task, trimmed to
+ * the fields it shows, and the number of open tasks
+ */
+function buildCache(data) {
+  const task = data.tasks[data.focusedTaskId] || null;
+  const git = task && task.git;
+
+  return {
+    focused: task ? {
+      id: task.id,
+      name: task.name,
+      progress: task.progress,
+      status: task.status,
+      startTime: task.startTime,
+      intervals: task.intervals,
+      estimateMs: task.estimateMs || null,
+      project: task.project || null,
+      tags: task.tags || [],
+      priority: task.priority || 'normal',
+      branch: git && git.branch ? git.branch : null,
+      issueKeys: git ? git.issueKeys || [] : []
+    } : null,
+    open: Object.keys(data.tasks).length
+  };
+}
+
+/**
+ * "1h12m" or "12m"; prompts have no room for spaces
+ */
+function formatShort(ms) {
+  const minutes = Math.floor(ms / 60000);
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h${minutes % 60}m` : `${minutes}m`;
+}
+
+function promptFields(cache, now = new Date()) {
+  const task = cache.focused;
+  const filled = Math.round((task.progress / 100) * BAR_LENGTH);
+
+  return {
+    name: task.name,
+    id: task.id,
+    progress: String(task.progress),
+    bar: '█'.repeat(filled) + '░'.repeat(BAR_LENGTH - filled),
+    active: formatShort(activeTime(task, now)),
+    estimate: task.estimateMs ? formatShort(task.estimateMs) : '',
+    project: task.project || '',
+    tags: task.tags.join(','),
+    priority: task.priority,
+    branch: task.branch || '',
+    issue: task.issueKeys.join(','),
+    paused: task.status === 'paused' ? 'paused' : '',
+    open: String(cache.open)
+  };
+}
+
+/**
+ * The prompt text for a cache, or '' with no focused task
+ */
+function renderPrompt(cache, format = DEFAULT_FORMAT, now = new Date()) {
+  return cache.focused ? renderTemplate(format, promptFields(cache, now)) : '';
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Handle `warp-tracker prompt` from the cache alone, with the promptFormat
+ * setting as the default format. Returns false when the full command line
+ * is needed instead: no cache yet, --help, an option it does not know or an
+ * invalid format.
+ */
+function runFast(args, configDir, configuredFormat) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const match = args[i].match(/^(-f|--format|--config)(?:=(.*))?$/);
+    if (!match) {
+      return false;
+    }
+    const value = match[2] !== undefined ? match[2] : args[++i];
+    if (value === undefined) {
+      return false;
+    }
+    options[match[1] === '--config' ? 'config' : 'format'] = value;
+  }
+
+  if (options.config !== undefined) {
+    if (!CONFIGS[options.config]) {
+      return false;
+    }
+    process.stdout.write(CONFIGS[options.config]);
+    return true;
+  }
+
+  const cache = readJson(path.join(configDir, CACHE_FILE));
+  if (!cache) {
+    return false;
+  }
+
+  try {
+    const text = renderPrompt(cache, options.format || configuredFormat || DEFAULT_FORMAT);
+    process.stdout.write(text ? `${text}\n` : '');
+  } catch (error) {
+    return false;
+  }
+  return true;
+}
+
+module.exports = {
+  CACHE_FILE,
+  CONFIGS,
+  DEFAULT_FORMAT,
+  FIELDS,
+  buildCache,
+  renderPrompt,
+  runFast
+};
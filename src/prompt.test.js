@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CACHE_FILE, CONFIGS, buildCache, runFast } = require('./prompt');
+
+const START = new Date('2026-03-02T09:00:00.000Z');
+
+let configDir;
+let output;
+
+beforeEach(() => {
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'warp-tracker-prompt-'));
+  output = '';
+  jest.spyOn(process.stdout, 'write').mockImplementation(text => { output += text; return true; });
+  jest.useFakeTimers({ now: new Date(START.getTime() + 72 * 60000) });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+function writeCache(cache) {
+  fs.writeFileSync(path.join(configDir, CACHE_FILE), JSON.stringify(cache));
+}
+
+function focusedData(fields = {}) {
+  return {
+    focusedTaskId: 'a',
+    tasks: {
+      a: {
+        id: 'a',
+        name: 'auth-refactor',
+        progress: 60,
+        status: 'in-progress',
+        startTime: START.toISOString(),
+        intervals: [{ start: START.toISOString(), end: null }],
+        tags: ['auth'],
+        git: { branch: 'feature/ABC-7-auth', issueKeys: ['ABC-7'] },
+        ...fields
+      },
+      b: { id: 'b', name: 'docs' }
+    }
+  };
+}
+
+describe('runFast', () => {
+  test('prints the focused task from the cache', () => {
+    writeCache(buildCache(focusedData()));
+
+    expect(runFast([], configDir)).toBe(true);
+    expect(output).toBe('[auth-refactor 60% 1h12m]\n');
+  });
+
+  test('uses --format over the configured format', () => {
+    writeCache(buildCache(focusedData()));
+
+    expect(runFast(['--format', '{issue} {open}'], configDir, '{name}')).toBe(true);
+    expect(runFast(['-f={branch}'], configDir)).toBe(true);
+    expect(runFast([], configDir, '{name} {bar}')).toBe(true);
+    expect(output).toBe('ABC-7 2\nfeature/ABC-7-auth\nauth-refactor ██████░░░░\n');
+  });
+
+  test('keeps counting active time from a cache written earlier', () => {
+    writeCache(buildCache(focusedData()));
+
+    jest.advanceTimersByTime(30 * 60000);
+    runFast(['-f', '{active}'], configDir);
+
+    expect(output).toBe('1h42m\n');
+  });
+
+  test('stops counting for a paused task', () => {
+    const end = new Date(START.getTime() + 10 * 60000).toISOString();
+    writeCache(buildCache(focusedData({ status: 'paused', intervals: [{ start: START.toISOString(), end }] })));
+
+    runFast([], configDir);
+
+    expect(output).toBe('[auth-refactor 60% paused 10m]\n');
+  });
+
+  test('prints nothing without a focused task', () => {
+    writeCache(buildCache({ focusedTaskId: null, tasks: {} }));
+
+    expect(runFast([], configDir)).toBe(true);
+    expect(output).toBe('');
+  });
+
+  test('prints a ready-made config without a cache', () => {
+    expect(runFast(['--config', 'starship'], configDir)).toBe(true);
+    expect(output).toBe(CONFIGS.starship);
+  });
+
+  test.each([
+    ['there is no cache yet', null, []],
+    ['the cache cannot be parsed', '{"focused": ', []],
+    ['the cache lacks fields an older version did not write', JSON.stringify({ focused: { name: 'x' }, open: 1 }), []],
+    ['asked for help', null, ['--help']],
+    ['an option is missing its value', null, ['--format']],
+    ['the config target is unknown', null, ['--config', 'tcsh']]
+  ])('leaves it to the full command when %s', (name, contents, args) => {
+    if (contents !== null) {
+      fs.writeFileSync(path.join(configDir, CACHE_FILE), contents);
+    }
+
+    expect(runFast(args, configDir)).toBe(false);
+    expect(output).toBe('');
+  });
+});
@@ -0,0 +1,331 @@
+/**
+ * Task search query language.
+ *
+ *   status:completed,stopped   tag:bug   project:web   priority:high
+ *   after:2026-01-01  before:today  date:2026-03-01..2026-03-31  after:7d
+ *   duration:>2h  duration:30m..1h  progress:<50  cwd:~/src/app
+ *   branch:feature/login  issue:ABC-123
+ *   "exact phrase"  words  -excluded  -tag:wip
+ *   sort:duration-desc  page:2  limit:20
+ *
+ * Terms are ANDed; comma-separated values inside one term are ORed. Free
+ * text matches names, descriptions, completion and update messages. A term
+ * with a field this language does not know ("fix:login", a URL) is free text.
+ */
+
+const { TrackerError } = require('./errors');
+const { expandHome } = require('./glob');
+const { parseDuration, activeTime } = require('./forecast');
+const { PRIORITIES, STATUSES } = require('./taskFields');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_LIMIT = 10;
+
+const STATUS_ALIASES = {
+  open: ['in-progress', 'paused'],
+  closed: ['completed', 'stopped'],
+  active: ['in-progress'],
+  done: ['completed']
+};
+
+const SORT_FIELDS = {
+  started: task => new Date(task.startTime).getTime(),
+  ended: task => task.endTime ? new Date(task.endTime).getTime() : Infinity,
+  duration: task => activeTime(task),
+  progress: task => task.progress,
+  name: task => task.name.toLowerCase(),
+  priority: task => PRIORITIES.indexOf(task.priority || 'normal')
+};
+
+function queryError(message) {
+  return new TrackerError(`Invalid search query: ${message}`, 'INVALID_QUERY');
+}
+
+/**
+ * Split a query into terms, keeping "quoted phrases" (also as key:"a b") together
+ */
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"|(\S+))/gi;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push({
+      negated: match[1] === '-',
+      key: match[2] ? match[2].toLowerCase() : null,
+      value: match[3] !== undefined ? match[3] : match[4]
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a date bound: ISO date/time, "today", "yesterday" or "7d"/"2w" ago
+ */
+function parseDate(value, now = new Date()) {
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  const lower = value.toLowerCase();
+
+  if (lower === 'today') {
+    return startOfToday;
+  }
+  if (lower === 'yesterday') {
+    return startOfToday - DAY;
+  }
+
+  const relative = lower.match(/^(\d+)([dw])$/);
+  if (relative) {
+    return startOfToday - parseInt(relative[1]) * (relative[2] === 'w' ? 7 : 1) * DAY;
+  }
+
+  // Plain dates are local days, like the dates printed by `history`
+  const dateOnly = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const time = dateOnly ?
+    new Date(parseInt(dateOnly[1]), parseInt(dateOnly[2]) - 1, parseInt(dateOnly[3])).getTime() :
+    new Date(value).getTime();
+
+  if (isNaN(time)) {
+    throw queryError(`"${value}" is not a date`);
+  }
+  return time;
+}
+
+/**
+ * Parse ">2h", "<=50", "30m..1h" or "1h" into a { min, max } range
+ */
+function parseRange(value, parseValue) {
+  const parse = (text) => {
+    const parsed = parseValue(text);
+    if (parsed === null || isNaN(parsed)) {
+      throw queryError(`"${text}" is not a valid value`);
+    }
+    return parsed;
+  };
+
+  if (value.includes('..')) {
+    const [from, to] = value.split('..');
+    return { min: from ? parse(from) : -Infinity, max: to ? parse(to) : Infinity };
+  }
+
+  const comparison = value.match(/^(>=|<=|>|<)(.+)$/);
+  if (comparison) {
+    const bound = parse(comparison[2]);
+    switch (comparison[1]) {
+      case '>': return { min: bound, max: Infinity, exclusiveMin: true };
+      case '>=': return { min: bound, max: Infinity };
+      case '<': return { min: -Infinity, max: bound, exclusiveMax: true };
+      default: return { min: -Infinity, max: bound };
+    }
+  }
+
+  const exact = parse(value);
+  return { min: exact, max: exact };
+}
+
+function inRange(value, range) {
+  if (range.exclusiveMin ? value <= range.min : value < range.min) {
+    return false;
+  }
+  return range.exclusiveMax ? value < range.max : value <= range.max;
+}
+
+function searchableText(task) {
+  return [
+    task.name,
+    task.description,
+    task.completionMessage,
+    ...(task.updates || []).map(update => update.message)
+  ].filter(Boolean).join('\n').toLowerCase();
+}
+
+/**
+ * Build a predicate for one key:value term (null if `key` is not a field)
+ */
+function buildMatcher(key, value, now) {
+  const values = value.split(',').map(part => part.trim()).filter(Boolean);
+
+  switch (key) {
+    case 'status': {
+      const statuses = [];
+      values.forEach(status => {
+        const lower = status.toLowerCase();
+        if (STATUS_ALIASES[lower]) {
+          statuses.push(...STATUS_ALIASES[lower]);
+        } else if (STATUSES.includes(lower)) {
+          statuses.push(lower);
+        } else {
+          throw queryError(`unknown status "${status}"`);
+        }
+      });
+      return task => statuses.includes(task.status);
+    }
+
+    case 'tag': {
+      const tags = values.map(tag => tag.replace(/^#/, '').toLowerCase());
+      return task => tags.some(tag => (task.tags || []).includes(tag));
+    }
+
+    case 'project': {
+      const projects = values.map(project => project.toLowerCase());
+      return task => projects.includes(String(task.project || '').toLowerCase());
+    }
+
+    case 'priority': {
+      const priorities = values.map(priority => priority.toLowerCase());
+      return task => priorities.includes(task.priority || 'normal');
+    }
+
+    case 'branch': {
+      const branches = values.map(branch => branch.toLowerCase());
+      return task => task.git && task.git.branch !== null &&
+        branches.some(branch => task.git.branch.toLowerCase().includes(branch));
+    }
+
+    case 'issue': {
+      const keys = values.map(key => key.toUpperCase());
+      return task => task.git && keys.some(key => task.git.issueKeys.includes(key));
+    }
+
+    case 'cwd': {
+      const dirs = values.map(dir => expandHome(dir).toLowerCase());
+      return task => {
+        const workingDir = String((task.sessionInfo && task.sessionInfo.workingDir) || '').toLowerCase();
+        return workingDir !== '' && dirs.some(dir => workingDir.includes(dir));
+      };
+    }
+
+    case 'after': {
+      const time = parseDate(value, now);
+      return task => new Date(task.startTime).getTime() >= time;
+    }
+
+    case 'before': {
+      const time = parseDate(value, now);
+      return task => new Date(task.startTime).getTime() < time;
+    }
+
+    case 'date': {
+      const [from, to] = value.includes('..') ? value.split('..') : [value, value];
+      const min = from ? parseDate(from, now) : -Infinity;
+      // The end of a range is inclusive: "..2026-03-31" covers that whole day
+      const max = to ? parseDate(to, now) + DAY : Infinity;
+      return task => {
+        const time = new Date(task.startTime).getTime();
+        return time >= min && time < max;
+      };
+    }
+
+    case 'duration': {
+      const range = parseRange(value, parseDuration);
+      return task => inRange(activeTime(task, task.endTime || now), range);
+    }
+
+    case 'progress': {
+      const range = parseRange(value, text => /^\d+(\.\d+)?$/.test(text) ? parseFloat(text) : null);
+      return task => inRange(task.progress, range);
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse a query string into matchers, sort order and paging
+ */
+function parseQuery(text = '', now = new Date()) {
+  const query = {
+    matchers: [],
+    sort: { field: 'started', direction: 'desc' },
+    page: 1,
+    limit: DEFAULT_LIMIT
+  };
+
+  tokenize(text).forEach(({ negated, key, value }) => {
+    if (key === 'sort') {
+      const [field, direction = field === 'name' ? 'asc' : 'desc'] = value.toLowerCase().split('-');
+      if (!SORT_FIELDS[field] || !['asc', 'desc'].includes(direction)) {
+        throw queryError(`cannot sort by "${value}" (fields: ${Object.keys(SORT_FIELDS).join(', ')}; add -asc or -desc)`);
+      }
+      query.sort = { field, direction };
+      return;
+    }
+
+    if (key === 'page' || key === 'limit') {
+      const number = parseInt(value);
+      if (!(number > 0)) {
+        throw queryError(`${key} must be a positive number`);
+      }
+      query[key] = number;
+      return;
+    }
+
+    let matcher = key ? buildMatcher(key, value, now) : null;
+    if (!matcher) {
+      const needle = (key ? `${key}:${value}` : value).toLowerCase();
+      matcher = task => searchableText(task).includes(needle);
+    }
+
+    query.matchers.push(negated ? task => !matcher(task) : matcher);
+  });
+
+  return query;
+}
+
+/**
+ * Run a parsed query over tasks and return one page of results
+ */
+function runQuery(tasks, query) {
+  const matches = tasks.filter(task => query.matchers.every(matcher => matcher(task)));
+
+  const key = SORT_FIELDS[query.sort.field];
+  const sign = query.sort.direction === 'asc' ? 1 : -1;
+  matches.sort((a, b) => {
+    const left = key(a);
+    const right = key(b);
+    return left < right ? -sign : left > right ? sign : 0;
+  });
+
+  const pages = Math.max(1, Math.ceil(matches.length / query.limit));
+  const page = Math.min(query.page, pages);
+  return {
+    total: matches.length,
+    page,
+    pages,
+    limit: query.limit,
+    results: matches.slice((page - 1) * query.limit, page * query.limit)
+  };
+}
+
+/**
+ * Parse and run a query string in one step
+ */
+function searchTasks(tasks, text, options = {}) {
+  const query = parseQuery(text, options.now);
+  if (options.page) {
+    query.page = options.page;
+  }
+  if (options.limit) {
+    query.limit = options.limit;
+  }
+  return runQuery(tasks, query);
+}
+
+/**
+ * Rebuild a query from shell arguments, re-quoting ones the shell unquoted
+ */
+function joinArgs(args) {
+  return args.map(arg => {
+    if (!/\s/.test(arg) || arg.includes('"')) {
+      return arg;
+    }
+    const keyed = arg.match(/^(-?[a-z]+:)(.*)$/i);
+    return keyed ? `${keyed[1]}"${keyed[2]}"` : `"${arg}"`;
+  }).join(' ');
+}
+
+module.exports = {
+  joinArgs,
+  parseQuery,
+  runQuery,
+  searchTasks
+};
@@ -0,0 +1,130 @@
+const { joinArgs, parseQuery, searchTasks } = require('./query');
+
+const now = new Date(2026, 2, 15, 12, 0);
+const MINUTE = 60 * 1000;
+
+/**
+ * A closed task started `daysAgo` days before `now` that ran `minutes` long
+ */
+function task(id, fields = {}, { daysAgo = 1, minutes = 60 } = {}) {
+  const start = new Date(now.getTime() - daysAgo * 24 * 60 * MINUTE);
+  const end = new Date(start.getTime() + minutes * MINUTE);
+  return {
+    id,
+    name: `Task ${id}`,
+    description: '',
+    status: 'completed',
+    progress: 100,
+    startTime: start.toISOString(),
+    endTime: end.toISOString(),
+    intervals: [{ start: start.toISOString(), end: end.toISOString() }],
+    updates: [],
+    tags: [],
+    priority: 'normal',
+    project: null,
+    ...fields
+  };
+}
+
+const tasks = [
+  task('a', { name: 'Fix login redirect', tags: ['bug', 'auth'], project: 'web', priority: 'high' }, { daysAgo: 1, minutes: 180 }),
+  task('b', { name: 'Write docs', status: 'in-progress', progress: 40, endTime: undefined }, { daysAgo: 3, minutes: 30 }),
+  task('c', {
+    name: 'Release',
+    status: 'stopped',
+    progress: 70,
+    updates: [{ timestamp: now.toISOString(), progress: 70, message: 'See https://example.com/notes' }],
+    git: { branch: 'feature/ABC-12-release', issueKeys: ['ABC-12'] },
+    sessionInfo: { workingDir: '/home/dev/src/shop' }
+  }, { daysAgo: 10, minutes: 45 }),
+  task('d', { name: 'fix:login follow-up', tags: ['wip'] }, { daysAgo: 20, minutes: 10 })
+];
+
+function ids(text, options = {}) {
+  return searchTasks(tasks, text, { now, ...options }).results.map(result => result.id).sort();
+}
+
+describe('searchTasks', () => {
+  test.each([
+    ['status:open', ['b']],
+    ['status:closed', ['a', 'c', 'd']],
+    ['status:completed,stopped', ['a', 'c', 'd']],
+    ['tag:bug', ['a']],
+    ['tag:#wip', ['d']],
+    ['-tag:wip', ['a', 'b', 'c']],
+    ['project:WEB', ['a']],
+    ['priority:high', ['a']],
+    ['branch:release', ['c']],
+    ['issue:abc-12', ['c']],
+    ['cwd:src/shop', ['c']],
+    ['after:7d', ['a', 'b']],
+    ['before:7d', ['c', 'd']],
+    ['duration:>1h', ['a']],
+    ['duration:30m..1h', ['b', 'c']],
+    ['progress:<50', ['b']],
+    ['login', ['a', 'd']],
+    ['"login redirect"', ['a']],
+    ['notes', ['c']],
+    ['fix -redirect', ['d']],
+    ['status:closed tag:bug,wip', ['a', 'd']]
+  ])('%s', (query, expected) => {
+    expect(ids(query)).toEqual(expected);
+  });
+
+  test('matches a whole day with date:', () => {
+    const day = new Date(tasks[0].startTime);
+    const date = `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+
+    expect(ids(`date:${date}`)).toEqual(['a']);
+    expect(ids(`date:..${date}`)).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  test('searches a term with an unknown field as text', () => {
+    expect(ids('fix:login')).toEqual(['d']);
+    expect(ids('https://example.com/notes')).toEqual(['c']);
+    expect(ids('-fix:login')).toEqual(['a', 'b', 'c']);
+  });
+
+  test('sorts and pages the results', () => {
+    const page = searchTasks(tasks, 'sort:duration-asc limit:3 page:2', { now });
+
+    expect(page).toMatchObject({ total: 4, page: 2, pages: 2, limit: 3 });
+    expect(page.results.map(result => result.id)).toEqual(['a']);
+    expect(searchTasks(tasks, 'sort:name', { now }).results.map(result => result.id)).toEqual(['a', 'd', 'c', 'b']);
+  });
+
+  test('lets options override the paging in the query', () => {
+    const page = searchTasks(tasks, 'limit:1', { now, limit: 2, page: 9 });
+
+    expect(page).toMatchObject({ page: 2, pages: 2, limit: 2 });
+  });
+});
+
+describe('parseQuery', () => {
+  test.each([
+    ['status:later', 'unknown status "later"'],
+    ['after:someday', '"someday" is not a date'],
+    ['duration:>soon', '"soon" is not a valid value'],
+    ['sort:color', 'cannot sort by "color"'],
+    ['page:0', 'page must be a positive number']
+  ])('rejects %s', (query, message) => {
+    expect(() => parseQuery(query, now)).toThrow(message);
+  });
+
+  test('defaults to the newest ten', () => {
+    expect(parseQuery('', now)).toMatchObject({
+      matchers: [],
+      sort: { field: 'started', direction: 'desc' },
+      page: 1,
+      limit: 10
+    });
+  });
+});
+
+describe('joinArgs', () => {
+  test('quotes arguments the shell unquoted', () => {
+    expect(joinArgs(['tag:bug', 'login redirect', 'project:my app', '"kept"'])).toBe(
+      'tag:bug "login redirect" project:"my app" "kept"'
+    );
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * Progress rules: turn commands observed in a session, and commits linked
+ * to a task, into progress updates on the task. Rules live in the `rules`
+ * list of config.json:
+ *
+ *   { "name": "tests pass", "command": "npm test", "project": "Web",
+ *     "progress": 80, "message": "{command} passed on {branch}" }
+ *   { "name": "per commit", "commit": "*", "progress": "+5" }
+ *
+ * Match fields (all optional except command or commit, all must match):
+ *   command   "npm test" matches that command with any further arguments;
+ *             "*" is a wildcard and "/.../" a regular expression
+ *   commit    matches a commit's subject instead, in the same way; a rule
+ *             has either command or commit
+ *   exitCode  exit code to require (default 0), or "any"; commands only
+ *   project   the task's project (case-insensitive)
+ *   cwd       glob for the directory the command ran in ("~/src/web/**"),
+ *             or for the root of the commit's repository
+ *   branch    glob for the task's git branch ("feature/*")
+ *
+ * Effect:
+ *   progress  a percentage to set, or "+10" to add to the current progress
+ *   message   the update message; {command}, {cwd}, {exitCode}, {duration},
+ *             {project}, {branch}, {issue} and {rule} are filled in, and for
+ *             commits {sha}, {subject}, {files}, {insertions} and {deletions}
+ *
+ * A rule never lowers progress unless it sets `"allowDecrease": true`.
+ */
+
+const { TrackerError } = require('./errors');
+const { globToRegExp } = require('./glob');
+
+const MATCH_FIELDS = ['command', 'commit', 'exitCode', 'project', 'cwd', 'branch'];
+const RULE_FIELDS = MATCH_FIELDS.concat(['name', 'progress', 'message', 'allowDecrease']);
+
+function ruleError(index, message) {
+  return new TrackerError(`Rule ${index + 1}: ${message}`, 'INVALID_RULE');
+}
+
+/**
+ * A matcher for a command line or commit subject
+ */
+function commandMatcher(pattern) {
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    const compiled = new RegExp(regex[1], regex[2]);
+    return command => compiled.test(command);
+  }
+
+  // A plain command also matches when more arguments follow it
+  const compiled = globToRegExp(pattern.trim());
+  const prefix = globToRegExp(`${pattern.trim()} *`);
+  return command => compiled.test(command.trim()) || prefix.test(command.trim());
+}
+
+/**
+ * Parse a rule's progress: { set: 80 } or { add: 10 }
+ */
+function parseProgress(value) {
+  if (typeof value === 'number' && value >= 0 && value <= 100) {
+    return { set: value };
+  }
+  const relative = typeof value === 'string' && value.match(/^\+(\d+)$/);
+  if (relative && parseInt(relative[1]) <= 100) {
+    return { add: parseInt(relative[1]) };
+  }
+  if (typeof value === 'string' && /^\d+$/.test(value) && parseInt(value) <= 100) {
+    return { set: parseInt(value) };
+  }
+  return null;
+}
+
+/**
+ * Check the configured rules and compile them for matching. Throws a
+ * TrackerError naming the first invalid rule.
+ */
+function compileRules(rules = []) {
+  if (!Array.isArray(rules)) {
+    throw new TrackerError('The "rules" setting must be a list of rules', 'INVALID_RULE');
+  }
+
+  return rules.map((rule, index) => {
+    if (!rule || typeof rule !== 'object') {
+      throw ruleError(index, 'must be an object');
+    }
+
+    const unknown = Object.keys(rule).filter(key => !RULE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      throw ruleError(index, `unknown field "${unknown[0]}"`);
+    }
+    if (rule.command !== undefined && rule.commit !== undefined) {
+      throw ruleError(index, 'matches either a "command" or a "commit", not both');
+    }
+    const kind = rule.commit !== undefined ? 'commit' : 'command';
+    if (typeof rule[kind] !== 'string' || !rule[kind].trim()) {
+      throw ruleError(index, 'needs a "command" or "commit" to match');
+    }
+    if (kind === 'commit' && rule.exitCode !== undefined) {
+      throw ruleError(index, '"exitCode" only applies to commands');
+    }
+
+    const progress = parseProgress(rule.progress);
+    if (!progress) {
+      throw ruleError(index, '"progress" must be a percentage (0-100) or "+N"');
+    }
+
+    const exitCode = rule.exitCode === undefined ? 0 : rule.exitCode;
+    if (exitCode !== 'any' && !Number.isInteger(exitCode)) {
+      throw ruleError(index, '"exitCode" must be a number or "any"');
+    }
+
+    let matches;
+    try {
+      matches = commandMatcher(rule[kind]);
+    } catch (error) {
+      throw ruleError(index, `invalid ${kind} pattern: ${error.message}`);
+    }
+
+    return {
+      index,
+      name: rule.name || (kind === 'commit' ? `commit ${rule.commit}` : rule.command),
+      rule,
+      kind,
+      progress,
+      exitCode,
+      matches,
+      cwd: rule.cwd ? globToRegExp(rule.cwd, { path: true }) : null,
+      branch: rule.branch ? globToRegExp(rule.branch, { path: true }) : null,
+      project: rule.project ? rule.project.toLowerCase() : null
+    };
+  });
+}
+
+/**
+ * Why a compiled rule does not match a finished command or a commit, or
+ * null if it does. `context` is { command, cwd, exitCode, durationMs, task }
+ * for a command and { commit, cwd, task } for a commit.
+ */
+function mismatch(compiled, context) {
+  const { task } = context;
+  const git = task && task.git;
+
+  if (context.commit) {
+    if (compiled.kind !== 'commit') {
+      return 'not a commit rule';
+    }
+    if (!compiled.matches(context.commit.subject)) {
+      return 'commit subject differs';
+    }
+  } else {
+    if (compiled.kind !== 'command') {
+      return 'not a command rule';
+    }
+    if (!compiled.matches(context.command)) {
+      return 'command differs';
+    }
+    if (compiled.exitCode !== 'any' && context.exitCode !== compiled.exitCode) {
+      return `exit code ${context.exitCode} is not ${compiled.exitCode}`;
+    }
+  }
+  if (compiled.project && String((task && task.project) || '').toLowerCase() !== compiled.project) {
+    return `project is not ${compiled.rule.project}`;
+  }
+  if (compiled.cwd && !(context.cwd && compiled.cwd.test(context.cwd))) {
+    return `directory does not match ${compiled.rule.cwd}`;
+  }
+  if (compiled.branch && !(git && git.branch && compiled.branch.test(git.branch))) {
+    return `branch does not match ${compiled.rule.branch}`;
+  }
+  return null;
+}
+
+function formatSeconds(ms) {
+  if (ms === null || ms === undefined) {
+    return '';
+  }
+  const seconds = Math.round(ms / 1000);
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+function renderMessage(compiled, context) {
+  const { task } = context;
+  const git = (task && task.git) || {};
+  const commit = context.commit || null;
+  const template = compiled.rule.message ||
+    (commit ? 'Committed {sha}: {subject}' :
+      context.exitCode === 0 ? '{command} succeeded' : '{command} exited with {exitCode}');
+
+  const values = {
+    command: context.command || '',
+    cwd: context.cwd || '',
+    exitCode: context.exitCode === null || context.exitCode === undefined ? '' : context.exitCode,
+    duration: formatSeconds(context.durationMs),
+    project: (task && task.project) || '',
+    branch: git.branch || '',
+    issue: (git.issueKeys || []).join(', '),
+    rule: compiled.name,
+    sha: commit ? commit.sha.slice(0, 7) : '',
+    subject: commit ? commit.subject : '',
+    files: commit ? commit.filesChanged : '',
+    insertions: commit ? commit.insertions : '',
+    deletions: commit ? commit.deletions : ''
+  };
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) => (key in values ? String(values[key]) : placeholder));
+}
+
+/**
+ * Evaluate compiled rules against a finished command or a commit, in
+ * order. Each rule sees the progress left by the ones before it. Returns
+ * every rule with whether it fires and, if so, the resulting
+ * { progress, message }.
+ */
+function evaluateRules(compiledRules, context) {
+  let progress = context.task ? context.task.progress : 0;
+
+  return compiledRules.map(compiled => {
+    const reason = mismatch(compiled, context);
+    if (reason) {
+      return { rule: compiled, fires: false, reason };
+    }
+
+    const target = compiled.progress.set !== undefined ?
+      compiled.progress.set :
+      Math.min(100, progress + compiled.progress.add);
+    if (target < progress && !compiled.rule.allowDecrease) {
+      return { rule: compiled, fires: false, reason: `would lower progress from ${progress}% to ${target}%` };
+    }
+    if (target === progress) {
+      return { rule: compiled, fires: false, reason: `progress is already ${progress}%` };
+    }
+
+    progress = target;
+    return { rule: compiled, fires: true, progress: target, message: renderMessage(compiled, context) };
+  });
+}
+
+module.exports = {
+  compileRules,
+  evaluateRules
+};
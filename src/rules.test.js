@@ -0,0 +1,126 @@
+const { compileRules, evaluateRules } = require('./rules');
+
+function task(fields = {}) {
+  return {
+    progress: 20,
+    project: 'Web',
+    git: { branch: 'feature/ABC-7-login', issueKeys: ['ABC-7'] },
+    ...fields
+  };
+}
+
+function finished(command, fields = {}) {
+  return { command, cwd: '/home/dev/src/web', exitCode: 0, durationMs: 75000, task: task(), ...fields };
+}
+
+function fired(rules, context) {
+  return evaluateRules(compileRules(rules), context).filter(result => result.fires);
+}
+
+describe('compileRules', () => {
+  test.each([
+    [{ progress: 50 }, 'Rule 1: needs a "command" or "commit" to match'],
+    [{ command: 'npm test', commit: '*', progress: 50 }, 'not both'],
+    [{ command: 'npm test', progress: 150 }, '"progress" must be a percentage'],
+    [{ command: 'npm test', progress: '-5' }, '"progress" must be a percentage'],
+    [{ command: 'npm test', progress: 50, exitCode: 'some' }, '"exitCode" must be a number or "any"'],
+    [{ commit: '*', progress: 50, exitCode: 0 }, '"exitCode" only applies to commands'],
+    [{ command: 'npm test', progress: 50, when: 'now' }, 'unknown field "when"'],
+    [{ command: '/(/', progress: 50 }, 'invalid command pattern'],
+    ['npm test', 'must be an object']
+  ])('rejects %j', (rule, message) => {
+    expect(() => compileRules([rule])).toThrow(message);
+  });
+
+  test('rejects a setting that is not a list', () => {
+    expect(() => compileRules({ command: 'npm test' })).toThrow('must be a list of rules');
+  });
+
+  test('names rules after what they match', () => {
+    const [command, commit] = compileRules([
+      { command: 'npm test', progress: 80 },
+      { commit: 'fix*', progress: '+5' }
+    ]);
+
+    expect(command).toMatchObject({ name: 'npm test', kind: 'command', progress: { set: 80 }, exitCode: 0 });
+    expect(commit).toMatchObject({ name: 'commit fix*', kind: 'commit', progress: { add: 5 } });
+  });
+});
+
+describe('evaluateRules', () => {
+  test.each([
+    ['npm test', 'npm test', true],
+    ['npm test', 'npm test -- --watch', true],
+    ['npm test', 'npm testing', false],
+    ['npm run *', 'npm run build', true],
+    ['/^make( |$)/', 'make release', true],
+    ['/^make( |$)/', 'cmake .', false]
+  ])('%s matching %s: %s', (pattern, command, fires) => {
+    expect(fired([{ command: pattern, progress: 80 }], finished(command))).toHaveLength(fires ? 1 : 0);
+  });
+
+  test('requires a successful exit unless told otherwise', () => {
+    const failed = finished('npm test', { exitCode: 1 });
+
+    expect(fired([{ command: 'npm test', progress: 80 }], failed)).toHaveLength(0);
+    expect(fired([{ command: 'npm test', progress: 80, exitCode: 'any' }], failed)).toHaveLength(1);
+    expect(fired([{ command: 'npm test', progress: 80, exitCode: 1 }], failed)).toHaveLength(1);
+  });
+
+  test('explains why a rule does not fire', () => {
+    const results = evaluateRules(compileRules([
+      { command: 'npm test', progress: 80, project: 'api' },
+      { command: 'npm test', progress: 80, cwd: '~/src/api/**' },
+      { command: 'npm test', progress: 80, branch: 'release/*' },
+      { command: 'npm test', progress: 10 },
+      { commit: '*', progress: '+5' }
+    ]), finished('npm test', { cwd: '/srv/web' }));
+
+    expect(results.map(result => result.reason)).toEqual([
+      'project is not api',
+      'directory does not match ~/src/api/**',
+      'branch does not match release/*',
+      'would lower progress from 20% to 10%',
+      'not a command rule'
+    ]);
+  });
+
+  test('lets each rule build on the progress of the ones before it', () => {
+    const results = fired([
+      { command: 'npm test', progress: '+30' },
+      { command: 'npm test', progress: '+60' },
+      { command: 'npm test', progress: 90 }
+    ], finished('npm test'));
+
+    expect(results.map(result => result.progress)).toEqual([50, 100]);
+  });
+
+  test('lowers progress only when allowed', () => {
+    const [result] = fired([{ command: 'git reset *', progress: 0, allowDecrease: true }], finished('git reset --hard'));
+
+    expect(result.progress).toBe(0);
+  });
+
+  test('fills in the message template', () => {
+    const [result] = fired([{
+      command: 'npm test',
+      progress: 80,
+      message: '{command} passed in {duration} on {branch} ({issue}) by {rule}, {unknown}'
+    }], finished('npm test'));
+
+    expect(result.message).toBe('npm test passed in 1m 15s on feature/ABC-7-login (ABC-7) by npm test, {unknown}');
+  });
+
+  test('matches commits by subject', () => {
+    const commit = { sha: '0123456789abcdef', subject: 'Fix login', filesChanged: 3, insertions: 10, deletions: 2 };
+    const context = { commit, cwd: '/home/dev/src/web', task: task() };
+
+    const [result] = fired([
+      { commit: 'Add *', progress: '+20' },
+      { commit: 'Fix *', progress: '+5', message: '{sha} {subject}: {files} files +{insertions} -{deletions}' }
+    ], context);
+
+    expect(result).toMatchObject({ progress: 25, message: '0123456 Fix login: 3 files +10 -2' });
+    expect(fired([{ command: '*', progress: 50 }], context)).toHaveLength(0);
+  });
+});
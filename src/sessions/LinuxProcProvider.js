@@ -0,0 +1,184 @@
+const { exec } = require('child_process');
+const path = require('path');
+const fs = require('fs-extra');
+const util = require('util');
+const SessionProvider = require('./SessionProvider');
+const { SHELLS, buildChildren, findSessionShells, resolveForeground } = require('./processTree');
+
+const execAsync = util.promisify(exec);
+
+// Process names (/proc/<pid>/comm, truncated to 15 characters) of terminal emulators
+const TERMINALS = [
+  'warp', 'warp-terminal', 'gnome-terminal-', 'konsole', 'kitty', 'alacritty',
+  'wezterm-gui', 'xterm', 'uxterm', 'urxvt', 'tilix', 'terminator', 'foot',
+  'xfce4-terminal', 'mate-terminal', 'lxterminal', 'st', 'ghostty', 'kgx'
+];
+
+/**
+ * Terminal sessions on Linux, found by walking /proc: every shell whose
+ * nearest ancestor is a terminal emulator (rather than another shell) is one
+ * session. Its working directory is the cwd of the shell in the foreground
+ * of that terminal, read from /proc/<pid>/cwd on every poll.
+ */
+class LinuxProcProvider extends SessionProvider {
+  constructor(options = {}) {
+    super('linux-proc');
+    this.procRoot = options.procRoot || '/proc';
+    this.terminals = options.terminals || TERMINALS;
+    this.shells = options.shells || SHELLS;
+  }
+
+  async isAvailable() {
+    return process.platform === 'linux' && fs.pathExists(this.procRoot);
+  }
+
+  /**
+   * Read pid, parent, terminal and foreground group of every visible process
+   */
+  async readProcessTable() {
+    const entries = await fs.readdir(this.procRoot);
+    const table = new Map();
+
+    await Promise.all(entries.filter(entry => /^\d+$/.test(entry)).map(async entry => {
+      try {
+        const stat = await fs.readFile(path.join(this.procRoot, entry, 'stat'), 'utf8');
+        const proc = this.parseStat(stat);
+        if (proc) {
+          table.set(proc.pid, proc);
+        }
+      } catch (error) {
+        // The process exited while we were reading it
+      }
+    }));
+
+    return table;
+  }
+
+  /**
+   * Parse /proc/<pid>/stat. The command name is in parentheses and may itself
+   * contain spaces or parentheses, so split on the last ")".
+   */
+  parseStat(stat) {
+    const open = stat.indexOf('(');
+    const close = stat.lastIndexOf(')');
+    if (open < 0 || close < 0) {
+      return null;
+    }
+
+    const fields = stat.slice(close + 2).split(' ');
+    return {
+      pid: parseInt(stat.slice(0, open)),
+      comm: stat.slice(open + 1, close),
+      ppid: parseInt(fields[1]),
+      pgrp: parseInt(fields[2]),
+      ttyNr: parseInt(fields[4]),
+      tpgid: parseInt(fields[5])
+    };
+  }
+
+  async readCwd(pid) {
+    try {
+      return await fs.readlink(path.join(this.procRoot, String(pid), 'cwd'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async readTty(pid) {
+    try {
+      const tty = await fs.readlink(path.join(this.procRoot, String(pid), 'fd', '0'));
+      return tty.startsWith('/dev/') ? tty : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async listSessions() {
+    const table = await this.readProcessTable();
+    const children = buildChildren(table);
+    const isTerminal = proc => this.terminals.includes(proc.comm);
+    const sessions = [];
+
+    for (const { shell, terminal } of findSessionShells(table, isTerminal, this.shells)) {
+      const { shell: active, foreground } = resolveForeground(table, children, shell, this.shells);
+
+      // Shells of other users cannot be inspected; skip them
+      const workingDir = await this.readCwd(active.pid) || await this.readCwd(shell.pid);
+      if (!workingDir) {
+        continue;
+      }
+
+      const tty = await this.readTty(shell.pid);
+      sessions.push({
+        // Keyed by the window's own shell, so nested shells keep the session
+        sessionId: `proc_${shell.pid}`,
+        windowId: shell.pid,
+        title: `${terminal.comm}: ${active.comm} - ${workingDir}`,
+        workingDir,
+        pid: active.pid,
+        terminalPid: terminal.pid,
+        terminal: terminal.comm,
+        shell: active.comm,
+        command: foreground ? foreground.comm : active.comm,
+        tty,
+        lastActivity: await this.getTtyActivity(tty) || null
+      });
+    }
+
+    return sessions;
+  }
+
+  /**
+   * The focused session: among the shells of the focused terminal window
+   * (when xdotool can tell which that is), the one whose tty saw input last
+   */
+  async getActiveSessionId() {
+    const sessions = await this.listSessions();
+    const focusedPid = await this.getFocusedWindowPid();
+    const candidates = sessions.filter(session => session.terminalPid === focusedPid);
+
+    let active = null;
+    let latest = 0;
+    for (const session of candidates.length > 0 ? candidates : sessions) {
+      const activity = await this.getTtyActivity(session.tty);
+      if (activity > latest) {
+        latest = activity;
+        active = session;
+      }
+    }
+    return active ? active.sessionId : null;
+  }
+
+  async getFocusedWindowPid() {
+    try {
+      const { stdout } = await execAsync('xdotool getactivewindow getwindowpid', { timeout: 2000 });
+      return parseInt(stdout.trim()) || null;
+    } catch (error) {
+      // No X11 session or xdotool not installed
+      return null;
+    }
+  }
+
+  /**
+   * Last input/output time on a tty, in ms since the epoch (0 if unknown)
+   */
+  async getTtyActivity(tty) {
+    if (!tty) {
+      return 0;
+    }
+
+    try {
+      const stat = await fs.stat(tty);
+      return Math.max(stat.atimeMs, stat.mtimeMs);
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  async isRunning() {
+    const table = await this.readProcessTable();
+    return [...table.values()].some(proc => this.terminals.includes(proc.comm));
+  }
+}
+
+module.exports = LinuxProcProvider;
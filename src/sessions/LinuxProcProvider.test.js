@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LinuxProcProvider = require('./LinuxProcProvider');
+
+let procRoot;
+
+/**
+ * Add a process to the fake /proc: its stat line, and its cwd and stdin
+ * as symlinks when given
+ */
+function addProcess({ pid, comm, ppid, pgrp = pid, tpgid = -1, cwd = null, stdin = null }) {
+  const dir = path.join(procRoot, String(pid));
+  fs.mkdirSync(path.join(dir, 'fd'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'stat'), `${pid} (${comm}) S ${ppid} ${pgrp} ${pgrp} 34816 ${tpgid} 4194304 0 0\n`);
+  if (cwd) {
+    fs.symlinkSync(cwd, path.join(dir, 'cwd'));
+  }
+  if (stdin) {
+    fs.symlinkSync(stdin, path.join(dir, 'fd', '0'));
+  }
+}
+
+beforeEach(() => {
+  procRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'warp-tracker-proc-'));
+  fs.writeFileSync(path.join(procRoot, 'uptime'), '1.00 1.00\n');
+  fs.mkdirSync(path.join(procRoot, 'self'));
+
+  addProcess({ pid: 1, comm: 'systemd', ppid: 0 });
+  // A kitty window running vim from zsh
+  addProcess({ pid: 100, comm: 'kitty', ppid: 1 });
+  addProcess({ pid: 200, comm: 'zsh', ppid: 100, tpgid: 300, cwd: '/home/dev/web', stdin: '/dev/pts/99' });
+  addProcess({ pid: 300, comm: 'vim', ppid: 200, tpgid: 300, cwd: '/home/dev/web/src' });
+  // An alacritty window with zsh started from a login bash
+  addProcess({ pid: 400, comm: 'alacritty', ppid: 1 });
+  addProcess({ pid: 500, comm: '-bash', ppid: 400, tpgid: 600, cwd: '/home/dev', stdin: 'pipe:[123]' });
+  addProcess({ pid: 600, comm: 'zsh', ppid: 500, tpgid: 600, cwd: '/home/dev/api' });
+  // Another user's shell, whose cwd cannot be read
+  addProcess({ pid: 900, comm: 'bash', ppid: 100 });
+  // Not under a terminal, with parentheses in its name
+  addProcess({ pid: 950, comm: 'my (odd) app', ppid: 1 });
+});
+
+afterEach(() => {
+  fs.rmSync(procRoot, { recursive: true, force: true });
+});
+
+describe('readProcessTable', () => {
+  test('reads every numeric entry and skips the rest', async () => {
+    const table = await new LinuxProcProvider({ procRoot }).readProcessTable();
+
+    expect([...table.keys()].sort((a, b) => a - b)).toEqual([1, 100, 200, 300, 400, 500, 600, 900, 950]);
+    expect(table.get(200)).toEqual({ pid: 200, comm: 'zsh', ppid: 100, pgrp: 200, ttyNr: 34816, tpgid: 300 });
+  });
+
+  test('parses names containing spaces and parentheses', async () => {
+    const table = await new LinuxProcProvider({ procRoot }).readProcessTable();
+
+    expect(table.get(950)).toMatchObject({ comm: 'my (odd) app', ppid: 1, pgrp: 950 });
+  });
+
+  test('skips processes whose stat cannot be read', async () => {
+    fs.mkdirSync(path.join(procRoot, '1234'));
+
+    const table = await new LinuxProcProvider({ procRoot }).readProcessTable();
+
+    expect(table.has(1234)).toBe(false);
+  });
+});
+
+describe('listSessions', () => {
+  test('reports one session per terminal window shell', async () => {
+    const sessions = await new LinuxProcProvider({ procRoot }).listSessions();
+
+    expect(sessions).toEqual([
+      {
+        sessionId: 'proc_200',
+        windowId: 200,
+        title: 'kitty: zsh - /home/dev/web',
+        workingDir: '/home/dev/web',
+        pid: 200,
+        terminalPid: 100,
+        terminal: 'kitty',
+        shell: 'zsh',
+        command: 'vim',
+        tty: '/dev/pts/99',
+        lastActivity: null
+      },
+      {
+        sessionId: 'proc_500',
+        windowId: 500,
+        title: 'alacritty: zsh - /home/dev/api',
+        workingDir: '/home/dev/api',
+        pid: 600,
+        terminalPid: 400,
+        terminal: 'alacritty',
+        shell: 'zsh',
+        command: 'zsh',
+        tty: null,
+        lastActivity: null
+      }
+    ]);
+  });
+
+  test('only counts the configured terminals', async () => {
+    const sessions = await new LinuxProcProvider({ procRoot, terminals: ['alacritty'] }).listSessions();
+
+    expect(sessions.map(session => session.sessionId)).toEqual(['proc_500']);
+  });
+
+  test('falls back to the window shell\'s directory', async () => {
+    fs.unlinkSync(path.join(procRoot, '600', 'cwd'));
+
+    const sessions = await new LinuxProcProvider({ procRoot }).listSessions();
+
+    expect(sessions[1]).toMatchObject({ pid: 600, workingDir: '/home/dev' });
+  });
+});
+
+describe('isRunning', () => {
+  test('is true while a known terminal runs', async () => {
+    expect(await new LinuxProcProvider({ procRoot }).isRunning()).toBe(true);
+    expect(await new LinuxProcProvider({ procRoot, terminals: ['foot'] }).isRunning()).toBe(false);
+  });
+});
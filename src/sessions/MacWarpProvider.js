@@ -0,0 +1,208 @@
+const { exec } = require('child_process');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const SessionProvider = require('./SessionProvider');
+const { buildChildren, findSessionShells, resolveForeground } = require('./processTree');
+
+const execAsync = util.promisify(exec);
+
+/**
+ * Warp windows on macOS, read through AppleScript (System Events). Each
+ * window is matched to one of the shells Warp started so that its real
+ * working directory can be read with lsof.
+ */
+class MacWarpProvider extends SessionProvider {
+  constructor() {
+    super('warp-macos');
+  }
+
+  async isAvailable() {
+    return process.platform === 'darwin';
+  }
+
+  async listSessions() {
+    const appleScript = `
+      tell application "System Events"
+        set warpProcesses to every process whose name is "Warp"
+        set sessionInfo to {}
+        
+        repeat with warpProcess in warpProcesses
+          try
+            set windowList to every window of warpProcess
+            repeat with warpWindow in windowList
+              try
+                set windowTitle to title of warpWindow
+                set windowID to id of warpWindow
+                set end of sessionInfo to {windowTitle, windowID}
+              end try
+            end repeat
+          end try
+        end repeat
+        
+        return sessionInfo
+      end tell
+    `;
+
+    const { stdout } = await execAsync(`osascript -e '${appleScript}'`);
+    const windows = this.parseAppleScriptOutput(stdout);
+
+    let shells = [];
+    try {
+      shells = await this.listShells();
+    } catch (error) {
+      // Without ps/lsof the manager falls back to the window title
+    }
+    return this.matchWindowsToShells(windows, shells);
+  }
+
+  /**
+   * Warp's top-level shells with the cwd of their foreground shell
+   */
+  async listShells() {
+    const { stdout } = await execAsync('ps -axo pid=,ppid=,pgid=,tpgid=,comm=');
+    const table = new Map();
+    stdout.split('\n').forEach(line => {
+      const match = line.trim().match(/^(\d+)\s+(\d+)\s+(\d+)\s+(-?\d+)\s+(.+)$/);
+      if (match) {
+        const [, pid, ppid, pgrp, tpgid, comm] = match;
+        table.set(parseInt(pid), {
+          pid: parseInt(pid),
+          ppid: parseInt(ppid),
+          pgrp: parseInt(pgrp),
+          tpgid: parseInt(tpgid),
+          comm
+        });
+      }
+    });
+
+    const children = buildChildren(table);
+    const isWarp = proc => proc.comm.includes('/Warp.app/');
+    const shells = findSessionShells(table, isWarp).map(({ shell }) => {
+      const { shell: active, foreground } = resolveForeground(table, children, shell);
+      return {
+        pid: shell.pid,
+        activePid: active.pid,
+        command: path.basename((foreground || active).comm).replace(/^-/, '')
+      };
+    });
+
+    if (shells.length === 0) {
+      return shells;
+    }
+
+    // One lsof call for all shells: "p<pid>" lines followed by "n<cwd>"
+    const pids = shells.map(shell => shell.activePid).join(',');
+    const { stdout: lsofOutput } = await execAsync(`lsof -a -d cwd -p ${pids} -Fn`);
+    const cwds = new Map();
+    let currentPid = null;
+    lsofOutput.split('\n').forEach(line => {
+      if (line.startsWith('p')) {
+        currentPid = parseInt(line.slice(1));
+      } else if (line.startsWith('n') && currentPid) {
+        cwds.set(currentPid, line.slice(1));
+      }
+    });
+
+    return shells
+      .map(shell => ({ ...shell, workingDir: cwds.get(shell.activePid) }))
+      .filter(shell => shell.workingDir);
+  }
+
+  /**
+   * Pair windows with shells: first by a window title that names the
+   * shell's directory, then, when the remaining counts agree, by creation
+   * order (window ids and shell pids both increase over time). Windows
+   * that cannot be paired are left without a workingDir.
+   */
+  matchWindowsToShells(windows, shells) {
+    const home = os.homedir();
+    const unmatched = [...shells];
+    const take = shell => unmatched.splice(unmatched.indexOf(shell), 1)[0];
+
+    const titled = windows.map(window => {
+      const title = window.title.trim();
+      const candidates = unmatched.filter(shell => {
+        const tildePath = shell.workingDir.replace(home, '~');
+        return title === shell.workingDir || title === tildePath ||
+          title.endsWith(` ${tildePath}`) || title === path.basename(shell.workingDir);
+      });
+      if (candidates.length === 1) {
+        const shell = take(candidates[0]);
+        return { ...window, workingDir: shell.workingDir, pid: shell.pid, command: shell.command };
+      }
+      return window;
+    });
+
+    const pending = titled.filter(window => !window.workingDir);
+    if (pending.length > 0 && pending.length === unmatched.length) {
+      const byAge = [...pending].sort((a, b) => a.windowId - b.windowId);
+      unmatched.sort((a, b) => a.pid - b.pid);
+      byAge.forEach((window, index) => {
+        Object.assign(window, {
+          workingDir: unmatched[index].workingDir,
+          pid: unmatched[index].pid,
+          command: unmatched[index].command
+        });
+      });
+    }
+
+    return titled;
+  }
+
+  /**
+   * Parse AppleScript output to extract session information
+   */
+  parseAppleScriptOutput(output) {
+    const sessions = [];
+    const lines = output.trim().split('\n');
+    
+    lines.forEach(line => {
+      // Parse the AppleScript list format
+      const match = line.match(/\{(.+), (\d+)\}/);
+      if (match) {
+        const [, title, windowId] = match;
+        sessions.push({
+          title: title.replace(/"/g, ''),
+          windowId: parseInt(windowId),
+          sessionId: `warp_${windowId}`
+        });
+      }
+    });
+
+    return sessions;
+  }
+
+  async getActiveSessionId() {
+    const appleScript = `
+      tell application "System Events"
+        set frontApp to name of first application process whose frontmost is true
+        if frontApp is "Warp" then
+          set frontWindow to front window of first application process whose name is "Warp"
+          return title of frontWindow & "," & id of frontWindow
+        else
+          return ""
+        end if
+      end tell
+    `;
+
+    const { stdout } = await execAsync(`osascript -e '${appleScript}'`);
+    if (!stdout.trim()) {
+      return null;
+    }
+
+    const windowId = stdout.trim().split(',').pop();
+    return `warp_${windowId}`;
+  }
+
+  async isRunning() {
+    try {
+      const { stdout } = await execAsync('pgrep -f "Warp"');
+      return stdout.trim().length > 0;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = MacWarpProvider;
@@ -0,0 +1,51 @@
+/**
+ * Base class for terminal session providers. A provider knows how to list
+ * the terminal sessions on one platform or multiplexer and which of them is
+ * focused; WarpSessionManager turns the raw sessions into tracked ones.
+ *
+ * `listSessions()` resolves to objects with at least `sessionId`, `windowId`
+ * and `title`. Providers that can see a session's real directory also set
+ * `workingDir`; otherwise the manager falls back to guessing it. Those that
+ * know when the terminal last saw input or output set `lastActivity` (ms
+ * since the epoch), which helps tell idle sessions apart.
+ *
+ * The base class is also the provider for unsupported platforms: it finds
+ * no sessions and never fails.
+ */
+class SessionProvider {
+  constructor(name = 'none') {
+    this.name = name;
+  }
+
+  async isAvailable() {
+    return false;
+  }
+
+  async listSessions() {
+    return [];
+  }
+
+  /**
+   * Id of the focused session, or null when it cannot be told
+   */
+  async getActiveSessionId() {
+    return null;
+  }
+
+  /**
+   * Whether sessions reported by the provider named `name` are this
+   * provider's to report, and so to close when they disappear
+   */
+  covers(name) {
+    return name === this.name;
+  }
+
+  /**
+   * Whether the terminal application itself is running
+   */
+  async isRunning() {
+    return (await this.listSessions()).length > 0;
+  }
+}
+
+module.exports = SessionProvider;
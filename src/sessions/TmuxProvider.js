@@ -0,0 +1,118 @@
+const { execFile } = require('child_process');
+const util = require('util');
+const SessionProvider = require('./SessionProvider');
+
+const execFileAsync = util.promisify(execFile);
+
+// Fields read for every pane, printed tab-separated in this order
+const PANE_FIELDS = [
+  'session_name', 'window_index', 'window_name', 'pane_index', 'pane_id',
+  'pane_pid', 'pane_current_path', 'pane_current_command', 'pane_active',
+  'window_active', 'window_activity'
+];
+
+/**
+ * tmux panes as sessions, read through the tmux CLI. Every pane is one
+ * session keyed by its pane id (%N), which stays the same for the pane's
+ * lifetime even when windows are renumbered or moved.
+ */
+class TmuxProvider extends SessionProvider {
+  constructor(options = {}) {
+    super('tmux');
+    this.tmuxPath = options.tmuxPath || 'tmux';
+    // Extra arguments, e.g. ['-L', 'socket-name'] for a non-default server
+    this.serverArgs = options.serverArgs || [];
+  }
+
+  async tmux(...args) {
+    const { stdout } = await execFileAsync(this.tmuxPath, [...this.serverArgs, ...args], { timeout: 2000 });
+    return stdout;
+  }
+
+  /**
+   * Available when a tmux server is running and reachable
+   */
+  async isAvailable() {
+    try {
+      await this.tmux('list-sessions');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async listPanes() {
+    const format = PANE_FIELDS.map(field => `#{${field}}`).join('\t');
+    const stdout = await this.tmux('list-panes', '-a', '-F', format);
+
+    return stdout.split('\n').filter(Boolean).map(line => {
+      const values = line.split('\t');
+      const pane = {};
+      PANE_FIELDS.forEach((field, index) => {
+        pane[field] = values[index] || '';
+      });
+      return pane;
+    });
+  }
+
+  async listSessions() {
+    const panes = await this.listPanes();
+
+    return panes.map(pane => {
+      const target = `${pane.session_name}:${pane.window_index}.${pane.pane_index}`;
+      return {
+        sessionId: `tmux_${pane.pane_id.replace('%', '')}`,
+        windowId: pane.pane_id,
+        title: `${target} ${pane.window_name} (${pane.pane_current_command}) - ${pane.pane_current_path}`,
+        workingDir: pane.pane_current_path,
+        pid: parseInt(pane.pane_pid),
+        command: pane.pane_current_command,
+        // Last output in the pane's window, in seconds since the epoch
+        lastActivity: parseInt(pane.window_activity) * 1000 || null,
+        tmux: {
+          session: pane.session_name,
+          window: parseInt(pane.window_index),
+          windowName: pane.window_name,
+          pane: parseInt(pane.pane_index),
+          paneId: pane.pane_id,
+          target
+        }
+      };
+    });
+  }
+
+  /**
+   * The focused pane: the active pane of the active window in the session
+   * of the most recently used client
+   */
+  async getActiveSessionId() {
+    let clients;
+    try {
+      clients = await this.tmux('list-clients', '-F', '#{client_activity}\t#{client_session}');
+    } catch (error) {
+      return null;
+    }
+
+    const [latest] = clients.split('\n').filter(Boolean)
+      .map(line => {
+        const [activity, session] = line.split('\t');
+        return { activity: parseInt(activity), session };
+      })
+      .sort((a, b) => b.activity - a.activity);
+
+    if (!latest) {
+      return null;
+    }
+
+    const panes = await this.listPanes();
+    const active = panes.find(pane =>
+      pane.session_name === latest.session && pane.window_active === '1' && pane.pane_active === '1');
+    return active ? `tmux_${active.pane_id.replace('%', '')}` : null;
+  }
+
+  async isRunning() {
+    return this.isAvailable();
+  }
+}
+
+module.exports = TmuxProvider;
@@ -0,0 +1,137 @@
+const SessionProvider = require('./SessionProvider');
+const MacWarpProvider = require('./MacWarpProvider');
+const LinuxProcProvider = require('./LinuxProcProvider');
+const TmuxProvider = require('./TmuxProvider');
+
+const providers = {
+  'warp-macos': () => new MacWarpProvider(),
+  'linux-proc': () => new LinuxProcProvider(),
+  tmux: () => new TmuxProvider()
+};
+
+const platformProviders = {
+  darwin: 'warp-macos',
+  linux: 'linux-proc'
+};
+
+// Session id prefixes of each provider, for session tasks recorded before
+// tasks stored their provider
+const SESSION_ID_PREFIXES = {
+  warp_: 'warp-macos',
+  proc_: 'linux-proc',
+  tmux_: 'tmux'
+};
+
+// Foreground command of a terminal shell that is attached to tmux
+const TMUX_CLIENT = /^tmux\b/;
+
+/**
+ * Merges the sessions of all its candidates that are available, checked on
+ * every call so that starting or stopping a tmux server is picked up between
+ * polls. Each session is tagged with the candidate that reported it. While
+ * tmux reports panes, terminal shells running a tmux client are left out,
+ * since the panes inside them are tracked instead.
+ */
+class AutoSessionProvider extends SessionProvider {
+  constructor(candidates) {
+    super('auto');
+    this.candidates = candidates;
+  }
+
+  async available() {
+    const available = [];
+    for (const candidate of this.candidates) {
+      if (await candidate.isAvailable()) {
+        available.push(candidate);
+      }
+    }
+    return available;
+  }
+
+  covers(name) {
+    return this.candidates.some(candidate => candidate.covers(name));
+  }
+
+  async isAvailable() {
+    return (await this.available()).length > 0;
+  }
+
+  async listSessions() {
+    const sessions = [];
+    for (const candidate of await this.available()) {
+      (await candidate.listSessions()).forEach(session => {
+        sessions.push({ ...session, provider: candidate.name });
+      });
+    }
+
+    if (!sessions.some(session => session.provider === 'tmux')) {
+      return sessions;
+    }
+    return sessions.filter(session => session.provider === 'tmux' || !TMUX_CLIENT.test(session.command || ''));
+  }
+
+  /**
+   * The focused session of the first candidate that can tell
+   */
+  async getActiveSessionId() {
+    for (const candidate of await this.available()) {
+      const sessionId = await candidate.getActiveSessionId();
+      if (sessionId) {
+        return sessionId;
+      }
+    }
+    return null;
+  }
+
+  async isRunning() {
+    for (const candidate of await this.available()) {
+      if (await candidate.isRunning()) {
+        return true;
+      }
+    }
+    return false;
+  }
+}
+
+/**
+ * The name of the provider that reported a session task's session, or null
+ * when it cannot be told
+ */
+function sessionTaskProvider(task) {
+  if (task.sessionInfo && task.sessionInfo.provider) {
+    return task.sessionInfo.provider;
+  }
+  const prefix = Object.keys(SESSION_ID_PREFIXES).find(candidate => (task.sessionId || '').startsWith(candidate));
+  return prefix ? SESSION_ID_PREFIXES[prefix] : null;
+}
+
+/**
+ * Create a session provider by name. 'auto' merges the panes of a running
+ * tmux server with the sessions of the platform's terminal provider; a
+ * platform without one gets only tmux.
+ */
+function createSessionProvider(name = 'auto', platform = process.platform) {
+  if (name !== 'auto') {
+    if (!providers[name]) {
+      throw new Error(`Unknown session provider "${name}". Available providers: auto, ${Object.keys(providers).join(', ')}`);
+    }
+    return providers[name]();
+  }
+
+  const candidates = [new TmuxProvider()];
+  if (platformProviders[platform]) {
+    candidates.push(providers[platformProviders[platform]]());
+  }
+  return new AutoSessionProvider(candidates);
+}
+
+module.exports = {
+  createSessionProvider,
+  sessionTaskProvider,
+  providers,
+  SessionProvider,
+  AutoSessionProvider,
+  MacWarpProvider,
+  LinuxProcProvider,
+  TmuxProvider
+};
@@ -0,0 +1,87 @@
+const { AutoSessionProvider, SessionProvider, createSessionProvider, sessionTaskProvider } = require('./index');
+
+/**
+ * A provider with fixed sessions
+ */
+function fakeProvider(name, sessions, { available = true, activeId = null } = {}) {
+  const provider = new SessionProvider(name);
+  provider.isAvailable = async () => available;
+  provider.listSessions = async () => sessions;
+  provider.getActiveSessionId = async () => activeId;
+  return provider;
+}
+
+describe('AutoSessionProvider', () => {
+  const pane = { sessionId: 'tmux_1', windowId: '%1', title: 'main:0.0' };
+  const shell = { sessionId: 'proc_100', windowId: 100, title: 'kitty: zsh', command: 'zsh' };
+  const tmuxClient = { sessionId: 'proc_200', windowId: 200, title: 'kitty: zsh', command: 'tmux: client' };
+
+  test('merges the sessions of every available provider, tagged with it', async () => {
+    const auto = new AutoSessionProvider([
+      fakeProvider('tmux', [pane]),
+      fakeProvider('linux-proc', [shell])
+    ]);
+
+    expect(await auto.listSessions()).toEqual([
+      { ...pane, provider: 'tmux' },
+      { ...shell, provider: 'linux-proc' }
+    ]);
+  });
+
+  test('skips providers that are not available', async () => {
+    const auto = new AutoSessionProvider([
+      fakeProvider('tmux', [pane], { available: false }),
+      fakeProvider('linux-proc', [shell, tmuxClient])
+    ]);
+
+    expect((await auto.listSessions()).map(session => session.sessionId)).toEqual(['proc_100', 'proc_200']);
+  });
+
+  test('leaves out terminal shells attached to tmux while tmux reports panes', async () => {
+    const auto = new AutoSessionProvider([
+      fakeProvider('tmux', [pane]),
+      fakeProvider('linux-proc', [shell, tmuxClient])
+    ]);
+
+    expect((await auto.listSessions()).map(session => session.sessionId)).toEqual(['tmux_1', 'proc_100']);
+  });
+
+  test('reports the focused session of the first provider that knows it', async () => {
+    const auto = new AutoSessionProvider([
+      fakeProvider('tmux', [pane]),
+      fakeProvider('linux-proc', [shell], { activeId: 'proc_100' })
+    ]);
+
+    expect(await auto.getActiveSessionId()).toBe('proc_100');
+  });
+
+  test('covers the sessions of all its candidates', () => {
+    const auto = createSessionProvider('auto', 'linux');
+
+    expect(auto.covers('tmux')).toBe(true);
+    expect(auto.covers('linux-proc')).toBe(true);
+    expect(auto.covers('warp-macos')).toBe(false);
+    expect(createSessionProvider('tmux').covers('linux-proc')).toBe(false);
+  });
+});
+
+describe('sessionTaskProvider', () => {
+  test('reads the provider stored on the task', () => {
+    expect(sessionTaskProvider({ sessionId: 'proc_1', sessionInfo: { provider: 'linux-proc' } })).toBe('linux-proc');
+  });
+
+  test.each([
+    ['warp_3', 'warp-macos'],
+    ['proc_100', 'linux-proc'],
+    ['tmux_7', 'tmux'],
+    ['other', null]
+  ])('tells older tasks apart by session id %s', (sessionId, provider) => {
+    expect(sessionTaskProvider({ sessionId, sessionInfo: {} })).toBe(provider);
+  });
+});
+
+describe('createSessionProvider', () => {
+  test('rejects unknown providers', () => {
+    expect(() => createSessionProvider('screen')).toThrow('Unknown session provider "screen"');
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Helpers for resolving terminal sessions from a process table.
+ *
+ * A process table is a Map of pid -> { pid, ppid, pgrp, tpgid, comm }, where
+ * `tpgid` is the foreground process group of the process's terminal. Both
+ * the /proc reader (Linux) and the `ps` reader (macOS) produce one.
+ */
+
+const SHELLS = ['bash', 'zsh', 'fish', 'sh', 'dash', 'ksh', 'tcsh', 'nu'];
+
+/**
+ * Strip a login shell's leading "-" and any directory ("-zsh", "/bin/zsh")
+ */
+function baseCommand(comm) {
+  return comm.replace(/^-/, '').split('/').pop();
+}
+
+function isShell(proc, shells = SHELLS) {
+  return shells.includes(baseCommand(proc.comm));
+}
+
+/**
+ * Map each pid to the processes it started
+ */
+function buildChildren(table) {
+  const children = new Map();
+  table.forEach(proc => {
+    if (!children.has(proc.ppid)) {
+      children.set(proc.ppid, []);
+    }
+    children.get(proc.ppid).push(proc);
+  });
+  return children;
+}
+
+/**
+ * The nearest ancestor matching `isTerminal`, or null when the shell is
+ * nested inside another shell or not under a terminal at all
+ */
+function findTerminal(table, shell, isTerminal, shells = SHELLS) {
+  let current = table.get(shell.ppid);
+  while (current && current.pid > 1) {
+    if (isShell(current, shells)) {
+      return null;
+    }
+    if (isTerminal(current)) {
+      return current;
+    }
+    current = table.get(current.ppid);
+  }
+  return null;
+}
+
+/**
+ * Top-level shells of terminal windows, each with the terminal it runs in
+ */
+function findSessionShells(table, isTerminal, shells = SHELLS) {
+  const found = [];
+  table.forEach(proc => {
+    if (!isShell(proc, shells)) {
+      return;
+    }
+    const terminal = findTerminal(table, proc, isTerminal, shells);
+    if (terminal) {
+      found.push({ shell: proc, terminal });
+    }
+  });
+  return found.sort((a, b) => a.shell.pid - b.shell.pid);
+}
+
+/**
+ * Find the shell the user is typing into for a window's shell. The process
+ * leading the terminal's foreground process group is located among the
+ * window's descendants, and the innermost shell on the way down to it wins:
+ * a nested `bash` inside `zsh`, or the shell a running `vim` was started
+ * from. Also returns that foreground process when it is not a shell.
+ */
+function resolveForeground(table, children, shell, shells = SHELLS) {
+  const descendants = [shell];
+  for (let i = 0; i < descendants.length; i++) {
+    descendants.push(...(children.get(descendants[i].pid) || []));
+  }
+
+  const inForeground = descendants.filter(proc => proc.tpgid > 0 && proc.pgrp === proc.tpgid);
+  const leader = inForeground.filter(proc => proc.pid === proc.pgrp).pop() || inForeground.pop();
+  if (!leader) {
+    return { shell, foreground: null };
+  }
+
+  let current = leader;
+  while (current && !isShell(current, shells)) {
+    current = current.pid === shell.pid ? null : table.get(current.ppid);
+  }
+
+  return {
+    shell: current || shell,
+    foreground: isShell(leader, shells) ? null : leader
+  };
+}
+
+module.exports = {
+  SHELLS,
+  baseCommand,
+  isShell,
+  buildChildren,
+  findTerminal,
+  findSessionShells,
+  resolveForeground
+};
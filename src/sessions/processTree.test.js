@@ -0,0 +1,102 @@
+const { baseCommand, isShell, buildChildren, findTerminal, findSessionShells, resolveForeground } = require('./processTree');
+
+/**
+ * A process table from [pid, ppid, comm, pgrp, tpgid] rows
+ */
+function processTable(rows) {
+  return new Map(rows.map(([pid, ppid, comm, pgrp = pid, tpgid = -1]) => [pid, { pid, ppid, comm, pgrp, tpgid }]));
+}
+
+const isTerminal = proc => ['kitty', 'sshd'].includes(proc.comm);
+
+// kitty runs zsh (running vim) and bash (running zsh, running make); a
+// stray zsh has no terminal
+const table = processTable([
+  [1, 0, 'systemd'],
+  [100, 1, 'kitty'],
+  [200, 100, 'zsh', 200, 300],
+  [300, 200, 'vim', 300, 300],
+  [400, 100, '-bash', 400, 600],
+  [500, 400, 'zsh', 500, 600],
+  [600, 500, 'make', 600, 600],
+  [610, 600, 'cc', 600, 600],
+  [700, 1, '/usr/bin/zsh']
+]);
+
+describe('baseCommand', () => {
+  test.each([
+    ['-zsh', 'zsh'],
+    ['/bin/bash', 'bash'],
+    ['kitty', 'kitty']
+  ])('%s is %s', (comm, expected) => {
+    expect(baseCommand(comm)).toBe(expected);
+  });
+
+  test('recognises login and full-path shells', () => {
+    expect(isShell({ comm: '-bash' })).toBe(true);
+    expect(isShell({ comm: '/usr/bin/fish' })).toBe(true);
+    expect(isShell({ comm: 'vim' })).toBe(false);
+    expect(isShell({ comm: 'xonsh' }, ['xonsh'])).toBe(true);
+  });
+});
+
+describe('findTerminal', () => {
+  test('finds the terminal a window shell runs in', () => {
+    expect(findTerminal(table, table.get(200), isTerminal).pid).toBe(100);
+  });
+
+  test('finds none for shells nested in a shell or outside a terminal', () => {
+    expect(findTerminal(table, table.get(500), isTerminal)).toBeNull();
+    expect(findTerminal(table, table.get(700), isTerminal)).toBeNull();
+  });
+
+  test('stops at a parent that is missing from the table', () => {
+    const orphan = processTable([[10, 9, 'zsh']]);
+
+    expect(findTerminal(orphan, orphan.get(10), isTerminal)).toBeNull();
+  });
+});
+
+describe('findSessionShells', () => {
+  test('lists the top-level shell of each window in pid order', () => {
+    const found = findSessionShells(table, isTerminal);
+
+    expect(found.map(({ shell, terminal }) => [shell.pid, terminal.pid])).toEqual([[200, 100], [400, 100]]);
+  });
+});
+
+describe('resolveForeground', () => {
+  const children = buildChildren(table);
+
+  test('reports the program running in the foreground of a window shell', () => {
+    const { shell, foreground } = resolveForeground(table, children, table.get(200));
+
+    expect(shell.pid).toBe(200);
+    expect(foreground.comm).toBe('vim');
+  });
+
+  test('picks the innermost shell on the way to the group leader', () => {
+    const { shell, foreground } = resolveForeground(table, children, table.get(400));
+
+    expect(shell.pid).toBe(500);
+    expect(foreground.pid).toBe(600);
+  });
+
+  test('has no foreground program while a shell waits at its prompt', () => {
+    const idle = processTable([[1, 0, 'systemd'], [100, 1, 'kitty'], [200, 100, 'zsh', 200, 200]]);
+
+    const { shell, foreground } = resolveForeground(idle, buildChildren(idle), idle.get(200));
+
+    expect(shell.pid).toBe(200);
+    expect(foreground).toBeNull();
+  });
+
+  test('keeps the window shell when nothing is in the foreground', () => {
+    const detached = processTable([[100, 1, 'kitty'], [200, 100, 'zsh']]);
+
+    expect(resolveForeground(detached, buildChildren(detached), detached.get(200))).toEqual({
+      shell: detached.get(200),
+      foreground: null
+    });
+  });
+});
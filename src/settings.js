@@ -0,0 +1,432 @@
+/**
+ * Configuration settings: their types, defaults and descriptions, and the
+ * layers they are read from. Later layers win:
+ *
+ *   1. the defaults below
+ *   2. ~/.warp-tracker/config.json
+ *   3. .warp-tracker.json in the current directory or the nearest parent
+ *      that has one; settings marked `global` are ignored there
+ *   4. environment variables named WARP_TRACKER_ and the setting in snake
+ *      case, such as WARP_TRACKER_IDLE_TIMEOUT=10
+ *
+ * The files are small and read by every command, the prompt included, so
+ * they are read synchronously. A value that fails validation is left out
+ * and reported as a problem instead of failing the command.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TrackerError } = require('./errors');
+const { FIELDS: SESSION_FIELDS, validateTemplate } = require('./templates');
+const prompt = require('./prompt');
+
+const PROJECT_FILE = '.warp-tracker.json';
+const ENV_PREFIX = 'WARP_TRACKER_';
+
+// Written to config.json by older versions but never read; dropped quietly
+const RETIRED = ['displayStyle', 'updateInterval', 'autoSave'];
+
+// `values` and `fields` are functions where the modules listing them are
+// too slow to load for the prompt command
+const SETTINGS = {
+  notifications: {
+    type: 'boolean',
+    default: true,
+    description: 'Desktop notifications for progress milestones and finished tasks'
+  },
+  progressBarLength: {
+    type: 'integer',
+    default: 30,
+    min: 10,
+    max: 100,
+    description: 'Width of the progress bar in task boxes, in characters'
+  },
+  storage: {
+    type: 'enum',
+    values: () => Object.keys(require('./storage').backends),
+    default: 'json',
+    global: true,
+    description: 'Where task data is kept'
+  },
+  sessionProvider: {
+    type: 'enum',
+    values: () => ['auto'].concat(Object.keys(require('./sessions').providers)),
+    default: 'auto',
+    global: true,
+    description: 'How terminal sessions are found; auto follows tmux while it runs'
+  },
+  sessionRollover: {
+    type: 'boolean',
+    default: false,
+    description: 'Start a new session task when a session moves into another project'
+  },
+  branchChange: {
+    type: 'enum',
+    values: () => ['rename', 'split', 'ignore'],
+    default: 'rename',
+    description: 'When a session\'s git branch changes: rename its task, split it into a new one, or ignore the change'
+  },
+  idleTimeout: {
+    type: 'integer',
+    default: 30,
+    min: 0,
+    description: 'Minutes without activity before a session task counts as idle (0: never)'
+  },
+  idleAction: {
+    type: 'enum',
+    values: () => ['pause', 'stop'],
+    default: 'pause',
+    description: 'What happens to an idle session task'
+  },
+  idleTrim: {
+    type: 'enum',
+    values: () => ['ask', 'auto', 'keep'],
+    default: 'ask',
+    description: 'Whether idle minutes are removed from the task once activity comes back'
+  },
+  rules: {
+    type: 'rules',
+    default: [],
+    global: true,
+    description: 'Progress rules applied as commands finish and commits are linked; managed with: warp-tracker rules'
+  },
+  includeDirs: {
+    type: 'list',
+    default: [],
+    description: 'Globs for the working directories of sessions that get tasks (empty: all)'
+  },
+  excludeDirs: {
+    type: 'list',
+    default: [],
+    description: 'Globs for working directories whose sessions never get tasks'
+  },
+  includeTitles: {
+    type: 'list',
+    default: [],
+    description: 'Globs for the window titles of sessions that get tasks (empty: all)'
+  },
+  excludeTitles: {
+    type: 'list',
+    default: [],
+    description: 'Globs for window titles whose sessions never get tasks'
+  },
+  projectMarkers: {
+    type: 'list',
+    default: [],
+    description: 'Files or directories marking a project\'s root, such as package.json or go.mod'
+  },
+  taskNameTemplate: {
+    type: 'template',
+    fields: () => SESSION_FIELDS,
+    default: null,
+    description: 'Template for session task names (none: named after the branch or project)'
+  },
+  taskDescriptionTemplate: {
+    type: 'template',
+    fields: () => SESSION_FIELDS,
+    default: 'Auto-generated task for {project}\\nWorking directory: {cwd}',
+    description: 'Template for session task descriptions'
+  },
+  promptFormat: {
+    type: 'template',
+    fields: () => prompt.FIELDS,
+    default: prompt.DEFAULT_FORMAT,
+    description: 'Format of warp-tracker prompt'
+  }
+};
+
+// Types whose values are typed as text on the command line
+const TEXT_TYPES = ['boolean', 'integer', 'list'];
+
+function invalid(key, message) {
+  return new TrackerError(`Invalid value for ${key}: ${message}`, 'INVALID_CONFIG');
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * Throw a TrackerError unless `key` is a setting, suggesting a near miss
+ */
+function checkKey(key) {
+  if (SETTINGS[key]) {
+    return SETTINGS[key];
+  }
+
+  // A close misspelling or the start of a name
+  const needle = key.toLowerCase();
+  const guess = Object.keys(SETTINGS)
+    .map(name => ({
+      name,
+      distance: name.toLowerCase().startsWith(needle) ? 0 : editDistance(needle, name.toLowerCase())
+    }))
+    .sort((a, b) => a.distance - b.distance)[0];
+  const hint = guess.distance <= 3 ? ` Did you mean "${guess.name}"?` : ' See: warp-tracker config list';
+  throw new TrackerError(`Unknown setting "${key}".${hint}`, 'UNKNOWN_SETTING');
+}
+
+/**
+ * Check a typed value, as found in a config file, and return it
+ */
+function validateValue(key, value) {
+  const setting = checkKey(key);
+
+  switch (setting.type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        throw invalid(key, 'use true or false');
+      }
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        throw invalid(key, 'use a whole number');
+      }
+      if (setting.min !== undefined && value < setting.min) {
+        throw invalid(key, `use ${setting.min} or more`);
+      }
+      if (setting.max !== undefined && value > setting.max) {
+        throw invalid(key, `use ${setting.max} or less`);
+      }
+      break;
+    case 'enum':
+      if (!setting.values().includes(value)) {
+        throw invalid(key, `"${value}" is not one of ${setting.values().join(', ')}`);
+      }
+      break;
+    case 'list':
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        throw invalid(key, 'use a list of strings');
+      }
+      break;
+    case 'template':
+      if (value !== null && typeof value !== 'string') {
+        throw invalid(key, 'use a template string');
+      }
+      if (value) {
+        validateTemplate(value, setting.fields());
+      }
+      break;
+    case 'rules':
+      if (!Array.isArray(value)) {
+        throw invalid(key, 'use a list of rules');
+      }
+      break;
+  }
+  return value;
+}
+
+/**
+ * Parse and check a value typed on the command line or set in the
+ * environment: true/false, numbers and comma-separated lists. An empty
+ * template clears it.
+ */
+function parseValue(key, text) {
+  const setting = checkKey(key);
+
+  switch (setting.type) {
+    case 'boolean':
+      if (/^(true|yes|on|1)$/i.test(text)) {
+        return true;
+      }
+      if (/^(false|no|off|0)$/i.test(text)) {
+        return false;
+      }
+      throw invalid(key, `"${text}" is not true or false`);
+    case 'integer':
+      if (!/^-?\d+$/.test(text.trim())) {
+        throw invalid(key, `"${text}" is not a whole number`);
+      }
+      return validateValue(key, Number(text));
+    case 'list':
+      return text.split(',').map(item => item.trim()).filter(Boolean);
+    case 'template':
+      return validateValue(key, text || null);
+    case 'rules':
+      throw new TrackerError('Progress rules are managed with: warp-tracker rules add|remove', 'INVALID_CONFIG');
+    default:
+      return validateValue(key, text);
+  }
+}
+
+/**
+ * The environment variable for a setting: idleTimeout -> WARP_TRACKER_IDLE_TIMEOUT
+ */
+function envName(key) {
+  return ENV_PREFIX + key.replace(/([A-Z])/g, '_$1').toUpperCase();
+}
+
+/**
+ * The nearest .warp-tracker.json in `dir` or above it, or null
+ */
+function findProjectFile(dir) {
+  let current = path.resolve(dir);
+  for (;;) {
+    const candidate = path.join(current, PROJECT_FILE);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+/**
+ * A config file's contents, {} if it does not exist. Throws a TrackerError
+ * if it cannot be parsed.
+ */
+function readFile(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new TrackerError(`Could not read ${filePath}: ${error.message}`, 'INVALID_CONFIG');
+  }
+
+  try {
+    const contents = JSON.parse(text);
+    if (contents && typeof contents === 'object' && !Array.isArray(contents)) {
+      return contents;
+    }
+  } catch (error) {
+    throw new TrackerError(`Could not parse ${filePath}: ${error.message}`, 'INVALID_CONFIG');
+  }
+  throw new TrackerError(`${filePath} must hold a JSON object`, 'INVALID_CONFIG');
+}
+
+/**
+ * Read every layer. Returns { values, sources, files, problems }: the
+ * effective values, where each came from ({ layer, file } or
+ * { layer, variable }; layer is default, global, project or env), the
+ * files found and the values that were left out and why.
+ *
+ * `only` limits reading to some settings, for the prompt command.
+ */
+function load({ globalFile, cwd = process.cwd(), env = process.env, only = null }) {
+  const keys = only || Object.keys(SETTINGS);
+  const values = {};
+  const sources = {};
+  const problems = [];
+  keys.forEach(key => {
+    const fallback = SETTINGS[key].default;
+    values[key] = Array.isArray(fallback) ? fallback.slice() : fallback;
+    sources[key] = { layer: 'default' };
+  });
+
+  const projectFile = findProjectFile(cwd);
+  const files = { global: globalFile, project: projectFile };
+
+  [['global', globalFile], ['project', projectFile]].forEach(([layer, file]) => {
+    if (!file) {
+      return;
+    }
+    let contents;
+    try {
+      contents = readFile(file);
+    } catch (error) {
+      problems.push(error.message);
+      return;
+    }
+
+    Object.entries(contents).forEach(([key, value]) => {
+      if (RETIRED.includes(key) || (only && !only.includes(key))) {
+        return;
+      }
+      try {
+        const setting = checkKey(key);
+        if (layer === 'project' && setting.global) {
+          throw new TrackerError(`${key} can only be set in ${globalFile}`, 'INVALID_CONFIG');
+        }
+        values[key] = typeof value === 'string' && TEXT_TYPES.includes(setting.type) ?
+          parseValue(key, value) :
+          validateValue(key, value);
+        sources[key] = { layer, file };
+      } catch (error) {
+        problems.push(`${file}: ${error.message}`);
+      }
+    });
+  });
+
+  keys.forEach(key => {
+    const variable = envName(key);
+    if (SETTINGS[key].type === 'rules' || env[variable] === undefined) {
+      return;
+    }
+    try {
+      values[key] = parseValue(key, env[variable]);
+      sources[key] = { layer: 'env', variable };
+    } catch (error) {
+      problems.push(`${variable}: ${error.message}`);
+    }
+  });
+
+  return { values, sources, files, problems };
+}
+
+/**
+ * A setting's value for display
+ */
+function formatValue(key, value) {
+  if (SETTINGS[key] && SETTINGS[key].type === 'rules') {
+    return `${value.length} rule${value.length === 1 ? '' : 's'}`;
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(', ') : '(none)';
+  }
+  return value === null ? '(none)' : String(value);
+}
+
+/**
+ * What a setting accepts, for display
+ */
+function describeType(key) {
+  const setting = checkKey(key);
+  switch (setting.type) {
+    case 'boolean':
+      return 'true or false';
+    case 'integer':
+      if (setting.max !== undefined) {
+        return `whole number, ${setting.min} to ${setting.max}`;
+      }
+      return setting.min !== undefined ? `whole number, ${setting.min} or more` : 'whole number';
+    case 'enum':
+      return `one of ${setting.values().join(', ')}`;
+    case 'list':
+      return 'comma-separated list';
+    case 'template':
+      return `template with ${setting.fields().join(', ')}`;
+    default:
+      return 'list of rules';
+  }
+}
+
+module.exports = {
+  PROJECT_FILE,
+  RETIRED,
+  SETTINGS,
+  checkKey,
+  describeType,
+  envName,
+  findProjectFile,
+  formatValue,
+  load,
+  parseValue,
+  readFile,
+  validateValue
+};
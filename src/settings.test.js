@@ -0,0 +1,140 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const settings = require('./settings');
+
+let dir;
+let globalFile;
+let projectDir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'warp-tracker-settings-'));
+  globalFile = path.join(dir, 'config.json');
+  projectDir = path.join(dir, 'project');
+  fs.mkdirSync(path.join(projectDir, 'src', 'deep'), { recursive: true });
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function write(file, contents) {
+  fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+}
+
+function load(env = {}) {
+  return settings.load({ globalFile, cwd: path.join(projectDir, 'src', 'deep'), env });
+}
+
+describe('load', () => {
+  test('starts from the defaults', () => {
+    const { values, sources, problems } = load();
+
+    expect(values.idleTimeout).toBe(30);
+    expect(values.includeDirs).toEqual([]);
+    expect(sources.idleTimeout).toEqual({ layer: 'default' });
+    expect(problems).toEqual([]);
+  });
+
+  test('lets the global file, then the project file, then the environment win', () => {
+    write(globalFile, { idleTimeout: 10, idleAction: 'stop', notifications: false });
+    write(path.join(projectDir, settings.PROJECT_FILE), { idleTimeout: 5, idleAction: 'pause' });
+
+    const { values, sources, files } = load({ WARP_TRACKER_IDLE_TIMEOUT: '2' });
+
+    expect(values).toMatchObject({ idleTimeout: 2, idleAction: 'pause', notifications: false });
+    expect(sources.idleTimeout).toEqual({ layer: 'env', variable: 'WARP_TRACKER_IDLE_TIMEOUT' });
+    expect(sources.idleAction).toEqual({ layer: 'project', file: files.project });
+    expect(sources.notifications).toEqual({ layer: 'global', file: globalFile });
+    expect(files.project).toBe(path.join(projectDir, settings.PROJECT_FILE));
+  });
+
+  test('ignores global-only settings in a project file', () => {
+    write(path.join(projectDir, settings.PROJECT_FILE), { storage: 'sqlite', rules: [] });
+
+    const { values, problems } = load();
+
+    expect(values.storage).toBe('json');
+    expect(problems).toEqual([
+      expect.stringContaining(`storage can only be set in ${globalFile}`),
+      expect.stringContaining(`rules can only be set in ${globalFile}`)
+    ]);
+  });
+
+  test('leaves out invalid values and reports them', () => {
+    write(globalFile, { idleTimeout: -1, progressBarLength: 40, idleActon: 'stop', taskNameTemplate: '{nope}' });
+
+    const { values, problems } = load({ WARP_TRACKER_NOTIFICATIONS: 'maybe' });
+
+    expect(values).toMatchObject({ idleTimeout: 30, progressBarLength: 40, taskNameTemplate: null, notifications: true });
+    expect(problems).toEqual([
+      expect.stringContaining('Invalid value for idleTimeout: use 0 or more'),
+      expect.stringContaining('Unknown setting "idleActon". Did you mean "idleAction"?'),
+      expect.stringContaining('unknown field "nope"'),
+      'WARP_TRACKER_NOTIFICATIONS: Invalid value for notifications: "maybe" is not true or false'
+    ]);
+  });
+
+  test('reads text values in files like command-line values', () => {
+    write(globalFile, { notifications: 'off', includeDirs: '~/src/**, ~/work/**', idleTimeout: '15' });
+
+    expect(load().values).toMatchObject({
+      notifications: false,
+      includeDirs: ['~/src/**', '~/work/**'],
+      idleTimeout: 15
+    });
+  });
+
+  test('drops retired settings quietly', () => {
+    write(globalFile, { displayStyle: 'boxed', autoSave: true });
+
+    expect(load().problems).toEqual([]);
+  });
+
+  test('reports a file that cannot be parsed and goes on', () => {
+    write(globalFile, '{"idleTimeout": ');
+    write(path.join(projectDir, settings.PROJECT_FILE), { idleTimeout: 5 });
+
+    const { values, problems } = load();
+
+    expect(values.idleTimeout).toBe(5);
+    expect(problems).toEqual([expect.stringContaining(`Could not parse ${globalFile}`)]);
+  });
+
+  test('reads only the requested settings', () => {
+    write(globalFile, { idleTimeout: 10, promptFormat: '{name}' });
+
+    const { values } = settings.load({ globalFile, cwd: projectDir, env: {}, only: ['promptFormat'] });
+
+    expect(values).toEqual({ promptFormat: '{name}' });
+  });
+});
+
+describe('parseValue', () => {
+  test.each([
+    ['notifications', 'yes', true],
+    ['notifications', '0', false],
+    ['idleTimeout', ' 15 ', 15],
+    ['excludeDirs', 'a, b,,c', ['a', 'b', 'c']],
+    ['branchChange', 'split', 'split'],
+    ['taskNameTemplate', '', null]
+  ])('%s = %p', (key, text, value) => {
+    expect(settings.parseValue(key, text)).toEqual(value);
+  });
+
+  test.each([
+    ['idleTimeout', '1.5', 'is not a whole number'],
+    ['progressBarLength', '500', 'use 100 or less'],
+    ['branchChange', 'merge', '"merge" is not one of rename, split, ignore'],
+    ['rules', '[]', 'managed with: warp-tracker rules'],
+    ['colour', 'red', 'Unknown setting "colour"']
+  ])('rejects %s = %s', (key, text, message) => {
+    expect(() => settings.parseValue(key, text)).toThrow(message);
+  });
+});
+
+describe('envName', () => {
+  test('spells a setting in snake case', () => {
+    expect(settings.envName('taskNameTemplate')).toBe('WARP_TRACKER_TASK_NAME_TEMPLATE');
+  });
+});
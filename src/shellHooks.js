@@ -0,0 +1,219 @@
+/**
+ * Shell integration scripts printed by `warp-tracker init <shell>`.
+ *
+ * The hooks send one JSON line per event to the tracker's Unix socket:
+ *   { "type": "command.start",  "shellPid", "seq", "time", "command", "cwd" }
+ *   { "type": "command.finish", "shellPid", "seq", "time", "command", "cwd", "exitCode", "durationMs" }
+ *
+ * Sending happens in a detached background job so the prompt never waits,
+ * through socat or nc when installed and the tracker's own `emit` command
+ * otherwise. Nothing is sent while no tracker is listening.
+ *
+ * Each event goes out in its own process, so events can arrive out of order.
+ * `seq` numbers the shell's commands (a command's start and finish share it)
+ * and `time` is the shell's clock in milliseconds since the epoch. fish and
+ * bash before 5.0 have no clock built in and leave `time` out.
+ */
+
+const path = require('path');
+const { TrackerError } = require('./errors');
+
+const SHELLS = ['zsh', 'bash', 'fish'];
+
+/**
+ * Quote a value as one shell word for sh-like shells and fish
+ */
+function quote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+function emitCommand() {
+  return `${quote(process.execPath)} ${quote(path.resolve(__dirname, '../bin/warp-tracker'))} emit`;
+}
+
+function zshHook(socketPath) {
+  return `# warp-tracker shell integration for zsh
+# Add to ~/.zshrc:  eval "$(warp-tracker init zsh)"
+zmodload zsh/datetime 2>/dev/null
+typeset -g _wt_socket=\${WARP_TRACKER_SOCKET:-${quote(socketPath)}}
+typeset -g _wt_cmd="" _wt_start=""
+typeset -gi _wt_seq=0
+
+_wt_escape() {
+  local s=$1
+  s=\${s//\\\\/\\\\\\\\}
+  s=\${s//\\"/\\\\\\"}
+  s=\${s//$'\\n'/\\\\n}
+  s=\${s//$'\\t'/\\\\t}
+  s=\${s//$'\\r'/}
+  print -rn -- "$s"
+}
+
+_wt_send() {
+  [[ -S $_wt_socket ]] || return
+  if (( $+commands[socat] )); then
+    print -r -- "$1" | socat -t1 - "UNIX-CONNECT:$_wt_socket" >/dev/null 2>&1 &!
+  elif (( $+commands[nc] )); then
+    print -r -- "$1" | nc -U -w1 "$_wt_socket" >/dev/null 2>&1 &!
+  else
+    ${emitCommand()} "$1" >/dev/null 2>&1 &!
+  fi
+}
+
+_wt_preexec() {
+  _wt_cmd=$1
+  _wt_start=$EPOCHREALTIME
+  (( ++_wt_seq ))
+  integer time_ms=$(( _wt_start * 1000 ))
+  _wt_send "{\\"type\\":\\"command.start\\",\\"shellPid\\":$$,\\"seq\\":$_wt_seq,\\"time\\":$time_ms,\\"command\\":\\"$(_wt_escape "$1")\\",\\"cwd\\":\\"$(_wt_escape "$PWD")\\"}"
+}
+
+_wt_precmd() {
+  local exit_code=$?
+  [[ -n $_wt_cmd ]] || return
+  local now=$EPOCHREALTIME
+  integer time_ms=$(( now * 1000 ))
+  integer duration_ms=$(( (now - _wt_start) * 1000 ))
+  _wt_send "{\\"type\\":\\"command.finish\\",\\"shellPid\\":$$,\\"seq\\":$_wt_seq,\\"time\\":$time_ms,\\"command\\":\\"$(_wt_escape "$_wt_cmd")\\",\\"cwd\\":\\"$(_wt_escape "$PWD")\\",\\"exitCode\\":$exit_code,\\"durationMs\\":$duration_ms}"
+  _wt_cmd=""
+}
+
+autoload -Uz add-zsh-hook
+add-zsh-hook preexec _wt_preexec
+add-zsh-hook precmd _wt_precmd
+`;
+}
+
+function bashHook(socketPath) {
+  return `# warp-tracker shell integration for bash
+# Add to ~/.bashrc:  eval "$(warp-tracker init bash)"
+# Uses the DEBUG trap, replacing any trap already set on it.
+_wt_socket=\${WARP_TRACKER_SOCKET:-${quote(socketPath)}}
+_wt_cmd=""
+_wt_start=""
+_wt_armed=""
+_wt_seq=0
+
+_wt_escape() {
+  local s=$1
+  s=\${s//\\\\/\\\\\\\\}
+  s=\${s//\\"/\\\\\\"}
+  s=\${s//$'\\n'/\\\\n}
+  s=\${s//$'\\t'/\\\\t}
+  s=\${s//$'\\r'/}
+  printf '%s' "$s"
+}
+
+# Microseconds since the epoch (bash 5), or whole seconds scaled up
+_wt_now() {
+  if [[ -n $EPOCHREALTIME ]]; then
+    printf '%s' "\${EPOCHREALTIME/[.,]/}"
+  else
+    printf '%s' "$(( SECONDS * 1000000 ))"
+  fi
+}
+
+# The "time" field for a _wt_now value, when it comes from the clock
+_wt_time() {
+  [[ -n $EPOCHREALTIME ]] && printf ',"time":%s' "$(( $1 / 1000 ))"
+}
+
+_wt_send() {
+  [[ -S $_wt_socket ]] || return
+  if command -v socat >/dev/null 2>&1; then
+    ( printf '%s\\n' "$1" | socat -t1 - "UNIX-CONNECT:$_wt_socket" >/dev/null 2>&1 & )
+  elif command -v nc >/dev/null 2>&1; then
+    ( printf '%s\\n' "$1" | nc -U -w1 "$_wt_socket" >/dev/null 2>&1 & )
+  else
+    ( ${emitCommand()} "$1" >/dev/null 2>&1 & )
+  fi
+}
+
+_wt_preexec() {
+  # Only the first command after a prompt, and never our own hooks
+  [[ -n $_wt_armed && -z $COMP_LINE && $BASH_COMMAND != _wt_* ]] || return
+  _wt_armed=""
+  _wt_cmd=$BASH_COMMAND
+  _wt_start=$(_wt_now)
+  _wt_seq=$(( _wt_seq + 1 ))
+  _wt_send "{\\"type\\":\\"command.start\\",\\"shellPid\\":$$,\\"seq\\":$_wt_seq$(_wt_time "$_wt_start"),\\"command\\":\\"$(_wt_escape "$_wt_cmd")\\",\\"cwd\\":\\"$(_wt_escape "$PWD")\\"}"
+}
+
+_wt_precmd() {
+  local exit_code=$?
+  if [[ -n $_wt_cmd ]]; then
+    local now
+    now=$(_wt_now)
+    local duration_ms=$(( (now - _wt_start) / 1000 ))
+    _wt_send "{\\"type\\":\\"command.finish\\",\\"shellPid\\":$$,\\"seq\\":$_wt_seq$(_wt_time "$now"),\\"command\\":\\"$(_wt_escape "$_wt_cmd")\\",\\"cwd\\":\\"$(_wt_escape "$PWD")\\",\\"exitCode\\":$exit_code,\\"durationMs\\":$duration_ms}"
+    _wt_cmd=""
+  fi
+}
+
+_wt_arm() {
+  _wt_armed=1
+}
+
+trap '_wt_preexec' DEBUG
+PROMPT_COMMAND="_wt_precmd;\${PROMPT_COMMAND:+$PROMPT_COMMAND;}_wt_arm"
+`;
+}
+
+function fishHook(socketPath) {
+  return `# warp-tracker shell integration for fish
+# Add to ~/.config/fish/config.fish:  warp-tracker init fish | source
+if set -q WARP_TRACKER_SOCKET
+    set -g _wt_socket $WARP_TRACKER_SOCKET
+else
+    set -g _wt_socket ${quote(socketPath)}
+end
+set -g _wt_seq 0
+
+function _wt_escape
+    string join '\\n' -- (string replace -a -- '\\\\' '\\\\\\\\' $argv[1] | string replace -a -- '"' '\\\\"' | string replace -a -- \\t '\\\\t')
+end
+
+function _wt_send
+    test -S $_wt_socket; or return
+    if command -sq socat
+        echo $argv[1] | socat -t1 - UNIX-CONNECT:$_wt_socket >/dev/null 2>&1 &
+    else if command -sq nc
+        echo $argv[1] | nc -U -w1 $_wt_socket >/dev/null 2>&1 &
+    else
+        ${emitCommand()} $argv[1] >/dev/null 2>&1 &
+    end
+    disown 2>/dev/null
+end
+
+function _wt_preexec --on-event fish_preexec
+    set -g _wt_seq (math $_wt_seq + 1)
+    _wt_send "{\\"type\\":\\"command.start\\",\\"shellPid\\":$fish_pid,\\"seq\\":$_wt_seq,\\"command\\":\\""(_wt_escape $argv[1])"\\",\\"cwd\\":\\""(_wt_escape $PWD)"\\"}"
+end
+
+function _wt_postexec --on-event fish_postexec
+    set -l exit_code $status
+    _wt_send "{\\"type\\":\\"command.finish\\",\\"shellPid\\":$fish_pid,\\"seq\\":$_wt_seq,\\"command\\":\\""(_wt_escape $argv[1])"\\",\\"cwd\\":\\""(_wt_escape $PWD)"\\",\\"exitCode\\":$exit_code,\\"durationMs\\":$CMD_DURATION}"
+end
+`;
+}
+
+/**
+ * The integration script for a shell
+ */
+function generateHook(shell, socketPath) {
+  switch (shell) {
+    case 'zsh':
+      return zshHook(socketPath);
+    case 'bash':
+      return bashHook(socketPath);
+    case 'fish':
+      return fishHook(socketPath);
+    default:
+      throw new TrackerError(`Unsupported shell "${shell}". Use one of: ${SHELLS.join(', ')}`, 'UNSUPPORTED_SHELL');
+  }
+}
+
+module.exports = {
+  SHELLS,
+  generateHook
+};
@@ -0,0 +1,48 @@
+const { execFileSync, spawnSync } = require('child_process');
+const { generateHook } = require('./shellHooks');
+
+const SOCKET = '/home/o\'neil/my "dir"/$(touch pwned)/`id`/events.sock';
+
+function hasShell(shell) {
+  return spawnSync(shell, ['-c', 'exit 0']).status === 0;
+}
+
+/**
+ * Load a hook in a shell and print the socket it will send to
+ */
+function socketIn(shell, env = {}) {
+  return execFileSync(shell, ['-c', `${generateHook(shell, SOCKET)}\nprintf '%s' "$_wt_socket"`], {
+    env: { PATH: process.env.PATH, ...env },
+    encoding: 'utf8'
+  });
+}
+
+describe.each(['bash', 'zsh'])('%s hook', shell => {
+  const available = hasShell(shell);
+  const testIfInstalled = available ? test : test.skip;
+
+  test('quotes the socket path as one literal word', () => {
+    expect(generateHook(shell, SOCKET)).toContain(
+      `\${WARP_TRACKER_SOCKET:-'/home/o'\\''neil/my "dir"/$(touch pwned)/\`id\`/events.sock'}`
+    );
+  });
+
+  testIfInstalled('is valid syntax', () => {
+    expect(spawnSync(shell, ['-n'], { input: generateHook(shell, SOCKET) }).status).toBe(0);
+  });
+
+  testIfInstalled('uses the socket path as given, or WARP_TRACKER_SOCKET', () => {
+    expect(socketIn(shell)).toBe(SOCKET);
+    expect(socketIn(shell, { WARP_TRACKER_SOCKET: '/tmp/other.sock' })).toBe('/tmp/other.sock');
+  });
+});
+
+test('fish hook quotes the socket path', () => {
+  expect(generateHook('fish', SOCKET)).toContain(
+    `set -g _wt_socket '/home/o'\\''neil/my "dir"/$(touch pwned)/\`id\`/events.sock'`
+  );
+});
+
+test('rejects other shells', () => {
+  expect(() => generateHook('tcsh', SOCKET)).toThrow('Unsupported shell "tcsh"');
+});
@@ -0,0 +1,148 @@
+const fs = require('fs-extra');
+const { StorageError } = require('../errors');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Cross-process advisory lock backed by an exclusively created lock file.
+ * The file records the owner's pid so locks left behind by a crashed
+ * process can be broken instead of blocking every later writer.
+ */
+class FileLock {
+  constructor(lockPath, options = {}) {
+    this.lockPath = lockPath;
+    this.timeoutMs = options.timeoutMs || 5000;
+    this.staleMs = options.staleMs || 15000;
+    this.token = null;
+  }
+
+  async acquire() {
+    const deadline = Date.now() + this.timeoutMs;
+    let delay = 10;
+
+    for (;;) {
+      const token = `${process.pid}:${Date.now()}:${Math.random().toString(36).slice(2)}`;
+      try {
+        await fs.writeFile(this.lockPath, JSON.stringify({ pid: process.pid, token }), { flag: 'wx' });
+        this.token = token;
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw new StorageError(`Could not create lock ${this.lockPath}: ${error.message}`);
+        }
+      }
+
+      if (await this.breakIfStale()) {
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        const owner = await this.readOwner();
+        throw new StorageError(
+          `Timed out waiting for ${this.lockPath}${owner ? ` (held by pid ${owner.pid})` : ''}. ` +
+          'If no other warp-tracker process is running, delete the lock file.',
+          'LOCK_TIMEOUT'
+        );
+      }
+
+      // Back off with jitter so concurrent writers don't retry in lockstep
+      await sleep(delay + Math.random() * delay);
+      delay = Math.min(delay * 2, 200);
+    }
+  }
+
+  async release() {
+    if (!this.token) {
+      return;
+    }
+
+    const owner = await this.readOwner();
+    if (owner && owner.token === this.token) {
+      await fs.remove(this.lockPath);
+    }
+    this.token = null;
+  }
+
+  async withLock(fn) {
+    await this.acquire();
+    try {
+      return await fn();
+    } finally {
+      await this.release();
+    }
+  }
+
+  async readOwner() {
+    return parseOwner(await this.readContents(this.lockPath));
+  }
+
+  async readContents(filePath) {
+    try {
+      return await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Remove the lock file if its owner is gone or it is older than staleMs.
+   * The file is renamed aside before it is removed, and put back if it turns
+   * out another waiter broke the stale lock first and a live owner has since
+   * taken it.
+   */
+  async breakIfStale() {
+    let stat;
+    try {
+      stat = await fs.stat(this.lockPath);
+    } catch (error) {
+      // Released between our attempt and now
+      return error.code === 'ENOENT';
+    }
+
+    const contents = await this.readContents(this.lockPath);
+    const owner = parseOwner(contents);
+    const ownerAlive = owner ? isProcessAlive(owner.pid) : true;
+    const expired = Date.now() - stat.mtimeMs > this.staleMs;
+
+    if (ownerAlive && !expired) {
+      return false;
+    }
+
+    const stalePath = `${this.lockPath}.${process.pid}.${Math.random().toString(36).slice(2)}.stale`;
+    try {
+      await fs.rename(this.lockPath, stalePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return true;
+      }
+      throw new StorageError(`Could not break stale lock ${this.lockPath}: ${error.message}`);
+    }
+
+    if (await this.readContents(stalePath) !== contents) {
+      // Link rather than rename back, so a lock taken in the meantime is kept
+      await fs.link(stalePath, this.lockPath).catch(() => {});
+    }
+    await fs.remove(stalePath);
+    return true;
+  }
+}
+
+function parseOwner(contents) {
+  try {
+    return contents ? JSON.parse(contents) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+module.exports = FileLock;
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const fsExtra = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const FileLock = require('./FileLock');
+
+// Above any pid_max, so no process can have it
+const DEAD_PID = 99999999;
+
+let dir;
+let lockPath;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'warp-tracker-lock-'));
+  lockPath = path.join(dir, 'tasks.json.lock');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeLock(pid, token, ageMs = 0) {
+  fs.writeFileSync(lockPath, JSON.stringify({ pid, token }));
+  if (ageMs) {
+    const time = new Date(Date.now() - ageMs);
+    fs.utimesSync(lockPath, time, time);
+  }
+}
+
+function readLock() {
+  return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+}
+
+describe('acquire and release', () => {
+  test('holds the lock file only while acquired', async () => {
+    const lock = new FileLock(lockPath);
+
+    await lock.acquire();
+    expect(readLock()).toMatchObject({ pid: process.pid, token: lock.token });
+
+    await lock.release();
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  test('does not release a lock someone else now holds', async () => {
+    const lock = new FileLock(lockPath);
+    await lock.acquire();
+    writeLock(process.pid, 'other');
+
+    await lock.release();
+
+    expect(readLock().token).toBe('other');
+    expect(lock.token).toBeNull();
+  });
+
+  test('runs one holder at a time', async () => {
+    const order = [];
+    const hold = name => new FileLock(lockPath).withLock(async () => {
+      order.push(`${name} in`);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      order.push(`${name} out`);
+    });
+
+    await Promise.all([hold('a'), hold('b')]);
+
+    expect(order).toEqual(order[0] === 'a in'
+      ? ['a in', 'a out', 'b in', 'b out']
+      : ['b in', 'b out', 'a in', 'a out']);
+  });
+
+  test('times out naming the live owner', async () => {
+    writeLock(process.pid, 'other');
+
+    const error = await new FileLock(lockPath, { timeoutMs: 50 }).acquire().catch(e => e);
+
+    expect(error.code).toBe('LOCK_TIMEOUT');
+    expect(error.message).toContain(`held by pid ${process.pid}`);
+    expect(readLock().token).toBe('other');
+  });
+});
+
+describe('breakIfStale', () => {
+  test('breaks a lock whose owner has exited', async () => {
+    writeLock(DEAD_PID, 'crashed');
+    const lock = new FileLock(lockPath, { timeoutMs: 50 });
+
+    await lock.acquire();
+
+    expect(readLock().token).toBe(lock.token);
+  });
+
+  test('breaks a lock older than staleMs even if its owner lives', async () => {
+    writeLock(process.pid, 'hung', 60000);
+    const lock = new FileLock(lockPath, { timeoutMs: 50, staleMs: 1000 });
+
+    await lock.acquire();
+
+    expect(readLock().token).toBe(lock.token);
+  });
+
+  test('leaves a live lock alone', async () => {
+    writeLock(process.pid, 'other');
+
+    expect(await new FileLock(lockPath).breakIfStale()).toBe(false);
+    expect(readLock().token).toBe('other');
+  });
+
+  test('keeps a lock taken after another waiter broke the stale one', async () => {
+    writeLock(DEAD_PID, 'crashed');
+    const rename = fsExtra.rename;
+    jest.spyOn(fsExtra, 'rename').mockImplementation(async (from, to) => {
+      // Another waiter breaks the stale lock and takes it first
+      writeLock(process.pid, 'winner');
+      return rename(from, to);
+    });
+
+    expect(await new FileLock(lockPath).breakIfStale()).toBe(true);
+
+    expect(readLock().token).toBe('winner');
+    expect(fs.readdirSync(dir)).toEqual(['tasks.json.lock']);
+  });
+});
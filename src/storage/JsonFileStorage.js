@@ -0,0 +1,106 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Storage = require('./Storage');
+const { writeJsonAtomic } = require('./atomicWrite');
+const { CorruptDataError } = require('../errors');
+const { createEmptyData } = require('./migrations');
+
+/**
+ * Stores the whole task document in a single JSON file
+ */
+class JsonFileStorage extends Storage {
+  constructor(filePath) {
+    super(filePath);
+    this.journalPath = path.join(path.dirname(filePath), 'journal.jsonl');
+  }
+
+  async exists() {
+    return fs.pathExists(this.filePath);
+  }
+
+  async read() {
+    if (!await this.exists()) {
+      return createEmptyData();
+    }
+
+    const raw = await fs.readFile(this.filePath, 'utf8');
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      const backupPath = await this.backupCorrupt(raw);
+      throw new CorruptDataError(this.filePath, backupPath, error);
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      const backupPath = await this.backupCorrupt(raw);
+      throw new CorruptDataError(this.filePath, backupPath, new Error('expected a JSON object'));
+    }
+
+    return data;
+  }
+
+  async readRevision() {
+    if (!await this.exists()) {
+      return 0;
+    }
+    return (await this.read()).revision || 0;
+  }
+
+  async write(data) {
+    await writeJsonAtomic(this.filePath, data);
+  }
+
+  async appendJournal(event) {
+    await fs.appendFile(this.journalPath, JSON.stringify(event) + '\n');
+  }
+
+  async readJournal() {
+    if (!await fs.pathExists(this.journalPath)) {
+      return [];
+    }
+
+    const lines = (await fs.readFile(this.journalPath, 'utf8')).split('\n').filter(Boolean);
+    return lines.reduce((events, line, index) => {
+      try {
+        events.push(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-append can only damage the final line
+        if (index !== lines.length - 1) {
+          throw new CorruptDataError(this.journalPath, this.journalPath, error);
+        }
+      }
+      return events;
+    }, []);
+  }
+
+  /**
+   * Copy the data file next to itself and return the copy's path
+   */
+  async backup(label) {
+    const backupPath = await this.nextBackupPath(label);
+    await fs.copy(this.filePath, backupPath);
+    return backupPath;
+  }
+
+  /**
+   * Back up a data file that cannot be read, once per distinct content:
+   * every command that fails on the same file points at the same copy
+   */
+  async backupCorrupt(raw) {
+    const dir = path.dirname(this.filePath);
+    const prefix = `${path.basename(this.filePath)}.corrupt-`;
+    const backups = (await fs.readdir(dir))
+      .filter(name => name.startsWith(prefix) && name.endsWith('.bak'))
+      .map(name => path.join(dir, name));
+
+    for (const backupPath of backups) {
+      if (await fs.readFile(backupPath, 'utf8') === raw) {
+        return backupPath;
+      }
+    }
+    return this.backup('corrupt');
+  }
+}
+
+module.exports = JsonFileStorage;
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonFileStorage = require('./JsonFileStorage');
+const { CorruptDataError, ConflictError } = require('../errors');
+const { CURRENT_SCHEMA_VERSION } = require('./migrations');
+
+let dir;
+let filePath;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'warp-tracker-storage-'));
+  filePath = path.join(dir, 'tasks.json');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function corruptBackups() {
+  return fs.readdirSync(dir).filter(name => name.startsWith('tasks.json.corrupt-'));
+}
+
+describe('read', () => {
+  test('starts empty without a file', async () => {
+    const data = await new JsonFileStorage(filePath).load();
+
+    expect(data.tasks).toEqual({});
+    expect(data.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+  });
+
+  test('backs up a file that cannot be parsed and fails', async () => {
+    fs.writeFileSync(filePath, '{"tasks": ');
+
+    const error = await new JsonFileStorage(filePath).read().catch(e => e);
+
+    expect(error).toBeInstanceOf(CorruptDataError);
+    expect(corruptBackups()).toHaveLength(1);
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('{"tasks": ');
+  });
+
+  test('backs up the same corrupt file only once', async () => {
+    fs.writeFileSync(filePath, '[1, 2]');
+    const storage = new JsonFileStorage(filePath);
+
+    const first = await storage.read().catch(e => e);
+    const second = await storage.read().catch(e => e);
+
+    expect(corruptBackups()).toHaveLength(1);
+    expect(second.message).toBe(first.message);
+  });
+
+  test('backs up again once the corrupt file changes', async () => {
+    const storage = new JsonFileStorage(filePath);
+    fs.writeFileSync(filePath, 'not json');
+    await storage.read().catch(() => {});
+
+    fs.writeFileSync(filePath, 'still not json');
+    await storage.read().catch(() => {});
+
+    expect(corruptBackups()).toHaveLength(2);
+  });
+
+  test('keeps backups taken in the same millisecond apart', async () => {
+    jest.useFakeTimers({ now: new Date('2026-03-02T09:00:00.000Z'), doNotFake: ['setImmediate', 'nextTick'] });
+    try {
+      const storage = new JsonFileStorage(filePath);
+      fs.writeFileSync(filePath, 'not json');
+      await storage.read().catch(() => {});
+      fs.writeFileSync(filePath, 'still not json');
+      await storage.read().catch(() => {});
+    } finally {
+      jest.useRealTimers();
+    }
+
+    expect(corruptBackups().sort()).toEqual([
+      'tasks.json.corrupt-2026-03-02T09-00-00-000Z-2.bak',
+      'tasks.json.corrupt-2026-03-02T09-00-00-000Z.bak'
+    ]);
+  });
+});
+
+describe('load', () => {
+  test('migrates older data and keeps a copy of it first', async () => {
+    const original = JSON.stringify({ currentTask: { id: 'a', name: 'Login', startTime: '2026-01-05T09:00:00.000Z' } });
+    fs.writeFileSync(filePath, original);
+
+    const data = await new JsonFileStorage(filePath).load();
+
+    expect(data.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(data.focusedTaskId).toBe('a');
+    const backups = fs.readdirSync(dir).filter(name => name.startsWith('tasks.json.v0-'));
+    expect(backups).toHaveLength(1);
+    expect(fs.readFileSync(path.join(dir, backups[0]), 'utf8')).toBe(original);
+  });
+});
+
+describe('update', () => {
+  test('bumps the revision on every write', async () => {
+    const storage = new JsonFileStorage(filePath);
+
+    await storage.update(data => { data.tasks.a = { id: 'a' }; });
+    await storage.update(data => { data.focusedTaskId = 'a'; });
+
+    const data = await storage.load();
+    expect(data.revision).toBe(2);
+    expect(data.focusedTaskId).toBe('a');
+  });
+
+  test('rejects a save based on an outdated revision', async () => {
+    const storage = new JsonFileStorage(filePath);
+    await storage.update(() => {});
+    const stale = await storage.load();
+    await storage.update(data => { data.focusedTaskId = 'x'; });
+
+    await expect(storage.save(stale)).rejects.toBeInstanceOf(ConflictError);
+  });
+});
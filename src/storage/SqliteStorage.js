@@ -0,0 +1,182 @@
+const Storage = require('./Storage');
+const { StorageError } = require('../errors');
+const { createEmptyData } = require('./migrations');
+
+const TABLE_LAYOUT_VERSION = 2;
+
+/**
+ * Stores tasks as rows in an embedded SQLite database. Each task keeps its
+ * full JSON body; the indexed columns exist for querying from other tools.
+ */
+class SqliteStorage extends Storage {
+  constructor(filePath) {
+    super(filePath);
+    this.db = null;
+  }
+
+  open() {
+    if (this.db) {
+      return this.db;
+    }
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new StorageError(
+        'SQLite storage needs the "better-sqlite3" package. Install it with: npm install better-sqlite3',
+        'SQLITE_UNAVAILABLE'
+      );
+    }
+
+    try {
+      this.db = new Database(this.filePath);
+      this.createTables();
+    } catch (error) {
+      this.db = null;
+      throw new StorageError(`Could not open ${this.filePath}: ${error.message}`);
+    }
+
+    return this.db;
+  }
+
+  createTables() {
+    this.db.pragma('journal_mode = WAL');
+    if (this.db.pragma('user_version', { simple: true }) < TABLE_LAYOUT_VERSION) {
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS meta (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS tasks (
+          id TEXT PRIMARY KEY,
+          state TEXT NOT NULL,
+          position INTEGER NOT NULL,
+          name TEXT,
+          status TEXT,
+          start_time TEXT,
+          end_time TEXT,
+          body TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS tasks_state_position ON tasks (state, position);
+        CREATE TABLE IF NOT EXISTS journal (
+          seq INTEGER PRIMARY KEY,
+          type TEXT NOT NULL,
+          timestamp TEXT NOT NULL,
+          body TEXT NOT NULL
+        );
+      `);
+      this.db.pragma(`user_version = ${TABLE_LAYOUT_VERSION}`);
+    }
+  }
+
+  async exists() {
+    const db = this.open();
+    return Boolean(db.prepare("SELECT value FROM meta WHERE key = 'schemaVersion'").get());
+  }
+
+  async read() {
+    const db = this.open();
+    const meta = Object.fromEntries(
+      db.prepare('SELECT key, value FROM meta').all().map(row => [row.key, JSON.parse(row.value)])
+    );
+
+    if (meta.schemaVersion === undefined) {
+      return createEmptyData();
+    }
+
+    const data = {
+      schemaVersion: meta.schemaVersion,
+      revision: meta.revision || 0,
+      journalSeq: meta.journalSeq || 0,
+      tasks: {},
+      focusedTaskId: meta.focusedTaskId || null,
+      history: []
+    };
+
+    const rows = db.prepare('SELECT id, state, body FROM tasks ORDER BY state, position').all();
+    for (const row of rows) {
+      let task;
+      try {
+        task = JSON.parse(row.body);
+      } catch (error) {
+        throw new StorageError(`Task ${row.id} in ${this.filePath} is not valid JSON: ${error.message}`, 'CORRUPT_DATA');
+      }
+
+      if (row.state === 'open') {
+        data.tasks[task.id] = task;
+      } else {
+        data.history.push(task);
+      }
+    }
+
+    return data;
+  }
+
+  async readRevision() {
+    const row = this.open().prepare("SELECT value FROM meta WHERE key = 'revision'").get();
+    return row ? JSON.parse(row.value) : 0;
+  }
+
+  async write(data) {
+    const db = this.open();
+    const insertTask = db.prepare(`
+      INSERT INTO tasks (id, state, position, name, status, start_time, end_time, body)
+      VALUES (@id, @state, @position, @name, @status, @startTime, @endTime, @body)
+    `);
+    const setMeta = db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)');
+
+    const rowFor = (task, state, position) => ({
+      id: task.id,
+      state,
+      position,
+      name: task.name,
+      status: task.status,
+      startTime: task.startTime || null,
+      endTime: task.endTime || null,
+      body: JSON.stringify(task)
+    });
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM tasks').run();
+      Object.values(data.tasks).forEach((task, index) => insertTask.run(rowFor(task, 'open', index)));
+      data.history.forEach((task, index) => insertTask.run(rowFor(task, 'history', index)));
+
+      setMeta.run('schemaVersion', JSON.stringify(data.schemaVersion));
+      setMeta.run('revision', JSON.stringify(data.revision));
+      setMeta.run('journalSeq', JSON.stringify(data.journalSeq || 0));
+      setMeta.run('focusedTaskId', JSON.stringify(data.focusedTaskId || null));
+    })();
+  }
+
+  async appendJournal(event) {
+    this.open()
+      .prepare('INSERT INTO journal (seq, type, timestamp, body) VALUES (?, ?, ?, ?)')
+      .run(event.seq, event.type, event.timestamp, JSON.stringify(event));
+  }
+
+  async readJournal() {
+    return this.open()
+      .prepare('SELECT body FROM journal ORDER BY seq')
+      .all()
+      .map(row => JSON.parse(row.body));
+  }
+
+  /**
+   * Write a consistent copy of the database next to itself
+   */
+  async backup(label) {
+    const backupPath = await this.nextBackupPath(label);
+    await this.open().backup(backupPath);
+    return backupPath;
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteStorage;
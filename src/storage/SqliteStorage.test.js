@@ -0,0 +1,38 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SqliteStorage = require('./SqliteStorage');
+
+let dir;
+let filePath;
+let storage;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'warp-tracker-sqlite-'));
+  filePath = path.join(dir, 'tasks.db');
+  storage = new SqliteStorage(filePath);
+});
+
+afterEach(async () => {
+  await storage.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('backup', () => {
+  test('keeps backups taken in the same millisecond apart', async () => {
+    await storage.update(data => { data.focusedTaskId = 'a'; });
+
+    jest.useFakeTimers({ now: new Date('2026-03-02T09:00:00.000Z'), doNotFake: ['setImmediate', 'nextTick'] });
+    try {
+      await storage.backup('v1');
+      await storage.backup('v1');
+    } finally {
+      jest.useRealTimers();
+    }
+
+    expect(fs.readdirSync(dir).filter(name => name.endsWith('.bak')).sort()).toEqual([
+      'tasks.db.v1-2026-03-02T09-00-00-000Z-2.bak',
+      'tasks.db.v1-2026-03-02T09-00-00-000Z.bak'
+    ]);
+  });
+});
@@ -0,0 +1,96 @@
+const fs = require('fs-extra');
+const FileLock = require('./FileLock');
+const { ConflictError } = require('../errors');
+const { getSchemaVersion, migrate, needsMigration } = require('./migrations');
+
+/**
+ * Base class for storage backends. Subclasses implement the raw
+ * `exists`, `read`, `readRevision`, `write` and `backup` operations; this
+ * class adds schema migrations, cross-process locking and revision checks.
+ *
+ * Every successful write bumps `data.revision`. A write whose data was read
+ * at a different revision than the one currently stored is rejected with a
+ * ConflictError so the caller can reload and retry instead of clobbering
+ * another process's change.
+ */
+class Storage {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.lock = new FileLock(`${filePath}.lock`);
+  }
+
+  async load() {
+    const data = await this.read();
+    if (!needsMigration(data)) {
+      return migrate(data);
+    }
+
+    // Persist the upgrade once, under the lock, keeping a copy of the old data
+    return this.lock.withLock(async () => {
+      const fresh = await this.read();
+      if (!needsMigration(fresh)) {
+        return migrate(fresh);
+      }
+
+      await this.backup(`v${getSchemaVersion(fresh)}`);
+      const migrated = migrate(fresh);
+      await this.checkedWrite(migrated);
+      return migrated;
+    });
+  }
+
+  /**
+   * A free path for a backup of the data file, stamped with the current time.
+   * Two backups in the same millisecond must not overwrite each other.
+   */
+  async nextBackupPath(label) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    let backupPath = `${this.filePath}.${label}-${stamp}.bak`;
+    for (let n = 2; await fs.pathExists(backupPath); n++) {
+      backupPath = `${this.filePath}.${label}-${stamp}-${n}.bak`;
+    }
+    return backupPath;
+  }
+
+  async save(data) {
+    await this.lock.withLock(() => this.checkedWrite(data));
+  }
+
+  /**
+   * Load, modify and save the data while holding the lock. The mutator
+   * receives the current data and may throw to abort without writing.
+   * `afterWrite` runs once the data is saved, still under the lock.
+   */
+  async update(mutator, afterWrite = null) {
+    return this.lock.withLock(async () => {
+      const raw = await this.read();
+      if (needsMigration(raw)) {
+        await this.backup(`v${getSchemaVersion(raw)}`);
+      }
+
+      const data = migrate(raw);
+      const result = await mutator(data);
+      await this.checkedWrite(data);
+      if (afterWrite) {
+        await afterWrite(data);
+      }
+      return result;
+    });
+  }
+
+  async checkedWrite(data) {
+    const storedRevision = await this.readRevision();
+    const expectedRevision = data.revision || 0;
+
+    if (storedRevision !== expectedRevision) {
+      throw new ConflictError(this.filePath, expectedRevision, storedRevision);
+    }
+
+    data.revision = storedRevision + 1;
+    await this.write(data);
+  }
+
+  async close() {}
+}
+
+module.exports = Storage;
@@ -0,0 +1,36 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Write a file by writing a sibling temp file, flushing it and renaming it
+ * over the target, so readers never see a partially written file.
+ */
+async function writeFileAtomic(filePath, contents) {
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`
+  );
+
+  try {
+    const handle = await fs.open(tempPath, 'w');
+    try {
+      await fs.write(handle, contents);
+      await fs.fsync(handle);
+    } finally {
+      await fs.close(handle);
+    }
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.remove(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+async function writeJsonAtomic(filePath, data) {
+  await writeFileAtomic(filePath, JSON.stringify(data, null, 2) + '\n');
+}
+
+module.exports = {
+  writeFileAtomic,
+  writeJsonAtomic
+};
@@ -0,0 +1,37 @@
+const fs = require('fs');
+const fsExtra = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { writeFileAtomic, writeJsonAtomic } = require('./atomicWrite');
+
+let dir;
+let filePath;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'warp-tracker-atomic-'));
+  filePath = path.join(dir, 'tasks.json');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('replaces the file and leaves no temp file', async () => {
+  fs.writeFileSync(filePath, 'old');
+
+  await writeJsonAtomic(filePath, { tasks: {} });
+
+  expect(fs.readFileSync(filePath, 'utf8')).toBe('{\n  "tasks": {}\n}\n');
+  expect(fs.readdirSync(dir)).toEqual(['tasks.json']);
+});
+
+test('keeps the old file and removes the temp file when the write fails', async () => {
+  fs.writeFileSync(filePath, 'old');
+  jest.spyOn(fsExtra, 'rename').mockRejectedValue(new Error('disk full'));
+
+  await expect(writeFileAtomic(filePath, 'new')).rejects.toThrow('disk full');
+
+  expect(fs.readFileSync(filePath, 'utf8')).toBe('old');
+  expect(fs.readdirSync(dir)).toEqual(['tasks.json']);
+});
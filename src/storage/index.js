@@ -0,0 +1,52 @@
+const path = require('path');
+const JsonFileStorage = require('./JsonFileStorage');
+const SqliteStorage = require('./SqliteStorage');
+const { StorageError } = require('../errors');
+
+const backends = {
+  json: {
+    fileName: 'tasks.json',
+    create: filePath => new JsonFileStorage(filePath)
+  },
+  sqlite: {
+    fileName: 'tasks.db',
+    create: filePath => new SqliteStorage(filePath)
+  }
+};
+
+/**
+ * Open the storage backend named by `config.storage`. When switching to a
+ * backend that has no data yet, the existing tasks.json is imported so the
+ * change never starts from an empty history.
+ */
+async function openStorage(configDir, backendName = 'json') {
+  const backend = backends[backendName];
+  if (!backend) {
+    throw new StorageError(
+      `Unknown storage backend "${backendName}". Available backends: ${Object.keys(backends).join(', ')}`,
+      'UNKNOWN_BACKEND'
+    );
+  }
+
+  const storage = backend.create(path.join(configDir, backend.fileName));
+
+  if (backendName !== 'json' && !await storage.exists()) {
+    const jsonStorage = new JsonFileStorage(path.join(configDir, backends.json.fileName));
+    if (await jsonStorage.exists()) {
+      const imported = await jsonStorage.load();
+      await storage.update(data => {
+        // The journal does not move across backends; start a fresh one
+        Object.assign(data, imported, { revision: data.revision, journalSeq: 0 });
+      });
+    }
+  }
+
+  return storage;
+}
+
+module.exports = {
+  openStorage,
+  backends,
+  JsonFileStorage,
+  SqliteStorage
+};
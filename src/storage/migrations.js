@@ -0,0 +1,130 @@
+const { StorageError } = require('../errors');
+
+/**
+ * Forward migrations for the task data document. Each entry upgrades data
+ * from `version - 1` to `version`. Files written before versioning existed
+ * have no `schemaVersion` and are treated as version 0.
+ */
+const migrations = [
+  {
+    version: 1,
+    description: 'Replace the single currentTask with a keyed set of open tasks',
+    up(data) {
+      data.tasks = data.tasks || {};
+      data.focusedTaskId = data.focusedTaskId || null;
+
+      if (data.currentTask) {
+        data.tasks[data.currentTask.id] = data.currentTask;
+        data.focusedTaskId = data.currentTask.id;
+      }
+      delete data.currentTask;
+
+      data.history = data.history || [];
+      return data;
+    }
+  },
+  {
+    version: 2,
+    description: 'Give every task a subtasks checklist',
+    up(data) {
+      forEachTask(data, task => {
+        task.subtasks = task.subtasks || [];
+      });
+      return data;
+    }
+  },
+  {
+    version: 3,
+    description: 'Track the sequence number of the last journaled mutation',
+    up(data) {
+      data.journalSeq = data.journalSeq || 0;
+      return data;
+    }
+  },
+  {
+    version: 4,
+    description: 'Record work intervals so paused time is not counted as work',
+    up(data) {
+      forEachTask(data, task => {
+        if (!Array.isArray(task.intervals)) {
+          task.intervals = [{ start: task.startTime, end: task.endTime || null }];
+        }
+      });
+      return data;
+    }
+  },
+  {
+    version: 5,
+    description: 'Add tags, priority and project fields',
+    up(data) {
+      forEachTask(data, task => {
+        task.tags = Array.isArray(task.tags) ? task.tags : [];
+        task.priority = task.priority || 'normal';
+        if (task.project === undefined) {
+          const projectName = task.sessionInfo && task.sessionInfo.projectName;
+          task.project = projectName && projectName !== 'Unknown Project' ? projectName : null;
+        }
+      });
+      return data;
+    }
+  }
+];
+
+const CURRENT_SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+function forEachTask(data, fn) {
+  Object.values(data.tasks || {}).forEach(fn);
+  (data.history || []).forEach(fn);
+}
+
+function createEmptyData() {
+  return {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    journalSeq: 0,
+    tasks: {},
+    focusedTaskId: null,
+    history: []
+  };
+}
+
+function getSchemaVersion(data) {
+  return Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+}
+
+/**
+ * Bring a data document up to CURRENT_SCHEMA_VERSION
+ */
+function migrate(data) {
+  const fromVersion = getSchemaVersion(data);
+
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw new StorageError(
+      `Task data uses schema version ${fromVersion}, but this version of warp-tracker only understands up to ${CURRENT_SCHEMA_VERSION}. Please upgrade warp-tracker.`,
+      'SCHEMA_TOO_NEW'
+    );
+  }
+
+  let migrated = data;
+  migrations
+    .filter(migration => migration.version > fromVersion)
+    .forEach(migration => {
+      migrated = migration.up(migrated);
+      migrated.schemaVersion = migration.version;
+    });
+
+  return migrated;
+}
+
+function needsMigration(data) {
+  return getSchemaVersion(data) < CURRENT_SCHEMA_VERSION;
+}
+
+module.exports = {
+  CURRENT_SCHEMA_VERSION,
+  migrations,
+  createEmptyData,
+  forEachTask,
+  getSchemaVersion,
+  migrate,
+  needsMigration
+};
@@ -0,0 +1,129 @@
+const {
+  CURRENT_SCHEMA_VERSION,
+  migrations,
+  createEmptyData,
+  getSchemaVersion,
+  migrate,
+  needsMigration
+} = require('./migrations');
+
+/**
+ * A document from before schema versions existed
+ */
+function versionZero() {
+  return {
+    currentTask: {
+      id: 'a',
+      name: 'Login',
+      progress: 40,
+      startTime: '2026-01-05T09:00:00.000Z',
+      sessionInfo: { projectName: 'shop' }
+    },
+    history: [{
+      id: 'b',
+      name: 'Signup',
+      progress: 100,
+      startTime: '2026-01-04T09:00:00.000Z',
+      endTime: '2026-01-04T11:00:00.000Z',
+      sessionInfo: { projectName: 'Unknown Project' }
+    }]
+  };
+}
+
+/**
+ * Run the migrations up to and including `version`
+ */
+function migrateTo(data, version) {
+  return migrations
+    .filter(migration => migration.version <= version)
+    .reduce((migrated, migration) => migration.up(migrated), data);
+}
+
+describe('migrations', () => {
+  test('are numbered one after another', () => {
+    expect(migrations.map(migration => migration.version)).toEqual([1, 2, 3, 4, 5]);
+    expect(CURRENT_SCHEMA_VERSION).toBe(5);
+  });
+
+  test('v1 turns the current task into the focused open task', () => {
+    const data = migrateTo(versionZero(), 1);
+
+    expect(data.currentTask).toBeUndefined();
+    expect(Object.keys(data.tasks)).toEqual(['a']);
+    expect(data.focusedTaskId).toBe('a');
+    expect(data.history).toHaveLength(1);
+  });
+
+  test('v1 leaves nothing focused without a current task', () => {
+    const data = migrateTo({}, 1);
+
+    expect(data).toEqual({ tasks: {}, focusedTaskId: null, history: [] });
+  });
+
+  test('v2 gives open and finished tasks a subtasks list', () => {
+    const data = migrateTo(versionZero(), 2);
+
+    expect(data.tasks.a.subtasks).toEqual([]);
+    expect(data.history[0].subtasks).toEqual([]);
+  });
+
+  test('v3 starts the journal sequence at zero', () => {
+    expect(migrateTo(versionZero(), 3).journalSeq).toBe(0);
+  });
+
+  test('v4 records one interval spanning each task', () => {
+    const data = migrateTo(versionZero(), 4);
+
+    expect(data.tasks.a.intervals).toEqual([{ start: '2026-01-05T09:00:00.000Z', end: null }]);
+    expect(data.history[0].intervals).toEqual([{ start: '2026-01-04T09:00:00.000Z', end: '2026-01-04T11:00:00.000Z' }]);
+  });
+
+  test('v4 keeps existing intervals', () => {
+    const intervals = [{ start: '2026-01-05T09:00:00.000Z', end: '2026-01-05T09:30:00.000Z' }];
+    const data = migrateTo({ tasks: { a: { id: 'a', startTime: '2026-01-05T09:00:00.000Z', intervals } } }, 4);
+
+    expect(data.tasks.a.intervals).toBe(intervals);
+  });
+
+  test('v5 adds tags and priority and takes the project from the session', () => {
+    const data = migrateTo(versionZero(), 5);
+
+    expect(data.tasks.a).toMatchObject({ tags: [], priority: 'normal', project: 'shop' });
+    expect(data.history[0].project).toBeNull();
+  });
+});
+
+describe('migrate', () => {
+  test('brings an unversioned document up to the current version', () => {
+    const data = migrate(versionZero());
+
+    expect(data.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(needsMigration(data)).toBe(false);
+    expect(data.tasks.a).toMatchObject({ subtasks: [], tags: [], priority: 'normal' });
+  });
+
+  test('only runs the migrations a document has not had', () => {
+    const data = migrate({ schemaVersion: 4, journalSeq: 7, tasks: { a: { id: 'a', tags: ['ui'] } }, history: [] });
+
+    expect(data.journalSeq).toBe(7);
+    expect(data.tasks.a).toEqual({ id: 'a', tags: ['ui'], priority: 'normal', project: null });
+  });
+
+  test('refuses data from a newer version', () => {
+    expect(() => migrate({ schemaVersion: CURRENT_SCHEMA_VERSION + 1 })).toThrow('Please upgrade warp-tracker');
+  });
+});
+
+describe('createEmptyData', () => {
+  test('is already current', () => {
+    const data = createEmptyData();
+
+    expect(getSchemaVersion(data)).toBe(CURRENT_SCHEMA_VERSION);
+    expect(needsMigration(data)).toBe(false);
+  });
+
+  test('treats a document without a version as version 0', () => {
+    expect(getSchemaVersion({})).toBe(0);
+    expect(needsMigration({})).toBe(true);
+  });
+});
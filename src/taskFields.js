@@ -0,0 +1,39 @@
+/**
+ * The values a task's labels and status may take, shared by the commands
+ * that set them and by import, which must hold files from elsewhere to the
+ * same rules.
+ */
+
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const STATUSES = ['in-progress', 'paused', 'completed', 'stopped'];
+
+/**
+ * Turn "a, b,#c" or ['a', 'b'] into a sorted, de-duplicated tag list
+ */
+function normalizeTags(value) {
+  if (!value) {
+    return [];
+  }
+
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const tags = list
+    .filter(tag => typeof tag === 'string' || typeof tag === 'number')
+    .map(tag => String(tag).trim().replace(/^#/, '').toLowerCase())
+    .filter(Boolean);
+  return [...new Set(tags)].sort();
+}
+
+/**
+ * A progress percentage as a whole number from 0 to 100 (0 if not a number)
+ */
+function clampProgress(value) {
+  const progress = Number(value);
+  return Number.isFinite(progress) ? Math.min(100, Math.max(0, Math.round(progress))) : 0;
+}
+
+module.exports = {
+  PRIORITIES,
+  STATUSES,
+  clampProgress,
+  normalizeTags
+};
@@ -0,0 +1,147 @@
+/**
+ * Templates for the names and descriptions of session tasks.
+ *
+ *   {project}                a field's value
+ *   {issue|branch|"misc"}    the first non-empty of several fields or literals
+ *   {branch:title}           a field through a filter: upper, lower, title
+ *                            (first letter capitalised) or short (first 7
+ *                            characters)
+ *   [{issue}: ]              an optional section, left out entirely when a
+ *                            field inside it is empty
+ *   \n                       a line break
+ *   \[ \] \{ \}               a literal bracket or brace
+ *
+ * Fields: project, dir, cwd, title, command, branch, branchTitle, issue,
+ * repo, remote, time, date and session. The prompt command renders its own
+ * fields (see src/prompt.js).
+ */
+
+const path = require('path');
+const { TrackerError } = require('./errors');
+
+const FIELDS = [
+  'project', 'dir', 'cwd', 'title', 'command', 'branch', 'branchTitle',
+  'issue', 'repo', 'remote', 'time', 'date', 'session'
+];
+
+const FILTERS = {
+  upper: value => value.toUpperCase(),
+  lower: value => value.toLowerCase(),
+  title: value => value.charAt(0).toUpperCase() + value.slice(1),
+  short: value => value.slice(0, 7)
+};
+
+function templateError(template, message) {
+  return new TrackerError(`Invalid template "${template}": ${message}`, 'INVALID_TEMPLATE');
+}
+
+/**
+ * The values a template can use for an enriched session
+ */
+function sessionFields(session, now = new Date()) {
+  // Loaded here since git.js pulls in fs-extra, which would slow down the
+  // prompt command on every shell prompt
+  const { describeBranch } = require('./git');
+  const git = session.git || null;
+  const pad = number => String(number).padStart(2, '0');
+
+  return {
+    project: session.projectName || '',
+    dir: session.workingDir ? path.basename(session.workingDir) : '',
+    cwd: session.workingDir || '',
+    title: session.title || '',
+    command: session.command || '',
+    branch: git ? git.branch || git.head.slice(0, 7) : '',
+    branchTitle: git && git.branch ? describeBranch(git.branch) : '',
+    issue: git ? git.issueKeys.join(', ') : '',
+    repo: git ? path.basename(git.root) : '',
+    remote: git && git.remote ? git.remote : '',
+    time: now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+    date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+    session: session.sessionId || ''
+  };
+}
+
+/**
+ * Resolve one {...} placeholder. Returns '' for an empty value.
+ */
+function resolvePlaceholder(template, expression, fields) {
+  const [choices, filter] = expression.split(':');
+  if (filter !== undefined && !FILTERS[filter.trim()]) {
+    throw templateError(template, `unknown filter "${filter.trim()}" (use ${Object.keys(FILTERS).join(', ')})`);
+  }
+
+  let value = '';
+  for (const choice of choices.split('|').map(part => part.trim())) {
+    const literal = choice.match(/^"(.*)"$/);
+    if (literal) {
+      value = literal[1];
+    } else if (Object.prototype.hasOwnProperty.call(fields, choice)) {
+      value = fields[choice];
+    } else {
+      throw templateError(template, `unknown field "${choice}" (use ${Object.keys(fields).join(', ')})`);
+    }
+    if (value) {
+      break;
+    }
+  }
+
+  return value && filter !== undefined ? FILTERS[filter.trim()](value) : value;
+}
+
+function renderPlaceholders(template, text, fields, state) {
+  return text.replace(/\\([[\]{}])|\{([^{}]*)\}|\\n/g, (match, escaped, expression) => {
+    if (escaped) {
+      return escaped;
+    }
+    if (expression === undefined) {
+      return '\n';
+    }
+    const value = resolvePlaceholder(template, expression, fields);
+    if (!value) {
+      state.empty = true;
+    }
+    return value;
+  });
+}
+
+/**
+ * Render a template with the given field values
+ */
+function renderTemplate(template, fields) {
+  // One pass, so that values are never read as template syntax
+  return template
+    .replace(/\\([[\]{}])|\[([^[\]]*)\]|\{([^{}]*)\}|\\n/g, (match, escaped, section, expression) => {
+      if (escaped) {
+        return escaped;
+      }
+      if (match === '\\n') {
+        return '\n';
+      }
+      if (section === undefined) {
+        return resolvePlaceholder(template, expression, fields);
+      }
+      const state = { empty: false };
+      const rendered = renderPlaceholders(template, section, fields, state);
+      return state.empty ? '' : rendered;
+    })
+    .trim();
+}
+
+/**
+ * Throw a TrackerError if a template uses unknown fields or filters
+ */
+function validateTemplate(template, names = FIELDS) {
+  const fields = {};
+  names.forEach(field => {
+    fields[field] = field;
+  });
+  renderTemplate(template, fields);
+}
+
+module.exports = {
+  FIELDS,
+  sessionFields,
+  renderTemplate,
+  validateTemplate
+};
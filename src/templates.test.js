@@ -0,0 +1,90 @@
+const { sessionFields, renderTemplate, validateTemplate } = require('./templates');
+
+const fields = {
+  project: 'Shop',
+  dir: 'web',
+  branch: 'feature/ABC-12-login',
+  branchTitle: 'Login',
+  issue: 'ABC-12',
+  title: '',
+  command: 'vim'
+};
+
+describe('renderTemplate', () => {
+  test.each([
+    ['{project}: {dir}', 'Shop: web'],
+    ['{title|branchTitle}', 'Login'],
+    ['{title|"misc"}', 'misc'],
+    ['{project:upper} {branch:short}', 'SHOP feature'],
+    ['{command:title}', 'Vim'],
+    ['[{issue}: ]{branchTitle}', 'ABC-12: Login'],
+    ['[{title}: ]{branchTitle}', 'Login'],
+    ['{project}\\n{dir}', 'Shop\nweb'],
+    ['\\[{project}\\] \\{dir\\}', '[Shop] {dir}'],
+    ['  {title}  ', '']
+  ])('%s', (template, rendered) => {
+    expect(renderTemplate(template, fields)).toBe(rendered);
+  });
+
+  test('never reads values as template syntax', () => {
+    expect(renderTemplate('{title}', { title: '{project} [x]' })).toBe('{project} [x]');
+  });
+
+  test.each([
+    ['{nope}', 'unknown field "nope"'],
+    ['{project:shout}', 'unknown filter "shout"']
+  ])('rejects %s', (template, message) => {
+    expect(() => renderTemplate(template, fields)).toThrow(message);
+  });
+});
+
+describe('validateTemplate', () => {
+  test('accepts every session field', () => {
+    expect(() => validateTemplate('{project} {dir} {cwd} {title} {command} {branch} {branchTitle} {issue} {repo} {remote} {time} {date} {session}')).not.toThrow();
+  });
+
+  test('checks against the given field names', () => {
+    expect(() => validateTemplate('{progress}', ['progress'])).not.toThrow();
+    expect(() => validateTemplate('{project}', ['progress'])).toThrow('Invalid template "{project}"');
+  });
+});
+
+describe('sessionFields', () => {
+  test('describes a session in a repository', () => {
+    const values = sessionFields({
+      sessionId: 'tmux_3',
+      projectName: 'Shop',
+      workingDir: '/home/dev/src/shop/web',
+      title: 'main:0.1',
+      command: 'vim',
+      git: {
+        root: '/home/dev/src/shop',
+        remote: 'git@example.com:dev/shop.git',
+        branch: 'feature/ABC-12-fix-login',
+        head: '0123456789abcdef',
+        issueKeys: ['ABC-12']
+      }
+    }, new Date(2026, 2, 5, 9, 7));
+
+    expect(values).toMatchObject({
+      project: 'Shop',
+      dir: 'web',
+      cwd: '/home/dev/src/shop/web',
+      branch: 'feature/ABC-12-fix-login',
+      branchTitle: 'Fix login',
+      issue: 'ABC-12',
+      repo: 'shop',
+      remote: 'git@example.com:dev/shop.git',
+      date: '2026-03-05',
+      session: 'tmux_3'
+    });
+  });
+
+  test('uses the short commit on a detached HEAD and leaves git fields empty outside a repository', () => {
+    const detached = sessionFields({ git: { root: '/r', remote: null, branch: null, head: '0123456789abcdef', issueKeys: [] } });
+    const plain = sessionFields({ workingDir: '/tmp' });
+
+    expect(detached).toMatchObject({ branch: '0123456', branchTitle: '', remote: '' });
+    expect(plain).toMatchObject({ branch: '', issue: '', repo: '', project: '' });
+  });
+});